@@ -1,285 +1,389 @@
 // core/api.js
-// 核心API模块，根据用户反馈重构为三种独立的API模式
+// 核心API模块：组装提示词并通过已注册的API提供方发送请求
 import { getContext } from '/scripts/extensions.js';
-import { getRequestHeaders } from '/script.js';
-import { buildGoogleRequest, parseGoogleResponse } from '../utils/googleAdapter.js';
+import { fetchWithStreamAndTimeout, createRequestController, raceWithSignal, delay, isAbortError } from './http.js';
+import { getProvider } from './providers/index.js';
+import { buildFailoverChain, describeBackend, recordFailoverStats, PRIMARY_BACKEND_ID } from './failover.js';
+import { classifyError, makeErrorClass, getRetryDelay, describeErrorClass, RETRY_AFTER_LIMIT_MS } from './retry.js';
 import { getPromptPlaceholderReplacements } from '../utils/promptPlaceholders.js';
+import { DEFAULT_REQUEST_TIMEOUTS } from '../utils/settings.js';
+import { separateReasoning } from '../utils/reasoning.js';
+import { parseSchemaText, parseStructuredContent, buildSchemaInstruction } from '../utils/structuredOutput.js';
+import { sumUsage } from '../utils/usage.js';
+import { getRequestOverridesError } from '../utils/requestOverrides.js';
+import { markSource } from '../utils/promptSources.js';
+import { recordUsage } from './usageStats.js';
+import { usesKeyPool, acquireApiKey, reportKeyResult, describeExhaustedPool } from './keyPool.js';
+import { addInspectorCall, sanitizeInspectorRequest } from './inspector.js';
+import { getCachedCatalog, saveCatalog, warnIfExceedsModelLimits } from './modelCatalog.js';
+import { canUseCorsFallback, sendWithCorsFallback, getRouteSettings, describeFallbackErrors } from './corsFallback.js';
 
 const extensionName = 'quick-response-force';
 
+// 导出流式处理函数供其他模块使用
+export { fetchWithStreamAndTimeout };
+
 /**
- * 流式请求处理函数，支持25秒chunk超时检测
- * @param {string} url - 请求URL
- * @param {object} options - fetch选项
- * @param {boolean} isGoogleApi - 是否为Google API
- * @returns {Promise<string>} 完整的响应内容
+ * 根据 apiMode 获取提供方，找不到时抛出错误。
+ * @param {string} apiMode
+ * @returns {import('./providers/registry.js').ApiProvider}
  */
-async function fetchWithStreamAndTimeout(url, options, isGoogleApi = false) {
-    const CHUNK_TIMEOUT = 25000; // 25秒chunk超时
-    let lastChunkTime = Date.now();
-    let timeoutId;
-    let accumulatedContent = '';
-    
-    // 启用流式传输
-    const streamOptions = {
-        ...options,
-        body: options.body ? JSON.parse(options.body) : undefined
-    };
-    
-    if (streamOptions.body) {
-        // OpenAI兼容接口需要在payload里声明stream=true；Google接口通过不同endpoint控制是否流式
-        if (!isGoogleApi) {
-            streamOptions.body.stream = true;
-        }
-        streamOptions.body = JSON.stringify(streamOptions.body);
+export function resolveProvider(apiMode) {
+    const provider = getProvider(apiMode || 'backend');
+    if (!provider) {
+        throw new Error(`未知的API模式 "${apiMode}"，对应的提供方可能尚未注册。`);
+    }
+    return provider;
+}
+
+/**
+ * 检查提供方所需的设置是否填写完整。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @param {boolean} [strict=false] - 是否同时检查 API Key 与模型（连接测试时使用）
+ * @returns {string|null} 错误信息，设置完整时返回 null
+ */
+export function validateProviderSettings(provider, apiSettings, strict = false) {
+    const needsUrl = provider.requiresApiUrl !== false;
+    const needsKey = strict && provider.requiresApiKey !== false;
+    if ((needsUrl && !apiSettings.apiUrl) || (needsKey && !apiSettings.apiKey)) {
+        return needsKey ? '请先填写 API URL 和 API Key。' : 'API URL 未配置。';
+    }
+    if (strict && provider.requiresModel !== false && !apiSettings.model) {
+        return '请选择一个模型用于测试。';
     }
-    
-    console.log(`[${extensionName}] 发起流式请求至: ${url}`);
-    
-    const response = await fetch(url, streamOptions);
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP error! status: ${response.status} ${response.statusText} - ${errorText}`);
+    if (provider.supportsRequestOverrides) {
+        const overridesError = getRequestOverridesError(apiSettings);
+        if (overridesError) return overridesError;
     }
-    
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    
+    return typeof provider.validateSettings === 'function' ? provider.validateSettings(apiSettings) : null;
+}
+
+/**
+ * 检查主配置能否发出规划请求。需要哪些设置由提供方决定（例如后端代理的非 custom 来源不需要 API URL）。
+ * @param {object} apiSettings
+ * @returns {string|null} 错误信息，可以发出请求时返回 null
+ */
+export function getConnectionError(apiSettings) {
     try {
-        let buffer = '';
-        
-        const checkTimeout = () => {
-            const now = Date.now();
-            if (now - lastChunkTime > CHUNK_TIMEOUT) {
-                reader.cancel();
-                throw new Error(`流式传输超时：${CHUNK_TIMEOUT/1000}秒内未收到新数据块`);
-            }
-        };
-        
-        // 启动超时检测
-        timeoutId = setInterval(checkTimeout, 1000);
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            
-            if (done) {
-                console.log(`[${extensionName}] 流式传输完成`);
-                break;
-            }
-            
-            // 更新最后接收chunk的时间
-            lastChunkTime = Date.now();
-            
-            // 解码chunk
-            buffer += decoder.decode(value, { stream: true });
-            
-            // 处理SSE格式的数据
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // 保留不完整的行
-            
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    
-                    if (data === '[DONE]') {
-                        continue;
-                    }
-                    
-                    try {
-                        const parsed = JSON.parse(data);
-                        
-                        if (isGoogleApi) {
-                            // Google API格式
-                            const content = parsed.candidates?.[0]?.content?.parts?.[0]?.text;
-                            if (content) {
-                                accumulatedContent += content;
-                            }
-                        } else {
-                            // OpenAI格式
-                            const content = parsed.choices?.[0]?.delta?.content;
-                            if (content) {
-                                accumulatedContent += content;
-                            }
-                        }
-                    } catch (e) {
-                        // 忽略无法解析的行
-                        console.debug(`[${extensionName}] 跳过无法解析的数据行:`, data);
-                    }
-                }
-            }
-        }
-        
-        if (!accumulatedContent) {
-            throw new Error('流式传输未返回任何内容');
-        }
-        
-        console.log(`[${extensionName}] 累积内容长度: ${accumulatedContent.length} 字符`);
-        return accumulatedContent.trim();
-        
-    } finally {
-        if (timeoutId) {
-            clearInterval(timeoutId);
-        }
-        reader.releaseLock();
+        return validateProviderSettings(resolveProvider(apiSettings.apiMode), apiSettings);
+    } catch (error) {
+        return error.message;
     }
 }
 
 /**
- * 为Promise添加超时控制
- * @param {Promise} promise - 要包装的Promise
- * @param {number} timeoutMs - 超时时间（毫秒）
- * @param {string} errorMessage - 超时错误消息
- * @returns {Promise}
+ * 配置了 Key 池时，为获取模型列表与连接测试选出一个 Key。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @returns {{settings: object, lease: import('./keyPool.js').KeyLease|null}} 替换了 apiKey 的设置与所选 Key
  */
-function withTimeout(promise, timeoutMs, errorMessage = '请求超时') {
-    return Promise.race([
-        promise,
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
-        )
-    ]);
+export function withPooledKey(provider, apiSettings) {
+    if (!usesKeyPool(provider, apiSettings)) {
+        return { settings: apiSettings, lease: null };
+    }
+    const lease = acquireApiKey(apiSettings);
+    if (!lease) {
+        throw new Error('Key 池中没有可用的 API Key（均已失效或在冷却中），可在设置中重置 Key 状态。');
+    }
+    return { settings: { ...apiSettings, apiKey: lease.key }, lease };
 }
 
 /**
- * 非流式fetch JSON（带超时、错误信息补全）
- * @param {string} url
- * @param {RequestInit} options
- * @param {number} timeoutMs
- * @param {string} timeoutMessage
- * @returns {Promise<any>}
+ * 通过提供方获取模型列表；开启了跨域转发时，直连失败后改经酒馆CORS代理或后端路由获取。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @returns {Promise<{models: any, route: import('./corsFallback.js').ConnectionRoute}>} models 为提供方返回的原始列表
  */
-async function fetchJsonWithTimeout(url, options, timeoutMs = 60000, timeoutMessage = '请求超时') {
-    const fetchPromise = (async () => {
-        const response = await fetch(url, options);
+export async function listProviderModels(provider, apiSettings) {
+    const { result, route } = await sendWithCorsFallback(provider, apiSettings, (attemptRoute) => {
+        const lister = attemptRoute === 'backend' ? resolveProvider('backend') : provider;
+        return lister.listModels(getRouteSettings(apiSettings, attemptRoute));
+    });
+    return { models: result, route };
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`HTTP error! status: ${response.status} ${response.statusText} - ${errorText}`);
-        }
+/**
+ * 读取当前API模式的超时设置，未设置的项使用默认值。
+ * @param {object} apiSettings
+ * @returns {{totalMs: number, firstTokenMs: number, chunkMs: number}} 超时（毫秒），0表示不限制
+ */
+export function getRequestTimeouts(apiSettings) {
+    const configured = apiSettings?.requestTimeouts?.[apiSettings.apiMode] || {};
+    const toMs = (key) => {
+        const value = configured[key];
+        const seconds = (value === undefined || value === null || value === '' || Number.isNaN(Number(value)))
+            ? DEFAULT_REQUEST_TIMEOUTS[key]
+            : Math.max(0, Number(value));
+        return seconds * 1000;
+    };
+    return { totalMs: toMs('total'), firstTokenMs: toMs('firstToken'), chunkMs: toMs('chunk') };
+}
+
+/**
+ * 通过提供方发送一次请求。提供方不支持流式时自动改用非流式。
+ * 总超时与上级取消信号合并为一个 AbortSignal 交给提供方，超时或取消时底层请求会被真正中止。
+ * 返回结果中的思考内容（含正文里的 <think> 块）统一移到 reasoning 字段。
+ * 开启了跨域转发时，直连因CORS或网络错误失败后改经酒馆CORS代理或后端路由重发（见 core/corsFallback.js）。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {Array} messages - OpenAI格式的消息数组
+ * @param {object} apiSettings
+ * @param {{stream?: boolean, signal?: AbortSignal, onDelta?: (delta: string, content: string) => void, responseSchema?: object, onRequest?: (request: object) => void}} [options] - responseSchema 只传给支持结构化输出的提供方；onRequest 在请求构建完成后调用
+ * @returns {Promise<{content?: string, reasoning?: string, usage?: import('../utils/usage.js').TokenUsage|null, error?: object, route: import('./corsFallback.js').ConnectionRoute}>} route 为实际使用的路线
+ */
+export async function requestCompletion(provider, messages, apiSettings, options = {}) {
+    const stream = !!options.stream && typeof provider.stream === 'function';
+    const timeouts = getRequestTimeouts(apiSettings);
+    const controller = createRequestController(
+        options.signal,
+        timeouts.totalMs,
+        `请求超时：总时长超过${timeouts.totalMs / 1000}秒`
+    );
+    const callOptions = {
+        stream,
+        signal: controller.signal,
+        timeouts,
+        onDelta: options.onDelta,
+        responseSchema: provider.supportsStructuredOutput ? options.responseSchema : undefined,
+    };
+
+    const run = async (settings) => {
+        const request = typeof provider.buildRequest === 'function'
+            ? await provider.buildRequest(messages, settings, callOptions)
+            : messages;
+        options.onRequest?.(request);
 
-        const contentType = response.headers.get('content-type') || '';
-        if (contentType.includes('application/json')) {
-            return await response.json();
+        if (stream) {
+            const streamed = await provider.stream(request, settings, callOptions);
+            return typeof streamed === 'string' ? { content: streamed } : (streamed || {});
         }
+        return (await provider.send(request, settings, callOptions)) || {};
+    };
 
-        const text = await response.text();
-        try {
-            return JSON.parse(text);
-        } catch {
-            return text;
+    /**
+     * 通过指定路线发送。backend 路线改由后端代理提供方以非流式发送，结构化输出的 Schema 改为附加在提示词中。
+     * @param {import('./corsFallback.js').ConnectionRoute} route
+     */
+    const runRoute = async (route) => {
+        const settings = getRouteSettings(apiSettings, route);
+        if (route !== 'backend') {
+            return run(settings);
         }
-    })();
+        const routeMessages = callOptions.responseSchema
+            ? [...messages, buildSchemaInstruction(callOptions.responseSchema)]
+            : messages;
+        return requestCompletion(resolveProvider('backend'), routeMessages, settings, { signal: controller.signal, onRequest: options.onRequest });
+    };
 
-    return withTimeout(fetchPromise, timeoutMs, timeoutMessage);
+    try {
+        // 即使提供方忽略了 signal，也保证超时/取消后立即返回
+        const { result, route } = await raceWithSignal(sendWithCorsFallback(provider, apiSettings, runRoute), controller.signal);
+        return { ...(result.content ? separateReasoning(result) : result), route };
+    } finally {
+        controller.dispose();
+    }
 }
 
-// 导出流式处理函数供其他模块使用
-export { fetchWithStreamAndTimeout };
 
 /**
- * 统一处理和规范化API响应数据。
- * @param {*} responseData - 从API收到的原始响应数据
- * @returns {object} 规范化后的数据对象
+ * 构建发送给规划API的消息数组（与后端无关，每次规划只需构建一次）。
+ * 替换 $1/$5/$7/$U/$C 占位符，并按提示词模式与 Jailbreak 提示词排列消息。
+ * @param {string} userMessage - 本次用户输入
+ * @param {Array<{role: string, content: string}>} contextMessages - 前文上下文
+ * @param {object} apiSettings
+ * @param {string} worldbookContent
+ * @param {string} tableDataContent
+ * @param {object} globalSettings - 提供 promptMode 与 jailbreakPrompts
+ * @param {{markSources?: boolean}} [options] - markSources 为 true 时用来源标记包裹占位符的替换内容（仅用于提示词预览，见 utils/promptSources.js）
+ * @returns {{messages: Array<{role: string, content: string}>, placeholders: Record<string, string>}} 消息数组与解析出的占位符内容
  */
-function normalizeApiResponse(responseData) {
-    let data = responseData;
-    if (typeof data === 'string') {
-        try {
-            data = JSON.parse(data);
-        } catch (e) {
-            console.error(`[${extensionName}] API响应JSON解析失败:`, e);
-            return { error: { message: 'Invalid JSON response' } };
-        }
+export function buildPlannerMessages(userMessage, contextMessages, apiSettings, worldbookContent, tableDataContent, globalSettings, options = {}) {
+    const mark = options.markSources ? markSource : (source, value) => value;
+    const fullHistory = Array.isArray(contextMessages) ? [...contextMessages] : [];
+    if (userMessage) {
+        fullHistory.push({ role: 'user', content: userMessage });
     }
-    if (data && typeof data.data === 'object' && data.data !== null && !Array.isArray(data.data)) {
-        if (Object.hasOwn(data.data, 'data')) {
-            data = data.data;
+
+    const ucReplacements = getPromptPlaceholderReplacements(getContext());
+
+    const sanitizeHtml = (htmlString) => {
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = htmlString;
+        return tempDiv.textContent || tempDiv.innerText || '';
+    };
+
+    const formattedHistory = fullHistory.map(msg => `${msg.role}："${sanitizeHtml(msg.content)}"`).join(' \n ');
+    const formattedHistoryInjection = formattedHistory
+        ? `以下是前文的用户记录和故事发展，给你用作参考：\n ${formattedHistory}`
+        : '';
+
+    const hasUnescapedHistoryPlaceholder = (text) => {
+        if (typeof text !== 'string') return false;
+        return /(?<!\\)\$7/.test(text);
+    };
+
+    const usesHistoryPlaceholder =
+        hasUnescapedHistoryPlaceholder(apiSettings.mainPrompt) ||
+        hasUnescapedHistoryPlaceholder(apiSettings.systemPrompt);
+
+    // $1 为世界书内容（世界书未启用时会移除该占位符）
+    const worldbookReplacement = (apiSettings.worldbookEnabled && worldbookContent)
+        ? `\n<worldbook_context>\n${worldbookContent}\n</worldbook_context>\n`
+        : '';
+    // $5 为“总体大纲”表内容（含表头）
+    const tableDataReplacement = tableDataContent
+        ? `\n<table_data_context>\n${tableDataContent}\n</table_data_context>\n`
+        : '';
+    const placeholders = {
+        $1: worldbookReplacement,
+        $5: tableDataReplacement,
+        $7: formattedHistoryInjection,
+        $U: ucReplacements.$U,
+        $C: ucReplacements.$C,
+    };
+
+    const replacePlaceholders = (text) => {
+        if (typeof text !== 'string') return '';
+
+        text = text.replace(/(?<!\\)\$1/g, mark('$1', worldbookReplacement));
+
+        text = text.replace(/(?<!\\)\$5/g, mark('$5', tableDataReplacement));
+
+        // 替换 $7 为本次实际读取的前文上下文（AI上下文 + 本次用户输入，格式化后注入）
+        text = text.replace(/(?<!\\)\$7/g, mark('$7', formattedHistoryInjection));
+
+        // 替换 $U 为用户设定描述（persona_description）
+        text = text.replace(/(?<!\\)\$U/g, mark('$U', ucReplacements.$U));
+
+        // 替换 $C 为角色描述（char_description）
+        text = text.replace(/(?<!\\)\$C/g, mark('$C', ucReplacements.$C));
+
+        return text;
+    };
+
+    // 构建核心提示词消息数组
+    const corePromptMessages = [];
+
+    if (apiSettings.mainPrompt) {
+        const content = replacePlaceholders(apiSettings.mainPrompt);
+        if (content.trim()) {
+            corePromptMessages.push({ role: 'system', content });
         }
     }
-    if (data && data.choices && data.choices[0]) {
-        return { content: data.choices[0].message?.content?.trim() };
-    }
-    if (data && data.content) {
-        return { content: data.content.trim() };
-    }
-    if (data && data.data) { // for /v1/models
-        return { data: data.data };
+
+    // 兼容旧行为：若未使用 $7，则仍以独立 system message 注入前文上下文
+    if (formattedHistoryInjection && !usesHistoryPlaceholder) {
+        corePromptMessages.push({ role: 'system', content: mark('$7', formattedHistoryInjection) });
     }
-    if (data && data.error) {
-        return { error: data.error };
+
+    if (apiSettings.systemPrompt) {
+        const content = replacePlaceholders(apiSettings.systemPrompt);
+        if (content.trim()) {
+            corePromptMessages.push({ role: 'user', content });
+        }
     }
-    return data;
-}
 
-/**
- * 通过SillyTavern后端代理发送聊天请求（带超时控制）
- * @param {object} apiSettings - API设置
- * @param {Array} messages - 发送给API的消息数组
- * @returns {Promise<object|null>}
- */
-async function callApiViaBackend(apiSettings, messages) {
-    const request = {
-        messages,
-        model: apiSettings.model,
-        max_tokens: apiSettings.maxTokens,
-        temperature: apiSettings.temperature,
-        top_p: apiSettings.topP,
-        presence_penalty: apiSettings.presencePenalty,
-        frequency_penalty: apiSettings.frequencyPenalty,
-        stream: false,
-        chat_completion_source: 'custom',
-        custom_url: apiSettings.apiUrl,
-        api_key: apiSettings.apiKey,
-    };
+    // 处理 jailbreak 提示词（支持单条开关，默认启用）
+    const jailbreakPrompts = (globalSettings?.jailbreakPrompts || []).filter(p => p?.enabled !== false);
+    const promptMode = globalSettings?.promptMode || 'classic';
+    const messages = [];
 
-    console.log(`[${extensionName}] 准备通过SillyTavern后端代理发送请求（带超时控制）`);
+    if (promptMode === 'jailbreak') {
+        for (const jbPrompt of jailbreakPrompts) {
+            if (jbPrompt.content === '$CORE_PROMPTS') continue;
+            const content = replacePlaceholders(jbPrompt.content || '');
+            if (content.trim()) {
+                messages.push({
+                    role: jbPrompt.role || 'system',
+                    content
+                });
+            }
+        }
+    } else {
+        let corePromptsInserted = false;
 
-    try {
-        const ajaxPromise = $.ajax({
-            url: '/api/backends/chat-completions/generate',
-            type: 'POST',
-            contentType: 'application/json',
-            headers: { 'Authorization': `Bearer ${apiSettings.apiKey}` },
-            data: JSON.stringify(request),
-        });
-        
-        // 添加60秒总超时（后端代理模式允许更长时间）
-        const result = await withTimeout(
-            ajaxPromise,
-            60000,
-            '后端代理请求超时（60秒）'
-        );
-        
-        return normalizeApiResponse(result);
-    } catch (error) {
-        console.error(`[${extensionName}] 通过SillyTavern代理调用API时出错:`, error);
-        
-        if (error.message.includes('超时')) {
-            toastr.error(`后端代理API请求超时: ${error.message}`, 'API超时');
+        if (jailbreakPrompts.length > 0) {
+            for (const jbPrompt of jailbreakPrompts) {
+                if (jbPrompt.content === '$CORE_PROMPTS') {
+                    messages.push(...corePromptMessages);
+                    corePromptsInserted = true;
+                } else {
+                    const content = replacePlaceholders(jbPrompt.content || '');
+                    if (content.trim()) {
+                        messages.push({
+                            role: jbPrompt.role || 'system',
+                            content
+                        });
+                    }
+                }
+            }
+
+            if (!corePromptsInserted) {
+                messages.push(...corePromptMessages);
+            }
         } else {
-            toastr.error('API请求失败 (后端代理)，请检查控制台日志。', 'API错误');
+        messages.push(...corePromptMessages);
         }
-        return null;
     }
+
+    return { messages, placeholders };
 }
 
+/**
+ * @typedef {object} PlanAttempt
+ * @property {string} backendId - 后端ID（'primary' 或已保存配置的ID）
+ * @property {string} backendName - 后端名称
+ * @property {string} apiMode
+ * @property {string} model
+ * @property {number} attempt - 在该后端上的第几次尝试
+ * @property {boolean} ok - 是否成功并通过验证
+ * @property {string} [error] - 失败原因
+ * @property {string} [errorClass] - 失败类别，见 retry.js 的 ErrorClass.kind
+ * @property {import('../utils/usage.js').TokenUsage} [usage] - 接口报告的Token用量（未报告时省略）
+ * @property {string} [apiKey] - 使用 Key 池时最后所用 Key 的打码形式
+ * @property {string} [finishReason] - 接口报告的结束原因（stop、length 等，见 utils/streamParser.js）
+ * @property {number} startedAt - 开始时间戳
+ * @property {number} durationMs - 耗时
+ */
 
 /**
- * 主API调用入口，根据设置选择不同的模式
+ * @typedef {object} PlanMeta
+ * @property {{id: string, name: string, apiMode: string, model: string}|null} backend - 产出规划结果的后端，全部失败时为 null
+ * @property {boolean} fallbackUsed - 是否由备用配置产出
+ * @property {PlanAttempt[]} attempts - 全部尝试记录
+ * @property {import('../utils/usage.js').TokenUsage|null} usage - 全部尝试的Token用量合计（失败的请求同样计费）
  */
-export async function callInterceptionApi(userMessage, contextMessages, apiSettings, worldbookContent, tableDataContent, globalSettings) {
-    if (!apiSettings.apiUrl) {
-        console.error(`[${extensionName}] API URL 未配置。`);
-        return null;
-    }
+
+/**
+ * 主API调用入口：依次尝试故障转移链中的后端，每个后端最多重试 maxRetries 次
+ * @param {object} [requestOptions]
+ * @param {AbortSignal} [requestOptions.signal] - 取消信号，触发后立即中止当前请求并停止重试
+ * @param {(info: {backendName: string, attempt: number, maxRetries: number, streaming: boolean}) => void} [requestOptions.onAttemptStart] - 每次尝试开始时调用
+ * @param {(delta: string, content: string) => void} [requestOptions.onDelta] - 流式请求每收到一段文本时调用
+ * @param {(result: {ok: boolean, content?: string, error?: string}) => void} [requestOptions.onAttemptEnd] - 每次尝试结束时调用
+ * @param {import('./inspector.js').InspectorRun|null} [requestOptions.inspectorRun] - 请求检查器的记录，传入时记录消息、占位符与每次尝试的请求和回复
+ * @returns {Promise<{content: string, reasoning: string, data?: any, meta: PlanMeta}|null>} 成功时返回内容、思考内容与元数据（启用结构化输出时 data 为通过校验的JSON），失败或取消时返回 null
+ */
+export async function callInterceptionApi(userMessage, contextMessages, apiSettings, worldbookContent, tableDataContent, globalSettings, requestOptions = {}) {
+    const { signal, onAttemptStart, onDelta, onAttemptEnd, inspectorRun } = requestOptions;
 
     // [新功能] 获取关键词验证配置
     const requiredKeywords = apiSettings.requiredKeywords
         ? apiSettings.requiredKeywords.split(',').map(kw => kw.trim()).filter(kw => kw.length > 0)
         : [];
     const maxRetries = apiSettings.maxRetries || 3;
-    const useStreaming = apiSettings.useStreaming !== false;
+
+    // [新功能] 结构化输出：按用户的 JSON Schema 约束并校验回复
+    let responseSchema = null;
+    if (apiSettings.structuredOutputEnabled) {
+        try {
+            responseSchema = parseSchemaText(apiSettings.structuredOutputSchema);
+        } catch (error) {
+            console.error(`[${extensionName}] 结构化输出配置无效:`, error);
+            toastr.error(error.message, '配置错误');
+            return null;
+        }
+    }
 
     /**
      * [新功能] 验证响应是否包含所有必需的关键词
@@ -320,609 +424,391 @@ export async function callInterceptionApi(userMessage, contextMessages, apiSetti
     };
 
     /**
-     * [新功能] 核心API调用函数（可重试）
-     * @returns {Promise<string|null>}
+     * 校验回复：启用结构化输出时先解析并按 Schema 校验JSON，再检查关键词。
+     * @param {string} content
+     * @returns {{error: string, summary: string}|{error: null, data?: any}} 失败时返回原因及用于提示的简述
      */
-    const makeApiCall = async () => {
-        const fullHistory = Array.isArray(contextMessages) ? [...contextMessages] : [];
-        if (userMessage) {
-            fullHistory.push({ role: 'user', content: userMessage });
+    const validateContent = (content) => {
+        let data;
+        if (responseSchema) {
+            const structured = parseStructuredContent(content, responseSchema);
+            if (!structured.ok) {
+                console.warn(`[${extensionName}] 结构化输出校验失败: ${structured.error}`);
+                return { error: structured.error, summary: '不符合结构化输出要求' };
+            }
+            data = structured.data;
         }
+        if (!validateKeywords(content)) {
+            return { error: '回复缺少必需关键词', summary: '缺少必需关键词' };
+        }
+        return { error: null, data };
+    };
 
-        const ucReplacements = getPromptPlaceholderReplacements(getContext());
-
-        const sanitizeHtml = (htmlString) => {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = htmlString;
-            return tempDiv.textContent || tempDiv.innerText || '';
-        };
-
-        const formattedHistory = fullHistory.map(msg => `${msg.role}："${sanitizeHtml(msg.content)}"`).join(' \n ');
-        const formattedHistoryInjection = formattedHistory
-            ? `以下是前文的用户记录和故事发展，给你用作参考：\n ${formattedHistory}`
-            : '';
-
-        const hasUnescapedHistoryPlaceholder = (text) => {
-            if (typeof text !== 'string') return false;
-            return /(?<!\\)\$7/.test(text);
-        };
-
-        const usesHistoryPlaceholder =
-            hasUnescapedHistoryPlaceholder(apiSettings.mainPrompt) ||
-            hasUnescapedHistoryPlaceholder(apiSettings.systemPrompt);
-
-        const replacePlaceholders = (text) => {
-            if (typeof text !== 'string') return '';
-
-            // 替换 $1 为世界书内容（世界书未启用时会移除该占位符）
-            const worldbookReplacement = (apiSettings.worldbookEnabled && worldbookContent)
-                ? `\n<worldbook_context>\n${worldbookContent}\n</worldbook_context>\n`
-                : '';
-            text = text.replace(/(?<!\\)\$1/g, worldbookReplacement);
-
-            // 替换 $5 为“总体大纲”表内容（含表头）
-            const tableDataReplacement = tableDataContent
-                ? `\n<table_data_context>\n${tableDataContent}\n</table_data_context>\n`
-                : '';
-            text = text.replace(/(?<!\\)\$5/g, tableDataReplacement);
-
-            // 替换 $7 为本次实际读取的前文上下文（AI上下文 + 本次用户输入，格式化后注入）
-            text = text.replace(/(?<!\\)\$7/g, formattedHistoryInjection);
-
-            // 替换 $U 为用户设定描述（persona_description）
-            text = text.replace(/(?<!\\)\$U/g, ucReplacements.$U);
-
-            // 替换 $C 为角色描述（char_description）
-            text = text.replace(/(?<!\\)\$C/g, ucReplacements.$C);
-
-            return text;
-        };
 
-        // 构建核心提示词消息数组
-        const corePromptMessages = [];
+    /**
+     * 以给定设置发送一次请求。
+     * @param {import('./failover.js').FailoverBackend} backend
+     * @param {import('./providers/registry.js').ApiProvider} provider
+     * @param {Array} messages
+     * @param {object} settings - 本次请求使用的设置（使用 Key 池时已替换 apiKey）
+     * @returns {Promise<{content: string|null, reasoning?: string, usage?: import('../utils/usage.js').TokenUsage|null, finishReason?: string|null, request?: object, error: string|null, errorClass: import('./retry.js').ErrorClass|null}>} request 为实际发出的请求（仅在记录检查器时返回，密钥已打码）
+     */
+    const sendRequest = async (backend, provider, messages, settings) => {
+        const useStreaming = settings.useStreaming !== false;
+        let request;
+        const onRequest = inspectorCall ? (built) => { request = sanitizeInspectorRequest(built); } : undefined;
+        let result;
+        try {
+            console.log(`[${extensionName}] 准备通过 ${provider.label}（${backend.name}）发送${useStreaming ? '流式' : '非流式'}请求`);
+            result = await requestCompletion(provider, messages, settings, { stream: useStreaming, signal, onDelta, responseSchema, onRequest });
+        } catch (error) {
+            // 用户主动取消时不提示错误，交由外层停止重试
+            if (signal?.aborted && isAbortError(error)) {
+                throw error;
+            }
+            const errorClass = classifyError(error);
+            console.error(`[${extensionName}] 通过 ${provider.label}（${backend.name}）调用API时出错（${describeErrorClass(errorClass)}）:`, error);
 
-        if (apiSettings.mainPrompt) {
-            const content = replacePlaceholders(apiSettings.mainPrompt);
-            if (content.trim()) {
-                corePromptMessages.push({ role: 'system', content });
+            if (errorClass.kind === 'timeout') {
+                toastr.error(`${provider.label} 请求超时: ${error.message}`, 'API超时');
+            } else {
+                const fallbackInfo = describeFallbackErrors(error);
+                const corsHint = errorClass.kind === 'network' && provider.corsFallbackRoutes && !canUseCorsFallback(provider, settings)
+                    ? ' 若为CORS拦截，可在设置中开启“跨域转发”。'
+                    : '';
+                toastr.error(`${provider.label} 请求失败: ${error.message}${fallbackInfo ? `（${fallbackInfo}）` : ''}${corsHint}${provider.errorHint ? ` ${provider.errorHint}` : ''}`, `API错误（${errorClass.label}）`);
             }
+            return { content: null, request, error: error.message, errorClass };
         }
 
-        // 兼容旧行为：若未使用 $7，则仍以独立 system message 注入前文上下文
-        if (formattedHistoryInjection && !usesHistoryPlaceholder) {
-            corePromptMessages.push({ role: 'system', content: formattedHistoryInjection });
+        const usage = result?.usage || null;
+        if (result && result.content) {
+            return { content: result.content, reasoning: result.reasoning || '', usage, finishReason: result.finishReason || null, request, error: null, errorClass: null };
         }
-
-        if (apiSettings.systemPrompt) {
-            const content = replacePlaceholders(apiSettings.systemPrompt);
-            if (content.trim()) {
-                corePromptMessages.push({ role: 'user', content });
-            }
+        if (result?.error) {
+            return { content: null, usage, request, error: result.error.message || JSON.stringify(result.error), errorClass: classifyError(result.error) };
         }
+        return { content: null, usage, request, error: 'API未返回有效内容', errorClass: makeErrorClass('empty') };
+    };
 
-        // 处理 jailbreak 提示词（支持单条开关，默认启用）
-        const jailbreakPrompts = (globalSettings?.jailbreakPrompts || []).filter(p => p?.enabled !== false);
-        const promptMode = globalSettings?.promptMode || 'classic';
-        const messages = [];
+    /**
+     * 通过指定后端发送一次请求。配置了 Key 池时，鉴权失败或被限流会立即换用池中的下一个 Key，不占用重试次数。
+     * @param {import('./failover.js').FailoverBackend} backend
+     * @param {import('./providers/registry.js').ApiProvider} provider
+     * @param {Array} messages
+     * @returns {Promise<{content: string|null, reasoning?: string, usage?: import('../utils/usage.js').TokenUsage|null, request?: object, apiKey?: string, error: string|null, errorClass: import('./retry.js').ErrorClass|null}>} apiKey 为所用 Key 的打码形式
+     */
+    const makeApiCall = async (backend, provider, messages) => {
+        if (!usesKeyPool(provider, backend.settings)) {
+            return sendRequest(backend, provider, messages, backend.settings);
+        }
 
-        if (promptMode === 'jailbreak') {
-            for (const jbPrompt of jailbreakPrompts) {
-                if (jbPrompt.content === '$CORE_PROMPTS') continue;
-                const content = replacePlaceholders(jbPrompt.content || '');
-                if (content.trim()) {
-                    messages.push({
-                        role: jbPrompt.role || 'system',
-                        content
-                    });
-                }
+        const tried = new Set();
+        let response = null;
+        for (;;) {
+            const lease = acquireApiKey(backend.settings, tried);
+            if (!lease) {
+                if (response) return response;
+                const { allInvalid, retryAfterMs } = describeExhaustedPool(backend.settings);
+                const error = allInvalid ? 'Key 池中的 API Key 均已失效' : 'Key 池中的 API Key 均在冷却中';
+                console.warn(`[${extensionName}] ${error}（${backend.name}）`);
+                return {
+                    content: null,
+                    error,
+                    errorClass: allInvalid ? makeErrorClass('auth') : makeErrorClass('rate_limit', { retryAfterMs }),
+                };
             }
-        } else {
-            let corePromptsInserted = false;
-
-            if (jailbreakPrompts.length > 0) {
-                for (const jbPrompt of jailbreakPrompts) {
-                    if (jbPrompt.content === '$CORE_PROMPTS') {
-                        messages.push(...corePromptMessages);
-                        corePromptsInserted = true;
-                    } else {
-                        const content = replacePlaceholders(jbPrompt.content || '');
-                        if (content.trim()) {
-                            messages.push({
-                                role: jbPrompt.role || 'system',
-                                content
-                            });
-                        }
-                    }
-                }
 
-                if (!corePromptsInserted) {
-                    messages.push(...corePromptMessages);
-                }
-            } else {
-            messages.push(...corePromptMessages);
+            tried.add(lease.id);
+            console.log(`[${extensionName}] 使用 Key 池中的 ${lease.masked}`);
+            response = await sendRequest(backend, provider, messages, { ...backend.settings, apiKey: lease.key });
+            response.apiKey = lease.masked;
+            reportKeyResult(lease, response.errorClass, response.error);
+            if (response.errorClass?.kind !== 'auth' && response.errorClass?.kind !== 'rate_limit') {
+                return response;
             }
         }
+    };
 
-        if (messages.length === 0) {
-            console.error(`[${extensionName}] 消息数组为空，无法发送API请求`);
-            toastr.error('提示词配置为空或全部被过滤，请检查提示词设置。', '配置错误');
-            return null;
+    /**
+     * 调用外部传入的进度回调；回调出错不影响请求本身。
+     * @param {Function} [callback]
+     * @param {object} payload
+     */
+    const notify = (callback, payload) => {
+        if (typeof callback !== 'function') return;
+        try {
+            callback(payload);
+        } catch (error) {
+            console.warn(`[${extensionName}] 进度回调出错:`, error);
         }
+    };
 
-        let result;
-        // [新增] 酒馆连接预设模式（带超时控制）
-        if (apiSettings.apiMode === 'tavern') {
-            const profileId = apiSettings.tavernProfile;
-            if (!profileId) {
-                toastr.error('未选择酒馆连接预设。', '配置错误');
-                return null;
-            }
+    /**
+     * 重试前等待，等待期间被取消时返回 false。
+     * @param {number} ms
+     * @returns {Promise<boolean>}
+     */
+    const waitBeforeRetry = async (ms) => {
+        try {
+            console.log(`[${extensionName}] ${(ms / 1000).toFixed(1)} 秒后重试...`);
+            await delay(ms, signal);
+            return true;
+        } catch {
+            console.log(`[${extensionName}] 规划请求已取消，停止重试。`);
+            return false;
+        }
+    };
 
-            let originalProfile = '';
-            let responsePromise;
-            try {
-                // 方案：发送前切换，发送后立即切换回来
-                originalProfile = await window.TavernHelper.triggerSlash('/profile');
+    const { messages, placeholders } = buildPlannerMessages(userMessage, contextMessages, apiSettings, worldbookContent, tableDataContent, globalSettings);
+    const inspectorCall = addInspectorCall(inspectorRun, messages, placeholders);
+    if (messages.length === 0) {
+        console.error(`[${extensionName}] 消息数组为空，无法发送API请求`);
+        toastr.error('提示词配置为空或全部被过滤，请检查提示词设置。', '配置错误');
+        return null;
+    }
 
-                const context = getContext();
-                const targetProfile = context.extensionSettings?.connectionManager?.profiles.find(p => p.id === profileId);
+    const chain = buildFailoverChain(apiSettings);
+    /** @type {PlanAttempt[]} */
+    const attempts = [];
+    /** @type {import('./retry.js').ErrorClass|null} 最近一次失败的类别，用于最终提示 */
+    let lastErrorClass = null;
 
-                if (!targetProfile) {
-                    throw new Error(`无法找到ID为 "${profileId}" 的连接预设。`);
-                }
-                if (!targetProfile.api) {
-                    throw new Error(`预设 "${targetProfile.name || targetProfile.id}" 没有配置API。`);
-                }
-                if (!targetProfile.preset) {
-                    throw new Error(`预设 "${targetProfile.name || targetProfile.id}" 没有选择预设。`);
-                }
+    /**
+     * 汇总已进行的尝试，记录用量（失败与取消的请求同样计费）。
+     * @param {import('./failover.js').FailoverBackend|null} backend - 产出结果的后端
+     * @returns {PlanMeta}
+     */
+    const summarize = (backend) => {
+        const meta = {
+            backend: backend ? describeBackend(backend) : null,
+            fallbackUsed: !!backend && backend.id !== PRIMARY_BACKEND_ID,
+            attempts,
+            usage: sumUsage(attempts.map(attempt => attempt.usage)),
+        };
+        recordUsage(meta, getContext().chatId);
+        if (inspectorCall) {
+            // 尝试记录已逐条保存在 attempts 中，这里只记录汇总信息
+            inspectorCall.meta = { backend: meta.backend, fallbackUsed: meta.fallbackUsed, usage: meta.usage };
+        }
+        return meta;
+    };
 
-                const targetProfileName = targetProfile.name;
-                const currentProfile = await window.TavernHelper.triggerSlash('/profile');
+    /**
+     * 结束本次规划：记录统计并返回结果。
+     * @param {import('./failover.js').FailoverBackend|null} backend - 产出结果的后端
+     * @param {string|null} content
+     * @param {string} [reasoning] - 模型的思考内容，只用于查看，不会注入
+     * @param {any} [data] - 结构化输出解析出的JSON
+     */
+    const finish = (backend, content, reasoning = '', data) => {
+        const meta = summarize(backend);
+        recordFailoverStats(meta);
+        return content ? { content, reasoning, data, meta } : null;
+    };
 
-                if (currentProfile !== targetProfileName) {
-                    const escapedProfileName = targetProfileName.replace(/"/g, '\\"');
-                    await window.TavernHelper.triggerSlash(`/profile await=true "${escapedProfileName}"`);
-                }
+    /**
+     * 用户取消时结束本次规划：只记录已发出请求的用量，不计入故障转移统计。
+     * @returns {null}
+     */
+    const finishCancelled = () => {
+        summarize(null);
+        return null;
+    };
 
-                console.log(`[${extensionName}] 通过酒馆连接预设 "${targetProfile.name || targetProfile.id}" 发送请求（带超时控制）...`);
+    for (let backendIndex = 0; backendIndex < chain.length; backendIndex++) {
+        const backend = chain[backendIndex];
+        const nextBackend = chain[backendIndex + 1];
+        const backendInfo = describeBackend(backend);
 
-                // 发起请求并添加60秒超时
-                const requestPromise = context.ConnectionManagerRequestService.sendRequest(
-                    targetProfile.id,
-                    messages
-                );
-                
-                responsePromise = withTimeout(
-                    requestPromise,
-                    60000,
-                    '酒馆连接请求超时（60秒）'
-                );
+        let provider;
+        let settingsError;
+        try {
+            provider = resolveProvider(backend.settings.apiMode);
+            settingsError = validateProviderSettings(provider, backend.settings);
+        } catch (error) {
+            settingsError = error.message;
+        }
+        if (settingsError) {
+            console.error(`[${extensionName}] 后端 "${backend.name}" 配置无效: ${settingsError}`);
+            toastr.error(chain.length > 1 ? `${backend.name}: ${settingsError}` : settingsError, '配置错误');
+            attempts.push({ backendId: backend.id, backendName: backend.name, apiMode: backendInfo.apiMode, model: backendInfo.model, attempt: 0, ok: false, error: settingsError, errorClass: makeErrorClass('config').kind, startedAt: Date.now(), durationMs: 0 });
+            continue;
+        }
+
+        // 不支持结构化输出的提供方改为在提示词末尾附加 Schema，回复再从文本中解析
+        const backendMessages = responseSchema && !provider.supportsStructuredOutput
+            ? [...messages, buildSchemaInstruction(responseSchema)]
+            : messages;
+        await warnIfExceedsModelLimits(backend.settings, backendMessages);
+
+        // [新功能] 实现重试逻辑
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            console.log(`[${extensionName}] API调用尝试 ${attempt}/${maxRetries}（${backend.name}）...`);
 
+            const startedAt = Date.now();
+            const record = { backendId: backend.id, backendName: backend.name, apiMode: backendInfo.apiMode, model: backendInfo.model, attempt, ok: false, startedAt, durationMs: 0 };
+            attempts.push(record);
+            notify(onAttemptStart, { backendName: backend.name, attempt, maxRetries, streaming: backend.settings.useStreaming !== false && typeof provider.stream === 'function' });
+
+            let response;
+            try {
+                response = await makeApiCall(backend, provider, backendMessages);
             } catch (error) {
-                console.error(`[${extensionName}] 通过酒馆连接预设调用API时出错:`, error);
-                
-                if (error.message.includes('超时')) {
-                    toastr.error(`酒馆连接API请求超时: ${error.message}`, 'API超时');
-                } else {
-                    toastr.error(`API请求失败 (酒馆预设): ${error.message}`, 'API错误');
+                if (isAbortError(error)) {
+                    console.log(`[${extensionName}] 规划请求已取消，停止重试。`);
+                    return finishCancelled();
                 }
-                responsePromise = Promise.resolve(null);
+                throw error;
             } finally {
-                // 无论请求成功或失败，都立即尝试恢复原始预设
-                const currentProfileAfterCall = await window.TavernHelper.triggerSlash('/profile');
-                if (originalProfile && originalProfile !== currentProfileAfterCall) {
-                    const escapedOriginalProfile = originalProfile.replace(/"/g, '\\"');
-                    await window.TavernHelper.triggerSlash(`/profile await=true "${escapedOriginalProfile}"`);
-                    console.log(`[${extensionName}] 已恢复原酒馆连接预设: "${originalProfile}"`);
-                }
+                record.durationMs = Date.now() - startedAt;
             }
-
-            // 在恢复预设之后，再等待API响应
-            result = await responsePromise;
-        }
-        else if (apiSettings.apiMode === 'perfect') {
-            const profileId = apiSettings.tavernProfile;
-            if (!profileId) {
-                toastr.error('未选择酒馆连接预设。', '配置错误');
-                return null;
+            if (response.usage) {
+                record.usage = response.usage;
             }
-            const context = getContext();
-            console.log(`[${extensionName}] 通过完美模式发送请求（带超时控制）...`);
-            
-            try {
-                const requestPromise = context.ConnectionManagerRequestService.sendRequest(
-                    profileId,
-                    messages,
-                    apiSettings.maxTokens,
-                );
-                
-                // 添加60秒超时
-                result = await withTimeout(
-                    requestPromise,
-                    60000,
-                    '完美模式请求超时（60秒）'
-                );
-            } catch (error) {
-                console.error(`[${extensionName}] 完美模式调用失败:`, error);
-                
-                if (error.message.includes('超时')) {
-                    toastr.error(`完美模式API请求超时: ${error.message}`, 'API超时');
-                } else {
-                    toastr.error(`完美模式API请求失败: ${error.message}`, 'API错误');
-                }
-                result = null;
+            if (response.finishReason) {
+                record.finishReason = response.finishReason;
             }
-        }
-        else if (apiSettings.apiMode === 'backend') {
-            result = await callApiViaBackend(apiSettings, messages);
-        }
-        // 前端直连模式 (包括OpenAI和Google)
-        else {
-            const { apiUrl, apiKey, model } = apiSettings;
-            let finalApiUrl;
-            let body;
-            let headers = { 'Content-Type': 'application/json' };
-            const isGoogleMode = apiSettings.apiMode === 'google';
-
-            if (isGoogleMode) {
-                const apiVersion = 'v1beta';
-                const baseUrl = apiUrl.replace(/\/$/, '');
-                finalApiUrl = useStreaming
-                    ? `${baseUrl}/${apiVersion}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
-                    : `${baseUrl}/${apiVersion}/models/${model}:generateContent?key=${apiKey}`;
-                body = JSON.stringify(buildGoogleRequest(messages, apiSettings));
-            } else { // 'frontend' mode
-                headers['Authorization'] = `Bearer ${apiKey}`;
-                finalApiUrl = apiUrl.replace(/\/$/, '');
-                if (!finalApiUrl.endsWith('/chat/completions')) {
-                    finalApiUrl += '/chat/completions';
-                }
-                body = JSON.stringify({
-                    messages,
-                    model,
-                    max_tokens: apiSettings.maxTokens,
-                    temperature: apiSettings.temperature,
-                    top_p: apiSettings.topP,
-                    presence_penalty: apiSettings.presencePenalty,
-                    frequency_penalty: apiSettings.frequencyPenalty,
-                    stream: useStreaming,
-                });
+            if (response.apiKey) {
+                record.apiKey = response.apiKey;
+            }
+            let inspectorAttempt = null;
+            if (inspectorCall) {
+                inspectorAttempt = { attempt: record, request: response.request || null, response: { content: response.content, reasoning: response.reasoning || '', error: response.error }, validation: null };
+                inspectorCall.attempts.push(inspectorAttempt);
             }
 
-            console.log(`[${extensionName}] 准备通过前端直连发送${useStreaming ? '流式' : '非流式'}请求至 ${finalApiUrl}`);
-
-            try {
-                if (useStreaming) {
-                    const content = await fetchWithStreamAndTimeout(finalApiUrl, { method: 'POST', headers, body }, isGoogleMode);
-                    result = { content };
-                } else {
-                    const json = await fetchJsonWithTimeout(
-                        finalApiUrl,
-                        { method: 'POST', headers, body },
-                        60000,
-                        '前端直连请求超时（60秒）'
-                    );
-
-                    result = isGoogleMode
-                        ? normalizeApiResponse(parseGoogleResponse(json))
-                        : normalizeApiResponse(json);
+            const content = response.content;
+            if (!content) {
+                const errorClass = response.errorClass;
+                lastErrorClass = errorClass;
+                record.error = response.error;
+                record.errorClass = errorClass.kind;
+                notify(onAttemptEnd, { ok: false, error: `${errorClass.label}: ${response.error}` });
+                console.warn(`[${extensionName}] 第 ${attempt} 次尝试失败（${describeErrorClass(errorClass)}）`);
+
+                if (!errorClass.retryable) {
+                    // 鉴权失败、请求无效等错误重试也不会成功，直接换下一个后端
+                    console.warn(`[${extensionName}] 错误不可重试，放弃后端 "${backend.name}"`);
+                    break;
                 }
-            } catch (error) {
-                console.error(`[${extensionName}] 通过前端直连调用API时出错:`, error);
-                
-                // 检查是否为超时错误
-                if (error.message.includes('超时')) {
-                    toastr.error(`${useStreaming ? '流式' : '非流式'}请求超时: ${error.message}`, 'API超时');
-                } else {
-                    toastr.error('前端直连API请求失败，请检查CORS设置及控制台日志。', 'API错误');
+                if (attempt < maxRetries) {
+                    if (errorClass.retryAfterMs > RETRY_AFTER_LIMIT_MS) {
+                        console.warn(`[${extensionName}] 服务器要求等待 ${Math.round(errorClass.retryAfterMs / 1000)} 秒，放弃后端 "${backend.name}"`);
+                        toastr.warning(`"${backend.name}" 要求等待 ${Math.round(errorClass.retryAfterMs / 1000)} 秒后再试，已停止重试。`, extensionName);
+                        break;
+                    }
+                    if (!(await waitBeforeRetry(getRetryDelay(attempt, errorClass)))) return finishCancelled();
+                    continue;
                 }
-                result = null;
+                break;
             }
-        }
-
-        if (result && result.content) {
-            return result.content;
-        }
-
-        return null;
-    };
 
-    // [新功能] 实现重试逻辑
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        console.log(`[${extensionName}] API调用尝试 ${attempt}/${maxRetries}...`);
-
-        const content = await makeApiCall();
-
-        if (!content) {
-            console.warn(`[${extensionName}] 第 ${attempt} 次尝试：API未返回有效内容`);
-            if (attempt < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // 等待1秒后重试
-                continue;
+            // [新功能] 验证结构化输出与关键词
+            const validation = validateContent(content);
+            if (inspectorAttempt) {
+                inspectorAttempt.validation = { ok: !validation.error, error: validation.error };
+            }
+            if (validation.error) {
+                lastErrorClass = makeErrorClass('validation');
+                record.error = validation.error;
+                record.errorClass = lastErrorClass.kind;
+                notify(onAttemptEnd, { ok: false, content, error: record.error });
+                console.warn(`[${extensionName}] 第 ${attempt} 次尝试：${validation.error}`);
+                if (attempt < maxRetries) {
+                    toastr.warning(`回复${validation.summary}，正在重试 (${attempt}/${maxRetries})...`, extensionName);
+                    if (!(await waitBeforeRetry(getRetryDelay(attempt, lastErrorClass)))) return finishCancelled();
+                    continue;
+                }
+                // 最后一次尝试仍然失败
+                if (!nextBackend) {
+                    toastr.error(`重试 ${maxRetries} 次后，AI回复仍${validation.summary}。`, 'API错误');
+                    return finish(null, null);
+                }
+                break;
             }
-            break;
-        }
 
-        // [新功能] 验证关键词
-        if (!validateKeywords(content)) {
-            console.warn(`[${extensionName}] 第 ${attempt} 次尝试：回复缺少必需关键词`);
-            if (attempt < maxRetries) {
-                toastr.warning(`回复缺少必需关键词，正在重试 (${attempt}/${maxRetries})...`, extensionName);
-                await new Promise(resolve => setTimeout(resolve, 1000)); // 等待1秒后重试
-                continue;
+            // 成功返回
+            record.ok = true;
+            notify(onAttemptEnd, { ok: true, content });
+            if (backend.id !== PRIMARY_BACKEND_ID) {
+                toastr.success(`已由备用配置 "${backend.name}" 完成规划。`, extensionName);
+            } else if (attempt > 1) {
+                toastr.success(`第 ${attempt} 次尝试成功！`, extensionName);
             }
-            // 最后一次尝试仍然失败
-            toastr.error(`重试 ${maxRetries} 次后，AI回复仍缺少必需关键词。`, 'API错误');
-            return null;
+            return finish(backend, content, response.reasoning, validation.data);
         }
 
-        // 成功返回
-        if (attempt > 1) {
-            toastr.success(`第 ${attempt} 次尝试成功！`, extensionName);
+        if (nextBackend) {
+            console.warn(`[${extensionName}] 后端 "${backend.name}" 失败，切换到 "${nextBackend.name}"`);
+            toastr.warning(`"${backend.name}" 调用失败，正在切换到备用配置 "${nextBackend.name}"...`, extensionName);
         }
-        return content;
     }
 
     // 所有尝试都失败
-    console.error(`[${extensionName}] API调用在 ${maxRetries} 次尝试后失败`);
-    toastr.error(`API调用失败，已重试 ${maxRetries} 次。`, 'API错误');
-    return null;
+    const requestCount = attempts.filter(a => a.attempt > 0).length;
+    const reason = lastErrorClass ? `最后一次错误：${describeErrorClass(lastErrorClass)}。` : '';
+    if (chain.length > 1) {
+        console.error(`[${extensionName}] 故障转移链中的 ${chain.length} 个配置均调用失败`, lastErrorClass);
+        toastr.error(`所有 ${chain.length} 个API配置均调用失败，共请求 ${requestCount} 次。${reason}`, 'API错误');
+    } else {
+        console.error(`[${extensionName}] API调用在 ${requestCount} 次尝试后失败`, lastErrorClass);
+        toastr.error(`API调用失败，共请求 ${requestCount} 次。${reason}`, 'API错误');
+    }
+    return finish(null, null);
 }
 
 /**
- * 获取模型列表
+ * 获取模型列表。有效期内的缓存直接返回，不发出请求。
  * @param {object} apiSettings
- * @returns {Promise<Array|null>}
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh] - 忽略缓存，重新获取
+ * @returns {Promise<import('../utils/modelMetadata.js').ModelInfo[]|null>}
  */
-export async function fetchModels(apiSettings) {
-    const { apiUrl, apiKey, apiMode } = apiSettings;
-
-    if (apiMode === 'tavern') {
-        toastr.info('在“使用酒馆连接预设”模式下，模型已在预设中定义，无需单独获取。', '提示');
-        return [];
-    }
+export async function fetchModels(apiSettings, { forceRefresh = false } = {}) {
+    try {
+        const provider = resolveProvider(apiSettings.apiMode);
 
-    if (!apiUrl) {
-        toastr.error('API URL 未配置，无法获取模型列表。', '配置错误');
-        return null;
-    }
+        if (typeof provider.listModels !== 'function') {
+            toastr.info(provider.modelListHint || `“${provider.label}”模式不支持获取模型列表。`, '提示');
+            return [];
+        }
 
-    try {
-        let rawResponse;
-        if (apiMode === 'backend') {
-            console.log(`[${extensionName}] 通过后端代理获取模型列表`);
-            rawResponse = await $.ajax({
-                url: '/api/backends/chat-completions/status',
-                type: 'POST',
-                contentType: 'application/json',
-                headers: { 'Authorization': `Bearer ${apiKey}` },
-                data: JSON.stringify({
-                    chat_completion_source: 'custom',
-                    custom_url: apiUrl,
-                    api_key: apiKey,
-                }),
-            });
-        } else { // 'frontend' or 'google'
-            let modelsUrl;
-            let headers = {};
-            let responseTransformer = (json) => json.data || [];
-
-            if (apiMode === 'google') {
-                const apiVersion = 'v1beta';
-                modelsUrl = `${apiUrl.replace(/\/$/, '')}/${apiVersion}/models?key=${apiKey}`;
-                responseTransformer = (json) => json.models
-                    ?.filter(model => model.supportedGenerationMethods?.includes('generateContent'))
-                    ?.map(model => ({ id: model.name.replace('models/', '') })) || [];
-            } else { // 'frontend'
-                headers['Authorization'] = `Bearer ${apiKey}`;
-                modelsUrl = apiUrl.replace(/\/$/, '');
-                if (modelsUrl.endsWith('/chat/completions')) {
-                    modelsUrl = modelsUrl.replace(/\/chat\/completions$/, '/models');
-                } else if (!modelsUrl.endsWith('/models')) {
-                    modelsUrl += '/models';
-                }
-            }
+        if (provider.requiresApiUrl !== false && !apiSettings.apiUrl) {
+            toastr.error('API URL 未配置，无法获取模型列表。', '配置错误');
+            return null;
+        }
 
-            console.log(`[${extensionName}] 通过前端直连获取模型列表: ${modelsUrl}`);
-            const response = await fetch(modelsUrl, { method: 'GET', headers });
+        const overridesError = provider.supportsRequestOverrides ? getRequestOverridesError(apiSettings) : null;
+        if (overridesError) {
+            toastr.error(overridesError, '配置错误');
+            return null;
+        }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-            const jsonResponse = await response.json();
-            rawResponse = { data: responseTransformer(jsonResponse) };
+        const cached = getCachedCatalog(apiSettings);
+        if (cached?.fresh && !forceRefresh) {
+            const minutes = Math.max(1, Math.round((Date.now() - cached.fetchedAt) / 60000));
+            toastr.success(`已载入 ${cached.models.length} 个模型（${minutes} 分钟前获取的缓存，按住 Shift 点击可重新获取）`, '操作成功');
+            return cached.models;
         }
 
-        const result = normalizeApiResponse(rawResponse);
-        const models = result.data || [];
+        console.log(`[${extensionName}] 通过 ${provider.label} 获取模型列表`);
+        const { models } = await listProviderModels(provider, withPooledKey(provider, apiSettings).settings);
 
-        if (result.error || !Array.isArray(models)) {
-            const errorMessage = result.error?.message || 'API未返回有效的模型列表数组。';
-            toastr.error(`获取模型列表失败: ${errorMessage}`, 'API错误');
-            console.error(`[${extensionName}] 获取模型列表失败:`, rawResponse);
+        if (!Array.isArray(models)) {
+            toastr.error('获取模型列表失败: API未返回有效的模型列表数组。', 'API错误');
+            console.error(`[${extensionName}] 获取模型列表失败:`, models);
             return null;
         }
 
-        const sortedModels = models.sort((a, b) => (a.id || a.model || '').localeCompare(b.id || b.model || ''));
+        const sortedModels = saveCatalog(apiSettings, models);
         toastr.success(`成功获取 ${sortedModels.length} 个模型`, '操作成功');
         return sortedModels;
 
     } catch (error) {
         console.error(`[${extensionName}] 获取模型列表时发生网络或解析错误:`, error);
-        toastr.error(`获取模型列表失败: ${error.message}`, 'API错误');
+        const fallbackInfo = describeFallbackErrors(error);
+        toastr.error(`获取模型列表失败: ${error.message}${fallbackInfo ? `（${fallbackInfo}）` : ''}`, 'API错误');
         return null;
     }
 }
-
-/**
- * 测试API连接
- * @param {object} apiSettings 
- * @returns {Promise<boolean>}
- */
-export async function testApiConnection(apiSettings) {
-    console.log(`[${extensionName}] 开始API连接测试...`);
-    const { apiUrl, apiKey, apiMode, model, tavernProfile } = apiSettings;
-
-    if (apiMode !== 'tavern' && (!apiUrl || !apiKey)) {
-        toastr.error('请先填写 API URL 和 API Key。', '配置错误');
-        return false;
-    }
-    if (apiMode !== 'tavern' && !model) {
-        toastr.error('请选择一个模型用于测试。', '配置错误');
-        return false;
-    }
-
-    if (apiMode === 'tavern' && !tavernProfile) {
-        toastr.error('请选择一个酒馆连接预设用于测试。', '配置错误');
-        return false;
-    }
-
-    const testMessages = [{ role: 'user', content: 'Say "Hi"' }];
-
-    try {
-        let result;
-        if (apiMode === 'tavern') {
-            let originalProfile = '';
-            let responsePromise;
-            try {
-                originalProfile = await window.TavernHelper.triggerSlash('/profile');
-
-                const context = getContext();
-                const profile = context.extensionSettings?.connectionManager?.profiles.find(p => p.id === tavernProfile);
-
-                if (!profile) throw new Error(`无法找到ID为 "${tavernProfile}" 的连接预设。`);
-                const targetProfileName = profile.name;
-
-                const currentProfile = await window.TavernHelper.triggerSlash('/profile');
-                if (currentProfile !== targetProfileName) {
-                    const escapedProfileName = targetProfileName.replace(/"/g, '\\"');
-                    await window.TavernHelper.triggerSlash(`/profile await=true "${escapedProfileName}"`);
-                }
-
-                if (!profile.api) throw new Error(`预设 "${profile.name || profile.id}" 没有配置API。`);
-                if (!profile.preset) throw new Error(`预设 "${profile.name || profile.id}" 没有选择预设。`);
-
-                console.log(`[${extensionName}] 通过酒馆连接预设 "${profile.name || profile.id}" 测试（带超时）`);
-                
-                const requestPromise = context.ConnectionManagerRequestService.sendRequest(
-                    profile.id,
-                    testMessages
-                );
-                
-                // 添加30秒超时（测试用更短的超时）
-                responsePromise = withTimeout(
-                    requestPromise,
-                    30000,
-                    '酒馆连接测试超时（30秒）'
-                );
-            } finally {
-                const currentProfileAfterCall = await window.TavernHelper.triggerSlash('/profile');
-                if (originalProfile && originalProfile !== currentProfileAfterCall) {
-                    const escapedOriginalProfile = originalProfile.replace(/"/g, '\\"');
-                    await window.TavernHelper.triggerSlash(`/profile await=true "${escapedOriginalProfile}"`);
-                    console.log(`[${extensionName}] 已恢复原酒馆连接预设: "${originalProfile}"`);
-                }
-            }
-            result = await responsePromise;
-        }
-        else if (apiMode === 'backend') {
-            console.log(`[${extensionName}] 通过后端代理测试（带超时）`);
-            
-            const ajaxPromise = $.ajax({
-                url: '/api/backends/chat-completions/generate',
-                type: 'POST',
-                contentType: 'application/json',
-                headers: { 'Authorization': `Bearer ${apiKey}` },
-                data: JSON.stringify({
-                    messages: testMessages,
-                    model: model,
-                    max_tokens: 5,
-                    temperature: apiSettings.temperature,
-                    top_p: apiSettings.topP,
-                    presence_penalty: apiSettings.presencePenalty,
-                    frequency_penalty: apiSettings.frequencyPenalty,
-                    stream: false,
-                    chat_completion_source: 'custom',
-                    custom_url: apiUrl,
-                    api_key: apiKey,
-                }),
-            });
-            
-            // 添加30秒超时
-            const rawResponse = await withTimeout(
-                ajaxPromise,
-                30000,
-                '后端代理测试超时（30秒）'
-            );
-            result = normalizeApiResponse(rawResponse);
-        } else { // 'frontend' or 'google'
-            const useStreaming = apiSettings.useStreaming !== false;
-
-            let finalApiUrl;
-            let body;
-            let headers = { 'Content-Type': 'application/json' };
-            const isGoogleMode = apiMode === 'google';
-
-            if (isGoogleMode) {
-                const apiVersion = 'v1beta';
-                const baseUrl = apiUrl.replace(/\/$/, '');
-                finalApiUrl = useStreaming
-                    ? `${baseUrl}/${apiVersion}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
-                    : `${baseUrl}/${apiVersion}/models/${model}:generateContent?key=${apiKey}`;
-                body = JSON.stringify(buildGoogleRequest(testMessages, { ...apiSettings, max_tokens: 5, temperature: 0.1 }));
-            } else { // 'frontend'
-                headers['Authorization'] = `Bearer ${apiKey}`;
-                finalApiUrl = apiUrl.replace(/\/$/, '');
-                if (!finalApiUrl.endsWith('/chat/completions')) {
-                    finalApiUrl += '/chat/completions';
-                }
-                body = JSON.stringify({
-                    messages: testMessages,
-                    model: model,
-                    max_tokens: 5,
-                    temperature: apiSettings.temperature,
-                    top_p: apiSettings.topP,
-                    presence_penalty: apiSettings.presencePenalty,
-                    frequency_penalty: apiSettings.frequencyPenalty,
-                    stream: useStreaming,
-                });
-            }
-
-            if (useStreaming) {
-                console.log(`[${extensionName}] 通过前端直连流式测试: ${finalApiUrl}`);
-                const content = await fetchWithStreamAndTimeout(finalApiUrl, { method: 'POST', headers, body }, isGoogleMode);
-                result = { content };
-            } else {
-                console.log(`[${extensionName}] 通过前端直连非流式测试: ${finalApiUrl}`);
-
-                const json = await fetchJsonWithTimeout(
-                    finalApiUrl,
-                    { method: 'POST', headers, body },
-                    30000,
-                    '前端直连测试超时（30秒）'
-                );
-
-                result = isGoogleMode
-                    ? normalizeApiResponse(parseGoogleResponse(json))
-                    : normalizeApiResponse(json);
-            }
-        }
-
-        if (result.error) {
-            throw new Error(result.error.message || JSON.stringify(result.error));
-        }
-
-        if (result.content !== undefined) {
-            toastr.success(`测试成功！API返回: "${result.content}"`, 'API连接正常');
-            return true;
-        } else {
-            throw new Error('API响应中未找到有效内容。');
-        }
-
-    } catch (error) {
-        console.error(`[${extensionName}] API连接测试失败:`, error);
-        toastr.error(`测试失败: ${error.message}`, 'API连接失败');
-        return false;
-    }
-}
@@ -0,0 +1,196 @@
+// core/corsFallback.js
+// 跨域转发：浏览器直连被CORS拦截或出现网络错误时，改为通过酒馆服务器的CORS代理（/proxy/…，需在 config.yaml 中开启 enableCorsProxy）
+// 或酒馆的后端路由（后端代理模式的 custom 来源）重新发送同一请求。成功的路线按连接保存，之后的请求直接使用该路线。
+
+import { extension_settings } from '/scripts/extensions.js';
+import { getRequestHeaders, saveSettingsDebounced } from '/script.js';
+import { extensionName } from '../utils/settings.js';
+import { getConnectionKey, trimApiUrl } from '../utils/apiUrl.js';
+import { classifyError } from './retry.js';
+
+const PROXY_PATH = '/proxy/';
+
+/**
+ * @typedef {'direct'|'proxy'|'backend'} ConnectionRoute
+ */
+
+export const ROUTE_LABELS = {
+    direct: '浏览器直连',
+    proxy: '酒馆CORS代理',
+    backend: '酒馆后端路由',
+};
+
+/**
+ * 提供方与设置是否允许跨域转发。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @returns {boolean}
+ */
+export function canUseCorsFallback(provider, apiSettings) {
+    return !!apiSettings?.corsFallbackEnabled && Array.isArray(provider?.corsFallbackRoutes) && provider.corsFallbackRoutes.length > 0;
+}
+
+/**
+ * 连接上次成功使用的路线，未保存时为 null（即直连）。
+ * @param {object} apiSettings
+ * @returns {ConnectionRoute|null}
+ */
+export function getRememberedRoute(apiSettings) {
+    return extension_settings[extensionName]?.connectionRoutes?.[getConnectionKey(apiSettings)] || null;
+}
+
+/**
+ * 保存连接成功使用的路线；直连成功时清除保存的路线。
+ * @param {object} apiSettings
+ * @param {ConnectionRoute} route
+ */
+function rememberRoute(apiSettings, route) {
+    const settings = extension_settings[extensionName];
+    if (!settings) return;
+    const key = getConnectionKey(apiSettings);
+    const routes = { ...(settings.connectionRoutes || {}) };
+    if ((routes[key] || 'direct') === route) return;
+    if (route === 'direct') {
+        delete routes[key];
+    } else {
+        routes[key] = route;
+    }
+    settings.connectionRoutes = routes;
+    saveSettingsDebounced();
+}
+
+/**
+ * 清除全部保存的路线，之后的请求重新从直连开始尝试。
+ */
+export function resetConnectionRoutes() {
+    const settings = extension_settings[extensionName];
+    if (!settings) return;
+    settings.connectionRoutes = {};
+    saveSettingsDebounced();
+}
+
+/**
+ * 把直连请求改写为经酒馆CORS代理的请求。目标地址整体编码，以保留其中的查询参数（如 Google 的 key 与 alt=sse）。
+ * 代理会在转发前去掉 CSRF 令牌等请求头。
+ * @param {string} url
+ * @param {Record<string, string>} [headers]
+ * @returns {{url: string, headers: Record<string, string>}}
+ */
+export function toProxyRequest(url, headers = {}) {
+    return {
+        url: `${PROXY_PATH}${encodeURIComponent(url)}`,
+        headers: { ...headers, 'X-CSRF-Token': getRequestHeaders()['X-CSRF-Token'] },
+    };
+}
+
+/**
+ * 把前端直连的设置转换为后端代理模式 custom 来源的设置，沿用原模式的超时设置。
+ * @param {object} apiSettings
+ * @returns {object}
+ */
+function toBackendSettings(apiSettings) {
+    return {
+        ...apiSettings,
+        apiMode: 'backend',
+        backendSource: 'custom',
+        // 酒馆会在地址后追加 /chat/completions
+        apiUrl: trimApiUrl(apiSettings.apiUrl).replace(/\/chat\/completions$/, ''),
+        requestTimeouts: { ...apiSettings.requestTimeouts, backend: apiSettings.requestTimeouts?.[apiSettings.apiMode] },
+    };
+}
+
+/**
+ * 通过指定路线发送时使用的设置：proxy 路线由 httpProvider 根据 corsRoute 改写请求地址，
+ * backend 路线改由后端代理提供方发送。
+ * @param {object} apiSettings
+ * @param {ConnectionRoute} route
+ * @returns {object}
+ */
+export function getRouteSettings(apiSettings, route) {
+    if (route === 'proxy') return { ...apiSettings, corsRoute: 'proxy' };
+    if (route === 'backend') return toBackendSettings(apiSettings);
+    return apiSettings;
+}
+
+/**
+ * 错误是否可能由CORS拦截引起：浏览器对此只报告网络错误，无法与服务器不可达区分。
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isCorsLikeError(error) {
+    return error?.name !== 'AbortError' && classifyError(error).kind === 'network';
+}
+
+/**
+ * 酒馆未开启CORS代理时，/proxy/ 返回 404 与说明文字。
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isProxyUnavailable(error) {
+    return error?.status === 404 && /CORS proxy is disabled/i.test(error.message || '');
+}
+
+/**
+ * 按路线依次发送请求：先用保存的路线（没有时直连），失败原因可能是CORS时再尝试其余路线。
+ * 鉴权失败、请求无效等其他错误直接抛出，不换路线。
+ * @template T
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @param {(route: ConnectionRoute) => Promise<T>} send - 通过指定路线发送请求
+ * @returns {Promise<{result: T, route: ConnectionRoute}>}
+ * @throws 所有路线均失败时抛出直连的错误，fallbackErrors 中记录各转发路线的错误
+ */
+export async function sendWithCorsFallback(provider, apiSettings, send) {
+    if (!canUseCorsFallback(provider, apiSettings)) {
+        return { result: await send('direct'), route: 'direct' };
+    }
+
+    const remembered = getRememberedRoute(apiSettings);
+    const routes = ['direct', ...provider.corsFallbackRoutes];
+    const ordered = remembered && routes.includes(remembered)
+        ? [remembered, ...routes.filter(route => route !== remembered)]
+        : routes;
+
+    let firstError = null;
+    const fallbackErrors = {};
+    for (const route of ordered) {
+        try {
+            const result = await send(route);
+            if (route !== (remembered || 'direct')) {
+                console.log(`[${extensionName}] 已改用${ROUTE_LABELS[route]}发送请求，该连接之后将直接使用此路线`);
+                if (route !== 'direct') {
+                    toastr.info(`浏览器直连失败（可能被CORS拦截），已改为通过${ROUTE_LABELS[route]}发送，之后的请求将直接使用该方式。`, extensionName);
+                }
+            }
+            rememberRoute(apiSettings, route);
+            return { result, route };
+        } catch (error) {
+            if (!isCorsLikeError(error) && !(route === 'proxy' && isProxyUnavailable(error))) {
+                throw error;
+            }
+            console.warn(`[${extensionName}] 通过${ROUTE_LABELS[route]}发送失败:`, error);
+            if (route === 'direct') {
+                firstError = error;
+            } else {
+                fallbackErrors[route] = error.message;
+            }
+        }
+    }
+
+    const error = firstError || new Error('所有转发路线均失败');
+    error.fallbackErrors = fallbackErrors;
+    throw error;
+}
+
+/**
+ * 描述转发路线均失败的原因，附在错误提示后。
+ * @param {*} error - sendWithCorsFallback 抛出的错误
+ * @returns {string}
+ */
+export function describeFallbackErrors(error) {
+    const entries = Object.entries(error?.fallbackErrors || {});
+    if (entries.length === 0) return '';
+    return entries.map(([route, message]) => (route === 'proxy' && /CORS proxy is disabled/i.test(message)
+        ? `${ROUTE_LABELS.proxy}未开启（在酒馆 config.yaml 中设置 enableCorsProxy: true 后重启）`
+        : `${ROUTE_LABELS[route]}也失败：${message}`)).join('；');
+}
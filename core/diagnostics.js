@@ -0,0 +1,422 @@
+// core/diagnostics.js
+// 连接诊断：“测试连接”按钮逐步检查配置、地址、网络与CORS、鉴权、模型、最小请求与流式传输，
+// 每一步给出结果与修改建议，便于判断失败的具体原因。
+
+import { resolveProvider, validateProviderSettings, withPooledKey, requestCompletion, listProviderModels } from './api.js';
+import { classifyError, describeErrorClass } from './retry.js';
+import { reportKeyResult } from './keyPool.js';
+import { saveCatalog } from './modelCatalog.js';
+import { canUseCorsFallback, describeFallbackErrors, ROUTE_LABELS } from './corsFallback.js';
+import { extensionName } from '../utils/settings.js';
+import { analyzeApiUrl } from '../utils/apiUrl.js';
+import { describeModelInfo } from '../utils/modelMetadata.js';
+
+const PROBE_TIMEOUT_MS = 10000; // 网络与CORS探测的超时
+const TEST_MESSAGES = [{ role: 'user', content: 'Say "Hi"' }];
+const TEST_MAX_TOKENS = 16; // 思考模型会先消耗Token，过小时容易得到空回复
+
+/**
+ * @typedef {'running'|'ok'|'warn'|'fail'|'skip'} DiagnosticStatus
+ */
+
+/**
+ * @typedef {object} DiagnosticStep
+ * @property {string} id
+ * @property {string} label
+ * @property {DiagnosticStatus} status
+ * @property {string} [message] - 检查结果
+ * @property {string} [fix] - 修改建议
+ */
+
+export const DIAGNOSTIC_STEPS = [
+    { id: 'settings', label: '配置' },
+    { id: 'url', label: '地址' },
+    { id: 'network', label: '网络与CORS' },
+    { id: 'auth', label: '鉴权' },
+    { id: 'model', label: '模型' },
+    { id: 'completion', label: '最小请求' },
+    { id: 'streaming', label: '流式传输' },
+];
+
+/**
+ * 各类错误的修改建议。
+ * @param {import('./retry.js').ErrorClass} errorClass
+ * @param {object} context
+ * @param {boolean} context.direct - 是否由浏览器直接请求接口
+ * @param {string} [context.keyHint] - 使用 Key 池时所用的 Key
+ * @returns {string}
+ */
+function suggestFix(errorClass, { direct, keyHint }) {
+    switch (errorClass.kind) {
+        case 'auth':
+            return `检查 API Key 是否正确、未过期且有权访问该模型${keyHint ? `（本次使用 ${keyHint}）` : ''}。`;
+        case 'not_found':
+            return '检查模型名称是否正确；若地址有误（如缺少 /v1），接口也会返回 404。';
+        case 'rate_limit':
+            return '请求过于频繁或额度已用尽，请稍后再试或检查账户余额。';
+        case 'timeout':
+            return '服务器响应过慢，可在“请求超时”中调大总时长与首块超时。';
+        case 'server':
+            return '服务器暂时出错，请稍后再试；若持续出现，请联系接口提供方。';
+        case 'bad_request':
+            return '接口拒绝了请求参数，请检查模型名称、最大Token数及额外请求体。';
+        case 'network':
+            return direct
+                ? '浏览器无法完成请求，通常是接口不允许跨域（CORS）。可改用“后端代理”模式由酒馆服务器转发。'
+                : '酒馆服务器无法连接接口，请检查地址与网络。';
+        default:
+            return '请查看浏览器控制台中的详细错误。';
+    }
+}
+
+/**
+ * 把地址中的 key 参数打码后用于显示。
+ * @param {string} url
+ * @returns {string}
+ */
+function maskUrl(url) {
+    return String(url || '').replace(/([?&]key=)[^&]+/, '$1***');
+}
+
+/**
+ * 网络与CORS探测：先以 no-cors 方式请求判断服务器能否访问，再以普通跨域请求判断是否允许跨域。
+ * no-cors 请求不读取响应，服务器只要有响应就会成功，因此两者结果不同时即为CORS拦截。
+ * @param {string} url
+ * @returns {Promise<{reachable: boolean, corsAllowed: boolean, status?: number, error?: Error}>}
+ */
+async function probeEndpoint(url) {
+    try {
+        await fetch(url, { method: 'GET', mode: 'no-cors', cache: 'no-store', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+    } catch (error) {
+        return { reachable: false, corsAllowed: false, error };
+    }
+    try {
+        const response = await fetch(url, { method: 'GET', cache: 'no-store', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        return { reachable: true, corsAllowed: true, status: response.status };
+    } catch (error) {
+        return { reachable: true, corsAllowed: false, error };
+    }
+}
+
+/**
+ * 找出与填写的模型名相近的模型，用于提示。
+ * @param {string} model
+ * @param {Array<{id: string}>} models
+ * @returns {string[]}
+ */
+function findSimilarModels(model, models) {
+    const needle = model.toLowerCase().split('/').pop();
+    return models
+        .map(info => info.id)
+        .filter(id => id.toLowerCase().includes(needle) || needle.includes(id.toLowerCase().split('/').pop()))
+        .slice(0, 5);
+}
+
+/**
+ * 逐步诊断API连接。任一步失败时，依赖它的后续步骤标记为跳过。
+ * @param {object} apiSettings - 待测试的设置（通常取自设置面板上的当前值）
+ * @param {object} [options]
+ * @param {(step: DiagnosticStep) => void} [options.onStep] - 每一步开始（status 为 running）与结束时调用
+ * @returns {Promise<{ok: boolean, steps: DiagnosticStep[]}>} ok 表示没有失败的步骤
+ */
+export async function runConnectionDiagnostics(apiSettings, { onStep } = {}) {
+    console.log(`[${extensionName}] 开始连接诊断...`);
+    const steps = [];
+    let blocked = false; // 之前的步骤失败，后续步骤无法进行
+
+    /**
+     * @param {string} id
+     * @param {(step: DiagnosticStep) => Promise<void>|void} check - 修改 step 的 status、message 与 fix
+     * @returns {Promise<DiagnosticStep>}
+     */
+    const runStep = async (id, check) => {
+        const step = { id, label: DIAGNOSTIC_STEPS.find(item => item.id === id).label, status: 'running' };
+        steps.push(step);
+        if (blocked) {
+            Object.assign(step, { status: 'skip', message: '前面的步骤失败，已跳过。' });
+        } else {
+            onStep?.({ ...step });
+            try {
+                await check(step);
+            } catch (error) {
+                console.error(`[${extensionName}] 诊断步骤“${step.label}”出错:`, error);
+                Object.assign(step, { status: 'fail', message: error.message, fix: suggestFix(classifyError(error), { direct: false }) });
+                blocked = true;
+            }
+            if (step.status === 'running') step.status = 'ok';
+        }
+        onStep?.({ ...step });
+        console.log(`[${extensionName}] 诊断 ${step.label}: ${step.status} ${step.message || ''}`);
+        return step;
+    };
+
+    /**
+     * 根据后续步骤的结果修正已完成的步骤。
+     * @param {DiagnosticStep} step
+     * @param {Partial<DiagnosticStep>} patch
+     */
+    const updateStep = (step, patch) => {
+        Object.assign(step, { fix: undefined }, patch);
+        onStep?.({ ...step });
+    };
+
+    let provider = null;
+    let settings = apiSettings;
+    let lease = null;
+    let direct = false;
+    let fallback = false; // 直连失败时可改经酒馆转发
+    let keyHint = '';
+
+    await runStep('settings', (step) => {
+        provider = resolveProvider(apiSettings.apiMode);
+        const error = validateProviderSettings(provider, apiSettings, true);
+        if (error) {
+            Object.assign(step, { status: 'fail', message: error, fix: '补全设置后再测试。' });
+            blocked = true;
+            return;
+        }
+        const pooled = withPooledKey(provider, apiSettings);
+        settings = pooled.settings;
+        lease = pooled.lease;
+        keyHint = lease?.masked || '';
+        direct = typeof provider.getEndpointUrl === 'function';
+        fallback = canUseCorsFallback(provider, settings);
+        step.message = `${provider.label}${settings.model ? ` / ${settings.model}` : ''}${keyHint ? `，使用 Key 池中的 ${keyHint}` : ''}`;
+    });
+
+    let endpoint = '';
+    await runStep('url', (step) => {
+        const relayedCustomUrl = settings.apiMode === 'backend' && (settings.backendSource || 'custom') === 'custom';
+        if (!direct && !relayedCustomUrl) {
+            Object.assign(step, { status: 'skip', message: '该模式的地址由酒馆管理，无需检查。' });
+            return;
+        }
+
+        // 浏览器直接请求时检查实际的请求地址；经酒馆转发时检查填写的地址，此时混合内容等浏览器限制不适用
+        endpoint = direct ? provider.getEndpointUrl(settings) : '';
+        const { issues } = analyzeApiUrl(direct ? endpoint : settings.apiUrl, {
+            pageUrl: direct ? window.location.href : undefined,
+            expectVersionPath: settings.apiMode === 'frontend' || relayedCustomUrl,
+        });
+        const failed = issues.find(issue => issue.level === 'fail');
+        const shown = failed ? [failed] : issues;
+        step.status = failed ? 'fail' : (issues.length > 0 ? 'warn' : 'ok');
+        step.message = [endpoint ? `请求地址：${maskUrl(endpoint)}` : '由酒馆服务器转发到该地址', ...shown.map(issue => issue.message)].join('\n');
+        step.fix = shown.map(issue => issue.fix).filter(Boolean).join('\n') || undefined;
+        if (failed) blocked = true;
+    });
+
+    const networkStep = await runStep('network', async (step) => {
+        if (!direct) {
+            Object.assign(step, { status: 'skip', message: '请求由酒馆服务器转发，不受浏览器CORS限制。' });
+            return;
+        }
+        const probe = await probeEndpoint(endpoint);
+        if (!probe.reachable && fallback) {
+            // 浏览器无法访问的地址（如仅酒馆服务器可访问的局域网地址）仍可能经酒馆转发
+            Object.assign(step, { status: 'warn', message: `浏览器无法访问服务器（${probe.error?.name === 'TimeoutError' ? '连接超时' : probe.error?.message || '网络错误'}），将尝试经酒馆转发。` });
+            return;
+        }
+        if (!probe.reachable) {
+            blocked = true;
+            Object.assign(step, {
+                status: 'fail',
+                message: `无法访问服务器（${probe.error?.name === 'TimeoutError' ? '连接超时' : probe.error?.message || '网络错误'}）。`,
+                fix: '检查地址与端口是否正确、服务是否已启动、证书是否有效；本地模型服务需监听可访问的地址（如 Ollama 设置 OLLAMA_HOST=0.0.0.0）。',
+            });
+            return;
+        }
+        if (!probe.corsAllowed) {
+            // 部分接口只对带特定请求头的请求返回CORS响应头，由后续的实际请求确认
+            Object.assign(step, { status: 'warn', message: '服务器可以访问，但未允许简单的跨域请求，将由后续请求确认。' });
+            return;
+        }
+        step.message = `服务器可以访问，允许跨域请求（探测返回 HTTP ${probe.status}）。`;
+    });
+
+    /**
+     * 浏览器直接请求时出现网络错误，而服务器可以访问：请求被CORS拦截。
+     * @param {DiagnosticStep} step - 出错的步骤
+     * @param {import('./retry.js').ErrorClass} errorClass
+     * @returns {boolean} 是否判定为CORS拦截
+     */
+    const reportCorsFailure = (step, errorClass, error) => {
+        if (!direct || errorClass.kind !== 'network' || networkStep.status === 'fail') return false;
+        const fallbackInfo = describeFallbackErrors(error);
+        updateStep(networkStep, {
+            status: 'fail',
+            message: fallback
+                ? `浏览器直连与酒馆转发均失败${fallbackInfo ? `：${fallbackInfo}` : ''}。`
+                : '服务器可以访问，但拒绝了带鉴权请求头的跨域请求（CORS）。',
+            fix: fallback
+                ? '经CORS代理转发需在酒馆 config.yaml 中设置 enableCorsProxy: true 并重启酒馆；也可以改用“后端代理”模式，或在服务端允许跨域请求。'
+                : `${provider.corsFallbackRoutes ? '在设置中开启“跨域转发”，或' : ''}改用“后端代理”模式由酒馆服务器转发；或在服务端允许跨域及 Authorization 等请求头（如 Ollama 设置 OLLAMA_ORIGINS=*）。`,
+        });
+        Object.assign(step, { status: 'fail', message: '请求被浏览器拦截（CORS），详见“网络与CORS”。', fix: undefined });
+        blocked = true;
+        return true;
+    };
+
+    /**
+     * 实际请求成功后，确认之前未能确定的CORS检查；请求经酒馆转发时说明所用路线。
+     * @param {import('./corsFallback.js').ConnectionRoute} [route]
+     */
+    const confirmCors = (route = 'direct') => {
+        if (route !== 'direct') {
+            updateStep(networkStep, {
+                status: 'warn',
+                message: `浏览器直连失败，请求已改经${ROUTE_LABELS[route]}发送。`,
+                fix: '保持开启“跨域转发”即可正常使用；若希望直连，需在服务端允许跨域请求。',
+            });
+        } else if (networkStep.status === 'warn') {
+            updateStep(networkStep, { status: 'ok', message: '服务器可以访问，带鉴权请求头的跨域请求正常。' });
+        }
+    };
+
+    let models = null;
+    await runStep('auth', async (step) => {
+        if (typeof provider.listModels !== 'function') {
+            Object.assign(step, { status: 'skip', message: '该模式不支持获取模型列表，鉴权将在最小请求中检查。' });
+            return;
+        }
+        try {
+            const listed = await listProviderModels(provider, settings);
+            models = saveCatalog(settings, Array.isArray(listed.models) ? listed.models : []);
+            step.message = `鉴权通过，获取到 ${models.length} 个模型。`;
+            confirmCors(listed.route);
+        } catch (error) {
+            const errorClass = classifyError(error);
+            console.warn(`[${extensionName}] 诊断：获取模型列表失败`, error);
+            if (reportCorsFailure(step, errorClass, error)) {
+                return;
+            }
+            if (errorClass.kind === 'auth') {
+                reportKeyResult(lease, errorClass, error.message);
+                lease = null;
+                blocked = true;
+                Object.assign(step, { status: 'fail', message: `${describeErrorClass(errorClass)}：${error.message}`, fix: suggestFix(errorClass, { direct, keyHint }) });
+            } else {
+                Object.assign(step, {
+                    status: 'warn',
+                    message: `无法通过模型列表检查鉴权（${describeErrorClass(errorClass)}：${error.message}）。`,
+                    fix: errorClass.kind === 'not_found' ? '部分接口不提供模型列表，可忽略；若最小请求同样返回 404，请检查地址。' : undefined,
+                });
+            }
+        }
+    });
+
+    await runStep('model', (step) => {
+        if (provider.requiresModel === false) {
+            Object.assign(step, { status: 'skip', message: '该模式不需要选择模型。' });
+            return;
+        }
+        if (!models) {
+            Object.assign(step, { status: 'skip', message: '未获取到模型列表，无法确认模型是否存在。' });
+            return;
+        }
+        const info = models.find(model => model.id === settings.model);
+        if (info) {
+            const description = describeModelInfo(info);
+            step.message = `模型 ${settings.model} 存在${description ? `（${description}）` : ''}。`;
+            return;
+        }
+        const similar = findSimilarModels(settings.model, models);
+        // 部分中转接口只列出部分模型，因此不阻止后续的最小请求
+        Object.assign(step, {
+            status: 'fail',
+            message: `模型列表中没有 ${settings.model}。`,
+            fix: similar.length > 0 ? `是否想使用：${similar.join('、')}？` : '点击下载图标获取模型列表，从中选择模型。',
+        });
+    });
+
+    let completionOk = false;
+    const modelStep = steps[steps.length - 1];
+    await runStep('completion', async (step) => {
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = typeof provider.test === 'function'
+                ? await provider.test(settings)
+                : await requestCompletion(provider, TEST_MESSAGES, { ...settings, maxTokens: TEST_MAX_TOKENS }, { stream: false });
+            if (result?.error) {
+                throw Object.assign(new Error(result.error.message || JSON.stringify(result.error)), { status: result.error.status ?? result.error.code });
+            }
+        } catch (error) {
+            const errorClass = classifyError(error);
+            reportKeyResult(lease, errorClass, error.message);
+            lease = null;
+            if (!reportCorsFailure(step, errorClass, error)) {
+                Object.assign(step, { status: 'fail', message: `${describeErrorClass(errorClass)}：${error.message}`, fix: suggestFix(errorClass, { direct, keyHint }) });
+            }
+            return;
+        }
+
+        reportKeyResult(lease, null);
+        lease = null;
+        completionOk = true;
+        confirmCors(result?.route);
+        if (modelStep.status === 'fail') {
+            // 模型不在列表中，但接口接受了请求（常见于只列出部分模型的中转接口）
+            updateStep(modelStep, { status: 'warn', message: `${modelStep.message}但接口接受了该模型的请求，可以使用。` });
+        }
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+        if (result?.content) {
+            step.message = `接口返回“${result.content}”，耗时 ${seconds} 秒。`;
+        } else {
+            Object.assign(step, {
+                status: 'warn',
+                message: `请求成功但回复为空（${seconds} 秒${result?.finishReason ? `，结束原因 ${result.finishReason}` : ''}）。`,
+                fix: '测试请求只允许很少的输出Token，思考模型可能在思考阶段就已用完；实际规划使用设置中的最大Token数，一般不受影响。',
+            });
+        }
+    });
+
+    await runStep('streaming', async (step) => {
+        if (typeof provider.stream !== 'function' || typeof provider.test === 'function') {
+            Object.assign(step, { status: 'skip', message: '该模式不使用流式传输。' });
+            return;
+        }
+        if (!completionOk) {
+            Object.assign(step, { status: 'skip', message: '最小请求失败，已跳过。' });
+            return;
+        }
+        const streamingEnabled = settings.useStreaming !== false;
+        try {
+            const result = await requestCompletion(provider, TEST_MESSAGES, { ...settings, maxTokens: TEST_MAX_TOKENS }, { stream: true });
+            if (result?.error) {
+                throw new Error(result.error.message || JSON.stringify(result.error));
+            }
+            if (result?.route === 'backend') {
+                Object.assign(step, { status: 'warn', message: `请求经${ROUTE_LABELS.backend}转发，该路线不支持流式传输，规划时将以非流式发送。` });
+                return;
+            }
+            step.message = `流式请求正常${streamingEnabled ? '' : '，如需实时预览可开启“使用流式传输”'}。`;
+        } catch (error) {
+            const errorClass = classifyError(error);
+            Object.assign(step, {
+                status: streamingEnabled ? 'fail' : 'warn',
+                message: `流式请求失败（${describeErrorClass(errorClass)}：${error.message}）。`,
+                fix: streamingEnabled
+                    ? '非流式请求正常，接口或中转可能不支持流式（或缓冲了数据）。请关闭“使用流式传输”。'
+                    : '当前已关闭流式传输，不影响使用。',
+            });
+        }
+    });
+
+    const ok = !steps.some(step => step.status === 'fail');
+    console.log(`[${extensionName}] 连接诊断完成：${ok ? '通过' : '未通过'}`);
+    return { ok, steps };
+}
+
+/**
+ * 把诊断结果整理为纯文本报告，便于复制后反馈问题。
+ * @param {DiagnosticStep[]} steps
+ * @returns {string}
+ */
+export function formatDiagnosticReport(steps) {
+    const marks = { ok: '✓', warn: '!', fail: '✗', skip: '-', running: '…' };
+    return steps.map(step => [
+        `[${marks[step.status]}] ${step.label}${step.message ? `：${step.message}` : ''}`,
+        step.fix ? `    建议：${step.fix.replace(/\n/g, '\n    ')}` : '',
+    ].filter(Boolean).join('\n')).join('\n');
+}
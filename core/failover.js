@@ -0,0 +1,96 @@
+// core/failover.js
+// 故障转移链：主配置失败后按顺序尝试已保存的备用API配置，并统计回退情况
+
+import { extension_settings } from '/scripts/extensions.js';
+import { saveSettingsDebounced } from '/script.js';
+import { extensionName, CONNECTION_SETTING_KEYS } from '../utils/settings.js';
+
+export const PRIMARY_BACKEND_ID = 'primary';
+
+/**
+ * @typedef {object} FailoverBackend
+ * @property {string} id - 'primary' 或已保存配置的ID
+ * @property {string} name - 显示名称
+ * @property {object} settings - 用于本后端的完整 apiSettings（主配置的提示词等 + 该连接的字段）
+ */
+
+/**
+ * 从设置中取出属于“连接”的字段。
+ * @param {object} settings
+ * @returns {object}
+ */
+export function pickConnectionSettings(settings) {
+    const picked = {};
+    for (const key of CONNECTION_SETTING_KEYS) {
+        if (settings?.[key] !== undefined) {
+            picked[key] = settings[key];
+        }
+    }
+    return picked;
+}
+
+/**
+ * 构建本次请求要依次尝试的后端列表，主配置总在第一位。
+ * @param {object} apiSettings - 合并后的API设置
+ * @returns {FailoverBackend[]}
+ */
+export function buildFailoverChain(apiSettings) {
+    const chain = [{ id: PRIMARY_BACKEND_ID, name: '主配置', settings: apiSettings }];
+    if (!apiSettings.failoverEnabled) {
+        return chain;
+    }
+
+    for (const connection of apiSettings.apiConnections || []) {
+        if (!connection || connection.enabled === false) continue;
+        chain.push({
+            id: connection.id,
+            name: connection.name || connection.id,
+            settings: { ...apiSettings, ...pickConnectionSettings(connection) },
+        });
+    }
+    return chain;
+}
+
+/**
+ * 生成记录在规划元数据中的后端描述（不含密钥）。
+ * @param {FailoverBackend} backend
+ * @returns {{id: string, name: string, apiMode: string, model: string}}
+ */
+export function describeBackend(backend) {
+    return {
+        id: backend.id,
+        name: backend.name,
+        apiMode: backend.settings.apiMode,
+        model: backend.settings.apiMode === 'tavern' ? (backend.settings.tavernProfile || '') : (backend.settings.model || ''),
+    };
+}
+
+/**
+ * 累计故障转移统计，并保存到全局设置。
+ * @param {{backend: object|null, fallbackUsed: boolean}} meta - 本次规划的元数据；backend 为空表示全部失败
+ */
+export function recordFailoverStats(meta) {
+    const settings = extension_settings[extensionName];
+    if (!settings) return;
+
+    const stats = {
+        total: 0,
+        fallback: 0,
+        failed: 0,
+        ...(settings.failoverStats || {}),
+    };
+    stats.byBackend = { ...(stats.byBackend || {}) };
+
+    stats.total += 1;
+    if (!meta?.backend) {
+        stats.failed += 1;
+    } else {
+        if (meta.fallbackUsed) {
+            stats.fallback += 1;
+        }
+        stats.byBackend[meta.backend.name] = (stats.byBackend[meta.backend.name] || 0) + 1;
+    }
+
+    settings.failoverStats = stats;
+    saveSettingsDebounced();
+}
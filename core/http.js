@@ -0,0 +1,416 @@
+// core/http.js
+// 通用HTTP请求工具：流式/非流式请求、超时控制与响应规范化，供各API提供方共用
+
+import { normalizeUsage } from '../utils/usage.js';
+import { createStreamDecoder, createStreamError } from '../utils/streamParser.js';
+
+const extensionName = 'quick-response-force';
+
+const DEFAULT_CHUNK_TIMEOUT = 25000; // 未指定时的数据块间隔超时（毫秒）
+
+/**
+ * 创建超时错误。错误信息中保留“超时”字样，便于调用方识别。
+ * @param {string} message
+ * @returns {Error}
+ */
+function createTimeoutError(message = '请求超时') {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+/**
+ * 创建用户取消错误。
+ * @param {string} [message]
+ * @returns {Error}
+ */
+function createAbortError(message = '请求已取消') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * 判断错误是否由中止请求引起（不含超时）。
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * 解析 Retry-After 响应头，支持秒数与HTTP日期两种格式。
+ * @param {string|null} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} 需要等待的毫秒数；没有或无法解析时返回 null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(Number(trimmed) * 1000);
+    }
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 创建HTTP错误，附带状态码与服务器要求的重试等待时间，供重试策略分类。
+ * 没有 Retry-After 头时，尝试读取 Google 错误体中的 retryDelay（如 "27s"）。
+ * @param {number} status
+ * @param {string} statusText
+ * @param {string} body - 响应正文
+ * @param {string|null} [retryAfterHeader]
+ * @returns {Error}
+ */
+function createHttpError(status, statusText, body, retryAfterHeader = null) {
+    const error = new Error(`HTTP error! status: ${status} ${statusText} - ${body}`);
+    error.name = 'HttpError';
+    error.status = status;
+    error.retryAfterMs = parseRetryAfter(retryAfterHeader);
+    if (error.retryAfterMs === null) {
+        const match = String(body || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+        error.retryAfterMs = match ? Math.round(Number(match[1]) * 1000) : null;
+    }
+    return error;
+}
+
+/**
+ * 读取失败响应的正文并转换为HTTP错误。
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+async function readHttpError(response) {
+    const errorText = await response.text().catch(() => '');
+    return createHttpError(response.status, response.statusText, errorText, response.headers.get('retry-after'));
+}
+
+/**
+ * 取出信号的中止原因，统一转换为 Error。
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function getAbortReason(signal) {
+    return signal.reason instanceof Error ? signal.reason : createAbortError();
+}
+
+/**
+ * 创建带总超时的中止控制器，并与上级信号联动：上级取消或超时到达时都会中止底层请求。
+ * @param {AbortSignal} [parentSignal] - 上级信号（例如用户点击取消）
+ * @param {number} [totalTimeoutMs=0] - 总超时（毫秒），0表示不限制
+ * @param {string} [timeoutMessage] - 超时错误信息
+ * @returns {{signal: AbortSignal, readonly timedOut: boolean, abort: (reason?: Error) => void, dispose: () => void}}
+ */
+function createRequestController(parentSignal, totalTimeoutMs = 0, timeoutMessage = '请求超时') {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timerId = null;
+
+    const onParentAbort = () => controller.abort(getAbortReason(parentSignal));
+    if (parentSignal) {
+        if (parentSignal.aborted) {
+            onParentAbort();
+        } else {
+            parentSignal.addEventListener('abort', onParentAbort, { once: true });
+        }
+    }
+
+    if (totalTimeoutMs > 0) {
+        timerId = setTimeout(() => {
+            timedOut = true;
+            controller.abort(createTimeoutError(timeoutMessage));
+        }, totalTimeoutMs);
+    }
+
+    return {
+        signal: controller.signal,
+        get timedOut() {
+            return timedOut;
+        },
+        abort: reason => controller.abort(reason || createAbortError()),
+        dispose() {
+            clearTimeout(timerId);
+            parentSignal?.removeEventListener('abort', onParentAbort);
+        },
+    };
+}
+
+/**
+ * 让Promise在信号中止时立即以中止原因拒绝。
+ * 用于无法直接接收 AbortSignal 的接口，保证调用方不会被挂起。
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function raceWithSignal(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(getAbortReason(signal));
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(getAbortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * 可被中止的等待。
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return raceWithSignal(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
+
+/**
+ * 流式请求处理函数，支持首个数据块超时与数据块间隔超时，超时或取消时会真正中止底层请求
+ * @param {string} url - 请求URL
+ * @param {object} options - fetch选项，可包含 signal 用于取消
+ * @param {'openai'|'google'|'anthropic'|'ollama'|'llamacpp'|boolean} streamFormat - 流式数据格式（兼容旧参数：true 表示 Google API）
+ * @param {{firstTokenMs?: number, chunkMs?: number}} [timeouts] - 超时设置（毫秒，0表示不限制）；首个数据块超时默认与间隔超时相同
+ * @param {(delta: string, content: string) => void} [onDelta] - 每收到一段新文本时调用，参数为本段文本与目前累积的全部内容
+ * @returns {Promise<{content: string, reasoning: string, usage: import('../utils/usage.js').TokenUsage|null, finishReason: string|null}>} 完整的正文与思考内容（思考内容单独累积，不混入正文）、接口报告的Token用量与结束原因（见 utils/streamParser.js）；流中途报错或因内容过滤结束时抛出错误
+ */
+async function streamCompletion(url, options, streamFormat = 'openai', timeouts = {}, onDelta = null) {
+    const chunkTimeout = timeouts.chunkMs ?? DEFAULT_CHUNK_TIMEOUT;
+    const firstTokenTimeout = timeouts.firstTokenMs ?? chunkTimeout;
+    const format = streamFormat === true ? 'google' : (streamFormat || 'openai');
+    const startTime = Date.now();
+    let lastChunkTime = startTime;
+    let receivedAnyChunk = false;
+    let timeoutError = null;
+    let timeoutId;
+    let reader;
+    let accumulatedContent = '';
+    let accumulatedReasoning = '';
+    let rawUsage = null; // 接口报告的用量，格式因接口而异，结束时统一转换
+    const requestController = createRequestController(options.signal);
+    
+    // 启用流式传输
+    const streamOptions = {
+        ...options,
+        signal: requestController.signal,
+        body: options.body ? JSON.parse(options.body) : undefined
+    };
+    
+    if (streamOptions.body) {
+        // OpenAI/Anthropic/本地模型接口需要在payload里声明stream=true；Google接口通过不同endpoint控制是否流式
+        if (format !== 'google') {
+            streamOptions.body.stream = true;
+        }
+        streamOptions.body = JSON.stringify(streamOptions.body);
+    }
+
+    // 超时检测：收到首个数据块之前使用首块超时，之后使用数据块间隔超时
+    const checkTimeout = () => {
+        const limit = receivedAnyChunk ? chunkTimeout : firstTokenTimeout;
+        const since = receivedAnyChunk ? lastChunkTime : startTime;
+        if (limit > 0 && Date.now() - since > limit) {
+            timeoutError = createTimeoutError(receivedAnyChunk
+                ? `流式传输超时：${limit / 1000}秒内未收到新数据块`
+                : `流式传输超时：${limit / 1000}秒内未收到首个数据块`);
+            requestController.abort(timeoutError);
+        }
+    };
+    
+    const decoder = new TextDecoder();
+    let finishReason = null;
+
+    /**
+     * 累积一段新文本并通知调用方
+     * @param {string} text
+     */
+    const appendContent = (text) => {
+        if (!text) return;
+        accumulatedContent += text;
+        if (onDelta) {
+            try {
+                onDelta(text, accumulatedContent);
+            } catch (e) {
+                console.warn(`[${extensionName}] 流式回调出错:`, e);
+            }
+        }
+    };
+
+    // 分帧（SSE / NDJSON）、流中错误与各接口的数据格式由 streamParser 处理
+    const streamDecoder = createStreamDecoder(format, (update) => {
+        if (update.reasoning) accumulatedReasoning += update.reasoning;
+        appendContent(update.content);
+        if (update.usage) rawUsage = { ...rawUsage, ...update.usage };
+        if (update.finishReason) finishReason = update.finishReason;
+    });
+
+    timeoutId = setInterval(checkTimeout, 1000);
+    console.log(`[${extensionName}] 发起流式请求至: ${url}`);
+
+    try {
+        const response = await fetch(url, streamOptions);
+        
+        if (!response.ok) {
+            throw await readHttpError(response);
+        }
+        
+        reader = response.body.getReader();
+
+        while (!streamDecoder.done) {
+            const { done, value } = await reader.read();
+
+            if (done) {
+                console.log(`[${extensionName}] 流式传输完成`);
+                break;
+            }
+
+            // 更新最后接收chunk的时间
+            lastChunkTime = Date.now();
+            receivedAnyChunk = true;
+
+            streamDecoder.push(decoder.decode(value, { stream: true }));
+        }
+        streamDecoder.push(decoder.decode());
+        streamDecoder.end();
+
+        // 内容过滤或接口报告错误而结束时，已收到的内容是不完整的，按失败处理
+        if (finishReason === 'content_filter' || finishReason === 'error') {
+            throw createStreamError(`流式传输异常结束（finish_reason: ${finishReason}），已收到 ${accumulatedContent.length} 字符`);
+        }
+        if (finishReason === 'length') {
+            console.warn(`[${extensionName}] 回复因达到最大Token数而截断（finish_reason: length）`);
+        }
+
+        if (!accumulatedContent) {
+            throw new Error(accumulatedReasoning
+                ? '流式传输只返回了思考内容，没有正文（可能是最大Token数不足）'
+                : '流式传输未返回任何内容');
+        }
+        
+        console.log(`[${extensionName}] 累积内容长度: ${accumulatedContent.length} 字符${accumulatedReasoning ? `，思考内容 ${accumulatedReasoning.length} 字符` : ''}`);
+        return { content: accumulatedContent.trim(), reasoning: accumulatedReasoning.trim(), usage: normalizeUsage(rawUsage), finishReason };
+        
+    } catch (error) {
+        // 流中途出错时关闭连接；超时中止时 fetch/reader 抛出的是中止错误，这里换成更明确的超时信息
+        requestController.abort(timeoutError || undefined);
+        throw timeoutError || error;
+    } finally {
+        clearInterval(timeoutId);
+        requestController.dispose();
+        reader?.releaseLock();
+    }
+}
+
+/**
+ * 流式请求，只返回正文。参数同 streamCompletion，供只关心正文的调用方使用。
+ * @param {string} url
+ * @param {object} options
+ * @param {'openai'|'google'|'anthropic'|'ollama'|'llamacpp'|boolean} streamFormat
+ * @param {{firstTokenMs?: number, chunkMs?: number}} [timeouts]
+ * @param {(delta: string, content: string) => void} [onDelta]
+ * @returns {Promise<string>} 完整的响应内容
+ */
+async function fetchWithStreamAndTimeout(url, options, streamFormat = 'openai', timeouts = {}, onDelta = null) {
+    const { content } = await streamCompletion(url, options, streamFormat, timeouts, onDelta);
+    return content;
+}
+
+/**
+ * 非流式fetch JSON（带超时、错误信息补全），超时或取消时会中止底层请求
+ * @param {string} url
+ * @param {RequestInit} options - 可包含 signal 用于取消
+ * @param {number} timeoutMs - 超时（毫秒），0表示不限制
+ * @param {string} timeoutMessage
+ * @returns {Promise<any>}
+ */
+async function fetchJsonWithTimeout(url, options, timeoutMs = 60000, timeoutMessage = '请求超时') {
+    const requestController = createRequestController(options?.signal, timeoutMs, timeoutMessage);
+
+    try {
+        const response = await fetch(url, { ...options, signal: requestController.signal });
+
+        if (!response.ok) {
+            throw await readHttpError(response);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('application/json')) {
+            return await response.json();
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    } catch (error) {
+        throw requestController.timedOut ? createTimeoutError(timeoutMessage) : error;
+    } finally {
+        requestController.dispose();
+    }
+}
+
+/**
+ * 统一处理和规范化API响应数据。
+ * @param {*} responseData - 从API收到的原始响应数据
+ * @returns {object} 规范化后的数据对象
+ */
+function normalizeApiResponse(responseData) {
+    let data = responseData;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            console.error(`[${extensionName}] API响应JSON解析失败:`, e);
+            return { error: { message: 'Invalid JSON response' } };
+        }
+    }
+    if (data && typeof data.data === 'object' && data.data !== null && !Array.isArray(data.data)) {
+        if (Object.hasOwn(data.data, 'data')) {
+            data = data.data;
+        }
+    }
+    if (data && data.choices && data.choices[0]) {
+        const message = data.choices[0].message;
+        const reasoning = message?.reasoning_content ?? message?.reasoning;
+        const result = { content: message?.content?.trim(), usage: normalizeUsage(data.usage) };
+        if (reasoning) {
+            result.reasoning = String(reasoning).trim();
+        }
+        if (data.choices[0].finish_reason) {
+            result.finishReason = String(data.choices[0].finish_reason).toLowerCase();
+        }
+        return result;
+    }
+    if (data && data.content) {
+        // llama.cpp /completion 的用量字段位于顶层
+        return { content: data.content.trim(), usage: normalizeUsage(data) };
+    }
+    if (data && data.data) { // for /v1/models
+        return { data: data.data };
+    }
+    if (data && data.error) {
+        return { error: data.error };
+    }
+    return data;
+}
+
+export {
+    streamCompletion,
+    fetchWithStreamAndTimeout,
+    fetchJsonWithTimeout,
+    normalizeApiResponse,
+    createRequestController,
+    raceWithSignal,
+    delay,
+    createTimeoutError,
+    createAbortError,
+    isAbortError,
+    parseRetryAfter,
+    createHttpError,
+    readHttpError,
+};
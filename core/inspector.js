@@ -0,0 +1,267 @@
+// core/inspector.js
+// 请求检查器：在内存中保留最近若干次规划的完整记录（消息、占位符、每次尝试的请求与回复、校验结果、最终注入内容），
+// 供调试预设时查看、复制为JSON或cURL命令、导出到文件。记录不写入设置，刷新页面后清空。
+
+import { extension_settings } from '/scripts/extensions.js';
+import { extensionName, defaultSettings } from '../utils/settings.js';
+import { maskApiKey } from './keyPool.js';
+
+const SECRET_HEADER_REGEX = /^(authorization|x-api-key|api-key|x-goog-api-key)$/i;
+const SECRET_QUERY_KEYS = ['key', 'api_key'];
+const BACKEND_GENERATE_PATH = '/api/backends/chat-completions/generate';
+
+/** @type {InspectorRun[]} 最近的规划记录，按时间从旧到新 */
+const runs = [];
+let nextRunId = 1;
+
+/**
+ * @typedef {object} InspectorAttempt
+ * @property {import('./api.js').PlanAttempt} attempt - 尝试记录（与规划元数据中的是同一对象）
+ * @property {object|null} request - 实际发出的请求（密钥已打码）；流式与非流式均记录
+ * @property {{content: string|null, reasoning: string, error: string|null}} response - 提供方返回的原始回复（尚未做结构化解析与标签处理）
+ * @property {{ok: boolean, error: string|null}|null} validation - 结构化输出与关键词校验结果；请求失败时为 null
+ */
+
+/**
+ * @typedef {object} InspectorCall
+ * @property {number} round - 第几轮调用（“最小回复长度”检查与多阶段规划会让规划调用多轮）
+ * @property {string} [stage] - 多阶段规划中所属阶段的名称
+ * @property {Array<{role: string, content: string}>} messages - 最终发送的消息数组
+ * @property {InspectorAttempt[]} attempts
+ * @property {import('./api.js').PlanMeta|null} meta
+ * @property {{ok: boolean, length: number, minLength: number}} [lengthCheck] - 最小回复长度检查结果
+ */
+
+/**
+ * @typedef {object} InspectorRun
+ * @property {number} id
+ * @property {'running'|'success'|'failed'|'cancelled'|'error'} status
+ * @property {number} startedAt
+ * @property {number} [finishedAt]
+ * @property {string} generationType
+ * @property {string} userMessage
+ * @property {Record<string, string>} placeholders - 本次解析出的占位符内容
+ * @property {import('../utils/tokenBudget.js').BudgetReport} [budget] - 启用Token预算时的裁剪报告
+ * @property {InspectorCall[]} calls
+ * @property {string} [injection] - 最终注入给酒馆的消息
+ * @property {string} [plot] - 保存到消息上的规划内容
+ * @property {string} [error]
+ */
+
+/**
+ * @returns {number} 保留的记录数，0表示不记录
+ */
+function getHistorySize() {
+    const size = Number(extension_settings[extensionName]?.inspectorHistorySize ?? defaultSettings.inspectorHistorySize);
+    return Number.isFinite(size) ? Math.max(0, Math.floor(size)) : 0;
+}
+
+/**
+ * 通知检查器界面刷新。
+ */
+function notifyUpdated() {
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('qrf-inspector-updated'));
+    }
+}
+
+/**
+ * 开始记录一次规划。
+ * @param {{userMessage: string, generationType: string}} info
+ * @returns {InspectorRun|null} 检查器关闭（保留数为0）时返回 null
+ */
+export function startInspectorRun({ userMessage, generationType }) {
+    const size = getHistorySize();
+    if (size === 0) return null;
+
+    const run = {
+        id: nextRunId++,
+        status: 'running',
+        startedAt: Date.now(),
+        generationType: generationType || 'normal',
+        userMessage: userMessage || '',
+        placeholders: {},
+        calls: [],
+    };
+    runs.push(run);
+    runs.splice(0, Math.max(0, runs.length - size));
+    notifyUpdated();
+    return run;
+}
+
+/**
+ * 为一次 callInterceptionApi 调用新增记录。
+ * @param {InspectorRun|null|undefined} run
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Record<string, string>} placeholders
+ * @returns {InspectorCall|null}
+ */
+export function addInspectorCall(run, messages, placeholders) {
+    if (!run) return null;
+    Object.assign(run.placeholders, placeholders);
+    const call = { round: run.calls.length + 1, messages: cloneJson(messages), attempts: [], meta: null };
+    run.calls.push(call);
+    notifyUpdated();
+    return call;
+}
+
+/**
+ * 结束一次规划的记录。
+ * @param {InspectorRun|null|undefined} run
+ * @param {{status: InspectorRun['status'], injection?: string, plot?: string, error?: string}} result
+ */
+export function finishInspectorRun(run, result) {
+    if (!run || run.status !== 'running') return;
+    Object.assign(run, result, { finishedAt: Date.now() });
+    notifyUpdated();
+}
+
+/**
+ * @returns {InspectorRun[]} 从新到旧排列的记录
+ */
+export function getInspectorRuns() {
+    return [...runs].reverse();
+}
+
+/**
+ * 清空全部记录。
+ */
+export function clearInspectorRuns() {
+    runs.length = 0;
+    notifyUpdated();
+}
+
+/**
+ * @param {any} value
+ * @returns {any} 深拷贝（仅保留可序列化为JSON的内容）
+ */
+function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {string} value - 请求头的值，可能带 "Bearer " 前缀
+ * @returns {string}
+ */
+function maskSecretValue(value) {
+    const match = String(value).match(/^(Bearer\s+)(.*)$/i);
+    return match ? `${match[1]}${maskApiKey(match[2])}` : maskApiKey(value);
+}
+
+/**
+ * @param {string} url
+ * @returns {string} 查询参数中的 Key 已打码的地址
+ */
+function maskUrl(url) {
+    try {
+        const parsed = new URL(url, typeof location !== 'undefined' ? location.origin : undefined);
+        let changed = false;
+        for (const key of SECRET_QUERY_KEYS) {
+            if (parsed.searchParams.has(key)) {
+                parsed.searchParams.set(key, maskApiKey(parsed.searchParams.get(key)));
+                changed = true;
+            }
+        }
+        return changed ? parsed.toString() : url;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * 复制提供方构建的请求，并把其中的密钥打码，避免检查器记录或导出明文 Key。
+ * @param {any} request
+ * @returns {object|null}
+ */
+export function sanitizeInspectorRequest(request) {
+    if (!request || typeof request !== 'object') return null;
+    const copy = cloneJson(request);
+    if (typeof copy.url === 'string') {
+        copy.url = maskUrl(copy.url);
+    }
+    if (copy.headers && typeof copy.headers === 'object') {
+        for (const [name, value] of Object.entries(copy.headers)) {
+            if (SECRET_HEADER_REGEX.test(name) && value) copy.headers[name] = maskSecretValue(value);
+        }
+    }
+    // 后端代理模式的请求体直接携带 api_key
+    if (typeof copy.api_key === 'string' && copy.api_key) {
+        copy.api_key = maskApiKey(copy.api_key);
+    }
+    return copy;
+}
+
+/**
+ * 把记录的请求还原为HTTP请求。直连模式记录的是 {url, headers, body}，后端代理模式记录的是发给酒馆的请求体。
+ * @param {string} apiMode
+ * @param {object|null} request
+ * @returns {{url: string, headers: Record<string, string>, body: object}|null} 无法表示为HTTP请求（如酒馆连接预设模式）时返回 null
+ */
+function toHttpRequest(apiMode, request) {
+    if (!request) return null;
+    if (typeof request.url === 'string' && request.body) {
+        return { url: request.url, headers: request.headers || {}, body: request.body };
+    }
+    if (apiMode === 'backend') {
+        const origin = typeof location !== 'undefined' ? location.origin : '';
+        // 酒馆还要求 X-CSRF-Token 请求头与登录 Cookie，复制后需自行补充
+        return { url: `${origin}${BACKEND_GENERATE_PATH}`, headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': '<CSRF_TOKEN>' }, body: request };
+    }
+    return null;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} 适用于 POSIX shell 的单引号字符串
+ */
+function shellQuote(text) {
+    return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * 把一次尝试的请求转换为 cURL 命令。密钥保持打码，复制后需替换为真实的 Key。
+ * @param {InspectorAttempt} entry
+ * @returns {string|null} 该请求无法表示为HTTP请求时返回 null
+ */
+export function buildCurlCommand(entry) {
+    const http = toHttpRequest(entry?.attempt?.apiMode, entry?.request);
+    if (!http) return null;
+    const lines = [`curl ${http.body.stream ? '-N ' : ''}-X POST ${shellQuote(http.url)}`];
+    for (const [name, value] of Object.entries(http.headers)) {
+        lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    }
+    lines.push(`--data-raw ${shellQuote(JSON.stringify(http.body))}`);
+    return lines.join(' \\\n  ');
+}
+
+/**
+ * 转换为可导出的普通对象。
+ * @param {InspectorRun} run
+ * @returns {object}
+ */
+export function serializeInspectorRun(run) {
+    return cloneJson({
+        ...run,
+        durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null,
+    });
+}
+
+/**
+ * 把全部记录导出为JSON文件。
+ * @returns {boolean} 没有记录时返回 false
+ */
+export function exportInspectorRuns() {
+    if (runs.length === 0) return false;
+    const dataStr = JSON.stringify({ exportedAt: new Date().toISOString(), runs: getInspectorRuns().map(serializeInspectorRun) }, null, 2);
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `qrf_inspector_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+}
@@ -0,0 +1,225 @@
+// core/keyPool.js
+// API Key 池：支持 Key 池的提供方（前端直连、Google）可以配置多个 Key，按轮询或最久未用的顺序选用。
+// 鉴权失败（401/403，或 Google 对无效 Key 返回的 400 API_KEY_INVALID）的 Key 标记为失效，限流或配额用尽（429）的 Key 进入冷却，状态保存在扩展设置中。
+
+import { extension_settings } from '/scripts/extensions.js';
+import { saveSettingsDebounced } from '/script.js';
+import { extensionName } from '../utils/settings.js';
+
+const DEFAULT_COOLDOWN_MS = 60 * 1000; // 限流且服务器未给出等待时间时的冷却时长
+const QUOTA_COOLDOWN_MS = 60 * 60 * 1000; // 每日配额或余额用尽时的冷却时长
+const QUOTA_EXHAUSTED_REGEX = /per ?day|PerDay|insufficient_quota|billing|余额/i;
+
+/** @type {Map<string, number>} 各 Key 池的轮询位置，只保存在内存中 */
+const cursors = new Map();
+
+/**
+ * @typedef {object} KeyLease
+ * @property {string} key - 本次使用的 Key
+ * @property {string} id - Key 的指纹，用于保存状态（设置中不重复保存 Key 本身）
+ * @property {string} masked - 用于显示的打码 Key
+ */
+
+/**
+ * @typedef {object} KeyStatus
+ * @property {boolean} [invalid] - 鉴权失败，已标记为失效
+ * @property {number} [cooldownUntil] - 冷却结束的时间戳
+ * @property {number} [lastUsedAt]
+ * @property {number} [uses] - 累计使用次数
+ * @property {string|null} [lastError]
+ */
+
+/**
+ * FNV-1a 哈希，作为 Key 的指纹。
+ * @param {string} text
+ * @returns {string}
+ */
+function fingerprint(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `k${(hash >>> 0).toString(16)}_${text.length}`;
+}
+
+/**
+ * 打码显示 Key，例如 "sk-a…wxyz"。
+ * @param {string} key
+ * @returns {string}
+ */
+export function maskApiKey(key) {
+    const text = String(key || '');
+    return text.length > 12 ? `${text.slice(0, 4)}…${text.slice(-4)}` : `****${text.slice(-2)}`;
+}
+
+/**
+ * 取出设置中的 Key 池（去空、去重，保持顺序）。
+ * @param {object} apiSettings
+ * @returns {string[]}
+ */
+export function getPooledKeys(apiSettings) {
+    const keys = Array.isArray(apiSettings?.apiKeys) ? apiSettings.apiKeys : [];
+    return [...new Set(keys.map(key => String(key || '').trim()).filter(Boolean))];
+}
+
+/**
+ * 本次请求是否使用 Key 池：提供方声明支持且池中至少有一个 Key。
+ * @param {import('./providers/registry.js').ApiProvider} provider
+ * @param {object} apiSettings
+ * @returns {boolean}
+ */
+export function usesKeyPool(provider, apiSettings) {
+    return provider?.supportsKeyPool === true && getPooledKeys(apiSettings).length > 0;
+}
+
+/**
+ * 保存 Key 状态并通知设置界面刷新。
+ */
+function saveKeyStatus() {
+    saveSettingsDebounced();
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('qrf-key-pool-updated'));
+    }
+}
+
+/**
+ * @returns {Record<string, KeyStatus>}
+ */
+function getStatusMap() {
+    const settings = extension_settings[extensionName];
+    if (!settings) return {};
+    if (!settings.apiKeyStatus) settings.apiKeyStatus = {};
+    return settings.apiKeyStatus;
+}
+
+/**
+ * @param {KeyStatus|undefined} status
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isAvailable(status, now) {
+    return !status?.invalid && !(status?.cooldownUntil > now);
+}
+
+/**
+ * 从 Key 池中选出一个可用的 Key 并记录使用。
+ * @param {object} apiSettings
+ * @param {Set<string>} [exclude] - 本次请求已经试过的 Key 指纹
+ * @returns {KeyLease|null} 没有可用的 Key 时返回 null
+ */
+export function acquireApiKey(apiSettings, exclude = new Set()) {
+    const keys = getPooledKeys(apiSettings);
+    const statuses = getStatusMap();
+    const now = Date.now();
+    const available = keys
+        .map((key, index) => ({ key, index, id: fingerprint(key) }))
+        .filter(({ id }) => !exclude.has(id) && isAvailable(statuses[id], now));
+    if (available.length === 0) return null;
+
+    let chosen;
+    if (apiSettings.keyRotation === 'lru') {
+        chosen = available.reduce((best, entry) => (
+            (statuses[entry.id]?.lastUsedAt || 0) < (statuses[best.id]?.lastUsedAt || 0) ? entry : best
+        ));
+    } else {
+        // 轮询：从上次位置之后的第一个可用 Key 开始
+        const poolId = fingerprint(keys.join('\n'));
+        const cursor = cursors.get(poolId) ?? 0;
+        chosen = available.find(entry => entry.index >= cursor) || available[0];
+        cursors.set(poolId, chosen.index + 1);
+    }
+
+    const status = statuses[chosen.id] || {};
+    status.lastUsedAt = now;
+    status.uses = (status.uses || 0) + 1;
+    statuses[chosen.id] = status;
+    saveKeyStatus();
+
+    return { key: chosen.key, id: chosen.id, masked: maskApiKey(chosen.key) };
+}
+
+/**
+ * 根据请求结果更新 Key 的状态。
+ * @param {KeyLease|null} lease
+ * @param {import('./retry.js').ErrorClass|null} errorClass - 成功时为 null
+ * @param {string} [errorMessage]
+ */
+export function reportKeyResult(lease, errorClass, errorMessage = '') {
+    if (!lease) return;
+    const statuses = getStatusMap();
+    const status = statuses[lease.id] || {};
+    statuses[lease.id] = status;
+
+    if (!errorClass) {
+        status.lastError = null;
+    } else if (errorClass.kind === 'auth') {
+        status.invalid = true;
+        status.lastError = `${errorClass.label}${errorClass.status ? ` (${errorClass.status})` : ''}`;
+        console.warn(`[${extensionName}] API Key ${lease.masked} 鉴权失败，已标记为失效`);
+        toastr.warning(`API Key ${lease.masked} 鉴权失败，已标记为失效，将改用池中的其他 Key。`, extensionName);
+    } else if (errorClass.kind === 'rate_limit') {
+        const quotaExhausted = QUOTA_EXHAUSTED_REGEX.test(errorMessage);
+        const cooldownMs = quotaExhausted
+            ? QUOTA_COOLDOWN_MS
+            : (errorClass.retryAfterMs || DEFAULT_COOLDOWN_MS);
+        status.cooldownUntil = Date.now() + cooldownMs;
+        status.lastError = quotaExhausted ? '配额用尽' : errorClass.label;
+        console.warn(`[${extensionName}] API Key ${lease.masked} 被限流，冷却 ${Math.round(cooldownMs / 1000)} 秒`);
+    } else {
+        // 其他错误与 Key 本身无关，不影响其可用性
+        return;
+    }
+    saveKeyStatus();
+}
+
+/**
+ * 池中没有可用 Key 时，描述原因并给出最早恢复的时间。
+ * @param {object} apiSettings
+ * @returns {{allInvalid: boolean, retryAfterMs: number}}
+ */
+export function describeExhaustedPool(apiSettings) {
+    const statuses = getStatusMap();
+    const now = Date.now();
+    const cooldowns = getPooledKeys(apiSettings)
+        .map(key => statuses[fingerprint(key)])
+        .filter(status => !status?.invalid && status?.cooldownUntil > now)
+        .map(status => status.cooldownUntil - now);
+    return { allInvalid: cooldowns.length === 0, retryAfterMs: cooldowns.length ? Math.min(...cooldowns) : 0 };
+}
+
+/**
+ * 列出池中各 Key 的状态，供设置界面显示。
+ * @param {object} apiSettings
+ * @returns {Array<{id: string, masked: string, state: 'ok'|'invalid'|'cooldown', cooldownUntil?: number, uses: number, lastUsedAt?: number, lastError?: string|null}>}
+ */
+export function getKeyPoolStatus(apiSettings) {
+    const statuses = getStatusMap();
+    const now = Date.now();
+    return getPooledKeys(apiSettings).map(key => {
+        const id = fingerprint(key);
+        const status = statuses[id] || {};
+        const state = status.invalid ? 'invalid' : (status.cooldownUntil > now ? 'cooldown' : 'ok');
+        return {
+            id,
+            masked: maskApiKey(key),
+            state,
+            cooldownUntil: status.cooldownUntil,
+            uses: status.uses || 0,
+            lastUsedAt: status.lastUsedAt,
+            lastError: status.lastError,
+        };
+    });
+}
+
+/**
+ * 清除池中各 Key 的失效与冷却状态。
+ * @param {object} apiSettings
+ */
+export function resetKeyPoolStatus(apiSettings) {
+    const statuses = getStatusMap();
+    for (const key of getPooledKeys(apiSettings)) {
+        delete statuses[fingerprint(key)];
+    }
+    saveKeyStatus();
+}
@@ -86,6 +86,9 @@ export async function getCombinedWorldbookContent(context, apiSettings, userMess
         const content = String(text || '');
         if (!content) return '';
 
+        // 启用Token预算时由预算按整条目裁剪，不再按字符截断
+        if (apiSettings.tokenBudgetEnabled) return content;
+
         // [修复] 支持设为0来禁用字符限制
         const limit = apiSettings.worldbookCharLimit !== undefined
             ? apiSettings.worldbookCharLimit
@@ -0,0 +1,106 @@
+// core/modelCatalog.js
+// 模型列表缓存：按连接（API模式 + 地址 + 来源）保存获取到的模型及其上下文长度、最大输出与价格，
+// 在有效期内直接使用缓存，避免每次打开设置都重新请求；规划前按缓存的模型信息检查最大Token数与提示词长度。
+
+import { extension_settings } from '/scripts/extensions.js';
+import { saveSettingsDebounced } from '/script.js';
+import { extensionName, defaultSettings } from '../utils/settings.js';
+import { normalizeModelList, checkModelLimits } from '../utils/modelMetadata.js';
+import { getConnectionKey } from '../utils/apiUrl.js';
+import { createTokenCounter } from './tokenizer.js';
+
+const MAX_CATALOGS = 10; // 最多缓存的连接数（按获取时间保留最近的）
+
+/** @type {Set<string>} 本次会话中已提示过的超限警告，避免每次规划都弹出 */
+const warnedLimits = new Set();
+
+/**
+ * @typedef {object} ModelCatalog
+ * @property {import('../utils/modelMetadata.js').ModelInfo[]} models
+ * @property {number} fetchedAt - 获取时间（毫秒时间戳）
+ * @property {boolean} fresh - 是否仍在有效期内
+ */
+
+/**
+ * 缓存有效期（毫秒），0 表示不使用缓存。
+ * @returns {number}
+ */
+function getCatalogTtlMs() {
+    const hours = Number(extension_settings[extensionName]?.modelCatalogTtlHours ?? defaultSettings.modelCatalogTtlHours);
+    return Number.isFinite(hours) && hours > 0 ? hours * 3600 * 1000 : 0;
+}
+
+/**
+ * 读取连接的模型列表缓存，过期的缓存同样返回（模型信息很少变化，仍可用于显示与检查）。
+ * @param {object} apiSettings
+ * @returns {ModelCatalog|null}
+ */
+export function getCachedCatalog(apiSettings) {
+    const entry = extension_settings[extensionName]?.modelCatalogs?.[getConnectionKey(apiSettings)];
+    if (!entry || !Array.isArray(entry.models)) return null;
+    const ttl = getCatalogTtlMs();
+    return { models: entry.models, fetchedAt: entry.fetchedAt || 0, fresh: ttl > 0 && Date.now() - (entry.fetchedAt || 0) < ttl };
+}
+
+/**
+ * 保存连接的模型列表。
+ * @param {object} apiSettings
+ * @param {any[]} models - 提供方返回的原始模型列表
+ * @returns {import('../utils/modelMetadata.js').ModelInfo[]} 规范化后的模型列表
+ */
+export function saveCatalog(apiSettings, models) {
+    const normalized = normalizeModelList(models);
+    const settings = extension_settings[extensionName];
+    if (!settings) return normalized;
+
+    const catalogs = { ...(settings.modelCatalogs || {}), [getConnectionKey(apiSettings)]: { models: normalized, fetchedAt: Date.now() } };
+    const entries = Object.entries(catalogs);
+    settings.modelCatalogs = entries.length > MAX_CATALOGS
+        ? Object.fromEntries(entries.sort((a, b) => (b[1].fetchedAt || 0) - (a[1].fetchedAt || 0)).slice(0, MAX_CATALOGS))
+        : catalogs;
+    saveSettingsDebounced();
+    return normalized;
+}
+
+/**
+ * 从缓存中查找模型信息。
+ * @param {object} apiSettings
+ * @param {string} [model] - 默认使用设置中的模型
+ * @returns {import('../utils/modelMetadata.js').ModelInfo|null}
+ */
+export function getModelInfo(apiSettings, model = apiSettings.model) {
+    if (!model) return null;
+    return getCachedCatalog(apiSettings)?.models.find(info => info.id === model) || null;
+}
+
+/**
+ * 规划前检查最大Token数与提示词长度是否超出模型限制，超出时提示（同一模型的同类警告每次会话只弹出一次）。
+ * 只在缓存中有该模型的信息时检查；检查失败不影响请求。
+ * @param {object} apiSettings - 本次请求使用的设置
+ * @param {Array<{role: string, content: string}>} messages
+ */
+export async function warnIfExceedsModelLimits(apiSettings, messages) {
+    try {
+        const info = getModelInfo(apiSettings);
+        if (!info || (!info.contextLength && !info.maxOutputTokens)) return;
+
+        let promptTokens = 0;
+        if (info.contextLength) {
+            const counter = createTokenCounter(apiSettings);
+            for (const message of messages) {
+                promptTokens += await counter.count(typeof message.content === 'string' ? message.content : JSON.stringify(message.content));
+            }
+        }
+
+        const warnings = checkModelLimits(info, { maxTokens: Number(apiSettings.maxTokens) || 0, promptTokens });
+        for (const { kind, message } of warnings) {
+            console.warn(`[${extensionName}] ${message}`);
+            const key = `${getConnectionKey(apiSettings)}|${info.id}|${kind}`;
+            if (warnedLimits.has(key)) continue;
+            warnedLimits.add(key);
+            toastr.warning(message, '超出模型限制');
+        }
+    } catch (error) {
+        console.warn(`[${extensionName}] 检查模型限制失败:`, error);
+    }
+}
@@ -0,0 +1,131 @@
+// core/pipeline.js
+// 多阶段规划：按顺序执行多个规划阶段（例如“分析用户意图 → 起草剧情 → 审阅并修改”），
+// 每个阶段有自己的提示词、API配置与校验规则。前面阶段的输出可在后续阶段的提示词中用 {{stage:阶段名}} 引用，
+// 默认只注入最后一个阶段的输出，也可以指定注入某个阶段。
+
+import { pickConnectionSettings } from './failover.js';
+
+const STAGE_PLACEHOLDER_REGEX = /\{\{stage:([^{}]+?)\}\}/g;
+
+/**
+ * @typedef {object} PipelineStage
+ * @property {string} id
+ * @property {string} name - 阶段名称，也是后续阶段引用其输出时使用的名称
+ * @property {boolean} [enabled=true]
+ * @property {string} [connectionId] - 使用的备用API配置ID，留空使用主配置
+ * @property {string} mainPrompt - 该阶段的主系统提示词
+ * @property {string} systemPrompt - 该阶段的任务指令
+ * @property {string} [requiredKeywords] - 回复必须包含的关键词（逗号分隔）
+ * @property {number} [minLength] - 最小回复长度，0表示不检查
+ */
+
+/**
+ * 与 qrf_plot 一同保存到消息上的阶段输出（qrf_plot_stages）。
+ * @typedef {object} StageOutput
+ * @property {string} id
+ * @property {string} name
+ * @property {string} content - 该阶段的完整回复
+ * @property {string} [reasoning] - 模型的思考内容
+ * @property {import('./api.js').PlanMeta|null} meta
+ * @property {boolean} injected - 是否为注入的阶段
+ */
+
+/**
+ * 本次规划要执行的阶段；未开启多阶段规划或没有启用的阶段时返回空数组（按单次规划处理）。
+ * 阶段名称去除首尾空格，与 {{stage:阶段名}} 的解析方式一致。
+ * @param {object} apiSettings
+ * @returns {PipelineStage[]}
+ */
+export function getEnabledStages(apiSettings) {
+    if (!apiSettings.pipelineEnabled) return [];
+    return (apiSettings.pipelineStages || [])
+        .filter(stage => stage && stage.enabled !== false)
+        .map(stage => ({ ...stage, name: String(stage.name || '').trim() }));
+}
+
+/**
+ * 注入的阶段：指定的阶段未启用或已删除时使用最后一个阶段。
+ * @param {PipelineStage[]} stages
+ * @param {string} [injectStageId]
+ * @returns {string}
+ */
+export function getInjectedStageId(stages, injectStageId) {
+    return stages.some(stage => stage.id === injectStageId) ? injectStageId : stages[stages.length - 1]?.id;
+}
+
+/**
+ * 找出提示词中引用的阶段名称。
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findStageReferences(text) {
+    return [...String(text || '').matchAll(STAGE_PLACEHOLDER_REGEX)].map(match => match[1].trim());
+}
+
+/**
+ * 检查阶段配置：名称必须唯一，只能引用前面的阶段，使用的备用配置必须存在。
+ * @param {PipelineStage[]} stages - 启用的阶段
+ * @param {object} apiSettings
+ * @returns {string|null} 错误信息，配置有效时返回 null
+ */
+export function validatePipeline(stages, apiSettings) {
+    const seen = new Set();
+    for (const stage of stages) {
+        const name = String(stage.name || '').trim();
+        if (!name) {
+            return '多阶段规划中有阶段未填写名称。';
+        }
+        if (seen.has(name)) {
+            return `多阶段规划中有多个阶段名为“${name}”，阶段名称不能重复。`;
+        }
+        if (!String(stage.mainPrompt || '').trim() && !String(stage.systemPrompt || '').trim()) {
+            return `阶段“${name}”的提示词为空。`;
+        }
+        if (stage.connectionId && !(apiSettings.apiConnections || []).some(connection => connection.id === stage.connectionId)) {
+            return `阶段“${name}”使用的备用配置已被删除，请重新选择。`;
+        }
+        const unknown = [stage.mainPrompt, stage.systemPrompt].flatMap(findStageReferences).find(ref => !seen.has(ref));
+        if (unknown) {
+            return `阶段“${name}”引用了 {{stage:${unknown}}}，只能引用排在它前面的已启用阶段。`;
+        }
+        seen.add(name);
+    }
+    return null;
+}
+
+/**
+ * 某个阶段使用的设置：连接信息取自所选的备用配置，提示词与关键词取自阶段。
+ * 使用主配置的阶段沿用故障转移链；指定了备用配置的阶段只使用该配置，不会由其他后端代为回复。
+ * 结构化输出只用于注入的阶段，其余阶段的回复按原文传给后续阶段。
+ * @param {PipelineStage} stage
+ * @param {object} apiSettings - 本次规划的设置
+ * @param {boolean} injected - 是否为注入的阶段
+ * @returns {object}
+ * @throws {Error} 阶段使用的备用配置已被删除（validatePipeline 会先行拦截）
+ */
+export function buildStageSettings(stage, apiSettings, injected) {
+    const connection = stage.connectionId
+        ? (apiSettings.apiConnections || []).find(item => item.id === stage.connectionId)
+        : null;
+    if (stage.connectionId && !connection) {
+        throw new Error(`阶段“${stage.name}”使用的备用配置已被删除，请重新选择。`);
+    }
+    return {
+        ...apiSettings,
+        ...(connection ? { ...pickConnectionSettings(connection), failoverEnabled: false } : {}),
+        mainPrompt: stage.mainPrompt || '',
+        systemPrompt: stage.systemPrompt || '',
+        requiredKeywords: stage.requiredKeywords || '',
+        structuredOutputEnabled: injected && !!apiSettings.structuredOutputEnabled,
+    };
+}
+
+/**
+ * 把 {{stage:阶段名}} 替换为该阶段的输出。
+ * @param {string} text
+ * @param {Map<string, string>} outputs - 阶段名 → 输出
+ * @returns {string}
+ */
+export function fillStageOutputs(text, outputs) {
+    return String(text || '').replace(STAGE_PLACEHOLDER_REGEX, (match, name) => outputs.get(name.trim()) ?? '');
+}
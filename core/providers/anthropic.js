@@ -0,0 +1,32 @@
+// core/providers/anthropic.js
+// Anthropic Messages API 直连模式
+
+import { buildAnthropicRequest, buildAnthropicHeaders, buildAnthropicUrl, parseAnthropicResponse } from '../../utils/anthropicAdapter.js';
+import { createHttpProvider, fetchJson } from './httpProvider.js';
+
+export const anthropicProvider = createHttpProvider({
+    id: 'anthropic',
+    label: 'Anthropic 直连',
+    streamFormat: 'anthropic',
+    parseResponse: parseAnthropicResponse,
+    errorHint: '请检查CORS设置及控制台日志。',
+
+    getEndpointUrl(apiSettings) {
+        return buildAnthropicUrl(apiSettings.apiUrl, 'messages');
+    },
+
+    buildHttpRequest(messages, apiSettings, { stream }) {
+        return {
+            url: buildAnthropicUrl(apiSettings.apiUrl, 'messages'),
+            headers: buildAnthropicHeaders(apiSettings.apiKey),
+            body: { ...buildAnthropicRequest(messages, apiSettings), stream },
+        };
+    },
+
+    async listModels(apiSettings) {
+        const headers = buildAnthropicHeaders(apiSettings.apiKey);
+        delete headers['Content-Type'];
+        const json = await fetchJson(`${buildAnthropicUrl(apiSettings.apiUrl, 'models')}?limit=1000`, headers, apiSettings);
+        return json.data || [];
+    },
+});
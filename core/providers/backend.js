@@ -0,0 +1,177 @@
+// core/providers/backend.js
+// 后端代理模式：通过 SillyTavern 后端转发请求，规避浏览器的CORS限制。
+// 除自定义地址（custom）外，也可以使用酒馆支持的其他聊天补全来源，此时由酒馆使用服务器端保存的密钥，插件设置中无需保存 API Key。
+
+import { normalizeApiResponse, createHttpError } from '../http.js';
+import { parseExtraHeaders, parseExtraBody } from '../../utils/requestOverrides.js';
+import { parseAnthropicResponse } from '../../utils/anthropicAdapter.js';
+import { parseGoogleResponse } from '../../utils/googleAdapter.js';
+
+const extensionName = 'quick-response-force';
+
+const DEFAULT_BACKEND_SOURCE = 'custom';
+
+/**
+ * 当前连接使用的酒馆聊天补全来源。
+ * @param {object} apiSettings
+ * @returns {string}
+ */
+function getBackendSource(apiSettings) {
+    return String(apiSettings?.backendSource || '').trim() || DEFAULT_BACKEND_SOURCE;
+}
+
+/**
+ * 把额外请求头与额外请求体转换为酒馆 custom 来源的参数（酒馆按YAML解析，JSON是YAML的子集）。
+ * 注意：酒馆只做顶层合并，嵌套对象会整体替换而不是深度合并；其他来源不支持这两个参数。
+ * @param {object} apiSettings
+ * @returns {{custom_include_headers?: string, custom_include_body?: string}}
+ */
+function buildCustomIncludes(apiSettings) {
+    const headers = Object.fromEntries(Object.entries(parseExtraHeaders(apiSettings.extraHeaders)).filter(([, value]) => value !== null));
+    const body = parseExtraBody(apiSettings.extraBody);
+    const includes = {};
+    if (Object.keys(headers).length > 0) includes.custom_include_headers = JSON.stringify(headers);
+    if (Object.keys(body).length > 0) includes.custom_include_body = JSON.stringify(body);
+    return includes;
+}
+
+/**
+ * 请求体中与来源相关的字段：custom 来源需要地址与密钥，其他来源由酒馆读取服务器端保存的密钥。
+ * @param {object} apiSettings
+ * @returns {object}
+ */
+function buildSourceFields(apiSettings) {
+    const source = getBackendSource(apiSettings);
+    if (source !== 'custom') {
+        return { chat_completion_source: source };
+    }
+    return {
+        chat_completion_source: source,
+        custom_url: apiSettings.apiUrl,
+        api_key: apiSettings.apiKey,
+        ...buildCustomIncludes(apiSettings),
+    };
+}
+
+/**
+ * @param {object} apiSettings
+ * @returns {Record<string, string>}
+ */
+function buildProxyHeaders(apiSettings) {
+    return getBackendSource(apiSettings) === 'custom' && apiSettings.apiKey
+        ? { 'Authorization': `Bearer ${apiSettings.apiKey}` }
+        : {};
+}
+
+/**
+ * 酒馆对部分来源原样返回上游的响应格式，这里按响应的结构转换为 OpenAI 风格。
+ * @param {any} json
+ * @returns {any}
+ */
+function parseBackendResponse(json) {
+    if (json && typeof json === 'object') {
+        if (Array.isArray(json.candidates)) {
+            return parseGoogleResponse(json);
+        }
+        if (json.type === 'message' && Array.isArray(json.content)) {
+            return parseAnthropicResponse(json);
+        }
+        // Cohere v2: { message: { content: [{ type: 'text', text }] }, usage }
+        if (!json.choices && Array.isArray(json.message?.content)) {
+            const text = json.message.content.map(part => part?.text || '').join('');
+            return { choices: [{ message: { content: text } }], usage: json.usage?.tokens };
+        }
+    }
+    return json;
+}
+
+export const backendProvider = {
+    id: 'backend',
+    label: '后端代理',
+    supportsRequestOverrides: true,
+    // 非 custom 来源不需要地址与密钥，custom 来源的地址在 validateSettings 中检查
+    requiresApiUrl: false,
+    requiresApiKey: false,
+
+    validateSettings(apiSettings) {
+        if (getBackendSource(apiSettings) === 'custom' && !apiSettings.apiUrl) {
+            return 'API URL 未配置。';
+        }
+        return null;
+    },
+
+    buildRequest(messages, apiSettings) {
+        return {
+            messages,
+            model: apiSettings.model,
+            max_tokens: apiSettings.maxTokens,
+            temperature: apiSettings.temperature,
+            top_p: apiSettings.topP,
+            presence_penalty: apiSettings.presencePenalty,
+            frequency_penalty: apiSettings.frequencyPenalty,
+            stream: false,
+            ...buildSourceFields(apiSettings),
+        };
+    },
+
+    async send(request, apiSettings, options = {}) {
+        console.log(`[${extensionName}] 准备通过SillyTavern后端代理发送请求（来源: ${request.chat_completion_source}）`);
+
+        const jqXHR = $.ajax({
+            url: '/api/backends/chat-completions/generate',
+            type: 'POST',
+            contentType: 'application/json',
+            headers: buildProxyHeaders(apiSettings),
+            data: JSON.stringify(request),
+        });
+
+        // 取消或超时时中止请求，后端会随之断开与上游API的连接
+        const abortRequest = () => jqXHR.abort();
+        options.signal?.addEventListener('abort', abortRequest, { once: true });
+        try {
+            return normalizeApiResponse(parseBackendResponse(await jqXHR));
+        } catch (error) {
+            // jQuery 以 jqXHR 对象拒绝，这里转换为带状态码的HTTP错误，便于重试策略分类
+            if (error instanceof Error) throw error;
+            throw createHttpError(
+                error?.status ?? 0,
+                error?.statusText || '',
+                error?.responseText || '请求失败',
+                error?.getResponseHeader?.('Retry-After') ?? null
+            );
+        } finally {
+            options.signal?.removeEventListener('abort', abortRequest);
+        }
+    },
+
+    async listModels(apiSettings) {
+        const source = getBackendSource(apiSettings);
+        console.log(`[${extensionName}] 通过后端代理获取模型列表（来源: ${source}）`);
+        const rawResponse = await $.ajax({
+            url: '/api/backends/chat-completions/status',
+            type: 'POST',
+            contentType: 'application/json',
+            headers: buildProxyHeaders(apiSettings),
+            data: JSON.stringify(buildSourceFields(apiSettings)),
+        });
+
+        // 酒馆无法连接来源时仍以200返回 { error: true }，不支持列出模型的来源返回 { bypass: true }
+        if (rawResponse?.error === true) {
+            throw new Error(source === 'custom'
+                ? '酒馆后端无法连接该地址，请检查 API URL 与 API Key。'
+                : `酒馆后端无法连接“${source}”，请确认已在酒馆的API连接设置中保存了该来源的 API Key。`);
+        }
+        if (rawResponse?.bypass) {
+            throw new Error(`酒馆不提供“${source}”的模型列表，请手动输入模型名称。`);
+        }
+        if (Array.isArray(rawResponse)) {
+            return rawResponse;
+        }
+
+        const result = normalizeApiResponse(rawResponse);
+        if (result?.error) {
+            throw new Error(result.error.message || JSON.stringify(result.error));
+        }
+        return result?.data;
+    },
+};
@@ -0,0 +1,176 @@
+// core/providers/google.js
+// Google Gemini 直连模式：支持 AI Studio（API Key）与 Vertex AI（项目 + 区域 + 访问令牌）两种后端
+
+import { buildGoogleRequest, parseGoogleResponse } from '../../utils/googleAdapter.js';
+import { toGoogleSchema } from '../../utils/structuredOutput.js';
+import { createHttpProvider, fetchJson } from './httpProvider.js';
+
+const API_VERSION = 'v1beta';
+const VERTEX_API_VERSION = 'v1';
+const VERTEX_CATALOG_API_VERSION = 'v1beta1'; // 模型目录（ListPublisherModels）只在 v1beta1 提供
+const VERTEX_CATALOG_MAX_PAGES = 10;
+
+export const DEFAULT_VERTEX_LOCATION = 'us-central1';
+export const DEFAULT_VERTEX_PUBLISHER = 'google';
+
+/**
+ * @param {string} apiUrl
+ * @returns {string} 去掉末尾斜杠的基础地址
+ */
+function getBaseUrl(apiUrl) {
+    return String(apiUrl || '').replace(/\/$/, '');
+}
+
+/**
+ * @param {object} apiSettings
+ * @returns {boolean} 是否使用 Vertex AI 后端
+ */
+function isVertex(apiSettings) {
+    return apiSettings.googleBackend === 'vertex';
+}
+
+/**
+ * 取出 Vertex AI 配置，未填写的项使用默认值。
+ * @param {object} apiSettings
+ * @returns {{project: string, location: string, publisher: string}}
+ */
+function getVertexConfig(apiSettings) {
+    return {
+        project: String(apiSettings.vertexProject || '').trim(),
+        location: String(apiSettings.vertexLocation || '').trim() || DEFAULT_VERTEX_LOCATION,
+        publisher: String(apiSettings.vertexPublisher || '').trim() || DEFAULT_VERTEX_PUBLISHER,
+    };
+}
+
+/**
+ * Vertex AI 的区域端点；global 区域使用不带区域前缀的域名。
+ * @param {string} location
+ * @returns {string}
+ */
+function buildVertexHost(location) {
+    return location === 'global'
+        ? 'https://aiplatform.googleapis.com'
+        : `https://${location}-aiplatform.googleapis.com`;
+}
+
+/**
+ * Vertex AI 使用 OAuth 访问令牌（如 `gcloud auth print-access-token` 的输出）鉴权。
+ * @param {object} apiSettings
+ * @returns {Record<string, string>}
+ */
+function buildVertexHeaders(apiSettings) {
+    const headers = { 'Authorization': `Bearer ${String(apiSettings.apiKey || '').trim()}` };
+    const { project } = getVertexConfig(apiSettings);
+    if (project) {
+        // 让配额与计费记在所配置的项目上
+        headers['x-goog-user-project'] = project;
+    }
+    return headers;
+}
+
+/**
+ * 构建生成内容的请求地址与请求头。
+ * @param {object} apiSettings
+ * @param {boolean} stream - 是否使用 :streamGenerateContent
+ * @returns {{url: string, headers: Record<string, string>}}
+ */
+export function buildGoogleEndpoint(apiSettings, stream) {
+    const { model, apiKey } = apiSettings;
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+    if (isVertex(apiSettings)) {
+        const { project, location, publisher } = getVertexConfig(apiSettings);
+        return {
+            url: `${buildVertexHost(location)}/${VERTEX_API_VERSION}/projects/${project}/locations/${location}/publishers/${publisher}/models/${model}:${method}`,
+            headers: { 'Content-Type': 'application/json', ...buildVertexHeaders(apiSettings) },
+        };
+    }
+
+    const separator = stream ? '&' : '?';
+    return {
+        url: `${getBaseUrl(apiSettings.apiUrl)}/${API_VERSION}/models/${model}:${method}${separator}key=${apiKey}`,
+        headers: { 'Content-Type': 'application/json' },
+    };
+}
+
+/**
+ * 从 Vertex AI 模型目录获取发布方的模型列表（自动翻页）。
+ * @param {object} apiSettings
+ * @returns {Promise<Array<{id: string}>>}
+ */
+async function listVertexModels(apiSettings) {
+    const { location, publisher } = getVertexConfig(apiSettings);
+    const baseUrl = `${buildVertexHost(location)}/${VERTEX_CATALOG_API_VERSION}/publishers/${publisher}/models`;
+    const models = [];
+    let pageToken = '';
+
+    for (let page = 0; page < VERTEX_CATALOG_MAX_PAGES; page++) {
+        const query = new URLSearchParams({ pageSize: '100' });
+        if (pageToken) query.set('pageToken', pageToken);
+        const json = await fetchJson(`${baseUrl}?${query}`, buildVertexHeaders(apiSettings), apiSettings);
+
+        for (const model of json.publisherModels || []) {
+            // name 形如 "publishers/google/models/gemini-2.5-pro"
+            const id = String(model.name || '').split('/').pop();
+            if (id) models.push({ id });
+        }
+
+        pageToken = json.nextPageToken;
+        if (!pageToken) break;
+    }
+
+    // google 发布方的目录中还有图像、嵌入等模型，只保留能生成文本的 Gemini/Gemma
+    if (publisher === DEFAULT_VERTEX_PUBLISHER) {
+        return models.filter(model => /^(gemini|gemma)/i.test(model.id) && !/embedding/i.test(model.id));
+    }
+    return models;
+}
+
+export const googleProvider = createHttpProvider({
+    id: 'google',
+    label: 'Google 直连',
+    streamFormat: 'google',
+    parseResponse: parseGoogleResponse,
+    errorHint: '请检查CORS设置及控制台日志。使用 Vertex AI 时，访问令牌约1小时后过期，需要重新获取。',
+
+    validateSettings(apiSettings) {
+        if (isVertex(apiSettings) && !getVertexConfig(apiSettings).project) {
+            return 'Vertex AI 需要填写项目ID。';
+        }
+        return null;
+    },
+
+    supportsStructuredOutput: true,
+    supportsKeyPool: true,
+    // 酒馆后端的 Google 来源使用服务器端保存的密钥，因此只能改经CORS代理
+    corsFallbackRoutes: ['proxy'],
+
+    getEndpointUrl(apiSettings) {
+        return buildGoogleEndpoint(apiSettings, false).url;
+    },
+
+    buildHttpRequest(messages, apiSettings, { stream, responseSchema }) {
+        return {
+            ...buildGoogleEndpoint(apiSettings, stream),
+            body: buildGoogleRequest(messages, apiSettings, {
+                responseSchema: responseSchema ? toGoogleSchema(responseSchema) : undefined,
+            }),
+        };
+    },
+
+    async listModels(apiSettings) {
+        if (isVertex(apiSettings)) {
+            return listVertexModels(apiSettings);
+        }
+        const json = await fetchJson(`${getBaseUrl(apiSettings.apiUrl)}/${API_VERSION}/models?key=${apiSettings.apiKey}`, {}, apiSettings);
+        return json.models
+            ?.filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+            // 保留上下文长度与输出上限，供模型列表缓存使用
+            ?.map(model => ({
+                id: model.name.replace('models/', ''),
+                displayName: model.displayName,
+                inputTokenLimit: model.inputTokenLimit,
+                outputTokenLimit: model.outputTokenLimit,
+            })) || [];
+    },
+});
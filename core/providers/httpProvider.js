@@ -0,0 +1,84 @@
+// core/providers/httpProvider.js
+// 直连HTTP接口的提供方共用的发送逻辑：各提供方只需描述如何构建请求与解析响应
+
+import { streamCompletion, fetchJsonWithTimeout, normalizeApiResponse } from '../http.js';
+import { applyRequestOverrides, mergeExtraHeaders } from '../../utils/requestOverrides.js';
+import { toProxyRequest } from '../corsFallback.js';
+
+const extensionName = 'quick-response-force';
+const FETCH_JSON_TIMEOUT_MS = 30000; // 获取模型列表等GET请求的超时，避免服务器无响应时一直等待
+
+/**
+ * @typedef {object} HttpRequest
+ * @property {string} url - 请求地址
+ * @property {Record<string, string>} headers - 请求头
+ * @property {object} body - 请求体（发送前序列化为JSON）
+ */
+
+/**
+ * 设置中的 corsRoute 为 'proxy' 时（见 core/corsFallback.js），改为经酒馆CORS代理发送。
+ * @param {string} url
+ * @param {Record<string, string>} headers
+ * @param {object} [apiSettings]
+ * @returns {{url: string, headers: Record<string, string>}}
+ */
+function routeRequest(url, headers, apiSettings) {
+    return apiSettings?.corsRoute === 'proxy' ? toProxyRequest(url, headers) : { url, headers };
+}
+
+/**
+ * 以GET方式请求模型列表等JSON接口，超时后中止请求。
+ * @param {string} url
+ * @param {Record<string, string>} [headers]
+ * @param {object} [apiSettings] - 传入时附加该连接的额外请求头，并按 corsRoute 选择发送路线
+ * @param {number} [timeoutMs] - 超时（毫秒）
+ * @returns {Promise<any>}
+ */
+export async function fetchJson(url, headers = {}, apiSettings = undefined, timeoutMs = FETCH_JSON_TIMEOUT_MS) {
+    const routed = routeRequest(url, apiSettings ? mergeExtraHeaders(headers, apiSettings) : headers, apiSettings);
+    return fetchJsonWithTimeout(routed.url, { method: 'GET', headers: routed.headers }, timeoutMs, `请求超时（${Math.round(timeoutMs / 1000)} 秒内未响应）`);
+}
+
+/**
+ * 创建一个基于HTTP直连的提供方。构建的请求会合并连接设置中的额外请求头与额外请求体。
+ * @param {object} definition - 提供方定义（除下列字段外的属性原样保留）
+ * @param {(messages: Array, apiSettings: object, options: {stream: boolean, signal?: AbortSignal, responseSchema?: object}) => (HttpRequest|Promise<HttpRequest>)} definition.buildHttpRequest - 构建请求
+ * @param {string} definition.streamFormat - 流式数据格式，见 streamCompletion
+ * @param {(json: any) => object} [definition.parseResponse] - 把非流式响应转换为 OpenAI 风格，默认原样返回
+ * @returns {import('./registry.js').ApiProvider}
+ */
+export function createHttpProvider({ buildHttpRequest, streamFormat, parseResponse = json => json, ...definition }) {
+    return {
+        supportsRequestOverrides: true,
+        ...definition,
+
+        async buildRequest(messages, apiSettings, options = {}) {
+            const request = await buildHttpRequest(messages, apiSettings, { stream: !!options.stream, signal: options.signal, responseSchema: options.responseSchema });
+            return applyRequestOverrides(request, apiSettings);
+        },
+
+        async send(request, apiSettings, options = {}) {
+            console.log(`[${extensionName}] ${definition.label || definition.id} 非流式请求: ${request.url}`);
+            const routed = routeRequest(request.url, request.headers, apiSettings);
+            // 总超时由调用方通过 signal 控制
+            const json = await fetchJsonWithTimeout(
+                routed.url,
+                { method: 'POST', headers: routed.headers, body: JSON.stringify(request.body), signal: options.signal },
+                0
+            );
+            return normalizeApiResponse(parseResponse(json));
+        },
+
+        async stream(request, apiSettings, options = {}) {
+            console.log(`[${extensionName}] ${definition.label || definition.id} 流式请求: ${request.url}`);
+            const routed = routeRequest(request.url, request.headers, apiSettings);
+            return streamCompletion(
+                routed.url,
+                { method: 'POST', headers: routed.headers, body: JSON.stringify(request.body), signal: options.signal },
+                streamFormat,
+                options.timeouts,
+                options.onDelta
+            );
+        },
+    };
+}
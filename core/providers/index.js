@@ -0,0 +1,23 @@
+// core/providers/index.js
+// 注册内置API提供方，并统一导出注册表接口
+
+import { registerProvider, registerBuiltinProvider, unregisterProvider, getProvider, listProviders } from './registry.js';
+import { openaiProvider } from './openai.js';
+import { googleProvider } from './google.js';
+import { anthropicProvider } from './anthropic.js';
+import { ollamaProvider, llamaCppProvider } from './local.js';
+import { backendProvider } from './backend.js';
+import { tavernProvider, perfectProvider } from './tavern.js';
+
+[
+    backendProvider,
+    openaiProvider,
+    googleProvider,
+    anthropicProvider,
+    ollamaProvider,
+    llamaCppProvider,
+    tavernProvider,
+    perfectProvider,
+].forEach(provider => registerBuiltinProvider(provider));
+
+export { registerProvider, unregisterProvider, getProvider, listProviders };
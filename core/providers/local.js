@@ -0,0 +1,103 @@
+// core/providers/local.js
+// 本地模型模式 (Ollama / llama.cpp)：直接请求本机服务，不经过任何代理
+
+import { fetchJsonWithTimeout } from '../http.js';
+import { normalizeLocalBaseUrl, buildLocalHeaders, buildOllamaRequest, parseOllamaResponse, renderFallbackPrompt, buildLlamaCppRequest } from '../../utils/localModelAdapter.js';
+import { mergeExtraHeaders } from '../../utils/requestOverrides.js';
+import { createHttpProvider, fetchJson } from './httpProvider.js';
+
+const extensionName = 'quick-response-force';
+
+const LOCAL_ERROR_HINT = '请确认服务已启动并允许跨域访问。';
+
+/**
+ * 使用 llama.cpp server 的 /apply-template 接口，按模型自带的聊天模板渲染提示词。
+ * 旧版本服务器没有该接口时，回退到简单的 "role: content" 拼接。
+ * @param {string} baseUrl - 已规范化的服务器地址
+ * @param {Array} messages - OpenAI格式的消息数组
+ * @param {object} headers - 请求头
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<string>} 渲染后的提示词
+ */
+async function applyLlamaCppTemplate(baseUrl, messages, headers, signal) {
+    try {
+        const json = await fetchJsonWithTimeout(
+            `${baseUrl}/apply-template`,
+            { method: 'POST', headers, body: JSON.stringify({ messages }), signal },
+            15000,
+            'llama.cpp 模板渲染超时（15秒）'
+        );
+        if (json && typeof json.prompt === 'string' && json.prompt) {
+            return json.prompt;
+        }
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+        console.warn(`[${extensionName}] llama.cpp /apply-template 不可用，回退到简单拼接:`, error);
+    }
+    return renderFallbackPrompt(messages);
+}
+
+export const ollamaProvider = createHttpProvider({
+    id: 'ollama',
+    label: 'Ollama',
+    requiresApiKey: false,
+    streamFormat: 'ollama',
+    parseResponse: parseOllamaResponse,
+    errorHint: LOCAL_ERROR_HINT,
+
+    supportsStructuredOutput: true,
+
+    getEndpointUrl(apiSettings) {
+        return `${normalizeLocalBaseUrl(apiSettings.apiUrl)}/api/chat`;
+    },
+
+    buildHttpRequest(messages, apiSettings, { stream, responseSchema }) {
+        return {
+            url: `${normalizeLocalBaseUrl(apiSettings.apiUrl)}/api/chat`,
+            headers: buildLocalHeaders(apiSettings.apiKey),
+            body: buildOllamaRequest(messages, apiSettings, stream, responseSchema),
+        };
+    },
+
+    async listModels(apiSettings) {
+        // Ollama 列出本地已安装的模型
+        const json = await fetchJson(`${normalizeLocalBaseUrl(apiSettings.apiUrl)}/api/tags`, buildLocalHeaders(apiSettings.apiKey), apiSettings);
+        return (json.models || []).map(model => ({ id: model.name || model.model }));
+    },
+});
+
+export const llamaCppProvider = createHttpProvider({
+    id: 'llamacpp',
+    label: 'llama.cpp',
+    requiresApiKey: false,
+    // llama.cpp server 只加载一个模型，模型名可以留空
+    requiresModel: false,
+    streamFormat: 'llamacpp',
+    errorHint: LOCAL_ERROR_HINT,
+
+    supportsStructuredOutput: true,
+
+    getEndpointUrl(apiSettings) {
+        return `${normalizeLocalBaseUrl(apiSettings.apiUrl)}/completion`;
+    },
+
+    async buildHttpRequest(messages, apiSettings, { stream, signal, responseSchema }) {
+        const baseUrl = normalizeLocalBaseUrl(apiSettings.apiUrl);
+        // 模板渲染请求同样需要额外请求头（例如反向代理的鉴权头）
+        const headers = mergeExtraHeaders(buildLocalHeaders(apiSettings.apiKey), apiSettings);
+        const prompt = await applyLlamaCppTemplate(baseUrl, messages, headers, signal);
+        return {
+            url: `${baseUrl}/completion`,
+            headers,
+            body: { ...buildLlamaCppRequest(prompt, apiSettings, responseSchema), stream },
+        };
+    },
+
+    async listModels(apiSettings) {
+        // llama.cpp server 通过 OpenAI 兼容接口报告当前加载的模型
+        const json = await fetchJson(`${normalizeLocalBaseUrl(apiSettings.apiUrl)}/v1/models`, buildLocalHeaders(apiSettings.apiKey), apiSettings);
+        return json.data || [];
+    },
+});
@@ -0,0 +1,61 @@
+// core/providers/openai.js
+// 前端直连模式：浏览器直接请求 OpenAI 兼容接口
+
+import { createHttpProvider, fetchJson } from './httpProvider.js';
+import { buildChatCompletionsUrl, buildModelsUrl } from '../../utils/apiUrl.js';
+
+// response_format.json_schema.name 只允许字母、数字、下划线和连字符
+const STRUCTURED_OUTPUT_NAME = 'plot_plan';
+
+export const openaiProvider = createHttpProvider({
+    id: 'frontend',
+    label: '前端直连',
+    streamFormat: 'openai',
+    errorHint: '请检查CORS设置及控制台日志。',
+
+    supportsStructuredOutput: true,
+    supportsKeyPool: true,
+    // 被CORS拦截时可改经酒馆CORS代理，或由后端代理模式的 custom 来源转发
+    corsFallbackRoutes: ['proxy', 'backend'],
+
+    getEndpointUrl(apiSettings) {
+        return buildChatCompletionsUrl(apiSettings.apiUrl);
+    },
+
+    buildHttpRequest(messages, apiSettings, { stream, responseSchema }) {
+        const body = {
+            messages,
+            model: apiSettings.model,
+            max_tokens: apiSettings.maxTokens,
+            temperature: apiSettings.temperature,
+            top_p: apiSettings.topP,
+            presence_penalty: apiSettings.presencePenalty,
+            frequency_penalty: apiSettings.frequencyPenalty,
+            stream,
+        };
+        if (stream) {
+            // 让流的最后一块携带Token用量
+            body.stream_options = { include_usage: true };
+        }
+        if (responseSchema) {
+            // strict 模式要求所有字段必填且禁止额外字段，用户的 Schema 未必满足，因此由插件自行校验
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: STRUCTURED_OUTPUT_NAME, schema: responseSchema, strict: false },
+            };
+        }
+        return {
+            url: buildChatCompletionsUrl(apiSettings.apiUrl),
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiSettings.apiKey}`,
+            },
+            body,
+        };
+    },
+
+    async listModels(apiSettings) {
+        const json = await fetchJson(buildModelsUrl(apiSettings.apiUrl), { 'Authorization': `Bearer ${apiSettings.apiKey}` }, apiSettings);
+        return json.data || [];
+    },
+});
@@ -0,0 +1,140 @@
+// core/providers/registry.js
+// API提供方注册表：每种 apiMode 对应一个提供方，其他扩展也可以通过公开接口注册自己的提供方
+
+const extensionName = 'quick-response-force';
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} role - 'system' | 'user' | 'assistant'
+ * @property {string} content
+ */
+
+/**
+ * @typedef {object} ProviderCallOptions
+ * @property {boolean} [stream] - 是否以流式方式请求
+ * @property {AbortSignal} [signal] - 取消信号；用户取消或总超时到达时触发，提供方应据此中止底层请求
+ * @property {{totalMs: number, firstTokenMs: number, chunkMs: number}} [timeouts] - 当前API模式的超时设置（毫秒，0表示不限制），流式提供方据此检测首块与数据块间隔超时
+ * @property {(delta: string, content: string) => void} [onDelta] - 流式提供方每收到一段文本时调用，用于实时预览
+ * @property {object} [responseSchema] - 启用结构化输出时的 JSON Schema；只传给 supportsStructuredOutput 为 true 的提供方
+ */
+
+/**
+ * @typedef {object} ProviderResult
+ * @property {string} [content] - 模型返回的文本
+ * @property {string} [reasoning] - 模型的思考内容（reasoning_content、Gemini thought 等），与正文分开保存，不会被注入
+ * @property {import('../../utils/usage.js').TokenUsage|null} [usage] - 接口报告的Token用量
+ * @property {object} [error] - 错误信息（含 message）
+ */
+
+/**
+ * 提供方接口。只有 id 与 send 是必需的，其余字段均可省略。
+ * @typedef {object} ApiProvider
+ * @property {string} id - 唯一标识，即设置中的 apiMode 值
+ * @property {string} [label] - 在设置界面和提示中显示的名称
+ * @property {boolean} [builtin] - 是否为插件内置提供方（由注册方式决定，registerProvider 传入的值会被忽略）
+ * @property {boolean} [requiresApiUrl=true] - 是否需要填写 API URL
+ * @property {boolean} [requiresApiKey=true] - 是否需要填写 API Key
+ * @property {boolean} [requiresModel=true] - 是否需要选择模型
+ * @property {string} [errorHint] - 请求失败时附加给用户的排查建议
+ * @property {string} [modelListHint] - 不支持获取模型列表时显示的提示
+ * @property {boolean} [supportsKeyPool=false] - 是否支持 API Key 池（从 apiSettings.apiKeys 中轮换选用 Key 填入 apiKey）
+ * @property {boolean} [supportsRequestOverrides=false] - 是否应用连接设置中的额外请求头（apiSettings.extraHeaders）与额外请求体（apiSettings.extraBody）；createHttpProvider 创建的提供方自动支持
+ * @property {boolean} [supportsStructuredOutput=false] - 是否支持按 JSON Schema 约束输出；不支持时改为在提示词中附加 Schema 并从文本中解析JSON
+ * @property {(apiSettings: object) => (string|null)} [validateSettings] - 额外的设置校验，返回错误信息或 null
+ * @property {(messages: ChatMessage[], apiSettings: object, options: ProviderCallOptions) => (object|Promise<object>)} [buildRequest] - 构建请求（省略时直接把消息传给 send/stream）
+ * @property {(request: object, apiSettings: object, options: ProviderCallOptions) => Promise<ProviderResult>} send - 非流式发送
+ * @property {(request: object, apiSettings: object, options: ProviderCallOptions) => Promise<string|ProviderResult>} [stream] - 流式发送，返回完整文本或 {content, reasoning, usage}
+ * @property {(apiSettings: object) => Promise<Array<{id: string}>>} [listModels] - 获取模型列表
+ * @property {(apiSettings: object) => Promise<ProviderResult>} [test] - 自定义连接测试（省略时发送一条简短的测试消息）
+ * @property {Array<'proxy'|'backend'>} [corsFallbackRoutes] - 直连被CORS拦截时可改用的路线（见 core/corsFallback.js），按顺序尝试；'proxy' 要求请求经 httpProvider 发送
+ * @property {(apiSettings: object) => string} [getEndpointUrl] - 浏览器直接请求的补全地址，供连接诊断检查地址与CORS；经酒馆服务器转发的提供方省略此项
+ */
+
+/** @type {Map<string, ApiProvider>} */
+const providers = new Map();
+
+/**
+ * 通知设置界面提供方列表已变化。
+ */
+function notifyProvidersChanged() {
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('qrf-providers-changed', { detail: { ids: [...providers.keys()] } }));
+    }
+}
+
+/**
+ * 注册（或替换）一个提供方。
+ * @param {ApiProvider} provider
+ * @param {boolean} builtin - 是否为内置提供方
+ * @returns {ApiProvider} 注册后的提供方
+ */
+function addProvider(provider, builtin) {
+    if (!provider || typeof provider.id !== 'string' || !provider.id.trim()) {
+        throw new Error('提供方必须包含非空的 id。');
+    }
+    if (typeof provider.send !== 'function') {
+        throw new Error(`提供方 "${provider.id}" 缺少 send 方法。`);
+    }
+
+    const id = provider.id.trim();
+    const existing = providers.get(id);
+    if (existing?.builtin) {
+        throw new Error(`"${id}" 是内置提供方，不能被覆盖。`);
+    }
+
+    const entry = { ...provider, id, label: provider.label || id, builtin };
+    providers.set(id, entry);
+    console.log(`[${extensionName}] 已注册API提供方: ${id}`);
+    notifyProvidersChanged();
+    return entry;
+}
+
+/**
+ * 注册（或替换）一个外部API提供方。内置提供方不能被覆盖，provider.builtin 会被忽略。
+ * @param {ApiProvider} provider
+ * @returns {ApiProvider} 注册后的提供方
+ */
+export function registerProvider(provider) {
+    return addProvider(provider, false);
+}
+
+/**
+ * 注册插件内置的提供方，只供 providers/index.js 使用，不对外公开。
+ * @param {ApiProvider} provider
+ * @returns {ApiProvider} 注册后的提供方
+ */
+export function registerBuiltinProvider(provider) {
+    return addProvider(provider, true);
+}
+
+/**
+ * 注销一个外部注册的API提供方。内置提供方不可注销。
+ * @param {string} id
+ * @returns {boolean} 是否成功注销
+ */
+export function unregisterProvider(id) {
+    const existing = providers.get(id);
+    if (!existing || existing.builtin) {
+        return false;
+    }
+    providers.delete(id);
+    notifyProvidersChanged();
+    return true;
+}
+
+/**
+ * 根据 apiMode 获取提供方。
+ * @param {string} id
+ * @returns {ApiProvider|undefined}
+ */
+export function getProvider(id) {
+    return providers.get(id);
+}
+
+/**
+ * 列出所有已注册的提供方。
+ * @returns {ApiProvider[]}
+ */
+export function listProviders() {
+    return [...providers.values()];
+}
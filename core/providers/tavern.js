@@ -0,0 +1,132 @@
+// core/providers/tavern.js
+// 酒馆连接预设模式：借用 SillyTavern 连接管理器中已保存的连接预设发送请求。
+// 请求通过 ConnectionManagerRequestService 以预设自身的设置发出，不会切换用户当前使用的连接预设。
+
+import { getContext } from '/scripts/extensions.js';
+import { raceWithSignal } from '../http.js';
+
+const extensionName = 'quick-response-force';
+
+/** @type {Promise<void>} 上一个预设请求结束时完成，用于串行化并发请求 */
+let profileRequestQueue = Promise.resolve();
+
+/**
+ * 串行执行通过连接预设发出的请求：同一时间只有一个请求在进行，其余按顺序排队。
+ * 排队期间被取消的请求直接放弃，不会占用队列。
+ * @template T
+ * @param {() => Promise<T>} task
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+async function withProfileLock(task, signal) {
+    const previous = profileRequestQueue;
+    let release;
+    profileRequestQueue = new Promise(resolve => { release = resolve; });
+    try {
+        await raceWithSignal(previous, signal);
+        return await task();
+    } finally {
+        // 放弃排队时，等前一个请求结束后再放行后面的请求
+        previous.then(release);
+    }
+}
+
+/**
+ * 查找并校验连接预设。
+ * @param {string} profileId
+ * @returns {object} 连接预设
+ */
+function findProfile(profileId) {
+    const context = getContext();
+    const profile = context.extensionSettings?.connectionManager?.profiles.find(p => p.id === profileId);
+
+    if (!profile) {
+        throw new Error(`无法找到ID为 "${profileId}" 的连接预设。`);
+    }
+    if (!profile.api) {
+        throw new Error(`预设 "${profile.name || profile.id}" 没有配置API。`);
+    }
+    if (!profile.preset) {
+        throw new Error(`预设 "${profile.name || profile.id}" 没有选择预设。`);
+    }
+    return profile;
+}
+
+/**
+ * 两种酒馆预设模式共用的设置校验。
+ * @param {object} apiSettings
+ * @returns {string|null}
+ */
+function validateTavernSettings(apiSettings) {
+    return apiSettings.tavernProfile ? null : '未选择酒馆连接预设。';
+}
+
+/**
+ * 构建传给 ConnectionManagerRequestService.sendRequest 的自定义参数。
+ * 显式给出全部字段，避免旧版本酒馆不合并默认值时丢失 extractData 等选项。
+ * @param {AbortSignal} [signal]
+ * @returns {object}
+ */
+function buildSendRequestOptions(signal) {
+    return { stream: false, signal: signal || null, extractData: true, includePreset: true, includeInstruct: true };
+}
+
+const MODEL_LIST_HINT = '在“使用酒馆连接预设”模式下，模型已在预设中定义，无需单独获取。';
+
+export const tavernProvider = {
+    id: 'tavern',
+    label: '酒馆连接预设',
+    requiresApiUrl: false,
+    requiresApiKey: false,
+    requiresModel: false,
+    modelListHint: MODEL_LIST_HINT,
+    validateSettings: validateTavernSettings,
+
+    buildRequest(messages, apiSettings) {
+        return { profileId: apiSettings.tavernProfile, messages };
+    },
+
+    async send(request, apiSettings, options = {}) {
+        const profile = findProfile(request.profileId);
+        return withProfileLock(async () => {
+            console.log(`[${extensionName}] 通过酒馆连接预设 "${profile.name || profile.id}" 发送请求（不切换当前预设）...`);
+            // 最大Token数留空，使用预设中的设置
+            const result = await getContext().ConnectionManagerRequestService.sendRequest(
+                profile.id,
+                request.messages,
+                undefined,
+                buildSendRequestOptions(options.signal)
+            );
+            return result || {};
+        }, options.signal);
+    },
+};
+
+// 完美模式：与上面相同，但最大Token数使用插件设置而不是预设中的值
+export const perfectProvider = {
+    id: 'perfect',
+    label: '酒馆连接预设（完美模式）',
+    requiresApiUrl: false,
+    requiresApiKey: false,
+    requiresModel: false,
+    modelListHint: MODEL_LIST_HINT,
+    validateSettings: validateTavernSettings,
+
+    buildRequest(messages, apiSettings) {
+        return { profileId: apiSettings.tavernProfile, messages, maxTokens: apiSettings.maxTokens };
+    },
+
+    async send(request, apiSettings, options = {}) {
+        const profile = findProfile(request.profileId);
+        return withProfileLock(async () => {
+            console.log(`[${extensionName}] 通过完美模式发送请求...`);
+            const result = await getContext().ConnectionManagerRequestService.sendRequest(
+                profile.id,
+                request.messages,
+                request.maxTokens,
+                buildSendRequestOptions(options.signal)
+            );
+            return result || {};
+        }, options.signal);
+    },
+};
@@ -0,0 +1,124 @@
+// core/retry.js
+// 重试策略：把请求错误分为可重试与不可重试两类，并按指数退避（带随机抖动）计算重试前的等待时间
+
+const RETRY_BASE_DELAY_MS = 1000;   // 第一次重试前的基础等待
+const RETRY_MAX_DELAY_MS = 30000;   // 指数退避的上限
+export const RETRY_AFTER_LIMIT_MS = 60000; // 服务器要求的等待超过该值时，不再在当前后端上等待
+// Google 对无效或过期的 API Key 返回 400（reason 为 API_KEY_INVALID）而不是 401
+const INVALID_API_KEY_REGEX = /API_KEY_INVALID|API key not valid/i;
+
+/**
+ * @typedef {object} ErrorClass
+ * @property {'timeout'|'network'|'rate_limit'|'server'|'auth'|'not_found'|'bad_request'|'empty'|'validation'|'config'|'unknown'} kind - 错误类别
+ * @property {string} label - 显示给用户的类别名称
+ * @property {boolean} retryable - 是否值得重试
+ * @property {number} [status] - HTTP状态码（已知时）
+ * @property {number|null} [retryAfterMs] - 服务器通过 Retry-After 要求的等待时间
+ */
+
+const ERROR_KINDS = {
+    timeout: { label: '请求超时', retryable: true },
+    network: { label: '网络错误', retryable: true },
+    rate_limit: { label: '请求过于频繁', retryable: true },
+    server: { label: '服务器错误', retryable: true },
+    auth: { label: '鉴权失败', retryable: false },
+    not_found: { label: '接口或模型不存在', retryable: false },
+    bad_request: { label: '请求无效', retryable: false },
+    empty: { label: '空回复', retryable: true },
+    validation: { label: '回复未通过验证', retryable: true },
+    config: { label: '配置错误', retryable: false },
+    unknown: { label: '未知错误', retryable: true },
+};
+
+/**
+ * 构造指定类别的错误分类结果。
+ * @param {string} kind - ERROR_KINDS 中的类别
+ * @param {object} [extra] - 附加字段（status、retryAfterMs）
+ * @returns {ErrorClass}
+ */
+export function makeErrorClass(kind, extra = {}) {
+    return { kind, ...ERROR_KINDS[kind], ...extra };
+}
+
+/**
+ * 取出错误中的HTTP状态码。优先使用 error.status，其次从错误信息中解析（兼容酒馆等返回纯文本错误的接口）。
+ * @param {*} error
+ * @returns {number|null}
+ */
+function getErrorStatus(error) {
+    if (typeof error?.status === 'number') {
+        return error.status;
+    }
+    const match = String(error?.message ?? error ?? '').match(/\b(?:status:?|HTTP)\s*(\d{3})\b/i);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * 判断一次失败是否值得重试。
+ * 429、5xx、网络错误与超时可重试；鉴权失败、请求无效等 4xx 错误重试也不会成功。
+ * @param {*} error - 抛出的错误，或提供方返回的 {message, status} 错误对象
+ * @returns {ErrorClass}
+ */
+export function classifyError(error) {
+    if (error?.name === 'TimeoutError') {
+        return makeErrorClass('timeout');
+    }
+
+    const status = getErrorStatus(error);
+    const retryAfterMs = error?.retryAfterMs ?? null;
+    if (status === 0 || (status === null && error?.name === 'TypeError')) {
+        // fetch 在网络故障或被CORS拦截时抛出 TypeError；jQuery 以 status 0 表示同类情况
+        return makeErrorClass('network', status === 0 ? { status } : {});
+    }
+    if (status === null) {
+        return makeErrorClass('unknown');
+    }
+    if (status === 429) {
+        return makeErrorClass('rate_limit', { status, retryAfterMs });
+    }
+    if (status === 408) {
+        return makeErrorClass('timeout', { status });
+    }
+    if (status >= 500) {
+        return makeErrorClass('server', { status, retryAfterMs });
+    }
+    if (status === 401 || status === 403 || (status === 400 && INVALID_API_KEY_REGEX.test(String(error?.message ?? error ?? '')))) {
+        return makeErrorClass('auth', { status });
+    }
+    if (status === 404) {
+        return makeErrorClass('not_found', { status });
+    }
+    if (status >= 400) {
+        return makeErrorClass('bad_request', { status });
+    }
+    return makeErrorClass('unknown', { status });
+}
+
+/**
+ * 计算第 attempt 次失败后、下一次重试前的等待时间。
+ * 服务器给出 Retry-After 时以其为准；否则使用指数退避，并在后一半区间内随机抖动，避免多个请求同时重试。
+ * @param {number} attempt - 刚失败的是第几次尝试（从1开始）
+ * @param {ErrorClass} [errorClass]
+ * @param {() => number} [random=Math.random]
+ * @returns {number} 等待毫秒数
+ */
+export function getRetryDelay(attempt, errorClass, random = Math.random) {
+    if (typeof errorClass?.retryAfterMs === 'number') {
+        return errorClass.retryAfterMs;
+    }
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * 生成用于提示的错误类别描述，例如“请求过于频繁，HTTP 429”。
+ * @param {ErrorClass} errorClass
+ * @returns {string}
+ */
+export function describeErrorClass(errorClass) {
+    if (!errorClass) return '';
+    const parts = [errorClass.label];
+    if (errorClass.status) parts.push(`HTTP ${errorClass.status}`);
+    if (!errorClass.retryable) parts.push('不可重试');
+    return parts.join('，');
+}
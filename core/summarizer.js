@@ -3,8 +3,10 @@
 
 import { extension_settings, getContext } from '/scripts/extensions.js';
 import { extractContentByTag, replaceContentByTag, extractFullTagBlock } from '../utils/tagProcessor.js';
-import { isGoogleEndpoint, convertToGoogleRequest, parseGoogleResponse, buildGoogleApiUrl } from '../utils/googleAdapter.js';
+import { buildGoogleRequest } from '../utils/googleAdapter.js';
+import { buildGoogleEndpoint } from './providers/google.js';
 import { fetchWithStreamAndTimeout } from './api.js';
+import { buildChatCompletionsUrl } from '../utils/apiUrl.js';
 
 const extensionName = 'quick-response-force';
 
@@ -75,42 +77,32 @@ export async function checkAndFixWithAPI(latestAiMessage, contextMessages) {
         console.groupEnd();
 
         // 调用API（使用流式传输）
-        const isGoogle = isGoogleEndpoint(settings.apiUrl);
+        // Google 直连（含 Vertex AI）与规划请求共用同一套地址与请求体构建逻辑
+        const isGoogle = settings.apiMode === 'google' || /(generativelanguage|aiplatform)\.googleapis\.com/.test(settings.apiUrl);
         const apiKey = settings.apiKey?.trim();
         const model = settings.model;
         const maxTokens = settings.maxTokens;
         const temperature = settings.temperature;
         
         let finalUrl;
+        let headers;
+        let body;
         if (isGoogle) {
-            // Google API流式端点
-            const apiVersion = 'v1beta';
-            const baseUrl = settings.apiUrl.trim().replace(/\/$/, '');
-            finalUrl = `${baseUrl}/${apiVersion}/models/${model}:streamGenerateContent?alt=sse`;
-            if (settings.apiUrl.includes('aiplatform.googleapis.com')) {
-                finalUrl += `&access_token=${apiKey}`;
-            } else {
-                finalUrl += `&key=${apiKey}`;
-            }
+            const googleSettings = {
+                ...settings,
+                googleBackend: settings.googleBackend || (settings.apiUrl.includes('aiplatform.googleapis.com') ? 'vertex' : 'aistudio'),
+            };
+            ({ url: finalUrl, headers } = buildGoogleEndpoint(googleSettings, true));
+            body = JSON.stringify(buildGoogleRequest(messages, googleSettings));
         } else {
-            let path = settings.apiUrl.trim().replace(/\/v1\/$/, '').replace(/\/$/, '');
-            finalUrl = `${path}/v1/chat/completions`;
+            // 优化请求一直会补上 /v1：地址中没有版本路径时补上 /v1，已填写到 /v1 等版本路径或完整的 /chat/completions 地址时原样使用
+            finalUrl = buildChatCompletionsUrl(settings.apiUrl, { defaultVersion: 'v1' });
+            headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+            body = JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, stream: true });
         }
-        
-        const headers = { 'Content-Type': 'application/json' };
-        if (isGoogle && settings.apiUrl.includes('aiplatform.googleapis.com')) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        } else if (!isGoogle) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        }
-
-        const body = JSON.stringify(isGoogle
-            ? convertToGoogleRequest({ model, messages, max_tokens: maxTokens, temperature })
-            : { model, messages, max_tokens: maxTokens, temperature, stream: true }
-        );
 
         console.log(`[${extensionName}] 发起流式优化请求...`);
-        const apiResponse = await fetchWithStreamAndTimeout(finalUrl, { method: 'POST', headers, body }, isGoogle);
+        const apiResponse = await fetchWithStreamAndTimeout(finalUrl, { method: 'POST', headers, body }, isGoogle ? 'google' : 'openai');
 
         if (!apiResponse) {
             console.error(`[${extensionName}] 未能从API响应中提取有效内容。`);
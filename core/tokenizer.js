@@ -0,0 +1,94 @@
+// core/tokenizer.js
+// 用酒馆的分词器统计Token数量，供规划提示词的Token预算使用。
+// 选择了模型的连接按模型名交给酒馆服务器选择对应的分词器（Claude、Llama、Gemma、Qwen等，其余按 tiktoken 计数）；
+// 酒馆连接预设等不指定模型的连接使用酒馆当前的分词器。分词请求失败时改为按字符估算。
+
+import { getContext } from '/scripts/extensions.js';
+import { getRequestHeaders } from '/script.js';
+import { extensionName } from '../utils/settings.js';
+import { getProvider } from './providers/index.js';
+
+const MODEL_ENCODE_URL = '/api/tokenizers/openai/encode';
+const CACHE_LIMIT = 2000;
+
+/** @type {Map<string, number>} 计数缓存，键为 分词器 + 文本；规划时同一段内容常被反复计数 */
+const cache = new Map();
+
+/**
+ * 粗略估算Token数：中日韩字符每字约1个Token，其余字符约4个字符1个Token。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    const source = String(text || '');
+    const cjk = (source.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return cjk + Math.ceil((source.length - cjk) / 4);
+}
+
+/**
+ * @param {string} model
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+async function countWithModel(model, text) {
+    const response = await fetch(`${MODEL_ENCODE_URL}?model=${encodeURIComponent(model)}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ text }),
+    });
+    if (!response.ok) {
+        throw new Error(`分词请求失败: ${response.status}`);
+    }
+    const data = await response.json();
+    if (!Number.isFinite(data?.count)) {
+        throw new Error('分词接口未返回Token数量');
+    }
+    return data.count;
+}
+
+/**
+ * 为一次规划创建Token计数器。
+ * @param {object} apiSettings - 主连接的API设置
+ * @returns {{name: string, count: (text: string) => Promise<number>, isEstimated: () => boolean}}
+ */
+export function createTokenCounter(apiSettings) {
+    const provider = getProvider(apiSettings.apiMode);
+    const model = provider?.requiresModel === false ? '' : String(apiSettings.model || '').trim();
+    const name = model ? `${model} 的分词器` : '酒馆当前分词器';
+    let estimated = false;
+
+    /**
+     * @param {string} text
+     * @returns {Promise<number|null>} 分词失败时返回 null
+     */
+    const countExact = async (text) => {
+        // 分词器不可用时不再反复请求
+        if (estimated) return null;
+        try {
+            return model ? await countWithModel(model, text) : await getContext().getTokenCountAsync(text);
+        } catch (error) {
+            if (!estimated) {
+                console.warn(`[${extensionName}] ${name}不可用，改为按字符估算Token:`, error);
+            }
+            estimated = true;
+            return null;
+        }
+    };
+
+    return {
+        name,
+        isEstimated: () => estimated,
+        async count(text) {
+            const source = String(text || '');
+            if (!source) return 0;
+            const key = `${name}\u0000${source}`;
+            if (cache.has(key)) return cache.get(key);
+
+            const count = await countExact(source);
+            if (count === null) return estimateTokens(source);
+            if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+            cache.set(key, count);
+            return count;
+        },
+    };
+}
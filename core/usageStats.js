@@ -0,0 +1,172 @@
+// core/usageStats.js
+// Token用量统计：按聊天与按天汇总每次规划请求的用量；费用在显示时按当前价格表估算
+
+import { extension_settings } from '/scripts/extensions.js';
+import { saveSettingsDebounced } from '/script.js';
+import { extensionName } from '../utils/settings.js';
+import { estimateCost } from '../utils/usage.js';
+
+const MAX_DAYS = 90; // 按天统计最多保留的天数
+const MAX_CHATS = 100; // 按聊天统计最多保留的聊天数（按最近使用时间）
+
+/**
+ * @typedef {object} ModelUsage
+ * @property {number} requests - 实际发出的请求数
+ * @property {number} unreported - 其中接口未返回用量的请求数
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ */
+
+/**
+ * @typedef {object} UsageSummary
+ * @property {string} label - 统计范围名称
+ * @property {number} requests
+ * @property {number} unreported
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} cost - 按价格表估算的费用
+ * @property {string[]} unpricedModels - 价格表中找不到价格的模型
+ */
+
+/**
+ * 本地日期，例如 "2025-01-31"。
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function toDayKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 把一次请求的用量计入按模型分组的统计。
+ * @param {Record<string, ModelUsage>} byModel
+ * @param {import('./api.js').PlanAttempt} attempt
+ */
+function addAttempt(byModel, attempt) {
+    const key = attempt.model || attempt.apiMode || '未知模型';
+    const entry = byModel[key] || { requests: 0, unreported: 0, promptTokens: 0, completionTokens: 0 };
+    entry.requests += 1;
+    if (attempt.usage) {
+        entry.promptTokens += attempt.usage.promptTokens || 0;
+        entry.completionTokens += attempt.usage.completionTokens || 0;
+    } else {
+        entry.unreported += 1;
+    }
+    byModel[key] = entry;
+}
+
+/**
+ * 只保留最近的若干项。
+ * @param {object} map
+ * @param {number} limit
+ * @param {(entry: [string, any]) => string|number} sortKey - 越大越新
+ * @returns {object}
+ */
+function keepLatest(map, limit, sortKey) {
+    const entries = Object.entries(map);
+    if (entries.length <= limit) return map;
+    return Object.fromEntries(entries.sort((a, b) => (sortKey(b) > sortKey(a) ? 1 : -1)).slice(0, limit));
+}
+
+/**
+ * 记录一次规划（含全部重试与备用配置）的Token用量。失败的请求同样计入，因为它们也会产生费用。
+ * @param {import('./api.js').PlanMeta} meta
+ * @param {string} [chatId] - 当前聊天的ID
+ */
+export function recordUsage(meta, chatId) {
+    const settings = extension_settings[extensionName];
+    const attempts = (meta?.attempts || []).filter(attempt => attempt.attempt > 0);
+    if (!settings || attempts.length === 0) return;
+
+    const stats = { days: {}, chats: {}, ...(settings.usageStats || {}) };
+    const dayKey = toDayKey();
+    const day = stats.days[dayKey] || { byModel: {} };
+    const chat = chatId ? (stats.chats[chatId] || { byModel: {} }) : null;
+
+    for (const attempt of attempts) {
+        addAttempt(day.byModel, attempt);
+        if (chat) addAttempt(chat.byModel, attempt);
+    }
+
+    stats.days = keepLatest({ ...stats.days, [dayKey]: day }, MAX_DAYS, ([key]) => key);
+    if (chat) {
+        chat.updatedAt = Date.now();
+        stats.chats = keepLatest({ ...stats.chats, [chatId]: chat }, MAX_CHATS, ([, entry]) => entry.updatedAt || 0);
+    }
+
+    settings.usageStats = stats;
+    saveSettingsDebounced();
+
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('qrf-usage-updated'));
+    }
+}
+
+/**
+ * 清空全部用量统计。
+ */
+export function resetUsageStats() {
+    const settings = extension_settings[extensionName];
+    if (!settings) return;
+    settings.usageStats = { days: {}, chats: {} };
+    saveSettingsDebounced();
+}
+
+/**
+ * 汇总若干组按模型分组的统计。
+ * @param {string} label
+ * @param {Array<{byModel: Record<string, ModelUsage>}|undefined>} buckets
+ * @param {import('../utils/usage.js').ModelPrice[]} prices
+ * @returns {UsageSummary}
+ */
+function summarize(label, buckets, prices) {
+    const byModel = {};
+    for (const bucket of buckets) {
+        for (const [model, usage] of Object.entries(bucket?.byModel || {})) {
+            const entry = byModel[model] || { requests: 0, unreported: 0, promptTokens: 0, completionTokens: 0 };
+            entry.requests += usage.requests || 0;
+            entry.unreported += usage.unreported || 0;
+            entry.promptTokens += usage.promptTokens || 0;
+            entry.completionTokens += usage.completionTokens || 0;
+            byModel[model] = entry;
+        }
+    }
+
+    const totals = Object.values(byModel).reduce((sum, usage) => ({
+        requests: sum.requests + usage.requests,
+        unreported: sum.unreported + usage.unreported,
+        promptTokens: sum.promptTokens + usage.promptTokens,
+        completionTokens: sum.completionTokens + usage.completionTokens,
+    }), { requests: 0, unreported: 0, promptTokens: 0, completionTokens: 0 });
+
+    return { label, ...totals, ...estimateCost(byModel, prices) };
+}
+
+/**
+ * 生成设置面板中显示的用量汇总：本聊天、今天、近7天、近30天。
+ * @param {string} [chatId]
+ * @param {import('../utils/usage.js').ModelPrice[]} [prices]
+ * @returns {UsageSummary[]}
+ */
+export function getUsageSummaries(chatId, prices = []) {
+    const stats = extension_settings[extensionName]?.usageStats || {};
+    const days = stats.days || {};
+
+    /**
+     * @param {number} count - 包含今天在内的天数
+     * @returns {Array<object>}
+     */
+    const lastDays = (count) => {
+        const since = new Date();
+        since.setDate(since.getDate() - (count - 1));
+        const sinceKey = toDayKey(since);
+        return Object.entries(days).filter(([key]) => key >= sinceKey).map(([, bucket]) => bucket);
+    };
+
+    return [
+        summarize('本聊天', [chatId ? stats.chats?.[chatId] : undefined], prices),
+        summarize('今天', [days[toDayKey()]], prices),
+        summarize('近7天', lastDays(7), prices),
+        summarize('近30天', lastDays(30), prices),
+    ];
+}
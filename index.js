@@ -2,18 +2,32 @@
 // 由Cline移植并重构，核心功能来自Amily2号插件
 
 import { getContext, extension_settings } from '/scripts/extensions.js';
-import { characters, this_chid, getRequestHeaders, saveSettings } from '/script.js';
+import { characters, this_chid, getRequestHeaders, saveSettings, stopGeneration } from '/script.js';
 import { eventSource, event_types } from '/script.js';
 import { createDrawer } from './ui/drawer.js';
-import { callInterceptionApi } from './core/api.js';
+import { createStreamPreview } from './ui/streamPreview.js';
+import { showPromptPreview } from './ui/promptPreview.js';
+import { callInterceptionApi, buildPlannerMessages, getConnectionError } from './core/api.js';
+import { startInspectorRun, finishInspectorRun } from './core/inspector.js';
+import { registerProvider, unregisterProvider, getProvider, listProviders } from './core/providers/index.js';
+import { createHttpProvider } from './core/providers/httpProvider.js';
 import { getCombinedWorldbookContent } from './core/lore.js';
 import { defaultSettings } from './utils/settings.js';
 import { getPromptPlaceholderReplacements } from './utils/promptPlaceholders.js';
 import { pruneQrfPlotHistory } from './utils/plotRetention.js';
+import { renderPlanTemplate, parseSchemaText, buildSchemaInstruction } from './utils/structuredOutput.js';
+import { markSource } from './utils/promptSources.js';
+import { applyTokenBudget, countPlaceholderUses, formatTokenBudgetReport } from './utils/tokenBudget.js';
+import { createTokenCounter } from './core/tokenizer.js';
+import { getEnabledStages, getInjectedStageId, validatePipeline, buildStageSettings, fillStageOutputs } from './core/pipeline.js';
 
 const extension_name = 'quick-response-force';
 let isProcessing = false;
 
+// 用户在规划提示中点击取消后的选择
+const CANCEL_SEND_UNPLANNED = 'send-unplanned'; // 取消规划，直接发送原消息
+const CANCEL_ABORT_SEND = 'abort-send'; // 取消规划，并中止本次发送
+
 /**
  * 将从 st-memory-enhancement 获取的原始表格JSON数据转换为更适合LLM读取的文本格式。
  * @param {object} jsonData - exportTableAsJson 返回的JSON对象。
@@ -201,6 +215,7 @@ async function handlePendingPlot(index) {
         
         if (message && message.is_user) {
             message.qrf_plot = window._qrf_pending_plot;
+            Object.assign(message, window._qrf_pending_plot_companions || {});
             console.log(`[${extension_name}] Pending plot stored in user message ${index}`);
 
             const retention = extension_settings[extension_name]?.apiSettings?.plotRetentionCount ?? 0;
@@ -212,176 +227,456 @@ async function handlePendingPlot(index) {
         
         // 清空临时变量
         delete window._qrf_pending_plot;
+        delete window._qrf_pending_plot_companions;
     }
 }
 
 
 /**
- * [重构] 核心优化逻辑，可被多处调用。
- * @param {string} userMessage - 需要被优化的用户输入文本。
- * @returns {Promise<{finalMessage: string, plot: string}|null>} - 返回优化后的完整消息体和plot数据，如果失败或跳过则返回null。
+ * 创建带取消按钮的“正在规划剧情...”常驻提示。
+ * 点击任一取消按钮都会中止正在进行的规划请求，并记录用户选择的后续动作。
+ * @returns {{$toast: JQuery, signal: AbortSignal, getCancelAction: () => (string|null), setStatus: (text: string) => void}}
  */
-async function runOptimizationLogic(userMessage, generationType = 'normal') {
-    // [功能更新] 触发插件时，发射一个事件，以便UI可以按需刷新
-    eventSource.emit('qrf-plugin-triggered');
+function createPlanningToast() {
+    const abortController = new AbortController();
+    let cancelAction = null;
+
+    const $toast = toastr.info(
+        `<div class="qrf_planning_status">正在规划剧情...</div>
+        <div class="qrf_planning_actions">
+            <button type="button" class="menu_button qrf_planning_cancel" data-action="${CANCEL_SEND_UNPLANNED}">取消并直接发送</button>
+            <button type="button" class="menu_button qrf_planning_cancel" data-action="${CANCEL_ABORT_SEND}">取消发送</button>
+        </div>`,
+        '剧情规划大师',
+        { timeOut: 0, extendedTimeOut: 0, tapToDismiss: false, closeButton: false, escapeHtml: false },
+    );
+
+    $toast.find('.qrf_planning_cancel').on('click', function(event) {
+        event.stopPropagation();
+        if (cancelAction) return;
+        cancelAction = $(this).data('action');
+        console.log(`[${extension_name}] 用户取消了剧情规划，后续动作: ${cancelAction}`);
+        const cancelError = new Error('用户取消了剧情规划');
+        cancelError.name = 'AbortError';
+        abortController.abort(cancelError);
+        toastr.clear($toast);
+    });
+
+    return {
+        $toast,
+        signal: abortController.signal,
+        getCancelAction: () => cancelAction,
+        setStatus: (text) => $toast.find('.qrf_planning_status').text(text),
+    };
+}
 
-    let $toast = null;
-    try {
-        // 在每次执行前，都重新进行一次深度合并，以获取最新、最完整的设置状态
-        const currentSettings = extension_settings[extension_name] || {};
-        const settings = {
-            ...defaultSettings,
-            ...currentSettings,
-            apiSettings: {
-                ...defaultSettings.apiSettings,
-                ...(currentSettings.apiSettings || {}),
-            },
-        };
+/**
+ * 规划被用户取消时的返回值。
+ * @param {{getCancelAction: () => (string|null)}} planningToast
+ * @returns {{cancelled: true, action: string}}
+ */
+function buildCancelledResult(planningToast) {
+    const action = planningToast.getCancelAction() || CANCEL_SEND_UNPLANNED;
+    if (action === CANCEL_ABORT_SEND) {
+        toastr.info('已取消剧情规划，本次发送已中止。', '剧情规划大师');
+    } else {
+        toastr.info('已取消剧情规划，将直接发送原消息。', '剧情规划大师');
+    }
+    return { cancelled: true, action };
+}
 
-        if (!settings.enabled || (settings.apiSettings.apiMode !== 'tavern' && !settings.apiSettings.apiUrl)) {
-            return null; // 插件未启用，直接返回
-        }
+/**
+ * 收集与 qrf_plot 一同保存到消息上的附属字段（字段名见 QRF_PLOT_COMPANION_KEYS），省略空值。
+ * @param {object|null} meta - 规划来源元数据
+ * @param {string} [reasoning] - 模型的思考内容，只供查看，不参与注入
+ * @param {any} [data] - 结构化输出的规划对象
+ * @param {import('./core/pipeline.js').StageOutput[]|null} [stages] - 多阶段规划各阶段的输出
+ * @returns {object}
+ */
+function buildPlotCompanions(meta, reasoning, data, stages) {
+    const companions = {};
+    if (meta) companions.qrf_plot_meta = meta;
+    if (reasoning) companions.qrf_plot_reasoning = reasoning;
+    if (data !== undefined) companions.qrf_plot_data = data;
+    if (stages?.length) companions.qrf_plot_stages = stages;
+    return companions;
+}
 
-        $toast = toastr.info('正在规划剧情...', '剧情规划大师', { timeOut: 0, extendedTimeOut: 0 });
+/**
+ * 替换提示词中的 sulv1~4、$5、$6、$U、$C 占位符（$1、$7 等在 buildPlannerMessages 中替换）。
+ * @param {string} text
+ * @param {object} replacements - 占位符 → 替换内容
+ * @param {boolean} [markSources=false] - 为替换内容加上来源标记，仅用于提示词预览
+ * @returns {string}
+ */
+function replacePromptPlaceholders(text, replacements, markSources = false) {
+    let result = String(text ?? '');
+    for (const key in replacements) {
+        const value = markSources ? markSource(key, replacements[key]) : replacements[key];
+        // [修复] 使用 escapeRegExp 来安全地处理像 $ 这样的特殊字符
+        result = result.replace(new RegExp(escapeRegExp(key), 'g'), value);
+    }
+    return result;
+}
 
-        const context = getContext();
-        const character = characters[this_chid];
-        const characterSettings = character?.data?.extensions?.[extension_name]?.apiSettings || {};
-        let apiSettings = { ...settings.apiSettings, ...characterSettings };
-
-        // [最终修复] 检查是否有激活的预设。如果有，则强制使用预设的提示词，覆盖任何来自角色卡的“幽灵数据”。
-        const lastUsedPresetName = settings.lastUsedPresetName;
-        const presets = settings.promptPresets || [];
-        if (lastUsedPresetName && presets.length > 0) {
-            const presetToApply = presets.find(p => p.name === lastUsedPresetName);
-            if (presetToApply) {
-                console.log(`[${extension_name}] Active preset "${lastUsedPresetName}" found. Forcing prompt override.`);
-                apiSettings = {
-                    ...apiSettings,
-                    mainPrompt: presetToApply.mainPrompt,
-                    systemPrompt: presetToApply.systemPrompt,
-                    finalSystemDirective: presetToApply.finalSystemDirective,
-                    rateMain: presetToApply.rateMain,
-                    ratePersonal: presetToApply.ratePersonal,
-                    rateErotic: presetToApply.rateErotic,
-                    rateCuckold: presetToApply.rateCuckold,
-                };
-            }
-        }
+/**
+ * 读取当前设置，并与默认值深度合并。每次规划前都重新读取，以获取最新、最完整的设置状态。
+ * @returns {object}
+ */
+function loadMergedSettings() {
+    const currentSettings = extension_settings[extension_name] || {};
+    return {
+        ...defaultSettings,
+        ...currentSettings,
+        apiSettings: {
+            ...defaultSettings.apiSettings,
+            ...(currentSettings.apiSettings || {}),
+        },
+    };
+}
 
-        const contextTurnCount = apiSettings.contextTurnCount ?? 1;
-        let slicedContext = [];
-        if (contextTurnCount > 0) {
-            // [修复] 修正上下文逻辑，确保只包含AI的回复，且数量由`contextTurnCount`控制。
-            // 1. 从整个聊天记录中筛选出所有AI的回复。
-            const aiHistory = context.chat.filter(msg => !msg.is_user);
-            // 2. 从筛选后的历史中，截取最后N条AI的回复。
-            const slicedAiHistory = aiHistory.slice(-contextTurnCount);
-            
-            slicedContext = slicedAiHistory.map(msg => ({ role: 'assistant', content: msg.mes }));
+/**
+ * 收集一次规划所需的输入：合并角色卡与提示词预设中的API设置，读取前文上下文，扫描世界书，导出表格数据，
+ * 按Token预算裁剪（启用时），并替换提示词中的 sulv1~4、$5、$6、$U、$C（$1、$7 等其余占位符在 buildPlannerMessages 中替换）。
+ * @param {object} settings - loadMergedSettings 的结果
+ * @param {string} userMessage
+ * @param {string} generationType
+ * @param {{markSources?: boolean}} [options] - markSources 为 true 时为替换内容加上来源标记，仅用于提示词预览
+ * @returns {Promise<{apiSettings: object, finalApiSettings: object, slicedContext: Array, worldbookContent: string, tableDataContent: string, replacements: object, budgetReport: import('./utils/tokenBudget.js').BudgetReport|null}>} budgetReport 为Token预算的裁剪报告，未启用预算时为 null
+ */
+async function preparePlanningInputs(settings, userMessage, generationType, options = {}) {
+    const context = getContext();
+    const character = characters[this_chid];
+    const characterSettings = character?.data?.extensions?.[extension_name]?.apiSettings || {};
+    let apiSettings = { ...settings.apiSettings, ...characterSettings };
+
+    // [最终修复] 检查是否有激活的预设。如果有，则强制使用预设的提示词，覆盖任何来自角色卡的“幽灵数据”。
+    const lastUsedPresetName = settings.lastUsedPresetName;
+    const presets = settings.promptPresets || [];
+    if (lastUsedPresetName && presets.length > 0) {
+        const presetToApply = presets.find(p => p.name === lastUsedPresetName);
+        if (presetToApply) {
+            console.log(`[${extension_name}] Active preset "${lastUsedPresetName}" found. Forcing prompt override.`);
+            apiSettings = {
+                ...apiSettings,
+                mainPrompt: presetToApply.mainPrompt,
+                systemPrompt: presetToApply.systemPrompt,
+                finalSystemDirective: presetToApply.finalSystemDirective,
+                rateMain: presetToApply.rateMain,
+                ratePersonal: presetToApply.ratePersonal,
+                rateErotic: presetToApply.rateErotic,
+                rateCuckold: presetToApply.rateCuckold,
+            };
         }
+    }
 
-        let worldbookContent = '';
-        if (apiSettings.worldbookEnabled) {
-            worldbookContent = await getCombinedWorldbookContent(context, apiSettings, userMessage, generationType);
+    const contextTurnCount = apiSettings.contextTurnCount ?? 1;
+    let slicedContext = [];
+    if (contextTurnCount > 0) {
+        // [修复] 修正上下文逻辑，确保只包含AI的回复，且数量由`contextTurnCount`控制。
+        // 1. 从整个聊天记录中筛选出所有AI的回复。
+        const aiHistory = context.chat.filter(msg => !msg.is_user);
+        // 2. 从筛选后的历史中，截取最后N条AI的回复。
+        const slicedAiHistory = aiHistory.slice(-contextTurnCount);
+        
+        slicedContext = slicedAiHistory.map(msg => ({ role: 'assistant', content: msg.mes }));
+    }
+
+    let worldbookContent = '';
+    if (apiSettings.worldbookEnabled) {
+        worldbookContent = await getCombinedWorldbookContent(context, apiSettings, userMessage, generationType);
+    }
+
+    // [架构重构] 读取上一轮优化结果，用于$6占位符
+    let lastPlotContent = getPlotFromHistory();
+    const ucReplacements = getPromptPlaceholderReplacements(context);
+
+    let tableDataContent = '';
+    try {
+        if (window.AutoCardUpdaterAPI && typeof window.AutoCardUpdaterAPI.exportTableAsJson === 'function') {
+            const tableDataJson = window.AutoCardUpdaterAPI.exportTableAsJson();
+            tableDataContent = formatTableDataForLLM(tableDataJson);
+        } else {
+            tableDataContent = '依赖的“记忆增强”插件未加载或版本不兼容。';
         }
+    } catch (error) {
+        console.error(`[${extension_name}] 处理记忆增强插件数据时出错:`, error);
+        tableDataContent = '{"error": "加载表格数据时发生错误"}';
+    }
 
-        // [架构重构] 读取上一轮优化结果，用于$6占位符
-        const lastPlotContent = getPlotFromHistory();
-        const ucReplacements = getPromptPlaceholderReplacements(context);
+    // [新功能] Token预算：按各部分的优先级与最低占比分配预算，超出的部分按整条目、整行、整轮、整句裁剪
+    let budgetReport = null;
+    if (apiSettings.tokenBudgetEnabled && apiSettings.tokenBudget > 0) {
+        const placeholderRegex = /(?<!\\)\$[1567UC]/g;
+        const jailbreakTexts = (settings.jailbreakPrompts || [])
+            .filter(p => p?.enabled !== false && p.content !== '$CORE_PROMPTS')
+            .map(p => p.content || '');
+        // 纯JB模式不发送主提示词与系统提示词；$6 只在这两者中替换
+        const coreTexts = settings.promptMode === 'jailbreak' ? [] : [apiSettings.mainPrompt, apiSettings.systemPrompt];
+        const promptTexts = [...coreTexts, ...jailbreakTexts];
+        const fixedText = [
+            ...promptTexts.map(text => String(text || '').replace(placeholderRegex, match => (match === '$U' || match === '$C' ? ucReplacements[match] || '' : ''))),
+            userMessage,
+        ].join('\n');
+
+        const budgeted = await applyTokenBudget({
+            budget: apiSettings.tokenBudget,
+            uses: {
+                $1: countPlaceholderUses(promptTexts, '$1'),
+                $5: countPlaceholderUses(promptTexts, '$5'),
+                // 未使用 $7 时前文上下文以独立的 system 消息发送
+                $7: Math.max(1, countPlaceholderUses(promptTexts, '$7')),
+                $6: countPlaceholderUses(coreTexts, '$6'),
+            },
+            fixedText,
+            sections: {
+                $1: { text: worldbookContent },
+                $5: { text: tableDataContent },
+                $7: { messages: slicedContext },
+                $6: { text: lastPlotContent },
+            },
+            rules: { ...defaultSettings.apiSettings.tokenBudgetSections, ...apiSettings.tokenBudgetSections },
+        }, createTokenCounter(apiSettings));
+
+        worldbookContent = budgeted.sections.$1;
+        tableDataContent = budgeted.sections.$5;
+        slicedContext = budgeted.sections.$7;
+        lastPlotContent = budgeted.sections.$6;
+        budgetReport = budgeted.report;
+        console.log(`[${extension_name}] Token预算：\n${formatTokenBudgetReport(budgetReport).join('\n')}`);
+    }
 
-        let tableDataContent = '';
-        try {
-            if (window.AutoCardUpdaterAPI && typeof window.AutoCardUpdaterAPI.exportTableAsJson === 'function') {
-                const tableDataJson = window.AutoCardUpdaterAPI.exportTableAsJson();
-                tableDataContent = formatTableDataForLLM(tableDataJson);
-            } else {
-                tableDataContent = '依赖的“记忆增强”插件未加载或版本不兼容。';
-            }
-        } catch (error) {
-            console.error(`[${extension_name}] 处理记忆增强插件数据时出错:`, error);
-            tableDataContent = '{"error": "加载表格数据时发生错误"}';
+    const replacements = {
+        'sulv1': apiSettings.rateMain,
+        'sulv2': apiSettings.ratePersonal,
+        'sulv3': apiSettings.rateErotic,
+        'sulv4': apiSettings.rateCuckold,
+        '$5': tableDataContent,
+        '$6': lastPlotContent, // [新增] 添加$6占位符及其内容
+        '$U': ucReplacements.$U,
+        '$C': ucReplacements.$C,
+    };
+
+    const processedPrompts = {
+        mainPrompt: replacePromptPlaceholders(apiSettings.mainPrompt, replacements, options.markSources),
+        systemPrompt: replacePromptPlaceholders(apiSettings.systemPrompt, replacements, options.markSources),
+        finalSystemDirective: replacePromptPlaceholders(apiSettings.finalSystemDirective, replacements, options.markSources),
+    };
+
+    const finalApiSettings = { ...apiSettings, ...processedPrompts };
+
+    return { apiSettings, finalApiSettings, slicedContext, worldbookContent, tableDataContent, replacements, budgetReport };
+}
+
+/**
+ * 预览规划提示词：对输入框中的内容完整执行一次提示词组装（世界书扫描、表格导出、$6/$7 解析、Jailbreak 排序），
+ * 但不发送请求。各占位符的替换内容带有来源标记，供预览窗口高亮显示。
+ */
+async function previewPlannerPrompt() {
+    const userMessage = String($('#send_textarea').val() ?? '');
+    const toast = toastr.info('正在组装提示词...', '预览提示词', { timeOut: 0, extendedTimeOut: 0 });
+    try {
+        const settings = loadMergedSettings();
+        const { finalApiSettings, slicedContext, worldbookContent, tableDataContent, budgetReport } = await preparePlanningInputs(settings, userMessage, 'normal', { markSources: true });
+        const { messages } = buildPlannerMessages(userMessage, slicedContext, finalApiSettings, worldbookContent, tableDataContent, settings, { markSources: true });
+
+        // 与 callInterceptionApi 一致：主连接不支持结构化输出时，Schema 以提示词形式附加在末尾
+        const provider = getProvider(finalApiSettings.apiMode);
+        if (finalApiSettings.structuredOutputEnabled && !provider?.supportsStructuredOutput) {
+            const instruction = buildSchemaInstruction(parseSchemaText(finalApiSettings.structuredOutputSchema));
+            messages.push({ ...instruction, content: markSource('schema', instruction.content) });
         }
 
-        const replacements = {
-            'sulv1': apiSettings.rateMain,
-            'sulv2': apiSettings.ratePersonal,
-            'sulv3': apiSettings.rateErotic,
-            'sulv4': apiSettings.rateCuckold,
-            '$5': tableDataContent,
-            '$6': lastPlotContent, // [新增] 添加$6占位符及其内容
-            '$U': ucReplacements.$U,
-            '$C': ucReplacements.$C,
-        };
+        showPromptPreview({
+            userMessage,
+            messages,
+            providerLabel: provider?.label || finalApiSettings.apiMode,
+            model: finalApiSettings.model,
+            budgetReport,
+        });
+    } catch (error) {
+        console.error(`[${extension_name}] 预览提示词失败:`, error);
+        toastr.error(error.message, '预览提示词失败');
+    } finally {
+        toastr.clear(toast);
+    }
+}
 
-        const processedPrompts = {
-            mainPrompt: apiSettings.mainPrompt,
-            systemPrompt: apiSettings.systemPrompt,
-            finalSystemDirective: apiSettings.finalSystemDirective
-        };
+/**
+ * [重构] 核心优化逻辑，可被多处调用。
+ * @param {string} userMessage - 需要被优化的用户输入文本。
+ * @returns {Promise<{finalMessage: string, plot: string, companions: object}|{cancelled: true, action: string}|null>} - 返回优化后的完整消息体、plot数据及与其一同保存到消息上的附属字段（见 buildPlotCompanions）；用户取消时返回取消结果（action 为 'send-unplanned' 或 'abort-send'）；如果失败或跳过则返回null。
+ */
+async function runOptimizationLogic(userMessage, generationType = 'normal') {
+    // [功能更新] 触发插件时，发射一个事件，以便UI可以按需刷新
+    eventSource.emit('qrf-plugin-triggered');
 
-        for (const key in replacements) {
-            const value = replacements[key];
-            // [修复] 使用 escapeRegExp 来安全地处理像 $ 这样的特殊字符
-            const regex = new RegExp(escapeRegExp(key), 'g');
-            processedPrompts.mainPrompt = processedPrompts.mainPrompt.replace(regex, value);
-            processedPrompts.systemPrompt = processedPrompts.systemPrompt.replace(regex, value);
-            processedPrompts.finalSystemDirective = processedPrompts.finalSystemDirective.replace(regex, value);
+    let $toast = null;
+    let planningToast = null;
+    let streamPreview = null;
+    let inspectorRun = null; // 请求检查器的记录，检查器关闭时为 null
+    try {
+        const settings = loadMergedSettings();
+
+        if (!settings.enabled) {
+            return null; // 插件未启用，直接返回
+        }
+        const connectionError = getConnectionError(settings.apiSettings);
+        if (connectionError) {
+            console.warn(`[${extension_name}] API配置不完整，跳过剧情规划: ${connectionError}`);
+            return null;
         }
 
-        const finalApiSettings = { ...apiSettings, ...processedPrompts };
+        planningToast = createPlanningToast();
+        $toast = planningToast.$toast;
+        const { signal } = planningToast;
+        if (settings.streamPreviewEnabled) {
+            streamPreview = createStreamPreview();
+        }
+        inspectorRun = startInspectorRun({ userMessage, generationType });
+
+        /**
+         * 把 callInterceptionApi 的进度转发给流式预览浮窗。
+         * @param {number} [round] - 外层（长度检查）重试的轮次
+         * @param {number} [rounds]
+         * @param {string} [stage] - 多阶段规划中当前阶段的名称
+         * @returns {object} callInterceptionApi 的 requestOptions
+         */
+        const buildRequestOptions = (round, rounds, stage) => ({
+            signal,
+            onAttemptStart: streamPreview ? info => streamPreview.startAttempt({ ...info, round, rounds, stage }) : undefined,
+            onDelta: streamPreview ? (delta, content) => streamPreview.update(delta, content) : undefined,
+            onAttemptEnd: streamPreview ? result => streamPreview.endAttempt(result) : undefined,
+            inspectorRun,
+        });
+
+        const { apiSettings, finalApiSettings, slicedContext, worldbookContent, tableDataContent, replacements, budgetReport } = await preparePlanningInputs(settings, userMessage, generationType);
+        if (inspectorRun) {
+            Object.assign(inspectorRun.placeholders, replacements);
+            if (budgetReport) inspectorRun.budget = budgetReport;
+        }
         const minLength = settings.minLength || 0;
-        let processedMessage = null;
         const maxRetries = apiSettings.maxRetries || 3;
 
-        // [重构] 使用 callInterceptionApi 内置的重试逻辑
-        // 如果设置了最小长度，则在外层再做一次长度检查
-        if (minLength > 0) {
-            for (let i = 0; i < maxRetries; i++) {
-                $toast.find('.toastr-message').text(`正在规划剧情... (尝试 ${i + 1}/${maxRetries})`);
-                const tempMessage = await callInterceptionApi(userMessage, slicedContext, finalApiSettings, worldbookContent, tableDataContent, settings);
-                
+        /**
+         * 请求一次规划。设置了最小回复长度时，回复过短会整体重新请求（callInterceptionApi 内部另有重试）。
+         * @param {object} planApiSettings - 本次请求使用的设置（提示词中的占位符已替换）
+         * @param {object} globalSettings - 提供提示词模式与 Jailbreak 提示词
+         * @param {number} planMinLength - 最小回复长度，0表示不检查
+         * @param {{statusText?: string, stage?: string}} [display] - 规划提示中显示的文字与当前阶段的名称
+         * @returns {Promise<{content: string, meta: object|null, reasoning: string, data?: any, round: number}|{cancelled: true}|{error: string}>} round 为成功的轮次
+         */
+        const requestPlan = async (planApiSettings, globalSettings, planMinLength, { statusText = '正在规划剧情...', stage } = {}) => {
+            const rounds = planMinLength > 0 ? maxRetries : 1;
+            for (let i = 0; i < rounds; i++) {
+                planningToast.setStatus(planMinLength > 0 ? `${statusText} (尝试 ${i + 1}/${rounds})` : statusText);
+                const apiResult = await callInterceptionApi(
+                    userMessage, slicedContext, planApiSettings, worldbookContent, tableDataContent, globalSettings,
+                    planMinLength > 0 ? buildRequestOptions(i + 1, rounds, stage) : buildRequestOptions(undefined, undefined, stage)
+                );
+                if (signal.aborted) {
+                    return { cancelled: true };
+                }
+                const tempMessage = apiResult?.content;
+                const inspectorCall = inspectorRun?.calls.at(-1);
+                if (planMinLength > 0 && inspectorCall && tempMessage) {
+                    inspectorCall.lengthCheck = { ok: tempMessage.length >= planMinLength, length: tempMessage.length, minLength: planMinLength };
+                }
+
                 // [关键修改] callInterceptionApi 现在在失败时返回 null
                 if (!tempMessage) {
                     // API调用失败（包括关键词验证失败），不再继续
-                    if ($toast) toastr.clear($toast);
-                    toastr.error('AI回复验证失败，操作已取消。', '规划失败');
-                    return null;
+                    return { error: 'AI回复验证失败，操作已取消。' };
                 }
-                
-                if (tempMessage.length >= minLength) {
-                    processedMessage = tempMessage;
-                    if ($toast) toastr.clear($toast);
-                    toastr.success(`剧情规划成功 (第 ${i + 1} 次尝试)。`, '成功');
-                    break;
+
+                if (tempMessage.length >= planMinLength) {
+                    return { content: tempMessage, meta: apiResult.meta || null, reasoning: apiResult.reasoning || '', data: apiResult.data, round: i + 1 };
                 }
-                if (i < maxRetries - 1) {
+                if (i < rounds - 1) {
+                    streamPreview?.endAttempt({ ok: false, error: `回复过短（${tempMessage.length}/${planMinLength} 字符）` });
                     toastr.warning(`回复过短，准备重试...`, '剧情规划大师', { timeOut: 2000 });
                     await new Promise(resolve => setTimeout(resolve, 1000));
+                    if (signal.aborted) {
+                        return { cancelled: true };
+                    }
                 }
             }
-            
-            // [关键修改] 如果所有尝试都因长度不足而失败，返回 null
-            if (!processedMessage) {
+            // [关键修改] 如果所有尝试都因长度不足而失败，返回错误
+            return { error: `重试 ${rounds} 次后回复依然过短，操作已取消。` };
+        };
+
+        let planResult;
+        let stageOutputs = null; // 多阶段规划各阶段的输出，随规划一同保存
+        const stages = getEnabledStages(finalApiSettings);
+        if (stages.length > 0) {
+            // [新功能] 多阶段规划：依次执行各阶段，前面阶段的输出通过 {{stage:阶段名}} 传给后续阶段
+            const pipelineError = validatePipeline(stages, finalApiSettings);
+            if (pipelineError) {
                 if ($toast) toastr.clear($toast);
-                toastr.error(`重试 ${maxRetries} 次后回复依然过短，操作已取消。`, '规划失败');
+                toastr.error(pipelineError, '配置错误');
                 return null;
             }
-        } else {
-            // 不检查长度，直接调用一次
-            processedMessage = await callInterceptionApi(userMessage, slicedContext, finalApiSettings, worldbookContent, tableDataContent, settings);
-            
-            // [关键修改] 如果 API 调用失败，返回 null
-            if (!processedMessage) {
-                if ($toast) toastr.clear($toast);
-                toastr.error('AI回复验证失败，操作已取消。', '规划失败');
-                return null;
+            const injectedStageId = getInjectedStageId(stages, finalApiSettings.pipelineInjectStage);
+            // 阶段提示词总是作为核心提示词发送（纯JB模式不发送核心提示词）
+            const stageGlobalSettings = { ...settings, promptMode: 'classic' };
+            const outputs = new Map();
+            stageOutputs = [];
+
+            for (const [index, stage] of stages.entries()) {
+                const injected = stage.id === injectedStageId;
+                const stageSettings = buildStageSettings(stage, finalApiSettings, injected);
+                stageSettings.mainPrompt = fillStageOutputs(replacePromptPlaceholders(stageSettings.mainPrompt, replacements), outputs);
+                stageSettings.systemPrompt = fillStageOutputs(replacePromptPlaceholders(stageSettings.systemPrompt, replacements), outputs);
+
+                const firstCall = inspectorRun?.calls.length ?? 0;
+                const result = await requestPlan(stageSettings, stageGlobalSettings, Number(stage.minLength) || 0, {
+                    statusText: `正在执行第 ${index + 1}/${stages.length} 阶段“${stage.name}”...`,
+                    stage: stage.name,
+                });
+                inspectorRun?.calls.slice(firstCall).forEach(call => { call.stage = stage.name; });
+                if (!result.content) {
+                    planResult = result.error ? { error: `阶段“${stage.name}”失败：${result.error}` } : result;
+                    break;
+                }
+
+                console.log(`[${extension_name}] 阶段“${stage.name}”完成（${result.content.length} 字符）`);
+                outputs.set(stage.name, result.content);
+                if (inspectorRun) {
+                    inspectorRun.placeholders[`{{stage:${stage.name}}}`] = result.content;
+                }
+                stageOutputs.push({ id: stage.id, name: stage.name, content: result.content, reasoning: result.reasoning || undefined, meta: result.meta, injected });
+                if (injected) {
+                    planResult = result;
+                }
             }
+        } else {
+            planResult = await requestPlan(finalApiSettings, settings, minLength);
+        }
+
+        if (planResult.cancelled) {
+            return buildCancelledResult(planningToast);
+        }
+        if (planResult.error) {
+            if ($toast) toastr.clear($toast);
+            toastr.error(planResult.error, '规划失败');
+            return null;
+        }
+
+        let processedMessage = planResult.content;
+        const planMeta = planResult.meta; // 本次规划由哪个后端产出、各次尝试记录
+        const planReasoning = planResult.reasoning; // 模型的思考内容，单独保存，不注入
+        const planData = planResult.data; // 启用结构化输出时通过校验的规划对象
+        if (!stageOutputs && minLength > 0) {
+            if ($toast) toastr.clear($toast);
+            toastr.success(`剧情规划成功 (第 ${planResult.round} 次尝试)。`, '成功');
         }
 
         if (processedMessage) {
+            // 结构化输出的规划按注入模板渲染，不再做标签排除与摘取（二者只用于未启用结构化输出时的文本回复）
+            const isStructured = planData !== undefined;
+
             // [新功能] 标签排除逻辑（支持标签名或完整正则表达式）
-            const tagsToExclude = (finalApiSettings.excludeTags || '').trim();
+            const tagsToExclude = isStructured ? '' : (finalApiSettings.excludeTags || '').trim();
             if (tagsToExclude) {
                 const excludePatterns = tagsToExclude.split(',').map(t => t.trim()).filter(t => t);
                 if (excludePatterns.length > 0) {
@@ -421,8 +716,10 @@ async function runOptimizationLogic(userMessage, generationType = 'normal') {
             const plotToSave = processedMessage;
 
             // [新功能] 标签摘取逻辑
-            let messageForTavern = processedMessage; // 默认使用完整回复
-            const tagsToExtract = (finalApiSettings.extractTags || '').trim();
+            let messageForTavern = isStructured
+                ? renderPlanTemplate(finalApiSettings.structuredOutputTemplate, planData)
+                : processedMessage; // 默认使用完整回复
+            const tagsToExtract = isStructured ? '' : (finalApiSettings.extractTags || '').trim();
 
             if (tagsToExtract) {
                 const tagNames = tagsToExtract.split(',').map(t => t.trim()).filter(t => t);
@@ -453,10 +750,13 @@ async function runOptimizationLogic(userMessage, generationType = 'normal') {
             const finalMessage = `${userMessage}\n\n${finalSystemDirective}\n${messageForTavern}`;
             
             if ($toast) toastr.clear($toast);
-            if (minLength <= 0) {
+            if (stageOutputs) {
+                toastr.success(`剧情规划大师已完成 ${stageOutputs.length} 个阶段的规划。`, '规划成功');
+            } else if (minLength <= 0) {
                 toastr.success('剧情规划大师已完成规划。', '规划成功');
             }
-            return { finalMessage, plot: plotToSave };
+            finishInspectorRun(inspectorRun, { status: 'success', injection: finalMessage, plot: plotToSave });
+            return { finalMessage, plot: plotToSave, companions: buildPlotCompanions(planMeta, planReasoning, planData, stageOutputs) };
         } else {
             // [关键修改] 所有重试都失败，返回 null
             if ($toast) toastr.clear($toast);
@@ -464,14 +764,43 @@ async function runOptimizationLogic(userMessage, generationType = 'normal') {
         }
 
     } catch (error) {
+        if (planningToast?.signal.aborted) {
+            return buildCancelledResult(planningToast);
+        }
         console.error(`[${extension_name}] 在核心优化逻辑中发生错误:`, error);
+        finishInspectorRun(inspectorRun, { status: 'error', error: error.message });
         if ($toast) toastr.clear($toast);
         toastr.error('剧情规划大师在处理时发生错误。', '规划失败');
         return null;
+    } finally {
+        streamPreview?.close();
+        // 其余提前返回的情况：取消或规划失败（已结束的记录不会被覆盖）
+        finishInspectorRun(inspectorRun, { status: planningToast?.signal.aborted ? 'cancelled' : 'failed' });
     }
 }
 
 
+/**
+ * 中止一次来自输入框的发送：清空输入框并停止生成，使酒馆不会把原消息发出。
+ * 酒馆读取并清空输入框后（会触发 input 事件），再把原文放回输入框，避免用户的输入丢失。
+ * @param {string} originalText - 用户原本输入的文本
+ */
+function abortTextareaSend(originalText) {
+    const $textarea = $('#send_textarea');
+    $textarea.val('');
+    $textarea.trigger('input');
+    stopGeneration();
+
+    $textarea.one('input.qrf_restore', () => {
+        setTimeout(() => {
+            if (!$textarea.val()) {
+                $textarea.val(originalText);
+                $textarea.trigger('input');
+            }
+        }, 0);
+    });
+}
+
 async function onGenerationAfterCommands(type, params, dryRun) {
     // 如果消息已被TavernHelper钩子处理，则跳过
     if (params?._qrf_processed_by_hook) {
@@ -498,14 +827,20 @@ async function onGenerationAfterCommands(type, params, dryRun) {
                 isProcessing = true;
                 try {
                     const result = await runOptimizationLogic(messageToProcess, type);
-                    if (result) {
-                        const { finalMessage, plot } = result;
+                    if (result?.cancelled) {
+                        // 消息已在聊天记录中；选择“取消发送”时中止本次生成，否则按原消息继续生成
+                        if (result.action === CANCEL_ABORT_SEND) {
+                            stopGeneration();
+                        }
+                    } else if (result) {
+                        const { finalMessage, plot, companions } = result;
                         params.prompt = finalMessage; // Inject into generation
                         lastMessage.mes = finalMessage; // Update chat history
                         
                         // [架构优化] 将plot直接存储到用户消息中
                         if (plot) {
                             lastMessage.qrf_plot = plot;
+                            Object.assign(lastMessage, companions);
                             console.log(`[${extension_name}] Plot stored in user message ${lastMessageIndex}`);
 
                             const retention = settings.apiSettings?.plotRetentionCount ?? 0;
@@ -541,8 +876,13 @@ async function onGenerationAfterCommands(type, params, dryRun) {
         isProcessing = true;
         try {
             const result = await runOptimizationLogic(textInBox, type);
-            if (result) {
-                const { finalMessage, plot } = result;
+            if (result?.cancelled) {
+                if (result.action === CANCEL_ABORT_SEND) {
+                    abortTextareaSend(textInBox);
+                }
+                // 选择“直接发送”时输入框保持原文，酒馆会照常发送
+            } else if (result) {
+                const { finalMessage, plot, companions } = result;
                 $('#send_textarea').val(finalMessage);
                 $('#send_textarea').trigger('input');
                 
@@ -550,6 +890,7 @@ async function onGenerationAfterCommands(type, params, dryRun) {
                 // 使用临时变量，稍后在消息创建事件中存储
                 if (plot) {
                     window._qrf_pending_plot = plot;
+                    window._qrf_pending_plot_companions = companions;
                 }
             }
         } catch (error) {
@@ -573,6 +914,16 @@ function loadPluginStyles() {
     document.head.appendChild(linkElement);
 }
 
+// 供其他扩展使用的公开接口：注册自定义API提供方后，可在设置面板中作为API模式选择
+window.QuickResponseForceAPI = {
+    ...(window.QuickResponseForceAPI || {}),
+    registerProvider,
+    unregisterProvider,
+    getProvider,
+    listProviders,
+    createHttpProvider,
+};
+
 jQuery(async () => {
     // [彻底修复] 执行一个健壮的、非破坏性的设置初始化。
     // 此方法会保留所有用户已保存的设置，仅当设置项不存在时才从默认值中添加。
@@ -634,12 +985,17 @@ jQuery(async () => {
                         userMessage = options.injects[0].content;
                     }
 
+                    let generationAborted = false;
                     if (userMessage) {
                         isProcessing = true;
                         try {
                             const result = await runOptimizationLogic(userMessage, 'normal');
-                            if (result) {
-                                const { finalMessage, plot } = result;
+                            if (result?.cancelled) {
+                                generationAborted = result.action === CANCEL_ABORT_SEND;
+                                // 选择“直接发送”时保持原参数，并避免 GENERATION_AFTER_COMMANDS 再次规划
+                                options._qrf_processed_by_hook = true;
+                            } else if (result) {
+                                const { finalMessage, plot, companions } = result;
                                 // 根据来源写回
                                 if (options.injects?.[0]?.content) {
                                     options.injects[0].content = finalMessage;
@@ -652,6 +1008,7 @@ jQuery(async () => {
                                 // [架构优化] 存储plot数据到pending变量，稍后在消息创建后保存
                                 if (plot) {
                                     window._qrf_pending_plot = plot;
+                                    window._qrf_pending_plot_companions = companions;
                                 }
                                 
                                 // 添加标志，防止 GENERATION_AFTER_COMMANDS 重复处理
@@ -664,6 +1021,11 @@ jQuery(async () => {
                         }
                     }
 
+                    if (generationAborted) {
+                        // 用户选择“取消发送”：不再调用原始 generate，直接告知调用方本次生成已被中止
+                        throw new Error('用户取消了剧情规划，已中止本次生成。');
+                    }
+
                     return window.original_TavernHelper_generate.apply(this, args);
                 };
 
@@ -677,6 +1039,13 @@ jQuery(async () => {
                     eventSource.on(event_types.MESSAGE_SENT, handlePendingPlot); // 在消息发送后处理pending plot
                     eventSource.on(event_types.CHAT_CHANGED, loadPresetAndCleanCharacterData);
 
+                    // 预览提示词按钮位于设置面板中，但组装逻辑在本文件
+                    $(document).on('click.qrf_preview_prompt', '#qrf_preview_prompt', function(e) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        previewPlannerPrompt();
+                    });
+
                     window.qrfEventsRegistered = true;
                     console.log(`[${extension_name}] Parallel event listeners registered.`);
                 }
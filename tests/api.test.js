@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extension_settings } from '/scripts/extensions.js';
+import { extensionName } from '../utils/settings.js';
+import { callInterceptionApi, getConnectionError } from '../core/api.js';
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function makeApiSettings(overrides = {}) {
+    return {
+        apiMode: 'frontend',
+        apiUrl: 'https://llm.example/v1',
+        apiKey: 'test-key',
+        model: 'test-model',
+        useStreaming: false,
+        maxRetries: 3,
+        mainPrompt: 'You plan the story.',
+        systemPrompt: 'Write the plan.',
+        requiredKeywords: 'PLAN',
+        ...overrides,
+    };
+}
+
+/**
+ * An OpenAI-style completion response.
+ *
+ * @param {string} content
+ * @returns {Response}
+ */
+function completion(content) {
+    return new Response(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 },
+    }), { headers: { 'content-type': 'application/json' } });
+}
+
+/**
+ * A fetch that never answers until the request is aborted.
+ *
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {Promise<Response>}
+ */
+function hangingFetch(url, options) {
+    return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    });
+}
+
+/**
+ * @returns {import('../core/usageStats.js').ModelUsage|undefined}
+ */
+function getChatUsage() {
+    return extension_settings[extensionName].usageStats?.chats?.['test-chat']?.byModel?.['test-model'];
+}
+
+beforeEach(() => {
+    extension_settings[extensionName] = {};
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    delete globalThis.$;
+});
+
+describe('getConnectionError', () => {
+    it('lets the provider decide which fields a connection needs', () => {
+        assert.equal(getConnectionError({ apiMode: 'backend', backendSource: 'openrouter', apiUrl: '' }), null);
+        assert.notEqual(getConnectionError({ apiMode: 'tavern', apiUrl: '', tavernProfile: '' }), null);
+        assert.match(getConnectionError({ apiMode: 'backend', backendSource: 'custom', apiUrl: '' }), /API URL/);
+        assert.match(getConnectionError({ apiMode: 'frontend', apiUrl: '' }), /API URL/);
+        assert.equal(getConnectionError({ apiMode: 'frontend', apiUrl: 'https://llm.example/v1' }), null);
+    });
+
+    it('reports unknown API modes', () => {
+        assert.match(getConnectionError({ apiMode: 'missing-mode' }), /missing-mode/);
+    });
+});
+
+describe('callInterceptionApi', () => {
+    it('records the usage of billed attempts when cancelled while waiting to retry', async () => {
+        const controller = new AbortController();
+        globalThis.fetch = async () => {
+            setTimeout(() => controller.abort(), 10);
+            return completion('missing the keyword');
+        };
+
+        const result = await callInterceptionApi('', [], makeApiSettings(), '', '', {}, { signal: controller.signal });
+
+        assert.equal(result, null);
+        assert.deepEqual(getChatUsage(), { requests: 1, unreported: 0, promptTokens: 10, completionTokens: 5 });
+        assert.equal(extension_settings[extensionName].failoverStats, undefined);
+    });
+
+    it('records the usage of billed attempts when cancelled during a request', async () => {
+        const controller = new AbortController();
+        let calls = 0;
+        globalThis.fetch = async (url, options) => {
+            calls += 1;
+            if (calls === 1) return completion('missing the keyword');
+            setTimeout(() => controller.abort(), 10);
+            return hangingFetch(url, options);
+        };
+
+        const result = await callInterceptionApi('', [], makeApiSettings(), '', '', {}, { signal: controller.signal });
+
+        assert.equal(result, null);
+        assert.equal(calls, 2);
+        assert.deepEqual(getChatUsage(), { requests: 2, unreported: 1, promptTokens: 10, completionTokens: 5 });
+    });
+
+    it('sends the plan request in backend mode with a non-custom source and no API URL', async () => {
+        let request;
+        globalThis.$ = {
+            ajax(options) {
+                request = JSON.parse(options.data);
+                const response = Promise.resolve({ choices: [{ message: { content: 'PLAN: duel at dawn' } }] });
+                response.abort = () => {};
+                return response;
+            },
+        };
+        const apiSettings = makeApiSettings({ apiMode: 'backend', backendSource: 'openrouter', apiUrl: '', apiKey: '' });
+
+        assert.equal(getConnectionError(apiSettings), null);
+        const result = await callInterceptionApi('', [], apiSettings, '', '', {});
+
+        assert.equal(result.content, 'PLAN: duel at dawn');
+        assert.equal(request.chat_completion_source, 'openrouter');
+        assert.equal(request.custom_url, undefined);
+    });
+});
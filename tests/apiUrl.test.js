@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChatCompletionsUrl, buildModelsUrl } from '../utils/apiUrl.js';
+
+describe('buildChatCompletionsUrl', () => {
+    it('appends /chat/completions to a base URL', () => {
+        assert.equal(buildChatCompletionsUrl('https://api.openai.com/v1'), 'https://api.openai.com/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl(' https://api.openai.com/v1/ '), 'https://api.openai.com/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host'), 'https://host/chat/completions');
+    });
+
+    it('keeps a full endpoint', () => {
+        assert.equal(buildChatCompletionsUrl('https://host/v1/chat/completions/'), 'https://host/v1/chat/completions');
+    });
+
+    it('inserts the default version only when the base has none', () => {
+        const options = { defaultVersion: 'v1' };
+        assert.equal(buildChatCompletionsUrl('https://host', options), 'https://host/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host/', options), 'https://host/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host/api', options), 'https://host/api/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host/v1/', options), 'https://host/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://openrouter.ai/api/v1', options), 'https://openrouter.ai/api/v1/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host/v1beta', options), 'https://host/v1beta/chat/completions');
+        assert.equal(buildChatCompletionsUrl('https://host/v1/chat/completions', options), 'https://host/v1/chat/completions');
+    });
+});
+
+describe('buildModelsUrl', () => {
+    it('accepts the same forms as buildChatCompletionsUrl', () => {
+        assert.equal(buildModelsUrl('https://host/v1'), 'https://host/v1/models');
+        assert.equal(buildModelsUrl('https://host/v1/chat/completions'), 'https://host/v1/models');
+        assert.equal(buildModelsUrl('https://host/v1/models'), 'https://host/v1/models');
+    });
+});
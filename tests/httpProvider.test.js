@@ -0,0 +1,41 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchJson } from '../core/providers/httpProvider.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+describe('fetchJson', () => {
+    it('aborts and rejects with a timeout when the server never answers', async () => {
+        let requestSignal;
+        globalThis.fetch = (url, options) => new Promise((resolve, reject) => {
+            requestSignal = options.signal;
+            options.signal.addEventListener('abort', () => reject(options.signal.reason));
+        });
+
+        await assert.rejects(fetchJson('https://models.example/v1/models', {}, undefined, 20), error => error.name === 'TimeoutError');
+        assert.equal(requestSignal.aborted, true);
+    });
+
+    it('returns the parsed body and sends the connection extra headers', async () => {
+        let request;
+        globalThis.fetch = async (url, options) => {
+            request = { url, options };
+            return new Response(JSON.stringify({ data: [{ id: 'model-a' }] }), { headers: { 'content-type': 'application/json' } });
+        };
+
+        const json = await fetchJson('https://models.example/v1/models', { Authorization: 'Bearer key' }, { extraHeaders: '{"X-Team":"qa"}' });
+        assert.deepEqual(json, { data: [{ id: 'model-a' }] });
+        assert.equal(request.options.method, 'GET');
+        assert.equal(request.options.headers.Authorization, 'Bearer key');
+        assert.equal(request.options.headers['X-Team'], 'qa');
+    });
+
+    it('throws an HTTP error that keeps the status', async () => {
+        globalThis.fetch = async () => new Response('{"error":"bad key"}', { status: 401, statusText: 'Unauthorized' });
+        await assert.rejects(fetchJson('https://models.example/v1/models'), error => error.status === 401 && /bad key/.test(error.message));
+    });
+});
@@ -0,0 +1,88 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extension_settings } from '/scripts/extensions.js';
+import { extensionName } from '../utils/settings.js';
+import { classifyError } from '../core/retry.js';
+import { acquireApiKey, reportKeyResult, describeExhaustedPool, getKeyPoolStatus } from '../core/keyPool.js';
+
+const apiSettings = { apiKeys: ['key-one-aaaaaaaa', 'key-two-bbbbbbbb'], keyRotation: 'round-robin' };
+
+/**
+ * Builds the error the HTTP layer throws for a failed response.
+ *
+ * @param {number} status
+ * @param {string} body
+ * @returns {Error}
+ */
+function httpError(status, body) {
+    const error = new Error(`HTTP error! status: ${status}  - ${body}`);
+    error.name = 'HttpError';
+    error.status = status;
+    return error;
+}
+
+const GOOGLE_INVALID_KEY_BODY = JSON.stringify({
+    error: {
+        code: 400,
+        message: 'API key not valid. Please pass a valid API key.',
+        status: 'INVALID_ARGUMENT',
+        details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }],
+    },
+});
+
+beforeEach(() => {
+    extension_settings[extensionName] = {};
+});
+
+describe('classifyError', () => {
+    it('treats 401 and 403 as auth failures', () => {
+        assert.equal(classifyError(httpError(401, 'Unauthorized')).kind, 'auth');
+        assert.equal(classifyError(httpError(403, 'Forbidden')).kind, 'auth');
+    });
+
+    it('treats Google invalid-key 400 responses as auth failures', () => {
+        const errorClass = classifyError(httpError(400, GOOGLE_INVALID_KEY_BODY));
+        assert.equal(errorClass.kind, 'auth');
+        assert.equal(errorClass.status, 400);
+        assert.equal(classifyError({ status: 400, message: 'API key expired. Please renew the API key. (API_KEY_INVALID)' }).kind, 'auth');
+    });
+
+    it('keeps other 400 responses as bad requests', () => {
+        assert.equal(classifyError(httpError(400, '{"error":{"message":"Invalid JSON payload received."}}')).kind, 'bad_request');
+    });
+});
+
+describe('key pool', () => {
+    it('marks a key invalid after a Google invalid-key response and rotates to the next key', () => {
+        const first = acquireApiKey(apiSettings);
+        reportKeyResult(first, classifyError(httpError(400, GOOGLE_INVALID_KEY_BODY)), GOOGLE_INVALID_KEY_BODY);
+
+        const statuses = getKeyPoolStatus(apiSettings);
+        assert.equal(statuses.find(status => status.id === first.id).state, 'invalid');
+
+        for (let i = 0; i < 3; i++) {
+            const lease = acquireApiKey(apiSettings);
+            assert.notEqual(lease.id, first.id);
+        }
+    });
+
+    it('reports an exhausted pool once every key is invalid', () => {
+        const invalidKey = classifyError(httpError(400, GOOGLE_INVALID_KEY_BODY));
+        reportKeyResult(acquireApiKey(apiSettings), invalidKey);
+        reportKeyResult(acquireApiKey(apiSettings), invalidKey);
+        assert.equal(acquireApiKey(apiSettings), null);
+        assert.deepEqual(describeExhaustedPool(apiSettings), { allInvalid: true, retryAfterMs: 0 });
+    });
+
+    it('keeps a key in rotation after an unrelated bad request', () => {
+        const lease = acquireApiKey(apiSettings);
+        reportKeyResult(lease, classifyError(httpError(400, 'context length exceeded')));
+        assert.equal(getKeyPoolStatus(apiSettings).find(status => status.id === lease.id).state, 'ok');
+    });
+
+    it('cools down a rate-limited key', () => {
+        const lease = acquireApiKey(apiSettings);
+        reportKeyResult(lease, classifyError(httpError(429, 'Too Many Requests')), 'Too Many Requests');
+        assert.equal(getKeyPoolStatus(apiSettings).find(status => status.id === lease.id).state, 'cooldown');
+    });
+});
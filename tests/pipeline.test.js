@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEnabledStages, getInjectedStageId, validatePipeline, buildStageSettings, fillStageOutputs } from '../core/pipeline.js';
+
+const connection = { id: 'c1', name: 'Backup', apiMode: 'frontend', apiUrl: 'https://backup.example/v1', model: 'backup-model' };
+
+/**
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function makeSettings(overrides = {}) {
+    return {
+        apiMode: 'frontend',
+        apiUrl: 'https://main.example/v1',
+        model: 'main-model',
+        failoverEnabled: true,
+        structuredOutputEnabled: true,
+        apiConnections: [connection],
+        pipelineEnabled: true,
+        pipelineStages: [],
+        ...overrides,
+    };
+}
+
+describe('getEnabledStages', () => {
+    it('returns no stages when the pipeline is off', () => {
+        assert.deepEqual(getEnabledStages(makeSettings({ pipelineEnabled: false, pipelineStages: [{ id: 'a', name: 'a' }] })), []);
+    });
+
+    it('skips disabled stages and trims names', () => {
+        const stages = getEnabledStages(makeSettings({
+            pipelineStages: [{ id: 'a', name: ' draft ' }, { id: 'b', name: 'off', enabled: false }, null],
+        }));
+        assert.deepEqual(stages.map(stage => [stage.id, stage.name]), [['a', 'draft']]);
+    });
+});
+
+describe('getInjectedStageId', () => {
+    const stages = [{ id: 'a' }, { id: 'b' }];
+
+    it('uses the chosen stage, or the last one when it is not enabled', () => {
+        assert.equal(getInjectedStageId(stages, 'a'), 'a');
+        assert.equal(getInjectedStageId(stages, 'gone'), 'b');
+        assert.equal(getInjectedStageId(stages, ''), 'b');
+    });
+});
+
+describe('validatePipeline', () => {
+    /**
+     * @param {object[]} stages
+     * @returns {string|null}
+     */
+    const validate = stages => validatePipeline(stages, makeSettings());
+
+    it('accepts references to earlier stages', () => {
+        assert.equal(validate([
+            { id: 'a', name: 'intent', systemPrompt: 'analyse' },
+            { id: 'b', name: 'draft', systemPrompt: 'use {{stage:intent}}', connectionId: 'c1' },
+        ]), null);
+    });
+
+    it('rejects empty and duplicate names', () => {
+        assert.match(validate([{ id: 'a', name: ' ', systemPrompt: 'x' }]), /未填写名称/);
+        assert.match(validate([{ id: 'a', name: 'x', systemPrompt: 'x' }, { id: 'b', name: 'x ', systemPrompt: 'x' }]), /不能重复/);
+    });
+
+    it('rejects stages without prompts', () => {
+        assert.match(validate([{ id: 'a', name: 'x', mainPrompt: ' ', systemPrompt: '' }]), /提示词为空/);
+    });
+
+    it('rejects a deleted connection', () => {
+        assert.match(validate([{ id: 'a', name: 'x', systemPrompt: 'x', connectionId: 'deleted' }]), /已被删除/);
+    });
+
+    it('rejects references to the stage itself and to later stages', () => {
+        assert.match(validate([{ id: 'a', name: 'x', systemPrompt: '{{stage:x}}' }]), /\{\{stage:x\}\}/);
+        assert.match(validate([
+            { id: 'a', name: 'x', mainPrompt: '{{stage:y}}' },
+            { id: 'b', name: 'y', systemPrompt: 'y' },
+        ]), /\{\{stage:y\}\}/);
+    });
+});
+
+describe('buildStageSettings', () => {
+    const stage = { id: 'a', name: 'draft', mainPrompt: 'main', systemPrompt: 'task', requiredKeywords: 'plot' };
+
+    it('keeps the main connection and the failover chain when no connection is chosen', () => {
+        const settings = buildStageSettings(stage, makeSettings(), true);
+        assert.equal(settings.apiUrl, 'https://main.example/v1');
+        assert.equal(settings.failoverEnabled, true);
+        assert.equal(settings.mainPrompt, 'main');
+        assert.equal(settings.systemPrompt, 'task');
+        assert.equal(settings.requiredKeywords, 'plot');
+    });
+
+    it('uses only the chosen connection', () => {
+        const settings = buildStageSettings({ ...stage, connectionId: 'c1' }, makeSettings(), true);
+        assert.equal(settings.apiUrl, 'https://backup.example/v1');
+        assert.equal(settings.model, 'backup-model');
+        assert.equal(settings.failoverEnabled, false);
+    });
+
+    it('throws when the chosen connection was deleted', () => {
+        assert.throws(() => buildStageSettings({ ...stage, connectionId: 'deleted' }, makeSettings(), true), /已被删除/);
+    });
+
+    it('enables structured output only for the injected stage', () => {
+        assert.equal(buildStageSettings(stage, makeSettings(), true).structuredOutputEnabled, true);
+        assert.equal(buildStageSettings(stage, makeSettings(), false).structuredOutputEnabled, false);
+        assert.equal(buildStageSettings(stage, makeSettings({ structuredOutputEnabled: false }), true).structuredOutputEnabled, false);
+    });
+});
+
+describe('fillStageOutputs', () => {
+    it('replaces references by trimmed stage name', () => {
+        const outputs = new Map([['intent', 'wants a duel']]);
+        assert.equal(fillStageOutputs('A: {{stage:intent}} / B: {{stage: intent }}', outputs), 'A: wants a duel / B: wants a duel');
+    });
+
+    it('replaces references to stages without output with an empty string', () => {
+        assert.equal(fillStageOutputs('[{{stage:missing}}]', new Map()), '[]');
+    });
+
+    it('matches output stored under a name that was saved with spaces', () => {
+        const [stage] = getEnabledStages(makeSettings({ pipelineStages: [{ id: 'a', name: 'draft ' }] }));
+        assert.equal(fillStageOutputs('{{stage:draft}}', new Map([[stage.name, 'text']])), 'text');
+    });
+});
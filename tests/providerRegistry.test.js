@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerProvider, registerBuiltinProvider, unregisterProvider, getProvider } from '../core/providers/registry.js';
+
+const send = async () => ({ content: 'ok' });
+
+describe('provider registry', () => {
+    it('keeps built-in providers from being replaced, even when builtin is passed', () => {
+        registerBuiltinProvider({ id: 'builtin-test', label: 'Built-in', send });
+        assert.throws(() => registerProvider({ id: 'builtin-test', send }), /内置提供方/);
+        assert.throws(() => registerProvider({ id: 'builtin-test', builtin: true, send }), /内置提供方/);
+        assert.equal(getProvider('builtin-test').label, 'Built-in');
+        assert.equal(unregisterProvider('builtin-test'), false);
+    });
+
+    it('registers external providers as not built-in', () => {
+        const entry = registerProvider({ id: ' external-test ', builtin: true, send });
+        assert.equal(entry.id, 'external-test');
+        assert.equal(entry.builtin, false);
+        assert.equal(entry.label, 'external-test');
+
+        const replaced = registerProvider({ id: 'external-test', label: 'Replaced', send });
+        assert.equal(getProvider('external-test'), replaced);
+        assert.equal(unregisterProvider('external-test'), true);
+        assert.equal(getProvider('external-test'), undefined);
+    });
+
+    it('rejects providers without id or send', () => {
+        assert.throws(() => registerProvider({ send }), /id/);
+        assert.throws(() => registerProvider({ id: 'no-send' }), /send/);
+    });
+});
@@ -0,0 +1,353 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSseParser, createNdjsonParser, createStreamDecoder, createStreamError } from '../utils/streamParser.js';
+
+/**
+ * Feeds chunks into a fresh SSE parser and returns the messages it emitted.
+ *
+ * @param {string[]} chunks
+ * @returns {import('../utils/streamParser.js').SseMessage[]}
+ */
+function parseSse(chunks) {
+    const messages = [];
+    const parser = createSseParser(message => messages.push(message));
+    chunks.forEach(chunk => parser.push(chunk));
+    parser.end();
+    return messages;
+}
+
+/**
+ * Feeds chunks into a decoder for `format` and returns the updates it emitted.
+ *
+ * @param {string} format
+ * @param {string[]} chunks
+ * @returns {import('../utils/streamParser.js').StreamUpdate[]}
+ */
+function decode(format, chunks) {
+    const updates = [];
+    const decoder = createStreamDecoder(format, update => updates.push(update));
+    chunks.forEach(chunk => decoder.push(chunk));
+    decoder.end();
+    return updates;
+}
+
+/**
+ * Serializes payloads as SSE `data:` events.
+ *
+ * @param {...any} payloads
+ * @returns {string}
+ */
+function sse(...payloads) {
+    return payloads.map(payload => `data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`).join('');
+}
+
+/**
+ * Splits text into chunks of `size` characters, to exercise chunk boundaries.
+ *
+ * @param {string} text
+ * @param {number} size
+ * @returns {string[]}
+ */
+function split(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    return chunks;
+}
+
+describe('createSseParser', () => {
+    it('parses LF-framed events', () => {
+        assert.deepEqual(parseSse(['data: a\n\ndata: b\n\n']), [
+            { event: 'message', data: 'a', id: '' },
+            { event: 'message', data: 'b', id: '' },
+        ]);
+    });
+
+    it('parses CRLF framing split at every position', () => {
+        const text = 'data: first\r\n\r\ndata: second\r\n\r\n';
+        for (let size = 1; size <= text.length; size++) {
+            assert.deepEqual(parseSse(split(text, size)).map(message => message.data), ['first', 'second'], `chunk size ${size}`);
+        }
+    });
+
+    it('treats a lone CR as a line ending, also when the CR ends a chunk', () => {
+        assert.deepEqual(parseSse(['data: a\r', '\rdata: b\r\r']).map(message => message.data), ['a', 'b']);
+    });
+
+    it('does not count the LF after a chunk-final CR as a second line ending', () => {
+        // With CRLF split as "\r" | "\n", the LF must not end an empty line and dispatch early
+        assert.deepEqual(parseSse(['data: a\r', '\ndata: b\r\n\r\n']), [{ event: 'message', data: 'a\nb', id: '' }]);
+    });
+
+    it('strips a leading BOM, also when it arrives alone', () => {
+        assert.deepEqual(parseSse(['\uFEFFdata: x\n\n']).map(message => message.data), ['x']);
+        assert.deepEqual(parseSse(['\uFEFF', 'data: x\n\n']).map(message => message.data), ['x']);
+    });
+
+    it('keeps a BOM that is not at the start of the stream', () => {
+        assert.deepEqual(parseSse(['data: a\n\n', '\uFEFFdata: b\n\n']).map(message => message.data), ['a']);
+    });
+
+    it('joins multi-line data with LF', () => {
+        assert.deepEqual(parseSse(['data: line 1\ndata:line 2\ndata:  indented\n\n']).map(message => message.data), ['line 1\nline 2\n indented']);
+    });
+
+    it('reads event and id fields and keeps the last id', () => {
+        assert.deepEqual(parseSse(['event: delta\nid: 7\ndata: a\n\ndata: b\n\n']), [
+            { event: 'delta', data: 'a', id: '7' },
+            { event: 'message', data: 'b', id: '7' },
+        ]);
+    });
+
+    it('ignores ids containing NUL', () => {
+        assert.equal(parseSse(['id: 1\ndata: a\n\nid: 2\0\ndata: b\n\n'])[1].id, '1');
+    });
+
+    it('skips comment lines and unknown fields', () => {
+        assert.deepEqual(parseSse([': keep-alive\n\nretry: 1000\nfoo: bar\ndata: a\n: note\n\n']).map(message => message.data), ['a']);
+    });
+
+    it('does not dispatch events without data', () => {
+        assert.deepEqual(parseSse(['event: ping\n\n']), []);
+    });
+
+    it('treats a field without a colon as an empty value', () => {
+        assert.deepEqual(parseSse(['data\n\n']).map(message => message.data), ['']);
+    });
+
+    it('dispatches an unterminated last event on end', () => {
+        assert.deepEqual(parseSse(['data: a\n\ndata: tail']).map(message => message.data), ['a', 'tail']);
+    });
+});
+
+describe('createNdjsonParser', () => {
+    /**
+     * @param {string[]} chunks
+     * @param {boolean} [end=true]
+     * @returns {string[]}
+     */
+    const parseLines = (chunks, end = true) => {
+        const lines = [];
+        const parser = createNdjsonParser(line => lines.push(line));
+        chunks.forEach(chunk => parser.push(chunk));
+        if (end) parser.end();
+        return lines;
+    };
+
+    it('emits lines split across chunks', () => {
+        assert.deepEqual(parseLines(['{"a":', '1}\n{"b"', ':2}\n']), ['{"a":1}', '{"b":2}']);
+    });
+
+    it('accepts CRLF and skips blank lines', () => {
+        assert.deepEqual(parseLines(['{"a":1}\r\n\r\n  \n{"b":2}\r\n']), ['{"a":1}', '{"b":2}']);
+    });
+
+    it('holds a trailing partial line until end', () => {
+        assert.deepEqual(parseLines(['{"a":1}\n{"b":'], false), ['{"a":1}']);
+        assert.deepEqual(parseLines(['{"a":1}\n{"b":', '2}']), ['{"a":1}', '{"b":2}']);
+    });
+});
+
+describe('createStreamError', () => {
+    it('keeps an HTTP-like code as status', () => {
+        const error = createStreamError('failed', { code: 429 });
+        assert.equal(error.name, 'StreamError');
+        assert.equal(error.status, 429);
+        assert.equal(createStreamError('failed', { status: '503' }).status, 503);
+    });
+
+    it('ignores codes outside 400-599', () => {
+        assert.equal(createStreamError('failed', { code: 200 }).status, undefined);
+        assert.equal(createStreamError('failed', { code: 'rate_limit_exceeded' }).status, undefined);
+        assert.equal(createStreamError('failed').status, undefined);
+    });
+});
+
+describe('STREAM_DIALECTS.openai', () => {
+    it('decodes content, reasoning, usage and finish_reason', () => {
+        const updates = decode('openai', split(sse(
+            { choices: [{ delta: { reasoning_content: 'think' } }] },
+            { choices: [{ delta: { reasoning: ' more' } }] },
+            { choices: [{ delta: { content: 'Hello' } }] },
+            { choices: [{ delta: {}, finish_reason: 'stop' }] },
+            { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } },
+            '[DONE]',
+        ), 7));
+        assert.deepEqual(updates.map(update => update.reasoning).filter(Boolean), ['think', ' more']);
+        assert.deepEqual(updates.map(update => update.content).filter(Boolean), ['Hello']);
+        assert.equal(updates[3].finishReason, 'stop');
+        assert.deepEqual(updates[4].usage, { prompt_tokens: 3, completion_tokens: 2 });
+        assert.deepEqual(updates.at(-1), { done: true });
+    });
+
+    it('lower-cases unmapped finish reasons', () => {
+        const [update] = decode('openai', [sse({ choices: [{ delta: {}, finish_reason: 'LENGTH' }] })]);
+        assert.equal(update.finishReason, 'length');
+    });
+
+    it('ignores data after [DONE]', () => {
+        const updates = decode('openai', [sse('[DONE]', { choices: [{ delta: { content: 'late' } }] })]);
+        assert.deepEqual(updates, [{ done: true }]);
+    });
+
+    it('skips non-JSON keep-alive data', () => {
+        const debug = console.debug;
+        console.debug = () => {};
+        try {
+            const updates = decode('openai', [sse('keep-alive', { choices: [{ delta: { content: 'a' } }] })]);
+            assert.deepEqual(updates.map(update => update.content), ['a']);
+        } finally {
+            console.debug = debug;
+        }
+    });
+
+    it('is used for unknown formats', () => {
+        const [update] = decode('unknown', [sse({ choices: [{ delta: { content: 'a' } }] })]);
+        assert.equal(update.content, 'a');
+    });
+
+    it('throws on a mid-stream error payload and keeps its status', () => {
+        assert.throws(
+            () => decode('openai', [sse({ choices: [{ delta: { content: 'a' } }] }, { error: { message: 'Rate limit reached', code: 429 } })]),
+            error => error.name === 'StreamError' && error.status === 429 && /Rate limit reached/.test(error.message),
+        );
+    });
+
+    it('throws on a string error payload', () => {
+        assert.throws(() => decode('openai', [sse({ error: 'upstream failed' })]), /upstream failed/);
+    });
+
+    it('throws on an error event', () => {
+        assert.throws(
+            () => decode('openai', ['event: error\ndata: {"message":"overloaded","status":503}\n\n']),
+            error => error.status === 503 && /overloaded/.test(error.message),
+        );
+        assert.throws(() => decode('openai', ['event: error\ndata: plain text\n\n']), /plain text/);
+    });
+});
+
+describe('STREAM_DIALECTS.google', () => {
+    it('separates thought parts from text and maps finish reasons', () => {
+        const updates = decode('google', [sse(
+            { candidates: [{ content: { parts: [{ text: 'plan', thought: true }, { text: 'Hi' }, { text: ' there' }] } }], usageMetadata: { promptTokenCount: 4 } },
+            { candidates: [{ content: { parts: [] }, finishReason: 'MAX_TOKENS' }] },
+            { candidates: [{ finishReason: 'SAFETY' }] },
+            { candidates: [{ finishReason: 'OTHER' }] },
+        )]);
+        assert.equal(updates[0].content, 'Hi there');
+        assert.equal(updates[0].reasoning, 'plan');
+        assert.deepEqual(updates[0].usage, { promptTokenCount: 4 });
+        assert.deepEqual(updates.slice(1).map(update => update.finishReason), ['length', 'content_filter', 'other']);
+    });
+
+    it('throws when the prompt is blocked', () => {
+        assert.throws(() => decode('google', [sse({ promptFeedback: { blockReason: 'SAFETY' } })]), /SAFETY/);
+    });
+
+    it('throws on an error payload and keeps its status', () => {
+        assert.throws(
+            () => decode('google', [sse({ error: { code: 500, message: 'Internal error', status: 'INTERNAL' } })]),
+            error => error.status === 500 && /Internal error/.test(error.message),
+        );
+    });
+});
+
+describe('STREAM_DIALECTS.anthropic', () => {
+    const events = [
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":10}}}\n\n',
+        'event: ping\ndata: {"type":"ping"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"thinking_delta","thinking":"hmm"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"signature_delta","signature":"x"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"max_tokens"},"usage":{"output_tokens":5}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"late"}}\n\n',
+    ].join('');
+
+    it('decodes usage, thinking, text and the stop reason, and stops at message_stop', () => {
+        assert.deepEqual(decode('anthropic', split(events, 13)), [
+            { usage: { input_tokens: 10 } },
+            { reasoning: 'hmm' },
+            { content: 'Hi' },
+            { usage: { output_tokens: 5 }, finishReason: 'length' },
+            { done: true },
+        ]);
+    });
+
+    it('maps stop reasons', () => {
+        const finishReason = reason => decode('anthropic', [sse({ type: 'message_delta', delta: { stop_reason: reason } })])[0].finishReason;
+        assert.equal(finishReason('end_turn'), 'stop');
+        assert.equal(finishReason('stop_sequence'), 'stop');
+        assert.equal(finishReason('refusal'), 'content_filter');
+        assert.equal(finishReason('tool_use'), 'tool_use');
+    });
+
+    it('throws on an error event', () => {
+        assert.throws(
+            () => decode('anthropic', ['event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n']),
+            error => error.name === 'StreamError' && /overloaded_error - Overloaded/.test(error.message),
+        );
+    });
+});
+
+describe('STREAM_DIALECTS.ollama', () => {
+    it('decodes NDJSON lines, including a final line without a newline', () => {
+        const lines = [
+            { message: { role: 'assistant', thinking: 'hmm' }, done: false },
+            { message: { role: 'assistant', content: 'Hi' }, done: false },
+            { message: { role: 'assistant', content: '' }, done: true, done_reason: 'length', prompt_eval_count: 4, eval_count: 2 },
+        ].map(line => JSON.stringify(line)).join('\n');
+        const updates = decode('ollama', split(lines, 9));
+        assert.equal(updates[0].reasoning, 'hmm');
+        assert.equal(updates[1].content, 'Hi');
+        assert.equal(updates[2].finishReason, 'length');
+        assert.equal(updates[2].usage.eval_count, 2);
+        assert.equal(updates[2].done, true);
+    });
+
+    it('defaults the finish reason to stop', () => {
+        const [update] = decode('ollama', ['{"message":{"content":"a"},"done":true}\n']);
+        assert.equal(update.finishReason, 'stop');
+    });
+
+    it('throws on an error line', () => {
+        assert.throws(() => decode('ollama', ['{"message":{"content":"a"},"done":false}\n{"error":"model not found"}\n']), /model not found/);
+    });
+});
+
+describe('STREAM_DIALECTS.llamacpp', () => {
+    it('decodes content and the final chunk', () => {
+        const updates = decode('llamacpp', [sse(
+            { content: 'Hi', stop: false },
+            { content: '', stop: true, stop_type: 'eos', tokens_predicted: 2 },
+        )]);
+        assert.equal(updates[0].content, 'Hi');
+        assert.equal(updates[0].done, false);
+        assert.equal(updates[1].finishReason, 'stop');
+        assert.equal(updates[1].usage.tokens_predicted, 2);
+        assert.equal(updates[1].done, true);
+    });
+
+    it('maps limit and truncated stops to length', () => {
+        assert.equal(decode('llamacpp', [sse({ content: '', stop: true, stop_type: 'limit' })])[0].finishReason, 'length');
+        assert.equal(decode('llamacpp', [sse({ content: '', stop: true, truncated: true })])[0].finishReason, 'length');
+    });
+
+    it('throws on an error payload and keeps its status', () => {
+        assert.throws(
+            () => decode('llamacpp', [sse({ error: { code: 503, message: 'Loading model', type: 'unavailable_error' } })]),
+            error => error.status === 503 && /Loading model/.test(error.message),
+        );
+    });
+});
+
+describe('createStreamDecoder', () => {
+    it('reports done and ignores input afterwards', () => {
+        const updates = [];
+        const decoder = createStreamDecoder('openai', update => updates.push(update));
+        decoder.push(sse('[DONE]'));
+        assert.equal(decoder.done, true);
+        decoder.push(sse({ choices: [{ delta: { content: 'late' } }] }));
+        decoder.end();
+        assert.deepEqual(updates, [{ done: true }]);
+    });
+});
@@ -0,0 +1,52 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extension_settings } from '/scripts/extensions.js';
+import { checkAndFixWithAPI } from '../core/summarizer.js';
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * Runs the optimizer against `apiUrl` and returns the URL it requested.
+ *
+ * @param {string} apiUrl
+ * @returns {Promise<string>}
+ */
+async function getRequestedUrl(apiUrl) {
+    extension_settings['quick-response-force'] = {
+        enabled: true,
+        optimizationEnabled: true,
+        apiMode: 'frontend',
+        apiUrl,
+        apiKey: 'test-key',
+        model: 'test-model',
+        optimizationTargetTag: 'div',
+    };
+    let requestedUrl;
+    globalThis.fetch = async (url) => {
+        requestedUrl = url;
+        const chunk = { choices: [{ delta: { content: '<div>better</div>' } }] };
+        return new Response(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`, { headers: { 'content-type': 'text/event-stream' } });
+    };
+
+    const result = await checkAndFixWithAPI({ mes: '<div>draft</div>' }, []);
+    assert.equal(result.optimizedContent, '<div>better</div>');
+    return requestedUrl;
+}
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    delete extension_settings['quick-response-force'];
+});
+
+describe('checkAndFixWithAPI', () => {
+    it('keeps adding /v1 to saved addresses without a version path', async () => {
+        assert.equal(await getRequestedUrl('https://host'), 'https://host/v1/chat/completions');
+        assert.equal(await getRequestedUrl('https://host/'), 'https://host/v1/chat/completions');
+    });
+
+    it('uses addresses that already end in a version path or the full endpoint', async () => {
+        assert.equal(await getRequestedUrl('https://host/v1/'), 'https://host/v1/chat/completions');
+        assert.equal(await getRequestedUrl('https://host/v1'), 'https://host/v1/chat/completions');
+        assert.equal(await getRequestedUrl('https://host/v1/chat/completions'), 'https://host/v1/chat/completions');
+    });
+});
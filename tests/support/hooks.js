@@ -0,0 +1,8 @@
+const SILLYTAVERN_MODULES = new Set(['/script.js', '/scripts/extensions.js', '/scripts/power-user.js']);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (SILLYTAVERN_MODULES.has(specifier)) {
+        return { url: new URL('./sillytavern.js', import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,8 @@
+// Lets modules that import SillyTavern's browser modules (/script.js, /scripts/extensions.js, /scripts/power-user.js) load under Node:
+// those specifiers resolve to tests/support/sillytavern.js. Run with `node --import ./tests/support/register.js`.
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
+
+// Toasts are only displayed, never read back
+globalThis.toastr = { info() {}, success() {}, warning() {}, error() {}, clear() {} };
@@ -0,0 +1,19 @@
+// Stand-ins for the parts of SillyTavern's modules the tested code uses.
+
+export const extension_settings = {};
+
+export const characters = [];
+
+export const this_chid = undefined;
+
+export const power_user = {};
+
+export function getContext() {
+    return { chatId: 'test-chat', characters };
+}
+
+export function saveSettingsDebounced() {}
+
+export function getRequestHeaders() {
+    return { 'Content-Type': 'application/json', 'X-CSRF-Token': 'test-token' };
+}
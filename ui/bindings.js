@@ -4,9 +4,21 @@
 import { extension_settings, getContext } from '/scripts/extensions.js';
 import { characters, this_chid, getRequestHeaders, saveSettingsDebounced, saveSettings as saveSettingsImmediate } from '/script.js';
 import { eventSource, event_types } from '/script.js';
-import { extensionName, defaultSettings } from '../utils/settings.js';
+import { extensionName, defaultSettings, DEFAULT_REQUEST_TIMEOUTS } from '../utils/settings.js';
 import { pruneQrfPlotHistory } from '../utils/plotRetention.js';
-import { fetchModels, testApiConnection } from '../core/api.js';
+import { fetchModels } from '../core/api.js';
+import { getProvider, listProviders } from '../core/providers/index.js';
+import { GOOGLE_SAFETY_CATEGORIES, GOOGLE_SAFETY_THRESHOLDS } from '../utils/googleAdapter.js';
+import { pickConnectionSettings } from '../core/failover.js';
+import { parseSchemaText } from '../utils/structuredOutput.js';
+import { parseExtraHeaders, parseExtraBody } from '../utils/requestOverrides.js';
+import { getUsageSummaries, resetUsageStats } from '../core/usageStats.js';
+import { getKeyPoolStatus, resetKeyPoolStatus } from '../core/keyPool.js';
+import { resetConnectionRoutes } from '../core/corsFallback.js';
+import { getCachedCatalog, getModelInfo } from '../core/modelCatalog.js';
+import { describeModelInfo, checkModelLimits } from '../utils/modelMetadata.js';
+import { showRequestInspector } from './inspector.js';
+import { showConnectionDiagnostics } from './diagnostics.js';
 
 /**
  * 手动触发所有设置的保存。
@@ -41,10 +53,18 @@ function toCamelCase(str) {
     return str.replace(/[-_]([a-z])/g, (g) => g[1].toUpperCase());
 }
 
+// 各API模式的默认服务地址
+const DEFAULT_API_URLS = {
+    google: 'https://generativelanguage.googleapis.com',
+    anthropic: 'https://api.anthropic.com',
+    ollama: 'http://127.0.0.1:11434',
+    llamacpp: 'http://127.0.0.1:8080',
+};
+
 /**
  * 根据选择的API模式，更新URL输入框的可见性并自动填充URL。
  * @param {JQuery} panel - 设置面板的jQuery对象。
- * @param {string} apiMode - 当前选择的API模式 ('backend', 'frontend', 或 'google')。
+ * @param {string} apiMode - 当前选择的API模式 ('backend', 'frontend', 'google', 'anthropic', 'ollama', 'llamacpp' 或 'tavern')。
  */
 function updateApiUrlVisibility(panel, apiMode) {
     const customApiSettings = panel.find('#qrf_custom_api_settings_block');
@@ -61,14 +81,113 @@ function updateApiUrlVisibility(panel, apiMode) {
         customApiSettings.show();
         if (apiMode === 'google') {
             panel.find('#qrf_api_url_block').hide();
-            const googleUrl = 'https://generativelanguage.googleapis.com';
+            const googleUrl = DEFAULT_API_URLS.google;
             if (apiUrlInput.val() !== googleUrl) {
                 apiUrlInput.val(googleUrl).trigger('change');
             }
         } else {
-            panel.find('#qrf_api_url_block').show();
+            // 外部注册的提供方可以声明不需要 API URL
+            panel.find('#qrf_api_url_block').toggle(getProvider(apiMode)?.requiresApiUrl !== false);
+            // 仅在URL为空或仍是其他模式的默认地址时自动填充，保留用户自定义的中转/服务地址
+            const defaultUrl = DEFAULT_API_URLS[apiMode];
+            const currentUrl = apiUrlInput.val();
+            if (defaultUrl && (!currentUrl || Object.values(DEFAULT_API_URLS).includes(currentUrl))) {
+                apiUrlInput.val(defaultUrl).trigger('change');
+            }
         }
     }
+
+    panel.find('#qrf_api_key_pool_block').toggle(getProvider(apiMode)?.supportsKeyPool === true);
+    panel.find('#qrf_request_overrides_block').toggle(getProvider(apiMode)?.supportsRequestOverrides === true);
+    panel.find('#qrf_cors_fallback_block').toggle(Array.isArray(getProvider(apiMode)?.corsFallbackRoutes));
+    panel.find('#qrf_ollama_options_block').toggle(apiMode === 'ollama');
+    panel.find('#qrf_google_options_block').toggle(apiMode === 'google');
+    panel.find('#qrf_google_backend_block').toggle(apiMode === 'google');
+    updateGoogleBackendVisibility(panel, panel.find('#qrf_google_backend').val());
+    panel.find('#qrf_backend_source_block').toggle(apiMode === 'backend');
+    updateBackendSourceVisibility(panel, apiMode, panel.find('#qrf_backend_source').val());
+}
+
+/**
+ * 后端代理模式选择酒馆的其他来源时，隐藏地址与密钥输入框（由酒馆使用服务器端保存的密钥）。
+ * @param {JQuery} panel - 设置面板的jQuery对象。
+ * @param {string} apiMode
+ * @param {string} backendSource - 酒馆聊天补全来源
+ */
+function updateBackendSourceVisibility(panel, apiMode, backendSource) {
+    if (apiMode !== 'backend') {
+        panel.find('#qrf_api_key_block').show();
+        return;
+    }
+    const isCustom = !backendSource || backendSource === 'custom';
+    panel.find('#qrf_api_url_block, #qrf_api_key_block').toggle(isCustom);
+    panel.find('#qrf_backend_source_hint').toggle(!isCustom);
+}
+
+/**
+ * 根据 Google 后端（AI Studio / Vertex AI）切换 Vertex 配置项的显示。
+ * @param {JQuery} panel - 设置面板的jQuery对象。
+ * @param {string} googleBackend - 'aistudio' | 'vertex'
+ */
+function updateGoogleBackendVisibility(panel, googleBackend) {
+    const isVertex = googleBackend === 'vertex';
+    panel.find('#qrf_vertex_options, #qrf_vertex_hint').toggle(isVertex);
+    panel.find('#qrf_api_key').attr('placeholder', isVertex ? 'Vertex AI 访问令牌 (Bearer Token)' : '你的API密钥');
+}
+
+/**
+ * 为其他扩展注册的API提供方渲染模式单选框，内置模式已写在 settings.html 中。
+ * @param {JQuery} panel - 设置面板的jQuery对象。
+ */
+function renderExternalProviderOptions(panel) {
+    const grid = panel.find('.qrf_api_mode_grid');
+    grid.find('.qrf_external_provider_option').remove();
+
+    listProviders()
+        .filter(provider => !provider.builtin)
+        .forEach(provider => {
+            const inputId = `qrf_api_mode_ext_${provider.id.replace(/[^\w-]/g, '_')}`;
+            const option = $('<div class="qrf_radio_option qrf_external_provider_option"></div>');
+            $('<input type="radio" name="qrf_api_mode">').attr({ id: inputId, value: provider.id }).appendTo(option);
+            $('<label></label>').attr('for', inputId).text(`${provider.label} (扩展)`).appendTo(option);
+            grid.append(option);
+        });
+
+    const currentMode = getMergedApiSettings().apiMode;
+    panel.find(`input[name="qrf_api_mode"]`).filter((_, input) => input.value === currentMode).prop('checked', true);
+}
+
+/**
+ * 加载指定API模式的超时设置到输入框，未单独设置的项显示默认值。
+ * @param {JQuery} panel - 设置面板的jQuery对象。
+ * @param {string} apiMode - 当前选择的API模式。
+ */
+function loadRequestTimeouts(panel, apiMode) {
+    const configured = getMergedApiSettings().requestTimeouts?.[apiMode] || {};
+    panel.find('[data-qrf-timeout]').each(function() {
+        const key = $(this).data('qrf-timeout');
+        $(this).val(configured[key] ?? DEFAULT_REQUEST_TIMEOUTS[key]);
+    });
+}
+
+/**
+ * 保存当前API模式的超时设置。
+ * @param {JQuery} panel - 设置面板的jQuery对象。
+ */
+function saveRequestTimeouts(panel) {
+    const apiMode = panel.find('input[name="qrf_api_mode"]:checked').val();
+    if (!apiMode) return;
+
+    const modeTimeouts = {};
+    panel.find('[data-qrf-timeout]').each(function() {
+        const value = $(this).val();
+        if (value !== '' && !Number.isNaN(Number(value))) {
+            modeTimeouts[$(this).data('qrf-timeout')] = Math.max(0, Number(value));
+        }
+    });
+
+    const requestTimeouts = { ...(getMergedApiSettings().requestTimeouts || {}), [apiMode]: modeTimeouts };
+    saveSetting('requestTimeouts', requestTimeouts);
 }
 
 /**
@@ -1044,6 +1163,12 @@ function showLatestAnalysisData() {
                     </button>
                     <small class="notes" style="margin-left: 10px;">字符数: <span id="qrf_char_count">${latestPlot.length}</span></small>
                 </div>
+                <div id="qrf_analysis_meta" class="qrf_analysis_meta" style="display: none;"></div>
+                <details id="qrf_analysis_reasoning" class="qrf_analysis_reasoning" style="display: none;">
+                    <summary>模型思考过程（<span id="qrf_reasoning_char_count">0</span> 字符，仅供查看，不会注入）</summary>
+                    <div id="qrf_analysis_reasoning_content" class="qrf_analysis_reasoning_content"></div>
+                </details>
+                <div id="qrf_analysis_stages" class="qrf_analysis_stages" style="display: none;"></div>
                 <textarea id="qrf_analysis_content" readonly style="width: 100%; min-height: 500px; max-height: 600px; padding: 10px; background: var(--SmartThemeBlurTintColor); border-radius: 5px; border: 1px solid; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-size: 0.9em; line-height: 1.6; resize: vertical; white-space: pre-wrap; word-wrap: break-word;"></textarea>
             </div>
         </div>
@@ -1059,6 +1184,37 @@ $('body').append(modal);
 // 使用.text()设置内容以防止HTML渲染
 $('#qrf_analysis_content').text(latestPlot);
 
+const metaText = describePlotMeta(context.chat[messageIndex].qrf_plot_meta);
+if (metaText) {
+    $('#qrf_analysis_meta').text(metaText).show();
+}
+
+const reasoning = context.chat[messageIndex].qrf_plot_reasoning;
+if (reasoning) {
+    $('#qrf_analysis_reasoning_content').text(reasoning);
+    $('#qrf_reasoning_char_count').text(reasoning.length);
+    $('#qrf_analysis_reasoning').show();
+}
+
+// 多阶段规划：各阶段的完整回复只供查看，下方文本框中是注入阶段的规划
+const stageOutputs = context.chat[messageIndex].qrf_plot_stages;
+if (Array.isArray(stageOutputs) && stageOutputs.length > 0) {
+    const stagesContainer = $('#qrf_analysis_stages');
+    stageOutputs.forEach((stage, index) => {
+        const details = $('<details class="qrf_analysis_reasoning"></details>');
+        $('<summary></summary>')
+            .text(`阶段 ${index + 1}：${stage.name}（${String(stage.content || '').length} 字符${stage.injected ? '，已注入' : ''}）`)
+            .appendTo(details);
+        const stageMetaText = describePlotMeta(stage.meta);
+        if (stageMetaText) {
+            $('<div class="qrf_analysis_meta"></div>').text(stageMetaText).appendTo(details);
+        }
+        $('<div class="qrf_analysis_reasoning_content"></div>').text(stage.content || '').appendTo(details);
+        stagesContainer.append(details);
+    });
+    stagesContainer.show();
+}
+
     
     // 绑定关闭事件
     $('#qrf_modal_close, #qrf_analysis_modal').on('click', function(e) {
@@ -1144,6 +1300,22 @@ $('#qrf_analysis_content').text(latestPlot);
     console.log(`[${extensionName}] 显示最新分析数据 (来自消息 #${messageIndex + 1})`);
 }
 
+/**
+ * 把规划元数据转换为一行说明文字
+ * @param {object} [meta] - 消息上的 qrf_plot_meta
+ * @returns {string} 说明文字；没有元数据时返回空字符串
+ */
+function describePlotMeta(meta) {
+    if (!meta?.backend) return '';
+    const { name, apiMode, model } = meta.backend;
+    const providerLabel = getProvider(apiMode)?.label || apiMode;
+    const attempts = meta.attempts?.length || 0;
+    const usage = meta.usage
+        ? `，Token：输入 ${meta.usage.promptTokens.toLocaleString()} / 输出 ${meta.usage.completionTokens.toLocaleString()}`
+        : '';
+    return `来源: ${name}（${providerLabel}${model ? ` / ${model}` : ''}），共尝试 ${attempts} 次${meta.fallbackUsed ? '，已使用备用配置' : ''}${usage}`;
+}
+
 /**
  * 加载 jailbreak 提示词到UI
  * @param {JQuery} panel - 设置面板的jQuery对象
@@ -1277,6 +1449,433 @@ function collectJailbreakPrompts(panel) {
     return prompts;
 }
 
+/**
+ * 加载 Gemini 专属选项（安全阈值、停止序列、思考预算）到UI
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ * @param {object} apiSettings - 合并后的API设置
+ */
+function loadGoogleOptions(panel, apiSettings) {
+    const grid = panel.find('#qrf_google_safety_grid');
+    const configured = apiSettings.googleSafetySettings || {};
+    grid.empty();
+
+    GOOGLE_SAFETY_CATEGORIES.forEach(({ category, label, defaultThreshold }) => {
+        const select = $('<select class="text_pole" data-qrf-manual-save="true"></select>')
+            .attr('data-qrf-safety-category', category)
+            .append(new Option('默认（不发送）', ''));
+        GOOGLE_SAFETY_THRESHOLDS.forEach(({ value, label: thresholdLabel }) => select.append(new Option(thresholdLabel, value)));
+        select.val(configured[category] ?? defaultThreshold);
+        grid.append($('<label></label>').text(label), select);
+    });
+
+    panel.find('#qrf_google_stop_sequences').val(apiSettings.googleStopSequences || '');
+    panel.find('#qrf_google_thinking_budget').val(apiSettings.googleThinkingBudget ?? '');
+    panel.find('#qrf_google_include_thoughts').prop('checked', apiSettings.googleIncludeThoughts === true);
+}
+
+/**
+ * 加载备用API配置列表到UI
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function loadApiConnections(panel) {
+    const container = panel.find('#qrf_api_connections_container');
+    const connections = getMergedApiSettings().apiConnections || [];
+
+    container.empty();
+    if (connections.length === 0) {
+        container.append('<small class="notes qrf_api_connections_empty">尚未保存备用配置。</small>');
+    }
+    connections.forEach((connection, index) => {
+        container.append(createApiConnectionItem(connection, index, connections.length));
+    });
+
+    renderFailoverStats(panel);
+    // 规划阶段可以选用备用配置，配置列表变化后一并刷新
+    loadPipelineStages(panel);
+}
+
+/**
+ * 创建单个备用API配置 UI 项
+ * @param {object} connection - 已保存的连接配置
+ * @param {number} index - 索引
+ * @param {number} total - 配置总数
+ * @returns {JQuery} 配置项元素
+ */
+function createApiConnectionItem(connection, index, total) {
+    const isEnabled = connection.enabled !== false;
+    const providerLabel = getProvider(connection.apiMode)?.label || connection.apiMode || '未知模式';
+    const target = connection.apiMode === 'tavern' ? connection.tavernProfile : connection.model;
+
+    const item = $(`
+        <div class="qrf_api_connection_item ${isEnabled ? '' : 'qrf_api_connection_disabled'}">
+            <span class="qrf_api_connection_order">${index + 1}</span>
+            <div class="qrf_api_connection_info">
+                <input type="text" class="text_pole qrf_api_connection_name" data-qrf-manual-save="true" title="配置名称" />
+                <small class="notes qrf_api_connection_summary"></small>
+            </div>
+            <label class="qrf_api_connection_enabled_label" title="是否加入故障转移链">
+                <input type="checkbox" class="qrf_api_connection_enabled" data-qrf-manual-save="true" ${isEnabled ? 'checked' : ''} />
+                启用
+            </label>
+            <div class="qrf_api_connection_actions">
+                <button class="menu_button qrf_api_connection_load" title="加载为主配置">
+                    <i class="fa-solid fa-file-import"></i>
+                </button>
+                <button class="menu_button qrf_api_connection_move_up" title="上移" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-arrow-up"></i>
+                </button>
+                <button class="menu_button qrf_api_connection_move_down" title="下移" ${index === total - 1 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-arrow-down"></i>
+                </button>
+                <button class="menu_button qrf_api_connection_delete" title="删除">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `);
+
+    // 名称与摘要来自用户输入，用 .val()/.text() 写入以防止HTML注入
+    item.attr('data-id', connection.id);
+    item.find('.qrf_api_connection_name').val(connection.name || '');
+    item.find('.qrf_api_connection_summary').text(`${providerLabel} · ${target || '未设置模型'}`);
+
+    return item;
+}
+
+/**
+ * 按UI中的顺序、名称与启用状态保存备用API配置
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function saveApiConnections(panel) {
+    const existing = getMergedApiSettings().apiConnections || [];
+    const byId = new Map(existing.map(connection => [connection.id, connection]));
+    const connections = [];
+
+    panel.find('#qrf_api_connections_container .qrf_api_connection_item').each(function() {
+        const item = $(this);
+        const connection = byId.get(item.attr('data-id'));
+        if (!connection) return;
+        connections.push({
+            ...connection,
+            name: item.find('.qrf_api_connection_name').val().trim() || connection.name,
+            enabled: item.find('.qrf_api_connection_enabled').prop('checked'),
+        });
+    });
+
+    return saveSetting('apiConnections', connections);
+}
+
+/**
+ * 显示故障转移统计
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function renderFailoverStats(panel) {
+    const stats = extension_settings[extensionName]?.failoverStats;
+    const target = panel.find('#qrf_failover_stats');
+    if (!stats?.total) {
+        target.text('暂无统计数据。');
+        return;
+    }
+
+    const byBackend = Object.entries(stats.byBackend || {})
+        .map(([name, count]) => `${name} ${count}次`)
+        .join('，');
+    target.text(`共规划 ${stats.total} 次，其中使用备用配置 ${stats.fallback} 次，全部失败 ${stats.failed} 次。${byBackend ? `成功来源：${byBackend}` : ''}`);
+}
+
+/**
+ * 加载多阶段规划的阶段列表与注入阶段选项到UI
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function loadPipelineStages(panel) {
+    const apiSettings = getMergedApiSettings();
+    const stages = apiSettings.pipelineStages || [];
+    const container = panel.find('#qrf_pipeline_stages_container');
+
+    container.empty();
+    if (stages.length === 0) {
+        container.append('<small class="notes">尚未添加阶段。</small>');
+    }
+    stages.forEach((stage, index) => {
+        container.append(createPipelineStageItem(stage, index, stages.length, apiSettings.apiConnections || []));
+    });
+    renderPipelineInjectOptions(panel, stages, apiSettings.pipelineInjectStage);
+}
+
+/**
+ * 更新“注入阶段”下拉框，指定的阶段不存在时选中“最后一个阶段”
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ * @param {Array<{id: string, name: string}>} stages
+ * @param {string} [selectedId]
+ */
+function renderPipelineInjectOptions(panel, stages, selectedId) {
+    const select = panel.find('#qrf_pipeline_inject_stage');
+    select.empty().append(new Option('最后一个阶段', ''));
+    stages.forEach(stage => select.append(new Option(stage.name || '未命名阶段', stage.id)));
+    select.val(stages.some(stage => stage.id === selectedId) ? selectedId : '');
+}
+
+/**
+ * 创建单个规划阶段 UI 项
+ * @param {import('../core/pipeline.js').PipelineStage} stage
+ * @param {number} index - 索引
+ * @param {number} total - 阶段总数
+ * @param {Array<{id: string, name: string}>} connections - 可选用的备用API配置
+ * @returns {JQuery} 阶段项元素
+ */
+function createPipelineStageItem(stage, index, total, connections) {
+    const isEnabled = stage.enabled !== false;
+    const item = $(`
+        <div class="qrf_pipeline_stage_item ${isEnabled ? '' : 'qrf_pipeline_stage_disabled'}">
+            <div class="qrf_pipeline_stage_header">
+                <span class="qrf_pipeline_stage_order">${index + 1}</span>
+                <input type="text" class="text_pole qrf_pipeline_stage_name" data-qrf-manual-save="true" title="阶段名称，后续阶段用 {{stage:阶段名}} 引用" placeholder="阶段名称" />
+                <label class="qrf_pipeline_stage_enabled_label" title="是否执行该阶段">
+                    <input type="checkbox" class="qrf_pipeline_stage_enabled" data-qrf-manual-save="true" ${isEnabled ? 'checked' : ''} />
+                    启用
+                </label>
+                <div class="qrf_pipeline_stage_actions">
+                    <button class="menu_button qrf_pipeline_stage_move_up" title="上移" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fa-solid fa-arrow-up"></i>
+                    </button>
+                    <button class="menu_button qrf_pipeline_stage_move_down" title="下移" ${index === total - 1 ? 'disabled' : ''}>
+                        <i class="fa-solid fa-arrow-down"></i>
+                    </button>
+                    <button class="menu_button qrf_pipeline_stage_delete" title="删除">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <label>API配置</label>
+            <select class="text_pole qrf_pipeline_stage_connection" data-qrf-manual-save="true"></select>
+            <label>主系统提示词</label>
+            <textarea class="text_pole qrf_pipeline_stage_main_prompt" rows="3" data-qrf-manual-save="true"></textarea>
+            <label>任务指令</label>
+            <textarea class="text_pole qrf_pipeline_stage_system_prompt" rows="5" data-qrf-manual-save="true" placeholder="例如：根据以下意图分析起草剧情：{{stage:分析意图}}"></textarea>
+            <div class="qrf_pipeline_stage_rules">
+                <label>必须包含的关键词</label>
+                <input type="text" class="text_pole qrf_pipeline_stage_keywords" data-qrf-manual-save="true" placeholder="逗号分隔，留空不检查" />
+                <label>最小回复长度</label>
+                <input type="number" class="text_pole qrf_pipeline_stage_min_length" data-qrf-manual-save="true" min="0" max="20000" step="10" />
+            </div>
+        </div>
+    `);
+
+    const connectionSelect = item.find('.qrf_pipeline_stage_connection').append(new Option('主配置', ''));
+    connections.forEach(connection => connectionSelect.append(new Option(connection.name || connection.id, connection.id)));
+    if (stage.connectionId && !connections.some(connection => connection.id === stage.connectionId)) {
+        connectionSelect.append(new Option('（已删除的配置）', stage.connectionId));
+    }
+
+    // 名称与提示词来自用户输入，用 .val() 写入以防止HTML注入
+    item.attr('data-id', stage.id);
+    item.find('.qrf_pipeline_stage_name').val(stage.name || '');
+    connectionSelect.val(stage.connectionId || '');
+    item.find('.qrf_pipeline_stage_main_prompt').val(stage.mainPrompt || '');
+    item.find('.qrf_pipeline_stage_system_prompt').val(stage.systemPrompt || '');
+    item.find('.qrf_pipeline_stage_keywords').val(stage.requiredKeywords || '');
+    item.find('.qrf_pipeline_stage_min_length').val(stage.minLength || 0);
+
+    return item;
+}
+
+/**
+ * 按UI中的顺序与内容保存规划阶段
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function savePipelineStages(panel) {
+    const stages = [];
+    panel.find('#qrf_pipeline_stages_container .qrf_pipeline_stage_item').each(function() {
+        const item = $(this);
+        stages.push({
+            id: item.attr('data-id'),
+            name: item.find('.qrf_pipeline_stage_name').val().trim(),
+            enabled: item.find('.qrf_pipeline_stage_enabled').prop('checked'),
+            connectionId: item.find('.qrf_pipeline_stage_connection').val() || '',
+            mainPrompt: item.find('.qrf_pipeline_stage_main_prompt').val(),
+            systemPrompt: item.find('.qrf_pipeline_stage_system_prompt').val(),
+            requiredKeywords: item.find('.qrf_pipeline_stage_keywords').val().trim(),
+            minLength: Math.max(0, parseInt(item.find('.qrf_pipeline_stage_min_length').val(), 10) || 0),
+        });
+    });
+
+    renderPipelineInjectOptions(panel, stages, panel.find('#qrf_pipeline_inject_stage').val());
+    return saveSetting('pipelineStages', stages);
+}
+
+/**
+ * 把 Key 池输入框的内容拆分为 Key 列表（每行一个）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseApiKeyLines(text) {
+    return [...new Set(String(text || '').split(/\r?\n/).map(key => key.trim()).filter(Boolean))];
+}
+
+/**
+ * 显示 Key 池中各 Key 的状态（打码）
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function renderKeyPoolStatus(panel) {
+    const container = panel.find('#qrf_api_key_status');
+    container.empty();
+    const now = Date.now();
+
+    getKeyPoolStatus(getMergedApiSettings()).forEach(({ masked, state, cooldownUntil, uses, lastError }) => {
+        let stateText = '可用';
+        if (state === 'invalid') {
+            stateText = `已失效${lastError ? `（${lastError}）` : ''}`;
+        } else if (state === 'cooldown') {
+            stateText = `冷却中，约 ${Math.ceil((cooldownUntil - now) / 60000)} 分钟后恢复${lastError ? `（${lastError}）` : ''}`;
+        }
+        container.append($('<div></div>')
+            .addClass(state === 'ok' ? '' : `qrf_key_${state}`)
+            .text(`${masked} · ${stateText} · 已使用 ${uses} 次`));
+    });
+}
+
+/**
+ * 当前面板上填写的连接设置（地址、模型与最大Token数取输入框中的值）
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ * @returns {object}
+ */
+function getPanelConnectionSettings(panel) {
+    return {
+        ...getMergedApiSettings(),
+        apiMode: panel.find('input[name="qrf_api_mode"]:checked').val(),
+        apiUrl: panel.find('#qrf_api_url').val(),
+        model: panel.find('#qrf_model').val(),
+        maxTokens: parseInt(panel.find('#qrf_max_tokens').val(), 10) || 0,
+    };
+}
+
+/**
+ * 把模型列表填入模型下拉框，有上下文长度时附在名称后
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ * @param {import('../utils/modelMetadata.js').ModelInfo[]} models
+ * @param {string} [currentModel] - 列表中存在时选中
+ */
+function fillModelSelect(panel, models, currentModel) {
+    const modelSelect = panel.find('#qrf_model_select');
+    modelSelect.empty().append(new Option('请选择一个模型', ''));
+    models.forEach(model => {
+        const label = model.contextLength ? `${model.id} (${Math.round(model.contextLength / 1024)}K)` : model.id;
+        modelSelect.append(new Option(label, model.id));
+    });
+    if (currentModel && models.some(model => model.id === currentModel)) {
+        modelSelect.val(currentModel);
+    }
+}
+
+/**
+ * 显示当前模型的上下文长度、最大输出与价格（来自模型列表缓存），最大Token数超出输出上限时一并提示
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function renderModelInfo(panel) {
+    const target = panel.find('#qrf_model_info');
+    const settings = getPanelConnectionSettings(panel);
+    const info = getModelInfo(settings);
+    const description = describeModelInfo(info);
+    const warnings = checkModelLimits(info, { maxTokens: settings.maxTokens });
+    target.text([description, ...warnings.map(warning => warning.message)].filter(Boolean).join('\n'))
+        .toggleClass('qrf_model_info_warning', warnings.length > 0)
+        .toggle(!!description);
+}
+
+/**
+ * 显示Token用量与按价格表估算的费用
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function renderUsageStats(panel) {
+    const settings = extension_settings[extensionName] || {};
+    const currency = settings.usageCurrency ?? '$';
+    const summaries = getUsageSummaries(getContext().chatId, settings.modelPrices || []);
+    const tbody = panel.find('#qrf_usage_table tbody');
+    tbody.empty();
+
+    summaries.forEach(summary => {
+        const hasTokens = summary.promptTokens > 0 || summary.completionTokens > 0;
+        // 有用量但所有模型都没有价格时无法估算
+        const costText = !hasTokens
+            ? '-'
+            : (summary.cost === 0 && summary.unpricedModels.length > 0)
+                ? '未设置价格'
+                : `${currency}${summary.cost.toFixed(summary.cost < 1 ? 4 : 2)}${summary.unpricedModels.length > 0 ? '+' : ''}`;
+        const row = $('<tr></tr>');
+        [
+            summary.label,
+            summary.requests.toLocaleString(),
+            summary.promptTokens.toLocaleString(),
+            summary.completionTokens.toLocaleString(),
+            costText,
+        ].forEach(text => row.append($('<td></td>').text(text)));
+        tbody.append(row);
+    });
+
+    // 近30天的范围最大，用它来提示缺少价格的模型与未报告用量的请求
+    const widest = summaries[summaries.length - 1];
+    const notes = [];
+    if (widest.unpricedModels.length > 0) {
+        notes.push(`以下模型未设置价格，未计入费用（标有“+”）：${widest.unpricedModels.join('，')}`);
+    }
+    if (widest.unreported > 0) {
+        notes.push(`近30天有 ${widest.unreported} 次请求接口未返回用量。`);
+    }
+    panel.find('#qrf_usage_notes').text(notes.join(' '));
+}
+
+/**
+ * 创建一行模型价格
+ * @param {{model?: string, input?: number, output?: number}} price
+ * @returns {JQuery}
+ */
+function createModelPriceItem(price = {}) {
+    const item = $(`
+        <div class="qrf_model_price_item">
+            <input type="text" class="text_pole qrf_model_price_model" data-qrf-manual-save="true" placeholder="模型名，如 gpt-4o*" title="模型名" />
+            <input type="number" class="text_pole qrf_model_price_input" data-qrf-manual-save="true" min="0" step="0.01" placeholder="输入价格" title="每百万输入Token的价格" />
+            <input type="number" class="text_pole qrf_model_price_output" data-qrf-manual-save="true" min="0" step="0.01" placeholder="输出价格" title="每百万输出Token的价格" />
+            <button class="menu_button qrf_model_price_delete" title="删除">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>
+    `);
+    item.find('.qrf_model_price_model').val(price.model || '');
+    item.find('.qrf_model_price_input').val(price.input ?? '');
+    item.find('.qrf_model_price_output').val(price.output ?? '');
+    return item;
+}
+
+/**
+ * 加载模型价格表到UI
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function loadModelPrices(panel) {
+    const container = panel.find('#qrf_model_price_list');
+    container.empty();
+    (extension_settings[extensionName]?.modelPrices || []).forEach(price => container.append(createModelPriceItem(price)));
+}
+
+/**
+ * 从UI收集并保存模型价格表，空行（未填写模型名）会被保留在界面上但不保存
+ * @param {JQuery} panel - 设置面板的jQuery对象
+ */
+function saveModelPrices(panel) {
+    const prices = [];
+    panel.find('.qrf_model_price_item').each(function() {
+        const item = $(this);
+        const model = item.find('.qrf_model_price_model').val().trim();
+        if (!model) return;
+        prices.push({
+            model,
+            input: Math.max(0, parseFloat(item.find('.qrf_model_price_input').val()) || 0),
+            output: Math.max(0, parseFloat(item.find('.qrf_model_price_output').val()) || 0),
+        });
+    });
+    saveSetting('modelPrices', prices);
+    renderUsageStats(panel);
+}
+
 /**
  * 加载设置到UI界面。
  * @param {JQuery} panel - 设置面板的jQuery对象。
@@ -1290,6 +1889,7 @@ function loadSettings(panel) {
     // 加载总开关 (全局)
     panel.find('#qrf_enabled').prop('checked', globalSettings.enabled);
     panel.find('#qrf_min_length').val(globalSettings.minLength ?? 500);
+    panel.find('#qrf_inspector_history_size').val(globalSettings.inspectorHistorySize ?? defaultSettings.inspectorHistorySize);
 
     // 加载提示词模式 (全局)
     const promptMode = globalSettings.promptMode || 'classic';
@@ -1299,29 +1899,65 @@ function loadSettings(panel) {
     // 加载API和模型设置 (大部分是全局，但世界书相关是角色卡)
     panel.find(`input[name="qrf_api_mode"][value="${apiSettings.apiMode}"]`).prop('checked', true);
     panel.find('#qrf_use_streaming').prop('checked', apiSettings.useStreaming ?? true);
+    panel.find('#qrf_stream_preview_enabled').prop('checked', globalSettings.streamPreviewEnabled ?? false);
+
+    // 加载用量统计与价格表（全局）
+    panel.find('#qrf_usage_currency').val(globalSettings.usageCurrency ?? '$');
+    loadModelPrices(panel);
+    renderUsageStats(panel);
     panel.find('#qrf_tavern_api_profile_select').val(apiSettings.tavernProfile); // 加载酒馆预设选择
     panel.find(`input[name="qrf_worldbook_source"][value="${apiSettings.worldbookSource || 'character'}"]`).prop('checked', true);
     panel.find('#qrf_worldbook_enabled').prop('checked', apiSettings.worldbookEnabled);
     panel.find('#qrf_api_url').val(apiSettings.apiUrl);
     panel.find('#qrf_api_key').val(apiSettings.apiKey);
+    panel.find('#qrf_api_keys').val((apiSettings.apiKeys || []).join('\n'));
+    panel.find('#qrf_key_rotation').val(apiSettings.keyRotation || 'round-robin');
+    panel.find('#qrf_cors_fallback_enabled').prop('checked', apiSettings.corsFallbackEnabled === true);
+    panel.find('#qrf_extra_headers').val(apiSettings.extraHeaders || '');
+    panel.find('#qrf_extra_body').val(apiSettings.extraBody || '');
+    renderKeyPoolStatus(panel);
     
     const modelInput = panel.find('#qrf_model');
     const modelSelect = panel.find('#qrf_model_select');
     
     modelInput.val(apiSettings.model);
     modelSelect.empty();
-    if (apiSettings.model) {
+    const cachedCatalog = apiSettings.apiMode === 'tavern' ? null : getCachedCatalog(apiSettings);
+    if (cachedCatalog?.models.length) {
+        // 有缓存时直接列出上次获取的模型
+        fillModelSelect(panel, cachedCatalog.models, apiSettings.model);
+    } else if (apiSettings.model) {
         modelSelect.append(new Option(apiSettings.model, apiSettings.model, true, true));
     } else {
         modelSelect.append(new Option('<-请先获取模型', '', true, true));
     }
 
+    panel.find('#qrf_ollama_num_ctx').val(apiSettings.ollamaNumCtx ?? 0);
+    panel.find('#qrf_google_backend').val(apiSettings.googleBackend || 'aistudio');
+    panel.find('#qrf_backend_source').val(apiSettings.backendSource || 'custom');
+    panel.find('#qrf_vertex_project').val(apiSettings.vertexProject || '');
+    panel.find('#qrf_vertex_location').val(apiSettings.vertexLocation || '');
+    panel.find('#qrf_vertex_publisher').val(apiSettings.vertexPublisher || '');
+    loadGoogleOptions(panel, apiSettings);
+    loadRequestTimeouts(panel, apiSettings.apiMode);
+    panel.find('#qrf_failover_enabled').prop('checked', apiSettings.failoverEnabled ?? false);
+    panel.find('#qrf_pipeline_enabled').prop('checked', apiSettings.pipelineEnabled === true);
+    loadApiConnections(panel);
     panel.find('#qrf_max_tokens').val(apiSettings.maxTokens);
+    panel.find('#qrf_model_catalog_ttl_hours').val(globalSettings.modelCatalogTtlHours ?? defaultSettings.modelCatalogTtlHours);
+    renderModelInfo(panel);
     panel.find('#qrf_temperature').val(apiSettings.temperature);
     panel.find('#qrf_top_p').val(apiSettings.topP);
     panel.find('#qrf_presence_penalty').val(apiSettings.presencePenalty);
     panel.find('#qrf_frequency_penalty').val(apiSettings.frequencyPenalty);
     panel.find('#qrf_context_turn_count').val(apiSettings.contextTurnCount);
+    panel.find('#qrf_token_budget_enabled').prop('checked', apiSettings.tokenBudgetEnabled ?? false);
+    panel.find('#qrf_token_budget').val(apiSettings.tokenBudget ?? defaultSettings.apiSettings.tokenBudget);
+    const budgetSections = { ...defaultSettings.apiSettings.tokenBudgetSections, ...(apiSettings.tokenBudgetSections || {}) };
+    panel.find('[data-qrf-budget-section]').each(function() {
+        const input = $(this);
+        input.val(budgetSections[input.data('qrf-budget-section')]?.[input.data('qrf-budget-field')] ?? 0);
+    });
     panel.find('#qrf_plot_retention_count').val(apiSettings.plotRetentionCount ?? 0);
     panel.find('#qrf_worldbook_char_limit').val(apiSettings.worldbookCharLimit);
     panel.find('#qrf_worldbook_strip_enabled').prop('checked', apiSettings.worldbookStripEnabled ?? true);
@@ -1334,6 +1970,9 @@ function loadSettings(panel) {
     // 加载标签排除和摘取设置
     panel.find('#qrf_exclude_tags').val(apiSettings.excludeTags || '');
     panel.find('#qrf_extract_tags').val(apiSettings.extractTags || '');
+    panel.find('#qrf_structured_output_enabled').prop('checked', apiSettings.structuredOutputEnabled === true);
+    panel.find('#qrf_structured_output_schema').val(apiSettings.structuredOutputSchema || '');
+    panel.find('#qrf_structured_output_template').val(apiSettings.structuredOutputTemplate || '');
 
     // 加载匹配替换速率
     panel.find('#qrf_rate_main').val(apiSettings.rateMain);
@@ -1387,8 +2026,19 @@ export function initializeBindings() {
 
     let lastFocusedPromptTextarea = null;
     
+    renderExternalProviderOptions(panel);
     loadSettings(panel);
 
+    // 每次规划记录用量后刷新统计
+    document.addEventListener('qrf-usage-updated', () => renderUsageStats(panel));
+    document.addEventListener('qrf-key-pool-updated', () => renderKeyPoolStatus(panel));
+
+    // 其他扩展注册或注销API提供方时，刷新模式选项
+    document.addEventListener('qrf-providers-changed', () => {
+        renderExternalProviderOptions(panel);
+        updateApiUrlVisibility(panel, panel.find('input[name="qrf_api_mode"]:checked').val());
+    });
+
     // 监听角色切换事件，刷新UI
     eventSource.on(event_types.CHAT_CHANGED, () => {
         console.log(`[${extensionName}] 检测到角色/聊天切换，正在刷新设置UI...`);
@@ -1428,7 +2078,7 @@ export function initializeBindings() {
             value = el.val() || [];
         }
         
-        const floatKeys = ['temperature', 'top_p', 'presence_penalty', 'frequency_penalty', 'rateMain', 'ratePersonal', 'rateErotic', 'rateCuckold'];
+        const floatKeys = ['temperature', 'topP', 'presencePenalty', 'frequencyPenalty', 'rateMain', 'ratePersonal', 'rateErotic', 'rateCuckold'];
         if (floatKeys.includes(key) && value !== '') {
             value = parseFloat(value);
         } else if (element.type === 'range' || element.type === 'number') {
@@ -1441,9 +2091,16 @@ export function initializeBindings() {
 
         if (element.name === 'qrf_api_mode') {
             updateApiUrlVisibility(panel, value);
+            loadRequestTimeouts(panel, value);
             // [核心修复] 切换API模式时，清除所有旧的、非角色特定的API设置
             clearCharacterStaleSettings('api');
         }
+        if (element.id === 'qrf_google_backend') {
+            updateGoogleBackendVisibility(panel, value);
+        }
+        if (element.id === 'qrf_backend_source') {
+            updateBackendSourceVisibility(panel, panel.find('input[name="qrf_api_mode"]:checked').val(), value);
+        }
         if (element.name === 'qrf_prompt_mode') {
             updatePromptModeVisibility(panel, value);
         }
@@ -1458,7 +2115,7 @@ export function initializeBindings() {
         'input[type="checkbox"]', 'input[type="radio"]', 'select:not(#qrf_model_select)',
         'input[type="text"]', 'input[type="password"]', 'textarea',
         'input[type="range"]', 'input[type="number"]'
-    ].join(', ');
+    ].map(selector => `${selector}:not([data-qrf-timeout]):not([data-qrf-manual-save])`).join(', ');
 
     // 使用 'input' 和 'change' 事件确保覆盖所有交互场景：
     // - 'input' 实时捕捉打字、拖动等操作。
@@ -1467,15 +2124,277 @@ export function initializeBindings() {
         handleSettingChange(this);
     });
 
+    // 超时设置按API模式分别保存，不走通用保存逻辑
+    panel.on('change.qrf', '[data-qrf-timeout]', function() {
+        saveRequestTimeouts(panel);
+    });
+
+    // ---- Gemini 专属选项 ----
+
+    panel.on('change.qrf', '[data-qrf-safety-category]', function() {
+        const configured = { ...(getMergedApiSettings().googleSafetySettings || {}) };
+        configured[$(this).data('qrf-safety-category')] = $(this).val();
+        saveSetting('googleSafetySettings', configured);
+    });
+
+    panel.on('change.qrf', '#qrf_google_stop_sequences', function() {
+        saveSetting('googleStopSequences', $(this).val());
+    });
+
+    panel.on('change.qrf', '#qrf_google_thinking_budget', function() {
+        // 允许清空：留空表示使用模型默认
+        const value = $(this).val().trim();
+        saveSetting('googleThinkingBudget', value === '' ? '' : parseInt(value, 10));
+    });
+
+    // ---- Token预算 ----
+
+    panel.on('change.qrf', '[data-qrf-budget-section]', function() {
+        const sections = { ...defaultSettings.apiSettings.tokenBudgetSections, ...(getMergedApiSettings().tokenBudgetSections || {}) };
+        const section = $(this).data('qrf-budget-section');
+        const field = $(this).data('qrf-budget-field');
+        const max = field === 'minShare' ? 100 : 10;
+        const value = Math.min(max, Math.max(0, parseInt($(this).val(), 10) || 0));
+        $(this).val(value);
+        saveSetting('tokenBudgetSections', { ...sections, [section]: { ...sections[section], [field]: value } });
+    });
+
+    // ---- 结构化输出 ----
+
+    panel.on('change.qrf', '#qrf_structured_output_schema', function() {
+        const text = $(this).val().trim();
+        if (text) {
+            try {
+                parseSchemaText(text);
+            } catch (error) {
+                toastr.error(`${error.message} 修改未保存。`, '结构化输出');
+                return;
+            }
+        }
+        saveSetting('structuredOutputSchema', text);
+    });
+
+    panel.on('change.qrf', '#qrf_structured_output_template', function() {
+        // 允许清空：留空表示注入完整JSON
+        saveSetting('structuredOutputTemplate', $(this).val());
+    });
+
+    // ---- 备用API配置（故障转移）----
+
+    panel.on('click.qrf', '#qrf_save_api_connection', async function() {
+        const current = pickConnectionSettings(getMergedApiSettings());
+        const providerLabel = getProvider(current.apiMode)?.label || current.apiMode;
+        const target = current.apiMode === 'tavern' ? current.tavernProfile : current.model;
+        const name = prompt('请输入备用配置的名称：', `${providerLabel} - ${target || '默认'}`);
+        if (!name) return;
+
+        const connections = [...(getMergedApiSettings().apiConnections || [])];
+        connections.push({
+            id: `conn_${Date.now().toString(36)}`,
+            name: name.trim(),
+            enabled: true,
+            ...current,
+        });
+        await saveSetting('apiConnections', connections);
+        loadApiConnections(panel);
+        toastr.success(`已保存备用配置 "${name.trim()}"`);
+    });
+
+    panel.on('change.qrf', '.qrf_api_connection_name', function() {
+        saveApiConnections(panel);
+    });
+
+    panel.on('change.qrf', '.qrf_api_connection_enabled', function() {
+        $(this).closest('.qrf_api_connection_item').toggleClass('qrf_api_connection_disabled', !this.checked);
+        saveApiConnections(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_api_connection_move_up, .qrf_api_connection_move_down', async function() {
+        const item = $(this).closest('.qrf_api_connection_item');
+        if ($(this).hasClass('qrf_api_connection_move_up')) {
+            item.prev('.qrf_api_connection_item').before(item);
+        } else {
+            item.next('.qrf_api_connection_item').after(item);
+        }
+        await saveApiConnections(panel);
+        loadApiConnections(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_api_connection_delete', async function() {
+        const item = $(this).closest('.qrf_api_connection_item');
+        const name = item.find('.qrf_api_connection_name').val();
+        if (!confirm(`确定要删除备用配置 "${name}" 吗？`)) return;
+        item.remove();
+        await saveApiConnections(panel);
+        loadApiConnections(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_api_connection_load', async function() {
+        const id = $(this).closest('.qrf_api_connection_item').attr('data-id');
+        const connection = (getMergedApiSettings().apiConnections || []).find(c => c.id === id);
+        if (!connection) return;
+        if (!confirm(`确定要用备用配置 "${connection.name}" 覆盖当前主配置的连接信息吗？`)) return;
+
+        for (const [key, value] of Object.entries(pickConnectionSettings(connection))) {
+            await saveSetting(key, value);
+        }
+        loadSettings(panel);
+        toastr.success(`已加载备用配置 "${connection.name}" 为主配置`);
+    });
+
+    // ---- 多阶段规划 ----
+
+    panel.on('click.qrf', '#qrf_add_pipeline_stage', async function() {
+        const stages = [...(getMergedApiSettings().pipelineStages || [])];
+        stages.push({
+            id: `stage_${Date.now().toString(36)}`,
+            name: `阶段${stages.length + 1}`,
+            enabled: true,
+            connectionId: '',
+            mainPrompt: '',
+            systemPrompt: '',
+            requiredKeywords: '',
+            minLength: 0,
+        });
+        await saveSetting('pipelineStages', stages);
+        loadPipelineStages(panel);
+    });
+
+    panel.on('change.qrf', '.qrf_pipeline_stage_item [data-qrf-manual-save]', function() {
+        if ($(this).hasClass('qrf_pipeline_stage_enabled')) {
+            $(this).closest('.qrf_pipeline_stage_item').toggleClass('qrf_pipeline_stage_disabled', !this.checked);
+        }
+        savePipelineStages(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_pipeline_stage_move_up, .qrf_pipeline_stage_move_down', async function() {
+        const item = $(this).closest('.qrf_pipeline_stage_item');
+        if ($(this).hasClass('qrf_pipeline_stage_move_up')) {
+            item.prev('.qrf_pipeline_stage_item').before(item);
+        } else {
+            item.next('.qrf_pipeline_stage_item').after(item);
+        }
+        await savePipelineStages(panel);
+        loadPipelineStages(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_pipeline_stage_delete', async function() {
+        const item = $(this).closest('.qrf_pipeline_stage_item');
+        const name = item.find('.qrf_pipeline_stage_name').val();
+        if (!confirm(`确定要删除阶段 "${name}" 吗？`)) return;
+        item.remove();
+        await savePipelineStages(panel);
+        loadPipelineStages(panel);
+    });
+
+    panel.on('change.qrf', '#qrf_pipeline_inject_stage', function() {
+        saveSetting('pipelineInjectStage', $(this).val() || '');
+    });
+
+    panel.on('click.qrf', '#qrf_reset_failover_stats', function() {
+        if (!confirm('确定要清空故障转移统计吗？')) return;
+        saveSetting('failoverStats', { total: 0, fallback: 0, failed: 0, byBackend: {} });
+        renderFailoverStats(panel);
+    });
+
+    // ---- API Key 池 ----
+
+    panel.on('change.qrf', '#qrf_api_keys', async function() {
+        await saveSetting('apiKeys', parseApiKeyLines($(this).val()));
+        renderKeyPoolStatus(panel);
+    });
+
+    panel.on('click.qrf', '#qrf_reset_key_status', function() {
+        resetKeyPoolStatus(getMergedApiSettings());
+        renderKeyPoolStatus(panel);
+        toastr.success('已重置 Key 池状态。');
+    });
+
+    panel.on('click.qrf', '#qrf_reset_connection_routes', function() {
+        resetConnectionRoutes();
+        toastr.success('已清除记住的转发路线，下次请求将重新从直连开始尝试。');
+    });
+
+    // ---- 额外请求头与请求体 ----
+
+    /**
+     * 校验并保存JSON编辑器的内容，校验失败时不保存。
+     * @param {JQuery} textarea
+     * @param {string} key - 设置键名
+     * @param {(text: string) => object} parse - 解析函数，内容无效时抛出错误
+     */
+    const saveJsonEditor = (textarea, key, parse) => {
+        const text = textarea.val().trim();
+        try {
+            parse(text);
+        } catch (error) {
+            textarea.addClass('qrf_invalid');
+            toastr.error(`${error.message} 修改未保存。`, '请求参数');
+            return;
+        }
+        textarea.removeClass('qrf_invalid');
+        // 允许清空：留空表示不附加
+        saveSetting(key, text);
+    };
+
+    panel.on('change.qrf', '#qrf_extra_headers', function() {
+        saveJsonEditor($(this), 'extraHeaders', parseExtraHeaders);
+    });
+
+    panel.on('change.qrf', '#qrf_extra_body', function() {
+        saveJsonEditor($(this), 'extraBody', parseExtraBody);
+    });
+
+    // ---- 用量与费用 ----
+
+    panel.on('click.qrf', '#qrf_reset_usage_stats', function() {
+        if (!confirm('确定要清空全部Token用量统计吗？')) return;
+        resetUsageStats();
+        renderUsageStats(panel);
+    });
+
+    panel.on('click.qrf', '#qrf_add_model_price', function() {
+        const item = createModelPriceItem();
+        panel.find('#qrf_model_price_list').append(item);
+        item.find('.qrf_model_price_model').trigger('focus');
+    });
+
+    panel.on('change.qrf', '.qrf_model_price_item input', function() {
+        saveModelPrices(panel);
+    });
+
+    panel.on('click.qrf', '.qrf_model_price_delete', function() {
+        $(this).closest('.qrf_model_price_item').remove();
+        saveModelPrices(panel);
+    });
+
+    panel.on('change.qrf', '#qrf_usage_currency', function() {
+        // 通用保存逻辑会忽略空值，这里单独保存以便允许清空
+        saveSetting('usageCurrency', $(this).val().trim());
+        renderUsageStats(panel);
+    });
+
     // 特殊处理模型选择下拉框
     panel.on('change.qrf', '#qrf_model_select', function() {
         const selectedModel = $(this).val();
         if (selectedModel) {
             // 手动触发模型输入框的change，会由上面的监听器捕获并保存
             panel.find('#qrf_model').val(selectedModel).trigger('change');
+
+            // 最大Token数超出所选模型的输出上限时自动调低
+            const info = getModelInfo(getPanelConnectionSettings(panel), selectedModel);
+            const maxTokensInput = panel.find('#qrf_max_tokens');
+            if (info?.maxOutputTokens && parseInt(maxTokensInput.val(), 10) > info.maxOutputTokens) {
+                maxTokensInput.val(info.maxOutputTokens).trigger('change');
+                toastr.info(`最大Token数已调整为模型 ${selectedModel} 的输出上限 ${info.maxOutputTokens}。`);
+            }
         }
     });
 
+    panel.on('input.qrf change.qrf', '#qrf_model, #qrf_max_tokens, #qrf_api_url', function() {
+        renderModelInfo(panel);
+    });
+
     // ---- 提示词占位符模板 ----
 
     panel.on('focusin.qrf', '#qrf_main_prompt, #qrf_system_prompt, #qrf_final_system_directive', function() {
@@ -1518,8 +2437,10 @@ export function initializeBindings() {
 
     // --- 功能按钮事件 ---
 
-    panel.find('#qrf_fetch_models').on('click', async function () {
+    panel.find('#qrf_fetch_models').on('click', async function (event) {
         const button = $(this);
+        // 按住 Shift 点击时忽略缓存，重新获取
+        const forceRefresh = event.shiftKey;
         // 修正: 从UI实时获取apiMode，以进行正确的逻辑判断
         const apiMode = panel.find('input[name="qrf_api_mode"]:checked').val();
 
@@ -1536,22 +2457,22 @@ export function initializeBindings() {
             ...apiSettings,
             apiUrl: panel.find('#qrf_api_url').val(),
             apiKey: panel.find('#qrf_api_key').val(),
+            apiKeys: parseApiKeyLines(panel.find('#qrf_api_keys').val()),
+            extraHeaders: panel.find('#qrf_extra_headers').val(),
+            extraBody: panel.find('#qrf_extra_body').val(),
             model: panel.find('#qrf_model').val(),
             apiMode: apiMode // 传递实时获取的apiMode
         };
 
-        const models = await fetchModels(currentApiSettings);
-        const modelSelect = panel.find('#qrf_model_select');
-        modelSelect.empty().append(new Option('请选择一个模型', ''));
+        const models = await fetchModels(currentApiSettings, { forceRefresh });
         
         if (models && models.length > 0) {
-            models.forEach(model => modelSelect.append(new Option(model.id || model.model, model.id || model.model)));
-            if (currentApiSettings.model && modelSelect.find(`option[value="${currentApiSettings.model}"]`).length > 0) {
-                modelSelect.val(currentApiSettings.model);
-            }
+            fillModelSelect(panel, models, currentApiSettings.model);
         } else {
+             panel.find('#qrf_model_select').empty().append(new Option('请选择一个模型', ''));
              toastr.info('未能获取到模型列表，您仍然可以手动输入模型名称。');
         }
+        renderModelInfo(panel);
         
         button.prop('disabled', false).find('i').removeClass('fa-spin');
     });
@@ -1565,12 +2486,15 @@ export function initializeBindings() {
             ...apiSettings,
             apiUrl: panel.find('#qrf_api_url').val(),
             apiKey: panel.find('#qrf_api_key').val(),
+            apiKeys: parseApiKeyLines(panel.find('#qrf_api_keys').val()),
+            extraHeaders: panel.find('#qrf_extra_headers').val(),
+            extraBody: panel.find('#qrf_extra_body').val(),
             model: panel.find('#qrf_model').val(),
             apiMode: panel.find('input[name="qrf_api_mode"]:checked').val(), // 实时获取当前API模式
             // 确保测试时也传递 tavernProfile
             tavernProfile: panel.find('#qrf_tavern_api_profile_select').val()
         };
-        await testApiConnection(currentApiSettings);
+        await showConnectionDiagnostics(currentApiSettings);
         button.prop('disabled', false).find('i').removeClass('fa-spin');
     });
 
@@ -1743,6 +2667,13 @@ export function initializeBindings() {
         showLatestAnalysisData();
     });
 
+    // ---- 请求检查器 ----
+    $(document).off('click.qrf_open_inspector').on('click.qrf_open_inspector', '#qrf_open_inspector', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        showRequestInspector();
+    });
+
     // ---- Jailbreak 提示词管理器事件绑定 ----
     
     // 添加新提示词
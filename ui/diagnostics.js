@@ -0,0 +1,119 @@
+// 剧情规划大师 - 连接诊断窗口
+// 逐步显示“测试连接”各检查项的结果与修改建议
+
+import { extensionName } from '../utils/settings.js';
+import { DIAGNOSTIC_STEPS, runConnectionDiagnostics, formatDiagnosticReport } from '../core/diagnostics.js';
+
+const MODAL_ID = 'qrf_diagnostics_modal';
+
+// 各状态的图标与样式
+const STATUS_INFO = {
+    pending: { icon: 'fa-regular fa-circle', className: 'qrf_diag_pending', label: '等待' },
+    running: { icon: 'fa-solid fa-spinner fa-spin', className: 'qrf_diag_running', label: '检查中' },
+    ok: { icon: 'fa-solid fa-circle-check', className: 'qrf_diag_ok', label: '通过' },
+    warn: { icon: 'fa-solid fa-triangle-exclamation', className: 'qrf_diag_warn', label: '注意' },
+    fail: { icon: 'fa-solid fa-circle-xmark', className: 'qrf_diag_fail', label: '失败' },
+    skip: { icon: 'fa-solid fa-circle-minus', className: 'qrf_diag_skip', label: '跳过' },
+};
+
+/**
+ * 更新一个检查项的显示。
+ * @param {JQuery} item
+ * @param {import('../core/diagnostics.js').DiagnosticStep} step
+ */
+function renderStep(item, step) {
+    const info = STATUS_INFO[step.status] || STATUS_INFO.pending;
+    item.attr('class', `qrf_diag_step ${info.className}`);
+    item.find('.qrf_diag_icon').attr('class', `qrf_diag_icon ${info.icon}`).attr('title', info.label);
+    item.find('.qrf_diag_message').text(step.message || '').toggle(!!step.message);
+    item.find('.qrf_diag_fix').text(step.fix ? `建议：${step.fix}` : '').toggle(!!step.fix);
+}
+
+/**
+ * 打开诊断窗口并运行连接诊断。
+ * @param {object} apiSettings - 待测试的设置
+ * @returns {Promise<boolean>} 是否全部通过（没有失败的步骤）
+ */
+export async function showConnectionDiagnostics(apiSettings) {
+    $(`#${MODAL_ID}`).remove();
+
+    const modal = $(`
+        <div id="${MODAL_ID}" class="qrf_modal">
+            <div class="qrf_modal_content qrf_diag_content">
+                <div class="qrf_modal_header">
+                    <h3><i class="fa-solid fa-stethoscope"></i> 连接诊断</h3>
+                    <button class="menu_button qrf_modal_close_button" title="关闭">
+                        <i class="fa-solid fa-times"></i>
+                    </button>
+                </div>
+                <div class="qrf_modal_body">
+                    <div class="qrf_modal_actions">
+                        <button class="menu_button qrf_diag_copy" title="复制诊断报告（不含 API Key）" disabled>
+                            <i class="fa-solid fa-copy"></i> 复制报告
+                        </button>
+                    </div>
+                    <div class="qrf_diag_summary"></div>
+                    <div class="qrf_diag_steps"></div>
+                </div>
+            </div>
+        </div>
+    `);
+    $('body').append(modal);
+
+    const list = modal.find('.qrf_diag_steps');
+    const items = new Map();
+    for (const { id, label } of DIAGNOSTIC_STEPS) {
+        const item = $(`
+            <div class="qrf_diag_step">
+                <div class="qrf_diag_header"><i class="qrf_diag_icon"></i><b class="qrf_diag_label"></b></div>
+                <div class="qrf_diag_message"></div>
+                <div class="qrf_diag_fix"></div>
+            </div>
+        `);
+        item.find('.qrf_diag_label').text(label);
+        renderStep(item, { id, label, status: 'pending' });
+        list.append(item);
+        items.set(id, item);
+    }
+
+    let closed = false;
+    const close = () => {
+        closed = true;
+        modal.remove();
+    };
+    modal.on('click', function(e) {
+        if (e.target === this) close();
+    });
+    modal.find('.qrf_modal_close_button').on('click', close);
+
+    const summary = modal.find('.qrf_diag_summary').text('正在检查...');
+    const { ok, steps } = await runConnectionDiagnostics(apiSettings, {
+        onStep: step => renderStep(items.get(step.id), step),
+    });
+
+    const failed = steps.filter(step => step.status === 'fail');
+    const warned = steps.filter(step => step.status === 'warn');
+    const summaryText = ok
+        ? (warned.length > 0 ? `连接可用，有 ${warned.length} 项需要注意。` : '所有检查均已通过。')
+        : `${failed.length} 项检查未通过：${failed.map(step => step.label).join('、')}。`;
+    summary.text(summaryText).toggleClass('qrf_diag_fail', !ok);
+
+    modal.find('.qrf_diag_copy').prop('disabled', false).on('click', () => {
+        navigator.clipboard.writeText(`${summaryText}\n${formatDiagnosticReport(steps)}`).then(() => {
+            toastr.success('已复制诊断报告到剪贴板！', '复制成功');
+        }).catch(err => {
+            console.error(`[${extensionName}] 复制失败:`, err);
+            toastr.error('复制失败，请检查浏览器权限。', '复制失败');
+        });
+    });
+
+    // 窗口已被关闭时仍用提示告知结果
+    if (closed) {
+        if (ok) {
+            toastr.success(summaryText, 'API连接正常');
+        } else {
+            toastr.error(summaryText, 'API连接失败');
+        }
+    }
+    return ok;
+}
@@ -0,0 +1,267 @@
+// 剧情规划大师 - 请求检查器
+// 浏览最近几次规划的完整记录：发送的消息、占位符、每次尝试的请求与回复、校验结果和最终注入内容
+
+import { extensionName } from '../utils/settings.js';
+import { getProvider } from '../core/providers/index.js';
+import { getInspectorRuns, clearInspectorRuns, serializeInspectorRun, buildCurlCommand, exportInspectorRuns } from '../core/inspector.js';
+import { formatTokenBudgetReport } from '../utils/tokenBudget.js';
+
+const MODAL_ID = 'qrf_inspector_modal';
+
+const STATUS_LABELS = {
+    running: '进行中',
+    success: '成功',
+    failed: '失败',
+    cancelled: '已取消',
+    error: '出错',
+};
+
+/**
+ * @param {number} timestamp
+ * @returns {string} 例如 "14:05:09"
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+/**
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)} 秒` : `${ms} 毫秒`;
+}
+
+/**
+ * 复制文本到剪贴板并提示结果。
+ * @param {string} text
+ * @param {string} label - 提示中显示的内容名称
+ */
+function copyText(text, label) {
+    navigator.clipboard.writeText(text).then(() => {
+        toastr.success(`已复制${label}到剪贴板！`, '复制成功');
+    }).catch(err => {
+        console.error(`[${extensionName}] 复制失败:`, err);
+        toastr.error('复制失败，请检查浏览器权限。', '复制失败');
+    });
+}
+
+/**
+ * 创建可折叠的区块，内容以纯文本显示。
+ * @param {string} title
+ * @param {string|JQuery} content - 字符串显示在 <pre> 中，jQuery 对象原样放入
+ * @param {boolean} [open]
+ * @returns {JQuery}
+ */
+function createSection(title, content, open = false) {
+    const section = $('<details class="qrf_inspector_section"></details>').prop('open', open);
+    $('<summary></summary>').text(title).appendTo(section);
+    if (typeof content === 'string') {
+        $('<pre class="qrf_inspector_pre"></pre>').text(content || '（空）').appendTo(section);
+    } else {
+        section.append(content);
+    }
+    return section;
+}
+
+/**
+ * 一次尝试的说明文字。
+ * @param {import('../core/inspector.js').InspectorAttempt} entry
+ * @returns {string}
+ */
+function describeAttempt(entry) {
+    const { attempt } = entry;
+    const providerLabel = getProvider(attempt.apiMode)?.label || attempt.apiMode;
+    const parts = [
+        `尝试 ${attempt.attempt}`,
+        `${attempt.backendName}（${providerLabel}${attempt.model ? ` / ${attempt.model}` : ''}）`,
+        formatDuration(attempt.durationMs || 0),
+        attempt.ok ? '成功' : `失败${attempt.errorClass ? `（${attempt.errorClass}）` : ''}`,
+    ];
+    if (attempt.apiKey) parts.push(`Key ${attempt.apiKey}`);
+    if (attempt.finishReason && attempt.finishReason !== 'stop') parts.push(`结束原因 ${attempt.finishReason}`);
+    if (attempt.usage) parts.push(`Token 输入 ${attempt.usage.promptTokens} / 输出 ${attempt.usage.completionTokens}`);
+    return parts.join(' · ');
+}
+
+/**
+ * 渲染一次尝试：校验结果、回复与请求。
+ * @param {import('../core/inspector.js').InspectorAttempt} entry
+ * @returns {JQuery}
+ */
+function renderAttempt(entry) {
+    const container = $('<div class="qrf_inspector_attempt"></div>');
+    $('<div class="qrf_inspector_attempt_title"></div>').text(describeAttempt(entry)).appendTo(container);
+
+    if (entry.attempt.error) {
+        $('<div class="qrf_inspector_error"></div>').text(entry.attempt.error).appendTo(container);
+    }
+    if (entry.validation) {
+        $('<div class="notes"></div>')
+            .text(entry.validation.ok ? '校验：通过' : `校验：未通过 - ${entry.validation.error}`)
+            .appendTo(container);
+    }
+
+    if (entry.response.reasoning) {
+        container.append(createSection(`思考内容（${entry.response.reasoning.length} 字符）`, entry.response.reasoning));
+    }
+    const responseText = entry.response.content ?? entry.response.error ?? '';
+    container.append(createSection(`原始回复（${responseText.length} 字符）`, responseText, !entry.attempt.ok));
+
+    if (entry.request) {
+        const requestSection = createSection('请求', JSON.stringify(entry.request, null, 2));
+        const curl = buildCurlCommand(entry);
+        if (curl) {
+            $('<button class="menu_button qrf_inspector_copy_curl" title="密钥已打码，使用前请替换为真实的 Key"></button>')
+                .append('<i class="fa-solid fa-terminal"></i> 复制 cURL')
+                .on('click', () => copyText(curl, ' cURL 命令'))
+                .insertAfter(requestSection.children('summary'));
+        }
+        container.append(requestSection);
+    }
+    return container;
+}
+
+/**
+ * 渲染一次规划记录的详情。
+ * @param {JQuery} target
+ * @param {import('../core/inspector.js').InspectorRun} run
+ */
+function renderRunDetail(target, run) {
+    target.empty();
+
+    const lastMeta = run.calls.map(call => call.meta).filter(Boolean).at(-1);
+    const attemptCount = run.calls.reduce((sum, call) => sum + call.attempts.length, 0);
+    const summary = [
+        `状态：${STATUS_LABELS[run.status] || run.status}`,
+        `开始：${formatTime(run.startedAt)}`,
+        run.finishedAt ? `耗时：${formatDuration(run.finishedAt - run.startedAt)}` : '',
+        `类型：${run.generationType}`,
+        lastMeta?.backend ? `来源：${lastMeta.backend.name}${lastMeta.backend.model ? ` / ${lastMeta.backend.model}` : ''}` : '',
+        `请求 ${attemptCount} 次`,
+    ].filter(Boolean).join('，');
+    $('<div class="qrf_analysis_meta"></div>').text(summary).appendTo(target);
+    if (run.error) {
+        $('<div class="qrf_inspector_error"></div>').text(run.error).appendTo(target);
+    }
+
+    target.append(createSection('用户输入', run.userMessage));
+
+    const placeholderList = $('<div></div>');
+    for (const [key, value] of Object.entries(run.placeholders)) {
+        const text = value === undefined || value === null ? '' : String(value);
+        placeholderList.append(createSection(`${key}（${text.length} 字符）`, text));
+    }
+    target.append(createSection(`占位符（${Object.keys(run.placeholders).length}）`, placeholderList));
+    if (run.budget) {
+        target.append(createSection('Token 预算', formatTokenBudgetReport(run.budget).join('\n')));
+    }
+
+    for (const call of run.calls) {
+        const callBody = $('<div></div>');
+        const messageList = $('<div></div>');
+        call.messages.forEach((message, index) => {
+            messageList.append(createSection(`#${index + 1} ${message.role}（${String(message.content).length} 字符）`, String(message.content)));
+        });
+        callBody.append(createSection(`消息（${call.messages.length} 条）`, messageList));
+        call.attempts.forEach(entry => callBody.append(renderAttempt(entry)));
+        if (call.lengthCheck) {
+            $('<div class="notes"></div>')
+                .text(`长度检查：${call.lengthCheck.length}/${call.lengthCheck.minLength} 字符，${call.lengthCheck.ok ? '通过' : '过短'}`)
+                .appendTo(callBody);
+        }
+        const callTitle = run.calls.length > 1 ? `第 ${call.round} 轮调用` : '调用详情';
+        target.append(createSection(call.stage ? `阶段“${call.stage}” · ${callTitle}` : callTitle, callBody, true));
+    }
+
+    if (run.injection !== undefined) {
+        target.append(createSection(`注入内容（${run.injection.length} 字符）`, run.injection));
+    }
+}
+
+/**
+ * 打开请求检查器。记录更新时（例如规划仍在进行）自动刷新。
+ */
+export function showRequestInspector() {
+    $(`#${MODAL_ID}`).remove();
+
+    const modal = $(`
+        <div id="${MODAL_ID}" class="qrf_modal">
+            <div class="qrf_modal_content qrf_inspector_content">
+                <div class="qrf_modal_header">
+                    <h3><i class="fa-solid fa-magnifying-glass"></i> 请求检查器</h3>
+                    <button class="menu_button qrf_modal_close_button" title="关闭">
+                        <i class="fa-solid fa-times"></i>
+                    </button>
+                </div>
+                <div class="qrf_modal_body">
+                    <div class="qrf_modal_actions">
+                        <select class="text_pole qrf_inspector_run_select"></select>
+                        <button class="menu_button qrf_inspector_copy_json" title="复制所选记录（JSON）">
+                            <i class="fa-solid fa-copy"></i> 复制JSON
+                        </button>
+                        <button class="menu_button qrf_inspector_export" title="导出全部记录到文件">
+                            <i class="fa-solid fa-file-export"></i> 导出
+                        </button>
+                        <button class="menu_button qrf_inspector_clear" title="清空全部记录">
+                            <i class="fa-solid fa-trash"></i> 清空
+                        </button>
+                    </div>
+                    <div class="qrf_inspector_detail"></div>
+                </div>
+            </div>
+        </div>
+    `);
+    $('body').append(modal);
+
+    const select = modal.find('.qrf_inspector_run_select');
+    const detail = modal.find('.qrf_inspector_detail');
+
+    const getSelectedRun = () => getInspectorRuns().find(run => String(run.id) === select.val());
+
+    const render = () => {
+        const runs = getInspectorRuns();
+        const selected = select.val();
+        select.empty();
+        for (const run of runs) {
+            const model = run.calls.map(call => call.meta?.backend?.model).filter(Boolean).at(-1) || '';
+            select.append(new Option(`#${run.id} ${formatTime(run.startedAt)} ${STATUS_LABELS[run.status] || run.status}${model ? ` ${model}` : ''}`, String(run.id)));
+        }
+        if (runs.length === 0) {
+            detail.empty().append($('<small class="notes"></small>').text('暂无记录。进行一次剧情规划后即可在此查看；保留数量可在“核心设置”中调整，设为0则不记录。'));
+            return;
+        }
+        select.val(runs.some(run => String(run.id) === selected) ? selected : String(runs[0].id));
+        renderRunDetail(detail, getSelectedRun());
+    };
+
+    const onUpdated = () => render();
+    const close = () => {
+        document.removeEventListener('qrf-inspector-updated', onUpdated);
+        modal.remove();
+    };
+    document.addEventListener('qrf-inspector-updated', onUpdated);
+
+    modal.on('click', function(e) {
+        if (e.target === this) close();
+    });
+    modal.find('.qrf_modal_close_button').on('click', close);
+    select.on('change', () => {
+        const run = getSelectedRun();
+        if (run) renderRunDetail(detail, run);
+    });
+    modal.find('.qrf_inspector_copy_json').on('click', () => {
+        const run = getSelectedRun();
+        if (!run) return;
+        copyText(JSON.stringify(serializeInspectorRun(run), null, 2), '记录');
+    });
+    modal.find('.qrf_inspector_export').on('click', () => {
+        if (!exportInspectorRuns()) toastr.info('暂无可导出的记录。');
+    });
+    modal.find('.qrf_inspector_clear').on('click', () => {
+        if (!confirm('确定要清空请求检查器的全部记录吗？')) return;
+        clearInspectorRuns();
+    });
+
+    render();
+}
@@ -0,0 +1,153 @@
+// 剧情规划大师 - 提示词预览
+// 显示一次完整组装但未发送的规划提示词：每条消息的角色，以及各段文字来自哪个占位符
+
+import { extensionName } from '../utils/settings.js';
+import { splitSources, stripSourceMarkers } from '../utils/promptSources.js';
+import { formatTokenBudgetReport } from '../utils/tokenBudget.js';
+
+const MODAL_ID = 'qrf_prompt_preview_modal';
+
+// 占位符来源的说明与高亮样式，未列出的来源使用通用样式
+const SOURCE_INFO = {
+    '$1': { label: '世界书', className: 'qrf_source_worldbook' },
+    '$5': { label: '总体大纲表', className: 'qrf_source_table' },
+    '$6': { label: '上一轮规划', className: 'qrf_source_plot' },
+    '$7': { label: '前文上下文', className: 'qrf_source_history' },
+    '$U': { label: '用户设定', className: 'qrf_source_user' },
+    '$C': { label: '角色描述', className: 'qrf_source_character' },
+    'sulv1': { label: '主线剧情推进速率', className: 'qrf_source_rate' },
+    'sulv2': { label: '个人线推进速率', className: 'qrf_source_rate' },
+    'sulv3': { label: '色情事件推进速率', className: 'qrf_source_rate' },
+    'sulv4': { label: '绿帽线推进速率', className: 'qrf_source_rate' },
+    'schema': { label: '结构化输出说明', className: 'qrf_source_schema' },
+};
+
+/**
+ * @param {string} source
+ * @returns {{label: string, className: string}}
+ */
+function getSourceInfo(source) {
+    return SOURCE_INFO[source] || { label: source, className: 'qrf_source_other' };
+}
+
+/**
+ * 把带来源标记的消息内容渲染为逐段高亮的文本。
+ * @param {string} content
+ * @returns {JQuery}
+ */
+function renderContent(content) {
+    const pre = $('<pre class="qrf_inspector_pre qrf_preview_content"></pre>');
+    for (const segment of splitSources(content)) {
+        if (!segment.source) {
+            pre.append(document.createTextNode(segment.text));
+            continue;
+        }
+        const info = getSourceInfo(segment.source);
+        $('<span class="qrf_source_segment"></span>')
+            .addClass(info.className)
+            .attr('title', `${segment.source}：${info.label}（${segment.text.length} 字符）`)
+            .text(segment.text)
+            .appendTo(pre);
+    }
+    if (!content) pre.text('（空）');
+    return pre;
+}
+
+/**
+ * 图例：只列出本次实际出现的来源。
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {JQuery}
+ */
+function renderLegend(messages) {
+    const sources = new Set();
+    for (const message of messages) {
+        for (const segment of splitSources(message.content)) {
+            if (segment.source) sources.add(segment.source);
+        }
+    }
+    const legend = $('<div class="qrf_preview_legend"></div>');
+    $('<span class="qrf_source_segment qrf_source_template"></span>').text('提示词模板').appendTo(legend);
+    for (const source of sources) {
+        const info = getSourceInfo(source);
+        $('<span class="qrf_source_segment"></span>').addClass(info.className).text(`${source} ${info.label}`).appendTo(legend);
+    }
+    return legend;
+}
+
+/**
+ * 打开提示词预览窗口。
+ * @param {object} preview
+ * @param {string} preview.userMessage - 输入框中的内容
+ * @param {Array<{role: string, content: string}>} preview.messages - 带来源标记的消息
+ * @param {string} preview.providerLabel
+ * @param {string} [preview.model]
+ * @param {import('../utils/tokenBudget.js').BudgetReport|null} [preview.budgetReport] - 启用Token预算时的裁剪报告
+ */
+export function showPromptPreview({ userMessage, messages, providerLabel, model, budgetReport }) {
+    $(`#${MODAL_ID}`).remove();
+
+    const plainMessages = messages.map(message => ({ role: message.role, content: stripSourceMarkers(message.content) }));
+    const totalLength = plainMessages.reduce((sum, message) => sum + message.content.length, 0);
+
+    const modal = $(`
+        <div id="${MODAL_ID}" class="qrf_modal">
+            <div class="qrf_modal_content qrf_inspector_content">
+                <div class="qrf_modal_header">
+                    <h3><i class="fa-solid fa-eye"></i> 预览提示词</h3>
+                    <button class="menu_button qrf_modal_close_button" title="关闭">
+                        <i class="fa-solid fa-times"></i>
+                    </button>
+                </div>
+                <div class="qrf_modal_body">
+                    <div class="qrf_modal_actions">
+                        <button class="menu_button qrf_preview_copy" title="复制消息数组（JSON，不含来源标记）">
+                            <i class="fa-solid fa-copy"></i> 复制JSON
+                        </button>
+                    </div>
+                    <div class="qrf_analysis_meta"></div>
+                    <small class="notes">以下为按当前设置与输入框内容组装、但未发送的消息。鼠标悬停在高亮文字上可查看其来源占位符。</small>
+                    <div class="qrf_preview_messages"></div>
+                </div>
+            </div>
+        </div>
+    `);
+    $('body').append(modal);
+
+    modal.find('.qrf_analysis_meta').text([
+        `连接：${providerLabel}${model ? ` / ${model}` : ''}`,
+        `消息 ${messages.length} 条`,
+        `共 ${totalLength} 字符`,
+        userMessage ? `用户输入 ${userMessage.length} 字符` : '输入框为空',
+    ].join('，'));
+
+    const list = modal.find('.qrf_preview_messages');
+    if (budgetReport) {
+        $('<pre class="qrf_inspector_pre qrf_preview_budget"></pre>').text(`Token 预算\n${formatTokenBudgetReport(budgetReport).join('\n')}`).appendTo(list);
+    }
+    list.append(renderLegend(messages));
+    messages.forEach((message, index) => {
+        const item = $('<div class="qrf_preview_message"></div>');
+        const header = $('<div class="qrf_preview_message_header"></div>').appendTo(item);
+        $('<span class="qrf_preview_role"></span>').addClass(`qrf_preview_role_${message.role}`).text(message.role).appendTo(header);
+        $('<span class="notes"></span>').text(`#${index + 1} · ${plainMessages[index].content.length} 字符`).appendTo(header);
+        item.append(renderContent(message.content));
+        list.append(item);
+    });
+    if (messages.length === 0) {
+        list.append($('<small class="notes"></small>').text('当前设置没有生成任何消息，请检查提示词是否为空。'));
+    }
+
+    const close = () => modal.remove();
+    modal.on('click', function(e) {
+        if (e.target === this) close();
+    });
+    modal.find('.qrf_modal_close_button').on('click', close);
+    modal.find('.qrf_preview_copy').on('click', () => {
+        navigator.clipboard.writeText(JSON.stringify(plainMessages, null, 2)).then(() => {
+            toastr.success('已复制消息到剪贴板！', '复制成功');
+        }).catch(err => {
+            console.error(`[${extensionName}] 复制失败:`, err);
+            toastr.error('复制失败，请检查浏览器权限。', '复制失败');
+        });
+    });
+}
@@ -0,0 +1,142 @@
+// 剧情规划大师 - 流式预览浮窗
+// 规划请求进行时实时显示模型已生成的内容、耗时、字符数和当前尝试次数
+
+import { extensionName } from '../utils/settings.js';
+
+const PANEL_ID = 'qrf_stream_preview';
+
+/**
+ * @typedef {object} StreamPreview
+ * @property {(info: {backendName: string, attempt: number, maxRetries: number, streaming: boolean, round?: number, rounds?: number, stage?: string}) => void} startAttempt - 新的一次尝试开始，清空已显示内容
+ * @property {(delta: string, content: string) => void} update - 收到新的流式文本
+ * @property {(result: {ok: boolean, content?: string, error?: string}) => void} endAttempt - 本次尝试结束
+ * @property {() => void} close - 关闭浮窗并停止计时
+ */
+
+/**
+ * 格式化耗时，例如 "1:05"。
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 创建流式预览浮窗。用户可以随时关闭浮窗，关闭后本次规划的后续更新会被忽略，请求本身不受影响。
+ * @returns {StreamPreview}
+ */
+export function createStreamPreview() {
+    $(`#${PANEL_ID}`).remove();
+
+    const panel = $(`
+        <div id="${PANEL_ID}" class="qrf_stream_preview">
+            <div class="qrf_stream_preview_header">
+                <span class="qrf_stream_preview_title"><i class="fa-solid fa-wand-magic-sparkles"></i> 剧情规划预览</span>
+                <button type="button" class="menu_button qrf_stream_preview_close" title="关闭预览（不会取消规划）">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+            <div class="qrf_stream_preview_stats">
+                <span class="qrf_stream_preview_attempt">准备中...</span>
+                <span class="qrf_stream_preview_elapsed">0:00</span>
+                <span class="qrf_stream_preview_chars">0 字符</span>
+            </div>
+            <div class="qrf_stream_preview_notice" style="display: none;"></div>
+            <div class="qrf_stream_preview_body"></div>
+        </div>
+    `);
+    $('body').append(panel);
+
+    const body = panel.find('.qrf_stream_preview_body');
+    const startedAt = Date.now();
+    let closed = false;
+    let pendingContent = null;
+    let frameRequested = false;
+
+    const updateElapsed = () => panel.find('.qrf_stream_preview_elapsed').text(formatElapsed(Date.now() - startedAt));
+    const elapsedTimer = setInterval(updateElapsed, 1000);
+
+    /**
+     * 把最新内容写入浮窗。数据块很密集时合并到下一帧再渲染，避免频繁重排。
+     * @param {string} content
+     */
+    const render = (content) => {
+        pendingContent = content;
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            if (closed || pendingContent === null) return;
+            const element = body[0];
+            // 用户向上翻看时不强制滚动到底部
+            const atBottom = element.scrollHeight - element.scrollTop - element.clientHeight < 24;
+            body.text(pendingContent);
+            panel.find('.qrf_stream_preview_chars').text(`${pendingContent.length} 字符`);
+            if (atBottom) {
+                element.scrollTop = element.scrollHeight;
+            }
+            pendingContent = null;
+        });
+    };
+
+    let lastError = null;
+
+    /**
+     * 显示或隐藏浮窗顶部的提示行。
+     * @param {string|null} text
+     */
+    const setNotice = (text) => {
+        const notice = panel.find('.qrf_stream_preview_notice');
+        if (text) {
+            notice.text(text).show();
+        } else {
+            notice.hide();
+        }
+    };
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(elapsedTimer);
+        panel.remove();
+    };
+
+    panel.find('.qrf_stream_preview_close').on('click', () => {
+        console.log(`[${extensionName}] 用户关闭了流式预览`);
+        close();
+    });
+
+    return {
+        startAttempt({ backendName, attempt, maxRetries, streaming, round, rounds, stage }) {
+            if (closed) return;
+            const stageText = stage ? `${stage} · ` : '';
+            const roundText = rounds > 1 ? `第 ${round}/${rounds} 轮 · ` : '';
+            panel.find('.qrf_stream_preview_attempt').text(`${stageText}${roundText}${backendName} · 尝试 ${attempt}/${maxRetries}`);
+            render('');
+            // 上一次失败的原因保留显示，直到本次尝试结束
+            if (!streaming) {
+                setNotice('当前为非流式请求，回复完成后一次性显示。');
+            } else if (!lastError) {
+                setNotice(null);
+            }
+        },
+
+        update(delta, content) {
+            if (closed) return;
+            render(content);
+        },
+
+        endAttempt({ ok, content, error }) {
+            if (closed) return;
+            if (content) {
+                render(content);
+            }
+            lastError = ok ? null : (error || '未知原因');
+            setNotice(lastError ? `上次尝试失败：${lastError}` : null);
+        },
+
+        close,
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * @typedef {object} OpenAIMessage
+ * @property {string} role - The role of the message author (e.g., 'user', 'assistant', 'system').
+ * @property {string} content - The content of the message.
+ */
+
+/**
+ * @typedef {object} AnthropicMessage
+ * @property {'user'|'assistant'} role - The role of the message author.
+ * @property {string} content - The text content of the message.
+ */
+
+/**
+ * @typedef {object} AnthropicRequestPayload
+ * @property {string} model
+ * @property {number} max_tokens
+ * @property {AnthropicMessage[]} messages
+ * @property {string} [system]
+ * @property {number} [temperature]
+ * @property {boolean} [stream]
+ */
+
+
+const extensionName = 'Quick Response Force';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Converts OpenAI-formatted messages to Anthropic's Messages API format.
+ * System messages are lifted into a single top-level `system` string, and consecutive
+ * messages with the same role are merged, because the Messages API requires strictly
+ * alternating `user`/`assistant` turns.
+ *
+ * @param {OpenAIMessage[]} messages - The array of messages in OpenAI format.
+ * @returns {{messages: AnthropicMessage[], system: string}} - The converted messages and the system prompt.
+ */
+function convertOaiToAnthropic(messages) {
+    const converted = [];
+    const systemParts = [];
+
+    for (const message of messages) {
+        const content = String(message?.content ?? '');
+        if (!content.trim()) continue;
+
+        if (message.role === 'system') {
+            systemParts.push(content);
+            continue;
+        }
+
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const last = converted[converted.length - 1];
+        if (last && last.role === role) {
+            last.content += `\n\n${content}`;
+            continue;
+        }
+
+        converted.push({ role, content });
+    }
+
+    // The Messages API requires the conversation to start with a user turn.
+    if (converted.length === 0 || converted[0].role !== 'user') {
+        converted.unshift({ role: 'user', content: 'Hi' });
+    }
+
+    return { messages: converted, system: systemParts.join('\n\n') };
+}
+
+/**
+ * Builds the `/v1/...` endpoint URL from the configured base URL.
+ * Accepts `https://api.anthropic.com`, `.../v1` or a full `.../v1/messages` URL.
+ *
+ * @param {string} apiUrl - The base URL configured by the user.
+ * @param {string} [path='messages'] - The endpoint path below `/v1`.
+ * @returns {string} - The full endpoint URL.
+ */
+function buildAnthropicUrl(apiUrl, path = 'messages') {
+    let baseUrl = String(apiUrl || '').trim().replace(/\/+$/, '');
+    baseUrl = baseUrl.replace(/\/(messages|models)$/, '');
+    if (!baseUrl.endsWith('/v1')) {
+        baseUrl += '/v1';
+    }
+    return `${baseUrl}/${path}`;
+}
+
+/**
+ * Builds the request headers for the Anthropic API.
+ * The `anthropic-dangerous-direct-browser-access` header is required for CORS requests from the browser.
+ *
+ * @param {string} apiKey - The Anthropic API key.
+ * @returns {Record<string, string>} - The request headers.
+ */
+function buildAnthropicHeaders(apiKey) {
+    return {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true',
+    };
+}
+
+/**
+ * Constructs the full request payload for the Anthropic Messages API.
+ *
+ * @param {OpenAIMessage[]} messages - The messages in OpenAI format.
+ * @param {object} apiSettings - The current API settings from the plugin.
+ * @returns {AnthropicRequestPayload} - The complete payload for the Anthropic API.
+ */
+function buildAnthropicRequest(messages, apiSettings) {
+    const { messages: anthropicMessages, system } = convertOaiToAnthropic(messages);
+
+    const payload = {
+        model: apiSettings.model,
+        max_tokens: Number(apiSettings.maxTokens) > 0 ? Number(apiSettings.maxTokens) : DEFAULT_MAX_TOKENS,
+        messages: anthropicMessages,
+        // Newer Claude models reject requests that set both temperature and top_p, so only temperature is sent.
+        temperature: apiSettings.temperature,
+    };
+
+    if (system) {
+        payload.system = system;
+    }
+
+    Object.keys(payload).forEach(key => {
+        if (payload[key] === undefined || payload[key] === null || payload[key] === '') {
+            delete payload[key];
+        }
+    });
+
+    return payload;
+}
+
+/**
+ * Parses the response from the Anthropic Messages API and converts it back to an OpenAI-like choice format.
+ *
+ * @param {object} anthropicResponse - The raw JSON response from the Anthropic API.
+ * @returns {{choices: {message: {content: string}}[], usage?: object}|{error: object}} - The response in a format compatible with the plugin.
+ */
+function parseAnthropicResponse(anthropicResponse) {
+    if (anthropicResponse?.type === 'error' || anthropicResponse?.error) {
+        const error = anthropicResponse.error || {};
+        console.error(`${extensionName}: Anthropic API returned an error:`, error);
+        return { error: { message: `${error.type || 'error'}: ${error.message || 'Unknown error'}` } };
+    }
+
+    const blocks = Array.isArray(anthropicResponse?.content) ? anthropicResponse.content : [];
+    const responseText = blocks
+        .filter(block => block?.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    if (!responseText) {
+        console.warn(`${extensionName}: Anthropic API response text is empty.`, anthropicResponse);
+        return { error: { message: `Empty response (stop_reason: ${anthropicResponse?.stop_reason || 'unknown'})` } };
+    }
+
+    // Extended thinking blocks are returned separately so they never mix into the answer.
+    const thinkingText = blocks
+        .filter(block => block?.type === 'thinking')
+        .map(block => block.thinking)
+        .join('');
+
+    return {
+        choices: [{
+            message: {
+                content: responseText,
+                ...(thinkingText ? { reasoning_content: thinkingText } : {}),
+            }
+        }],
+        usage: anthropicResponse.usage,
+    };
+}
+
+
+export {
+    buildAnthropicRequest,
+    buildAnthropicHeaders,
+    buildAnthropicUrl,
+    parseAnthropicResponse,
+};
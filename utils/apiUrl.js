@@ -0,0 +1,149 @@
+/**
+ * API address handling.
+ *
+ * Builds OpenAI-compatible endpoint URLs from the address the user typed (shared by the planner and the
+ * optimizer so both accept the same forms), and checks an address for problems the browser would only
+ * report as an opaque "Failed to fetch": a missing scheme, mixed content, local addresses and so on.
+ */
+
+/**
+ * @typedef {object} UrlIssue
+ * @property {'warn'|'fail'} level - `fail` when requests to the address cannot work.
+ * @property {string} message
+ * @property {string} [fix] - Suggested change.
+ */
+
+/**
+ * Trims the address and removes trailing slashes.
+ *
+ * @param {string} apiUrl
+ * @returns {string}
+ */
+export function trimApiUrl(apiUrl) {
+    return String(apiUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Builds the `/chat/completions` URL. Accepts a base such as `https://api.openai.com/v1` or the full endpoint.
+ *
+ * @param {string} apiUrl
+ * @param {object} [options]
+ * @param {string} [options.defaultVersion] - Version path inserted when the base has none, e.g. `v1` turns
+ *   `https://host` into `https://host/v1/chat/completions`. The optimizer has always added `/v1`, so saved
+ *   optimizer addresses omit it.
+ * @returns {string}
+ */
+export function buildChatCompletionsUrl(apiUrl, { defaultVersion } = {}) {
+    const baseUrl = trimApiUrl(apiUrl);
+    if (baseUrl.endsWith('/chat/completions')) return baseUrl;
+    if (defaultVersion && !/\/v\d+[a-z]*$/.test(baseUrl)) return `${baseUrl}/${defaultVersion}/chat/completions`;
+    return `${baseUrl}/chat/completions`;
+}
+
+/**
+ * Builds the `/models` URL from the same forms as {@link buildChatCompletionsUrl}.
+ *
+ * @param {string} apiUrl
+ * @returns {string}
+ */
+export function buildModelsUrl(apiUrl) {
+    const baseUrl = trimApiUrl(apiUrl);
+    if (baseUrl.endsWith('/chat/completions')) {
+        return baseUrl.replace(/\/chat\/completions$/, '/models');
+    }
+    return baseUrl.endsWith('/models') ? baseUrl : `${baseUrl}/models`;
+}
+
+/**
+ * Identifies a connection for per-connection state such as cached model lists and CORS fallback routes.
+ * The API key is left out: keys from the same pool reach the same server.
+ *
+ * @param {object} apiSettings
+ * @returns {string}
+ */
+export function getConnectionKey(apiSettings) {
+    const parts = [apiSettings.apiMode || '', trimApiUrl(apiSettings.apiUrl)];
+    if (apiSettings.apiMode === 'backend') {
+        parts.push(apiSettings.backendSource || 'custom');
+    }
+    if (apiSettings.apiMode === 'google') {
+        parts.push(apiSettings.googleBackend || 'aistudio', apiSettings.vertexProject || '', apiSettings.vertexLocation || '', apiSettings.vertexPublisher || '');
+    }
+    return parts.join('|');
+}
+
+/**
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isLoopbackHost(hostname) {
+    return hostname === 'localhost' || hostname === '[::1]' || /^127\./.test(hostname);
+}
+
+/**
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+    return /^(10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(hostname) || hostname.endsWith('.local');
+}
+
+/**
+ * Checks an API address as the browser will use it.
+ *
+ * @param {string} apiUrl - The address as typed.
+ * @param {object} [options]
+ * @param {string} [options.pageUrl] - URL of the page making the requests, for mixed-content and local-address checks.
+ *   Omit it for addresses requested by the server rather than the browser.
+ * @param {boolean} [options.expectVersionPath] - The API is OpenAI-compatible, whose base URLs usually end in a version such as `/v1`.
+ * @returns {{url: string, issues: UrlIssue[]}} - The trimmed address and what is wrong with it.
+ */
+export function analyzeApiUrl(apiUrl, { pageUrl, expectVersionPath = false } = {}) {
+    const raw = String(apiUrl || '');
+    const url = trimApiUrl(raw);
+    const issues = [];
+
+    if (!url) {
+        issues.push({ level: 'fail', message: '未填写 API URL。' });
+        return { url, issues };
+    }
+    if (raw !== raw.trim()) {
+        issues.push({ level: 'warn', message: '地址首尾有空格，发送时会自动去除。', fix: '删除地址首尾的空格。' });
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        issues.push({ level: 'fail', message: `“${url}”不是有效的网址。`, fix: '地址需以 http:// 或 https:// 开头，例如 https://api.openai.com/v1。' });
+        return { url, issues };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        issues.push({ level: 'fail', message: `不支持的协议“${parsed.protocol}”。`, fix: '地址需以 http:// 或 https:// 开头。' });
+        return { url, issues };
+    }
+    if (parsed.username || parsed.password) {
+        issues.push({ level: 'fail', message: '地址中包含用户名或密码，浏览器会拒绝此类请求。', fix: '从地址中删除“用户名:密码@”部分，改用 API Key 或额外请求头。' });
+    }
+
+    const page = pageUrl ? new URL(pageUrl) : null;
+    const local = isLoopbackHost(parsed.hostname);
+    if (page?.protocol === 'https:' && parsed.protocol === 'http:' && !local) {
+        issues.push({ level: 'fail', message: '酒馆通过 HTTPS 访问，而 API 地址使用 HTTP，浏览器会拦截这种混合内容请求。', fix: '改用 https:// 地址，或改用“后端代理”模式由酒馆服务器转发。' });
+    }
+    if (page && !isLoopbackHost(page.hostname) && local) {
+        issues.push({ level: 'warn', message: `地址指向 ${parsed.hostname}，即打开酒馆页面的这台设备，而不是运行酒馆的服务器。`, fix: '若模型服务运行在酒馆服务器上，请填写服务器的局域网地址，或改用“后端代理”模式。' });
+    } else if (page && !isLoopbackHost(page.hostname) && !isPrivateHost(page.hostname) && isPrivateHost(parsed.hostname)) {
+        issues.push({ level: 'warn', message: `地址 ${parsed.hostname} 是局域网地址，只有在同一网络中才能访问。` });
+    }
+
+    const path = parsed.pathname.replace(/\/+$/, '');
+    if (/(\/v\d+[a-z]*)\1(\/|$)/.test(path)) {
+        issues.push({ level: 'warn', message: `地址中的版本路径重复（${path}）。`, fix: '删除重复的版本路径，例如把 /v1/v1 改为 /v1。' });
+    }
+    const basePath = path.replace(/\/chat\/completions$/, '');
+    if (expectVersionPath && !/\/v\d+[a-z]*(\/|$)/.test(basePath)) {
+        issues.push({ level: 'warn', message: '地址中没有版本路径，多数 OpenAI 兼容接口的地址以 /v1 结尾。', fix: `若后续步骤返回 404，请尝试在地址末尾加上 /v1（${parsed.origin}${basePath}/v1）。` });
+    }
+    return { url, issues };
+}
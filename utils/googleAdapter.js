@@ -15,6 +15,12 @@
  * @property {GooglePart[]} parts - An array of parts that make up the content.
  */
 
+/**
+ * @typedef {object} GoogleThinkingConfig
+ * @property {number} [thinkingBudget] - Token budget for thinking; -1 lets the model decide, 0 disables thinking.
+ * @property {boolean} [includeThoughts] - Return thought summaries as parts flagged with `thought: true`.
+ */
+
 /**
  * @typedef {object} GoogleGenerationConfig
  * @property {number} [temperature]
@@ -22,8 +28,9 @@
  * @property {number} [topK]
  * @property {number} [maxOutputTokens]
  * @property {string[]} [stopSequences]
- * @property {number} [presencePenalty]
- * @property {number} [frequencyPenalty]
+ * @property {GoogleThinkingConfig} [thinkingConfig]
+ * @property {string} [responseMimeType]
+ * @property {object} [responseSchema]
  */
 
 /**
@@ -35,6 +42,7 @@
 /**
  * @typedef {object} GoogleRequestPayload
  * @property {GoogleContent[]} contents
+ * @property {{parts: GooglePart[]}} [systemInstruction]
  * @property {GoogleGenerationConfig} generationConfig
  * @property {GoogleSafetySetting[]} safetySettings
  */
@@ -42,44 +50,164 @@
 
 const extensionName = 'Quick Response Force';
 
+/**
+ * Harm categories that can be configured, with the threshold used when the user has not chosen one.
+ * An empty default means the category is not sent at all (older models reject CIVIC_INTEGRITY).
+ */
+const GOOGLE_SAFETY_CATEGORIES = [
+    { category: 'HARM_CATEGORY_HARASSMENT', label: '骚扰', defaultThreshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_HATE_SPEECH', label: '仇恨言论', defaultThreshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: '色情内容', defaultThreshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: '危险内容', defaultThreshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_CIVIC_INTEGRITY', label: '公民诚信', defaultThreshold: '' },
+];
+
+/** Thresholds accepted by the Gemini API. */
+const GOOGLE_SAFETY_THRESHOLDS = [
+    { value: 'OFF', label: '关闭过滤 (OFF)' },
+    { value: 'BLOCK_NONE', label: '不拦截 (BLOCK_NONE)' },
+    { value: 'BLOCK_ONLY_HIGH', label: '仅拦截高风险' },
+    { value: 'BLOCK_MEDIUM_AND_ABOVE', label: '拦截中风险及以上' },
+    { value: 'BLOCK_LOW_AND_ABOVE', label: '拦截低风险及以上' },
+];
+
+/** Gemini accepts at most this many stop sequences. */
+const MAX_STOP_SEQUENCES = 5;
+
+/** Smallest thinking budget accepted by 2.5 Pro, which cannot turn thinking off. */
+const MIN_PRO_THINKING_BUDGET = 128;
+
+/**
+ * Converts a settings value to a finite number.
+ *
+ * @param {*} value
+ * @returns {number|undefined} - The number, or undefined for empty or invalid input.
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Gemma models served through the Gemini API do not support system instructions.
+ *
+ * @param {string} model
+ * @returns {boolean}
+ */
+function supportsSystemInstruction(model) {
+    return !/gemma/i.test(model || '');
+}
+
+/**
+ * Whether the model belongs to the 2.5 series, which accepts `thinkingConfig`.
+ *
+ * @param {string} model
+ * @returns {boolean}
+ */
+function isThinkingModel(model) {
+    return /gemini-2\.5/i.test(model || '');
+}
+
 /**
  * Converts OpenAI-formatted messages to Google Gemini's `contents` format.
- * It also separates the system prompt.
+ * Leading system messages become the system instruction; system messages that appear later are sent as user turns.
  *
  * @param {OpenAIMessage[]} messages - The array of messages in OpenAI format.
- * @returns {{contents: GoogleContent[], system_instruction: GoogleContent | null}} - An object containing the converted contents and the system instruction.
+ * @param {{useSystemInstruction?: boolean}} [options] - Set useSystemInstruction to false to fold system text into the contents.
+ * @returns {{contents: GoogleContent[], system_instruction: {parts: GooglePart[]} | null}} - An object containing the converted contents and the system instruction.
  */
-function convertOaiToGoogle(messages) {
+function convertOaiToGoogle(messages, { useSystemInstruction = true } = {}) {
     const contents = [];
-    let system_instruction = null;
+    const systemParts = [];
     let lastRole = '';
 
     for (const message of messages) {
-        // In Google's format, consecutive messages must alternate between 'user' and 'model'.
-        // If we have two 'user' messages in a row, we merge them.
-        if (message.role === 'user' && lastRole === 'user') {
-            const lastContent = contents[contents.length - 1];
-            lastContent.parts.push({ text: `\n\n${message.content}` });
+        const text = typeof message.content === 'string' ? message.content : String(message.content ?? '');
+
+        if (message.role === 'system' && useSystemInstruction && contents.length === 0) {
+            systemParts.push({ text });
             continue;
         }
-        
-        // Assistant messages are mapped to 'model' role
-        if (message.role === 'assistant') {
-            contents.push({
-                role: 'model',
-                parts: [{ text: message.content }],
-            });
-            lastRole = 'model';
-        } else {
-            contents.push({
-                role: 'user',
-                parts: [{ text: message.content }],
-            });
-            lastRole = 'user';
+
+        // Assistant messages are mapped to 'model' role, everything else is sent as 'user'
+        const role = message.role === 'assistant' ? 'model' : 'user';
+
+        // In Google's format, consecutive messages must alternate between 'user' and 'model'.
+        // If we have two messages with the same role in a row, we merge them.
+        if (role === lastRole) {
+            contents[contents.length - 1].parts.push({ text: `\n\n${text}` });
+            continue;
         }
+
+        contents.push({ role, parts: [{ text }] });
+        lastRole = role;
+    }
+
+    // A request made only of system messages still needs a user turn to answer.
+    if (contents.length === 0 && systemParts.length > 0) {
+        contents.push({ role: 'user', parts: systemParts });
+        return { contents, system_instruction: null };
+    }
+
+    return { contents, system_instruction: systemParts.length > 0 ? { parts: systemParts } : null };
+}
+
+/**
+ * Builds the safety settings from the user's per-category thresholds.
+ *
+ * @param {Record<string, string>} [configured] - Category to threshold; an empty string omits the category.
+ * @returns {GoogleSafetySetting[]}
+ */
+function buildSafetySettings(configured = {}) {
+    return GOOGLE_SAFETY_CATEGORIES
+        .map(({ category, defaultThreshold }) => ({
+            category,
+            threshold: configured?.[category] ?? defaultThreshold,
+        }))
+        .filter(setting => setting.threshold);
+}
+
+/**
+ * Parses the stop sequences setting (one sequence per line).
+ *
+ * @param {string} text
+ * @returns {string[]|undefined}
+ */
+function parseStopSequences(text) {
+    const sequences = String(text || '')
+        .split('\n')
+        .map(line => line.replace(/\r$/, ''))
+        .filter(line => line.length > 0);
+    if (sequences.length > MAX_STOP_SEQUENCES) {
+        console.warn(`${extensionName}: Gemini accepts at most ${MAX_STOP_SEQUENCES} stop sequences, the rest are ignored.`);
+    }
+    return sequences.length > 0 ? sequences.slice(0, MAX_STOP_SEQUENCES) : undefined;
+}
+
+/**
+ * Builds the thinking config for 2.5-series models. Other models reject the field, so it is omitted for them.
+ *
+ * @param {string} model
+ * @param {number|string} budget - Empty for the model default, -1 for dynamic thinking, 0 to disable thinking.
+ * @param {boolean} [includeThoughts] - Ask for thought summaries, which are captured separately from the answer.
+ * @returns {GoogleThinkingConfig|undefined}
+ */
+function buildThinkingConfig(model, budget, includeThoughts = false) {
+    if (!isThinkingModel(model)) {
+        return undefined;
+    }
+    let thinkingBudget = toNumber(budget);
+    if (thinkingBudget === undefined) {
+        return includeThoughts ? { includeThoughts: true } : undefined;
     }
 
-    return { contents, system_instruction };
+    thinkingBudget = Math.max(-1, Math.round(thinkingBudget));
+    if (/pro/i.test(model) && thinkingBudget >= 0 && thinkingBudget < MIN_PRO_THINKING_BUDGET) {
+        console.warn(`${extensionName}: ${model} cannot disable thinking, using the minimum budget of ${MIN_PRO_THINKING_BUDGET}.`);
+        thinkingBudget = MIN_PRO_THINKING_BUDGET;
+    }
+    return includeThoughts && thinkingBudget !== 0 ? { thinkingBudget, includeThoughts: true } : { thinkingBudget };
 }
 
 
@@ -88,16 +216,24 @@ function convertOaiToGoogle(messages) {
  *
  * @param {OpenAIMessage[]} messages - The messages in OpenAI format.
  * @param {object} apiSettings - The current API settings from the plugin.
+ * @param {object} [options]
+ * @param {object} [options.responseSchema] - A `responseSchema` (see structuredOutput.toGoogleSchema) to request JSON output.
  * @returns {GoogleRequestPayload} - The complete payload for the Google API.
  */
-function buildGoogleRequest(messages, apiSettings) {
-    const { contents } = convertOaiToGoogle(messages);
+function buildGoogleRequest(messages, apiSettings, { responseSchema } = {}) {
+    const { contents, system_instruction } = convertOaiToGoogle(messages, {
+        useSystemInstruction: supportsSystemInstruction(apiSettings.model),
+    });
 
     const generationConfig = {
-        temperature: apiSettings.temperature,
-        topP: apiSettings.top_p,
-        topK: apiSettings.top_k,
-        maxOutputTokens: apiSettings.max_tokens,
+        temperature: toNumber(apiSettings.temperature),
+        topP: toNumber(apiSettings.topP),
+        topK: toNumber(apiSettings.topK),
+        maxOutputTokens: toNumber(apiSettings.maxTokens),
+        stopSequences: parseStopSequences(apiSettings.googleStopSequences),
+        thinkingConfig: buildThinkingConfig(apiSettings.model, apiSettings.googleThinkingBudget, apiSettings.googleIncludeThoughts === true),
+        responseMimeType: responseSchema ? 'application/json' : undefined,
+        responseSchema,
     };
     
     // According to Google's API docs, topK is an integer.
@@ -115,18 +251,14 @@ function buildGoogleRequest(messages, apiSettings) {
         contents.push({ role: 'user', parts: [{ text: 'Hi' }] });
     }
 
-    const safetySettings = [
-        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
-        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
-        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
-        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
-    ];
-
     const payload = {
         contents,
         generationConfig,
-        safetySettings,
+        safetySettings: buildSafetySettings(apiSettings.googleSafetySettings),
     };
+    if (system_instruction) {
+        payload.systemInstruction = system_instruction;
+    }
 
     return payload;
 }
@@ -135,7 +267,7 @@ function buildGoogleRequest(messages, apiSettings) {
  * Parses the response from Google Gemini API and converts it back to an OpenAI-like choice format.
  *
  * @param {object} googleResponse - The raw JSON response from the Google API.
- * @returns {{choices: {message: {content: string}}[]}} - The response in a format compatible with the plugin.
+ * @returns {{choices: {message: {content: string}}[], usage?: object}} - The response in a format compatible with the plugin.
  */
 function parseGoogleResponse(googleResponse) {
     try {
@@ -150,7 +282,10 @@ function parseGoogleResponse(googleResponse) {
         }
 
         const responseContent = candidates[0].content;
-        const responseText = responseContent?.parts?.map(part => part.text).join('') || '';
+        const parts = responseContent?.parts || [];
+        // Parts flagged as `thought` are thinking summaries; keep them out of the answer text.
+        const responseText = parts.filter(part => !part.thought).map(part => part.text).join('');
+        const reasoningText = parts.filter(part => part.thought).map(part => part.text).join('');
         
         if (!responseText) {
             let message = `${extensionName}: Google API response text is empty.`;
@@ -161,9 +296,12 @@ function parseGoogleResponse(googleResponse) {
         return {
             choices: [{
                 message: {
-                    content: responseText
+                    content: responseText,
+                    ...(reasoningText ? { reasoning_content: reasoningText } : {}),
                 }
-            }]
+            }],
+            // Token counts in Gemini's own shape; normalized later (see utils/usage.js).
+            usage: googleResponse.usageMetadata,
         };
     } catch (error) {
         console.error(`${extensionName}: Error parsing Google response:`, error, googleResponse);
@@ -175,4 +313,6 @@ function parseGoogleResponse(googleResponse) {
 export {
     buildGoogleRequest,
     parseGoogleResponse,
+    GOOGLE_SAFETY_CATEGORIES,
+    GOOGLE_SAFETY_THRESHOLDS,
 };
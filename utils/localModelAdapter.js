@@ -0,0 +1,171 @@
+/**
+ * @typedef {object} OpenAIMessage
+ * @property {string} role - The role of the message author (e.g., 'user', 'assistant', 'system').
+ * @property {string} content - The content of the message.
+ */
+
+/**
+ * @typedef {object} OllamaChatPayload
+ * @property {string} model
+ * @property {OpenAIMessage[]} messages
+ * @property {boolean} stream
+ * @property {object} options - Ollama runtime options (temperature, top_p, num_predict, num_ctx, ...).
+ * @property {object} [format] - JSON schema for structured output.
+ */
+
+/**
+ * @typedef {object} LlamaCppCompletionPayload
+ * @property {string} prompt
+ * @property {number} [n_predict]
+ * @property {number} [temperature]
+ * @property {number} [top_p]
+ * @property {boolean} [cache_prompt]
+ * @property {object} [json_schema] - JSON schema for structured output.
+ * @property {boolean} [stream]
+ */
+
+
+const extensionName = 'Quick Response Force';
+
+/**
+ * Removes undefined, null, empty-string and NaN values from a plain object in place.
+ *
+ * @param {object} target - The object to clean.
+ * @returns {object} - The same object.
+ */
+function dropEmptyValues(target) {
+    Object.keys(target).forEach(key => {
+        const value = target[key];
+        if (value === undefined || value === null || value === '' || Number.isNaN(value)) {
+            delete target[key];
+        }
+    });
+    return target;
+}
+
+/**
+ * Normalizes the configured server address (strips trailing slashes and known endpoint paths).
+ *
+ * @param {string} apiUrl - The server address configured by the user, e.g. `http://127.0.0.1:11434`.
+ * @returns {string} - The bare server origin/path without a trailing slash.
+ */
+function normalizeLocalBaseUrl(apiUrl) {
+    return String(apiUrl || '')
+        .trim()
+        .replace(/\/+$/, '')
+        .replace(/\/(api\/chat|api\/tags|completion|apply-template|v1\/models|v1)$/, '');
+}
+
+/**
+ * Builds the request headers for a local server. An API key is optional (e.g. llama.cpp `--api-key`).
+ *
+ * @param {string} [apiKey] - Optional bearer token.
+ * @returns {Record<string, string>} - The request headers.
+ */
+function buildLocalHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+/**
+ * Constructs the request payload for Ollama's native `/api/chat` endpoint.
+ *
+ * @param {OpenAIMessage[]} messages - The messages in OpenAI format (Ollama accepts the same shape).
+ * @param {object} apiSettings - The current API settings from the plugin.
+ * @param {boolean} stream - Whether to request an NDJSON stream. Ollama streams by default, so this is always sent.
+ * @param {object} [responseSchema] - A JSON schema the reply must follow (sent as `format`).
+ * @returns {OllamaChatPayload} - The complete payload for the Ollama API.
+ */
+function buildOllamaRequest(messages, apiSettings, stream, responseSchema) {
+    const numCtx = Number(apiSettings.ollamaNumCtx);
+    const options = dropEmptyValues({
+        temperature: apiSettings.temperature,
+        top_p: apiSettings.topP,
+        num_predict: apiSettings.maxTokens,
+        presence_penalty: apiSettings.presencePenalty,
+        frequency_penalty: apiSettings.frequencyPenalty,
+        num_ctx: numCtx > 0 ? numCtx : undefined,
+    });
+
+    const payload = {
+        model: apiSettings.model,
+        messages: messages.map(message => ({ role: message.role, content: String(message.content ?? '') })),
+        stream: !!stream,
+        options,
+    };
+    if (responseSchema) {
+        payload.format = responseSchema;
+    }
+    return payload;
+}
+
+/**
+ * Parses a non-streaming Ollama `/api/chat` response into an OpenAI-like choice format.
+ *
+ * @param {object} ollamaResponse - The raw JSON response from Ollama.
+ * @returns {{choices: {message: {content: string}}[], usage?: object}|{error: object}} - The response in a format compatible with the plugin.
+ */
+function parseOllamaResponse(ollamaResponse) {
+    if (ollamaResponse?.error) {
+        console.error(`${extensionName}: Ollama returned an error:`, ollamaResponse.error);
+        return { error: { message: String(ollamaResponse.error) } };
+    }
+
+    const responseText = ollamaResponse?.message?.content || '';
+    if (!responseText) {
+        console.warn(`${extensionName}: Ollama response text is empty.`, ollamaResponse);
+        return { error: { message: `Empty response (done_reason: ${ollamaResponse?.done_reason || 'unknown'})` } };
+    }
+
+    // Thinking models (e.g. qwen3, deepseek-r1) report their reasoning in `message.thinking` when `think` is enabled.
+    const thinking = ollamaResponse?.message?.thinking;
+    return {
+        choices: [{ message: { content: responseText, ...(thinking ? { reasoning_content: thinking } : {}) } }],
+        usage: { prompt_eval_count: ollamaResponse.prompt_eval_count, eval_count: ollamaResponse.eval_count },
+    };
+}
+
+/**
+ * Renders chat messages into a plain prompt for llama.cpp servers that do not expose `/apply-template`.
+ *
+ * @param {OpenAIMessage[]} messages - The messages in OpenAI format.
+ * @returns {string} - A plain-text prompt ending with an open assistant turn.
+ */
+function renderFallbackPrompt(messages) {
+    const lines = messages.map(message => `${message.role}: ${String(message.content ?? '')}`);
+    return `${lines.join('\n\n')}\n\nassistant:`;
+}
+
+/**
+ * Constructs the request payload for llama.cpp server's `/completion` endpoint.
+ *
+ * @param {string} prompt - The fully rendered prompt (see `/apply-template`).
+ * @param {object} apiSettings - The current API settings from the plugin.
+ * @param {object} [responseSchema] - A JSON schema the reply must follow; the server turns it into a grammar.
+ * @returns {LlamaCppCompletionPayload} - The complete payload for the llama.cpp server.
+ */
+function buildLlamaCppRequest(prompt, apiSettings, responseSchema) {
+    return dropEmptyValues({
+        prompt,
+        n_predict: apiSettings.maxTokens,
+        temperature: apiSettings.temperature,
+        top_p: apiSettings.topP,
+        presence_penalty: apiSettings.presencePenalty,
+        frequency_penalty: apiSettings.frequencyPenalty,
+        cache_prompt: true,
+        json_schema: responseSchema,
+    });
+}
+
+
+export {
+    normalizeLocalBaseUrl,
+    buildLocalHeaders,
+    buildOllamaRequest,
+    parseOllamaResponse,
+    renderFallbackPrompt,
+    buildLlamaCppRequest,
+};
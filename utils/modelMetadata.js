@@ -0,0 +1,139 @@
+/**
+ * Model metadata from model-list endpoints.
+ *
+ * Providers describe their models in different shapes: OpenRouter reports `context_length`,
+ * `top_provider.max_completion_tokens` and per-token `pricing`, Gemini reports `inputTokenLimit` and
+ * `outputTokenLimit`, vLLM reports `max_model_len`, llama.cpp reports `meta.n_ctx_train`. They are
+ * normalized to {@link ModelInfo} so the rest of the extension only deals with one shape.
+ */
+
+/**
+ * @typedef {object} ModelInfo
+ * @property {string} id
+ * @property {string} [name] - Display name, when different from the ID.
+ * @property {number} [contextLength] - Context window in tokens (prompt plus output).
+ * @property {number} [maxOutputTokens] - Largest completion the model can produce.
+ * @property {{input: number, output: number}} [pricing] - USD per million tokens.
+ */
+
+/**
+ * @param {...any} values
+ * @returns {number|undefined} - The first positive integer among the values.
+ */
+function firstPositiveInteger(...values) {
+    for (const value of values) {
+        const number = Number(value);
+        if (Number.isFinite(number) && number > 0) return Math.floor(number);
+    }
+    return undefined;
+}
+
+/**
+ * Converts a per-token price (OpenRouter sends strings such as "0.000003") to a per-million price.
+ *
+ * @param {any} value
+ * @returns {number|undefined}
+ */
+function perMillion(value) {
+    const number = Number(value);
+    // OpenRouter uses -1 for router models whose price depends on the routed model
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0) return undefined;
+    return Math.round(number * 1e6 * 1e6) / 1e6;
+}
+
+/**
+ * Normalizes one entry of a model list.
+ *
+ * @param {any} raw
+ * @returns {ModelInfo|null} - Null when the entry has no usable ID.
+ */
+export function normalizeModelInfo(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id || raw.model || raw.name || '').replace(/^models\//, '');
+    if (!id) return null;
+
+    const info = { id };
+    const name = raw.displayName || raw.display_name || (raw.name && raw.name !== raw.id && !String(raw.name).startsWith('models/') ? raw.name : '');
+    if (name && name !== id) info.name = String(name);
+
+    const contextLength = firstPositiveInteger(
+        raw.context_length,
+        raw.top_provider?.context_length,
+        raw.inputTokenLimit,
+        raw.max_input_tokens,
+        raw.context_window,
+        raw.max_context_length,
+        raw.max_model_len,
+        raw.meta?.n_ctx_train,
+    );
+    if (contextLength) info.contextLength = contextLength;
+
+    const maxOutputTokens = firstPositiveInteger(
+        raw.top_provider?.max_completion_tokens,
+        raw.outputTokenLimit,
+        raw.max_completion_tokens,
+        raw.max_output_tokens,
+        raw.max_tokens,
+    );
+    if (maxOutputTokens) info.maxOutputTokens = maxOutputTokens;
+
+    const input = perMillion(raw.pricing?.prompt);
+    const output = perMillion(raw.pricing?.completion);
+    if (input !== undefined && output !== undefined) info.pricing = { input, output };
+
+    return info;
+}
+
+/**
+ * Normalizes a model list, dropping entries without an ID and duplicates, sorted by ID.
+ *
+ * @param {any[]} models
+ * @returns {ModelInfo[]}
+ */
+export function normalizeModelList(models) {
+    const byId = new Map();
+    for (const raw of Array.isArray(models) ? models : []) {
+        const info = normalizeModelInfo(raw);
+        if (info && !byId.has(info.id)) byId.set(info.id, info);
+    }
+    return [...byId.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Checks request settings against a model's limits.
+ *
+ * @param {ModelInfo|null|undefined} info
+ * @param {{maxTokens?: number, promptTokens?: number}} usage - Requested completion tokens and, if known, prompt tokens.
+ * @returns {Array<{kind: 'output'|'context', message: string}>} - Empty when nothing exceeds the limits or the limits are unknown.
+ */
+export function checkModelLimits(info, { maxTokens, promptTokens } = {}) {
+    if (!info) return [];
+    const warnings = [];
+    if (info.maxOutputTokens && maxTokens > info.maxOutputTokens) {
+        warnings.push({ kind: 'output', message: `最大Token数 ${maxTokens} 超过了模型 ${info.id} 的输出上限 ${info.maxOutputTokens}。` });
+    }
+    if (info.contextLength && promptTokens > 0) {
+        const output = Math.min(maxTokens || 0, info.maxOutputTokens || Infinity);
+        if (promptTokens >= info.contextLength) {
+            warnings.push({ kind: 'context', message: `提示词约 ${promptTokens} Token，已超过模型 ${info.id} 的上下文长度 ${info.contextLength}。` });
+        } else if (promptTokens + output > info.contextLength) {
+            warnings.push({ kind: 'context', message: `提示词约 ${promptTokens} Token，加上最大Token数 ${output} 超过了模型 ${info.id} 的上下文长度 ${info.contextLength}，回复可能被截断。` });
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Describes a model's metadata in one line, e.g. for the settings panel.
+ *
+ * @param {ModelInfo} info
+ * @returns {string} - Empty when no metadata is known.
+ */
+export function describeModelInfo(info) {
+    if (!info) return '';
+    const parts = [];
+    if (info.contextLength) parts.push(`上下文 ${info.contextLength}`);
+    if (info.maxOutputTokens) parts.push(`最大输出 ${info.maxOutputTokens}`);
+    if (info.pricing) parts.push(`每百万Token 输入 $${info.pricing.input} / 输出 $${info.pricing.output}`);
+    return parts.join(' · ');
+}
@@ -1,5 +1,10 @@
 /**
- * Remove old `qrf_plot` payloads from chat history, keeping only the latest N saves.
+ * Fields stored next to `qrf_plot` that belong to the same planning run and are pruned together with it.
+ */
+export const QRF_PLOT_COMPANION_KEYS = ['qrf_plot_meta', 'qrf_plot_reasoning', 'qrf_plot_data', 'qrf_plot_stages'];
+
+/**
+ * Remove old `qrf_plot` payloads (and their companion fields) from chat history, keeping only the latest N saves.
  *
  * @param {Array<object>} chat - SillyTavern chat array (context.chat)
  * @param {number} keepLatestCount - Keep the latest N `qrf_plot` entries. <= 0 disables pruning.
@@ -21,6 +26,9 @@ export function pruneQrfPlotHistory(chat, keepLatestCount) {
     const indexesToPrune = plotIndexes.slice(0, plotIndexes.length - retention);
     for (const index of indexesToPrune) {
         delete chat[index].qrf_plot;
+        for (const key of QRF_PLOT_COMPANION_KEYS) {
+            delete chat[index][key];
+        }
     }
 
     return indexesToPrune.length;
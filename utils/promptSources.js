@@ -0,0 +1,86 @@
+/**
+ * Placeholder provenance for the prompt preview.
+ *
+ * While assembling a preview, every placeholder replacement is wrapped in invisible private-use markers that
+ * carry the placeholder name. After assembly the marked text can be split into segments, each tagged with the
+ * placeholder it came from (or `null` for text written in the prompt template itself). Real requests never
+ * contain markers.
+ */
+
+const OPEN = '\uE000';
+const NAME_END = '\uE001';
+const CLOSE = '\uE002';
+const MARKER_REGEX = /[\uE000-\uE002]/;
+
+/**
+ * @typedef {object} PromptSegment
+ * @property {string} text
+ * @property {string|null} source - Placeholder name such as `$1`, or null for template text.
+ */
+
+/**
+ * Wraps a placeholder replacement in provenance markers.
+ *
+ * @param {string} source - Placeholder name.
+ * @param {any} value - Replacement value; empty values are returned unmarked so they never make a prompt non-empty.
+ * @returns {string}
+ */
+export function markSource(source, value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text ? `${OPEN}${source}${NAME_END}${text}${CLOSE}` : text;
+}
+
+/**
+ * Splits marked text into segments. Nested markers (a placeholder inside another placeholder's value)
+ * attribute the inner text to the innermost placeholder.
+ *
+ * @param {string} text
+ * @returns {PromptSegment[]} - Adjacent segments with the same source are merged.
+ */
+export function splitSources(text) {
+    const segments = [];
+    const stack = [];
+    let buffer = '';
+
+    const flush = () => {
+        if (!buffer) return;
+        const source = stack.length ? stack[stack.length - 1] : null;
+        const last = segments[segments.length - 1];
+        if (last && last.source === source) {
+            last.text += buffer;
+        } else {
+            segments.push({ text: buffer, source });
+        }
+        buffer = '';
+    };
+
+    const input = String(text ?? '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (char === OPEN) {
+            flush();
+            const end = input.indexOf(NAME_END, i + 1);
+            if (end === -1) break;
+            stack.push(input.slice(i + 1, end));
+            i = end;
+        } else if (char === CLOSE) {
+            flush();
+            stack.pop();
+        } else {
+            buffer += char;
+        }
+    }
+    flush();
+    return segments;
+}
+
+/**
+ * Removes all provenance markers.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripSourceMarkers(text) {
+    const input = String(text ?? '');
+    return MARKER_REGEX.test(input) ? splitSources(input).map(segment => segment.text).join('') : input;
+}
@@ -0,0 +1,68 @@
+/**
+ * Helpers for separating model reasoning ("thinking") from the actual answer.
+ * Reasoning is kept for inspection only and must never end up in the injected plot.
+ */
+
+// <think>…</think> and <thinking>…</thinking>, as emitted by DeepSeek-R1, QwQ and similar models.
+const THINK_BLOCK_REGEX = /<(think|thinking)>([\s\S]*?)<\/\1>/gi;
+// Some servers strip the opening tag, leaving only "reasoning…</think>answer".
+const ORPHAN_CLOSE_REGEX = /^([\s\S]*?)<\/(think|thinking)>/i;
+// An opening tag without a closing one means the model stopped while still thinking.
+const UNCLOSED_OPEN_REGEX = /<(think|thinking)>([\s\S]*)$/i;
+
+/**
+ * Joins non-empty reasoning fragments.
+ *
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function joinReasoning(...parts) {
+    return parts
+        .map(part => (typeof part === 'string' ? part.trim() : ''))
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Splits `<think>` blocks out of plain model content.
+ *
+ * @param {string} text - The raw content returned by the model.
+ * @returns {{content: string, reasoning: string}} - The content without reasoning, and the extracted reasoning.
+ */
+export function splitThinkBlocks(text) {
+    if (typeof text !== 'string' || !/<\/?(think|thinking)>/i.test(text)) {
+        return { content: text, reasoning: '' };
+    }
+
+    const reasoningParts = [];
+    let content = text.replace(THINK_BLOCK_REGEX, (match, tag, inner) => {
+        reasoningParts.push(inner);
+        return '';
+    });
+
+    const orphan = content.match(ORPHAN_CLOSE_REGEX);
+    if (orphan) {
+        reasoningParts.unshift(orphan[1]);
+        content = content.slice(orphan[0].length);
+    }
+
+    const unclosed = content.match(UNCLOSED_OPEN_REGEX);
+    if (unclosed) {
+        reasoningParts.push(unclosed[2]);
+        content = content.slice(0, unclosed.index);
+    }
+
+    return { content: content.trim(), reasoning: joinReasoning(...reasoningParts) };
+}
+
+/**
+ * Normalizes a provider result so that reasoning lives only in `reasoning`.
+ * Reasoning already reported by the API is kept, and `<think>` blocks found in the content are moved next to it.
+ *
+ * @param {{content?: string, reasoning?: string}} result
+ * @returns {{content?: string, reasoning: string}}
+ */
+export function separateReasoning(result) {
+    const { content, reasoning } = splitThinkBlocks(result?.content);
+    return { ...result, content, reasoning: joinReasoning(result?.reasoning, reasoning) };
+}
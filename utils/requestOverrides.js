@@ -0,0 +1,148 @@
+/**
+ * Per-connection request overrides: extra HTTP headers and extra body fields, both edited as JSON text.
+ *
+ * Extra headers replace generated headers of the same name (case-insensitive). Extra body fields are
+ * deep-merged into the generated request body: nested objects are merged key by key, arrays and scalar
+ * values replace the generated value, and `null` removes the field.
+ */
+
+// RFC 9110 token characters
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a JSON object from settings text.
+ *
+ * @param {string} text
+ * @param {string} label - Name of the setting, used in error messages.
+ * @returns {object} - An empty object for blank text.
+ * @throws {Error} When the text is not a JSON object.
+ */
+function parseJsonObject(text, label) {
+    const source = String(text ?? '').trim();
+    if (!source) return {};
+
+    let value;
+    try {
+        value = JSON.parse(source);
+    } catch (error) {
+        throw new Error(`${label}不是有效的JSON：${error.message}`);
+    }
+    if (!isPlainObject(value)) {
+        throw new Error(`${label}必须是JSON对象（{...}）。`);
+    }
+    return value;
+}
+
+/**
+ * Parses the extra headers setting.
+ *
+ * @param {string} text - A JSON object mapping header names to string values; `null` removes a generated header.
+ * @returns {Record<string, string|null>}
+ * @throws {Error} When the text is not a JSON object or a header name or value is invalid.
+ */
+export function parseExtraHeaders(text) {
+    const headers = parseJsonObject(text, '额外请求头');
+    for (const [name, value] of Object.entries(headers)) {
+        if (!HEADER_NAME_REGEX.test(name)) {
+            throw new Error(`额外请求头的名称 "${name}" 无效。`);
+        }
+        if (value !== null && typeof value !== 'string') {
+            throw new Error(`额外请求头 "${name}" 的值必须是字符串（或 null 表示删除）。`);
+        }
+        if (typeof value === 'string' && /[\r\n]/.test(value)) {
+            throw new Error(`额外请求头 "${name}" 的值不能包含换行。`);
+        }
+    }
+    return headers;
+}
+
+/**
+ * Parses the extra body setting.
+ *
+ * @param {string} text - A JSON object to deep-merge into the request body.
+ * @returns {object}
+ * @throws {Error} When the text is not a JSON object.
+ */
+export function parseExtraBody(text) {
+    return parseJsonObject(text, '额外请求体');
+}
+
+/**
+ * Checks both override settings of a connection.
+ *
+ * @param {object} apiSettings
+ * @returns {string|null} - The first error message, or null when both are valid.
+ */
+export function getRequestOverridesError(apiSettings) {
+    try {
+        parseExtraHeaders(apiSettings?.extraHeaders);
+        parseExtraBody(apiSettings?.extraBody);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Deep-merges overrides into a copy of `base`. Neither argument is modified.
+ *
+ * @param {object} base
+ * @param {object} overrides - Nested objects merge, arrays and scalars replace, `null` deletes.
+ * @returns {object}
+ */
+export function deepMerge(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (value === null) {
+            delete result[key];
+        } else if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = deepMerge(result[key], value);
+        } else {
+            result[key] = isPlainObject(value) ? deepMerge({}, value) : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Adds the connection's extra headers to generated headers, replacing same-named ones.
+ *
+ * @param {Record<string, string>} headers
+ * @param {object} apiSettings
+ * @returns {Record<string, string>} - A new header object.
+ * @throws {Error} When the extra headers setting is invalid.
+ */
+export function mergeExtraHeaders(headers, apiSettings) {
+    const result = { ...headers };
+    for (const [name, value] of Object.entries(parseExtraHeaders(apiSettings?.extraHeaders))) {
+        for (const existing of Object.keys(result)) {
+            if (existing.toLowerCase() === name.toLowerCase()) delete result[existing];
+        }
+        if (value !== null) result[name] = value;
+    }
+    return result;
+}
+
+/**
+ * Applies the connection's extra headers and extra body to a built HTTP request.
+ *
+ * @param {{url: string, headers: Record<string, string>, body: object}} request
+ * @param {object} apiSettings
+ * @returns {{url: string, headers: Record<string, string>, body: object}} - A new request object.
+ * @throws {Error} When either override setting is invalid.
+ */
+export function applyRequestOverrides(request, apiSettings) {
+    return {
+        ...request,
+        headers: mergeExtraHeaders(request.headers, apiSettings),
+        body: deepMerge(request.body, parseExtraBody(apiSettings?.extraBody)),
+    };
+}
@@ -3,6 +3,34 @@
 
 export const extensionName = 'quick-response-force';
 
+// 请求超时的默认值（秒），可在设置中按API模式分别覆盖；0表示不限制
+export const DEFAULT_REQUEST_TIMEOUTS = {
+    total: 120, // 单次请求的总时长
+    firstToken: 60, // 流式请求收到首个数据块之前的等待时间
+    chunk: 25, // 流式请求两个数据块之间的最长间隔
+};
+
+// 属于“连接”的设置项：保存API配置时只记录这些字段，用作故障转移链中的备用后端
+export const CONNECTION_SETTING_KEYS = [
+    'apiMode',
+    'apiUrl',
+    'apiKey',
+    'apiKeys',
+    'keyRotation',
+    'extraHeaders',
+    'extraBody',
+    'model',
+    'tavernProfile',
+    'useStreaming',
+    'ollamaNumCtx',
+    'backendSource',
+    'googleBackend',
+    'vertexProject',
+    'vertexLocation',
+    'vertexPublisher',
+    'corsFallbackEnabled',
+];
+
 export const defaultSettings = {
     enabled: true,
     minLength: 0,
@@ -21,22 +49,64 @@ export const defaultSettings = {
     lastUsedPresetName: '剧情索引', // 新增：用于存储上次使用的预设名称
     promptMode: 'classic', // 提示词模式: 'classic'(传统三段式) | 'jailbreak'(纯JB模式)
     jailbreakPrompts: [], // Jailbreak提示词管理器
+    streamPreviewEnabled: false, // 规划时显示流式预览浮窗
+    inspectorHistorySize: 10, // 请求检查器在内存中保留的最近规划记录数，0表示不记录
+    failoverStats: { total: 0, fallback: 0, failed: 0, byBackend: {} }, // 故障转移统计：规划总次数、使用备用配置次数、全部失败次数、各配置成功次数
+    apiKeyStatus: {}, // Key 池中各 Key 的状态 { [指纹]: { invalid, cooldownUntil, lastUsedAt, uses, lastError } }
+    usageStats: { days: {}, chats: {} }, // Token用量统计：按天（YYYY-MM-DD）与按聊天ID，各自按模型分组
+    modelPrices: [], // 模型价格表 [{ model, input, output }]，价格为每百万Token，model 支持 * 通配符
+    usageCurrency: '$', // 估算费用显示的货币符号
+    modelCatalogTtlHours: 24, // 模型列表缓存的有效期（小时），0表示每次都重新获取
+    modelCatalogs: {}, // 模型列表缓存 { [连接]: { models: [{ id, contextLength, maxOutputTokens, pricing }], fetchedAt } }
+    connectionRoutes: {}, // 跨域转发成功后记住的路线 { [连接]: 'proxy' | 'backend' }，未记录的连接直连
     apiSettings: {
-        apiMode: 'frontend', // 'backend', 'frontend', 'google', 'tavern'
-        useStreaming: true, // 前端直连/Google直连是否使用流式传输(SSE)
+        apiMode: 'frontend', // 'backend', 'frontend', 'google', 'anthropic', 'ollama', 'llamacpp', 'tavern'
+        useStreaming: true, // 前端直连/Google直连/Anthropic直连/本地模型是否使用流式传输
         apiUrl: '',
         apiKey: '',
+        apiKeys: [], // API Key 池（前端直连与 Google 模式），非空时代替 apiKey
+        keyRotation: 'round-robin', // Key 池的选用方式：'round-robin' 轮询 | 'lru' 最久未用优先
+        extraHeaders: '', // 额外请求头（JSON对象文本），覆盖同名请求头，null 表示删除
+        extraBody: '', // 额外请求体（JSON对象文本），深度合并到请求体，null 表示删除字段
+        corsFallbackEnabled: false, // 前端直连/Google直连被CORS拦截时，改经酒馆CORS代理或后端路由重发
         model: 'gpt-4-turbo',
         tavernProfile: '',
+        ollamaNumCtx: 0, // Ollama options.num_ctx，0表示使用模型默认值
+        backendSource: 'custom', // 后端代理模式使用的酒馆聊天补全来源；非 custom 时由酒馆使用服务器端保存的密钥
+        googleBackend: 'aistudio', // Google 模式的后端: 'aistudio'(API Key) | 'vertex'(Vertex AI，访问令牌鉴权)
+        vertexProject: '', // Vertex AI 项目ID
+        vertexLocation: 'us-central1', // Vertex AI 区域，global 表示全局端点
+        vertexPublisher: 'google', // Vertex AI 模型发布方
+        googleSafetySettings: {}, // Gemini 各类别的安全阈值 { [category]: threshold }，未设置的类别使用默认值
+        googleStopSequences: '', // Gemini 停止序列，每行一个
+        googleThinkingBudget: '', // Gemini 2.5 系列的思考预算：留空使用模型默认，-1为动态，0为关闭
+        googleIncludeThoughts: false, // 请求 Gemini 返回思考摘要（单独保存，不会注入）
+        requestTimeouts: {}, // 按API模式保存的超时设置 { [apiMode]: { total, firstToken, chunk } }，单位秒
+        apiConnections: [], // 已保存的API配置 [{ id, name, enabled, ...CONNECTION_SETTING_KEYS }]
+        failoverEnabled: false, // 主配置失败时，按顺序尝试已启用的备用配置
+        pipelineEnabled: false, // 多阶段规划：按顺序执行下方的阶段，代替单次规划
+        pipelineStages: [], // 规划阶段 [{ id, name, enabled, connectionId, mainPrompt, systemPrompt, requiredKeywords, minLength }]
+        pipelineInjectStage: '', // 注入哪个阶段的输出（阶段ID），留空为最后一个阶段
         maxTokens: 20000,
         temperature: 0.7,
         topP: 0.95,
         presencePenalty: 1,
         frequencyPenalty: 1,
         contextTurnCount: 3,
+        tokenBudgetEnabled: false, // 按Token预算组装规划提示词，超出时按整条目/整行/整轮/整句裁剪
+        tokenBudget: 32000, // 规划提示词的总Token预算
+        tokenBudgetSections: { // 各部分的优先级（越大越优先获得剩余预算）与最低占比（%）
+            $7: { priority: 4, minShare: 20 },
+            $1: { priority: 3, minShare: 30 },
+            $5: { priority: 2, minShare: 20 },
+            $6: { priority: 1, minShare: 10 },
+        },
         plotRetentionCount: 0, // [新功能] 仅保留最近N次的剧情规划数据(qrf_plot)，0表示不清理
         extractTags: '', // [新功能] 标签摘取
         excludeTags: '', // [新功能] 标签排除（在提取前先排除）
+        structuredOutputEnabled: false, // 要求模型按 JSON Schema 输出规划，校验不通过时重试
+        structuredOutputSchema: '', // 结构化输出使用的 JSON Schema（JSON文本）
+        structuredOutputTemplate: '', // 注入模板，{{字段路径}} 引用规划对象中的字段；留空则注入格式化后的JSON
         worldbookEnabled: true,
         worldbookSource: 'character', // 'character', 'manual', or 'both'
         worldbookCharLimit: 60000,
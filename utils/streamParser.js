@@ -0,0 +1,363 @@
+/**
+ * Incremental parsers for streamed completions.
+ *
+ * Two framings are supported: Server-Sent Events, parsed per the HTML Living Standard (`event:`, `id:`,
+ * multi-line `data:`, comments, and LF, CR or CRLF line endings that may be split across chunks), and
+ * NDJSON (one JSON value per line). On top of them, dialect decoders turn each message into a
+ * {@link StreamUpdate} for the OpenAI, Google, Anthropic, Ollama and llama.cpp formats.
+ *
+ * Error payloads sent mid-stream (an `error` event, or a JSON body with an `error` field) throw a
+ * {@link createStreamError stream error} instead of being skipped, so a failed generation is never
+ * mistaken for a short one.
+ */
+
+const extensionName = 'Quick Response Force';
+
+/**
+ * @typedef {object} SseMessage
+ * @property {string} event - Event name; `message` when the server sent none.
+ * @property {string} data - Data lines joined with `\n`.
+ * @property {string} id - Last event ID seen on the stream.
+ */
+
+/**
+ * @typedef {object} StreamUpdate
+ * @property {string} [content] - Text to append to the answer.
+ * @property {string} [reasoning] - Text to append to the reasoning.
+ * @property {object} [usage] - Raw usage fields, merged over earlier ones (see utils/usage.js).
+ * @property {string} [finishReason] - Normalized: `stop`, `length`, `content_filter`, `error`, or the lower-cased raw reason.
+ * @property {boolean} [done] - The stream signalled its end; anything after it is ignored.
+ */
+
+/**
+ * @typedef {object} ChunkParser
+ * @property {(text: string) => void} push - Feeds decoded text; complete messages are emitted synchronously.
+ * @property {() => void} end - Flushes what is left when the stream closes.
+ */
+
+/**
+ * Creates the error thrown for failures reported inside a stream. A numeric HTTP-like code in the payload
+ * is kept as `status` so the retry policy can classify it.
+ *
+ * @param {string} message
+ * @param {any} [payload] - The error object from the stream, if any.
+ * @returns {Error}
+ */
+export function createStreamError(message, payload) {
+    const error = new Error(message);
+    error.name = 'StreamError';
+    const code = Number(payload?.code ?? payload?.status);
+    if (Number.isInteger(code) && code >= 400 && code < 600) {
+        error.status = code;
+    }
+    return error;
+}
+
+/**
+ * Creates an SSE parser.
+ *
+ * @param {(message: SseMessage) => void} onMessage
+ * @returns {ChunkParser}
+ */
+export function createSseParser(onMessage) {
+    let buffer = '';
+    let started = false;
+    let skipLineFeed = false; // The previous chunk ended with CR, so a leading LF belongs to that line ending
+    let eventName = '';
+    let dataLines = [];
+    let lastId = '';
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onMessage({ event: eventName || 'message', data: dataLines.join('\n'), id: lastId });
+        }
+        eventName = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            eventName = value;
+        } else if (field === 'id' && !value.includes('\0')) {
+            lastId = value;
+        }
+        // `retry` only matters for EventSource reconnection; unknown fields are ignored
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            if (!started && buffer) {
+                if (buffer.charCodeAt(0) === 0xFEFF) buffer = buffer.slice(1);
+                started = true;
+            }
+            if (skipLineFeed && buffer.startsWith('\n')) buffer = buffer.slice(1);
+            skipLineFeed = false;
+
+            let start = 0;
+            for (let i = 0; i < buffer.length; i++) {
+                const char = buffer[i];
+                if (char !== '\n' && char !== '\r') continue;
+                processLine(buffer.slice(start, i));
+                if (char === '\r') {
+                    if (i + 1 === buffer.length) {
+                        skipLineFeed = true;
+                    } else if (buffer[i + 1] === '\n') {
+                        i++;
+                    }
+                }
+                start = i + 1;
+            }
+            buffer = buffer.slice(start);
+        },
+        end() {
+            // The spec drops an event that is not followed by a blank line, but many servers close the
+            // connection right after the last `data:` line, so it is dispatched anyway.
+            if (buffer) processLine(buffer);
+            buffer = '';
+            dispatch();
+        },
+    };
+}
+
+/**
+ * Creates an NDJSON parser. Blank lines are skipped; CRLF line endings are accepted.
+ *
+ * @param {(line: string) => void} onLine - Receives each trimmed, non-empty line.
+ * @returns {ChunkParser}
+ */
+export function createNdjsonParser(onLine) {
+    let buffer = '';
+    const emit = (line) => {
+        const trimmed = line.trim();
+        if (trimmed) onLine(trimmed);
+    };
+    return {
+        push(text) {
+            buffer += text;
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            lines.forEach(emit);
+        },
+        end() {
+            emit(buffer);
+            buffer = '';
+        },
+    };
+}
+
+/**
+ * @param {any} error - The `error` field of a payload.
+ * @returns {string}
+ */
+function describePayloadError(error) {
+    if (typeof error === 'string') return error;
+    return error?.message || JSON.stringify(error);
+}
+
+/**
+ * Throws when a payload carries an error, as proxies and OpenAI-compatible servers do mid-stream.
+ *
+ * @param {any} parsed
+ * @param {string} label - API name used in the message.
+ */
+function throwOnPayloadError(parsed, label) {
+    if (parsed && typeof parsed === 'object' && parsed.error) {
+        throw createStreamError(`${label}流式错误: ${describePayloadError(parsed.error)}`, typeof parsed.error === 'object' ? parsed.error : parsed);
+    }
+}
+
+const GOOGLE_FINISH_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter',
+    IMAGE_SAFETY: 'content_filter',
+};
+
+const ANTHROPIC_STOP_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    refusal: 'content_filter',
+};
+
+/**
+ * @param {any} reason
+ * @param {Record<string, string>} [mapping]
+ * @returns {string|undefined}
+ */
+function normalizeFinishReason(reason, mapping = {}) {
+    if (!reason) return undefined;
+    return mapping[reason] || String(reason).toLowerCase();
+}
+
+/**
+ * @typedef {object} StreamDialect
+ * @property {'sse'|'ndjson'} framing
+ * @property {(payload: any, message: SseMessage) => StreamUpdate|null} decode - Receives the parsed JSON payload.
+ */
+
+/** @type {Record<string, StreamDialect>} */
+export const STREAM_DIALECTS = {
+    openai: {
+        framing: 'sse',
+        decode(parsed) {
+            throwOnPayloadError(parsed, 'API');
+            // Compatible servers return reasoning as reasoning_content (DeepSeek and others) or reasoning (OpenRouter)
+            const choice = parsed.choices?.[0];
+            const delta = choice?.delta;
+            return {
+                content: delta?.content || undefined,
+                reasoning: (delta?.reasoning_content ?? delta?.reasoning) || undefined,
+                // With stream_options.include_usage the last chunk (empty choices) carries the usage
+                usage: parsed.usage || undefined,
+                finishReason: normalizeFinishReason(choice?.finish_reason),
+            };
+        },
+    },
+    google: {
+        framing: 'sse',
+        decode(parsed) {
+            throwOnPayloadError(parsed, 'Google');
+            if (parsed.promptFeedback?.blockReason) {
+                throw createStreamError(`Google流式错误: 提示词被拦截（${parsed.promptFeedback.blockReason}）`);
+            }
+            // A chunk may hold several parts; parts with thought set are thought summaries
+            const candidate = parsed.candidates?.[0];
+            const parts = candidate?.content?.parts || [];
+            return {
+                content: parts.filter(part => !part?.thought).map(part => part?.text || '').join('') || undefined,
+                reasoning: parts.filter(part => part?.thought).map(part => part.text || '').join('') || undefined,
+                // Every chunk carries the usage so far
+                usage: parsed.usageMetadata || undefined,
+                finishReason: normalizeFinishReason(candidate?.finishReason, GOOGLE_FINISH_REASONS),
+            };
+        },
+    },
+    anthropic: {
+        framing: 'sse',
+        decode(parsed) {
+            if (parsed.type === 'error' || parsed.error) {
+                const error = parsed.error || {};
+                throw createStreamError(`Anthropic流式错误: ${error.type || 'error'} - ${error.message || '未知错误'}`, error);
+            }
+            switch (parsed.type) {
+                case 'message_start':
+                    // Input usage arrives here, output usage in message_delta
+                    return { usage: parsed.message?.usage };
+                case 'message_delta':
+                    return { usage: parsed.usage, finishReason: normalizeFinishReason(parsed.delta?.stop_reason, ANTHROPIC_STOP_REASONS) };
+                case 'content_block_delta':
+                    if (parsed.delta?.type === 'text_delta') return { content: parsed.delta.text };
+                    if (parsed.delta?.type === 'thinking_delta') return { reasoning: parsed.delta.thinking };
+                    return null;
+                case 'message_stop':
+                    return { done: true };
+                default:
+                    return null;
+            }
+        },
+    },
+    ollama: {
+        framing: 'ndjson',
+        decode(parsed) {
+            throwOnPayloadError(parsed, 'Ollama');
+            return {
+                content: parsed.message?.content || undefined,
+                reasoning: parsed.message?.thinking || undefined,
+                // The last line carries prompt_eval_count / eval_count
+                usage: parsed.done ? parsed : undefined,
+                finishReason: parsed.done ? normalizeFinishReason(parsed.done_reason || 'stop') : undefined,
+                done: !!parsed.done,
+            };
+        },
+    },
+    llamacpp: {
+        framing: 'sse',
+        decode(parsed) {
+            throwOnPayloadError(parsed, 'llama.cpp');
+            return {
+                content: parsed.content || undefined,
+                // The last chunk carries tokens_evaluated / tokens_predicted
+                usage: parsed.stop ? parsed : undefined,
+                finishReason: parsed.stop ? (parsed.stop_type === 'limit' || parsed.truncated ? 'length' : 'stop') : undefined,
+                done: !!parsed.stop,
+            };
+        },
+    },
+};
+
+/**
+ * Creates a decoder for one streamed response: framing, JSON parsing, error detection and dialect decoding.
+ *
+ * @param {string} format - A key of {@link STREAM_DIALECTS}; unknown formats use the OpenAI dialect.
+ * @param {(update: StreamUpdate) => void} onUpdate - Not called again once an update has `done` set.
+ * @returns {ChunkParser & {readonly done: boolean}}
+ * @throws {Error} From `push`/`end` when the stream reports an error.
+ */
+export function createStreamDecoder(format, onUpdate) {
+    const dialect = STREAM_DIALECTS[format] || STREAM_DIALECTS.openai;
+    let done = false;
+
+    const handle = (data, message) => {
+        if (done) return;
+        if (data === '[DONE]') {
+            done = true;
+            onUpdate({ done: true });
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch {
+            if (message.event === 'error') {
+                throw createStreamError(`流式错误: ${data}`);
+            }
+            // Keep-alive or other non-JSON lines
+            console.debug(`${extensionName}: Skipping unparsable stream data:`, data);
+            return;
+        }
+        if (message.event === 'error' && !parsed?.error && parsed?.type !== 'error') {
+            throw createStreamError(`流式错误: ${describePayloadError(parsed)}`, parsed);
+        }
+
+        const update = dialect.decode(parsed, message);
+        if (!update) return;
+        if (update.done) done = true;
+        onUpdate(update);
+    };
+
+    const parser = dialect.framing === 'ndjson'
+        ? createNdjsonParser(line => handle(line, { event: 'message', data: line, id: '' }))
+        : createSseParser(message => handle(message.data, message));
+
+    return {
+        push: text => {
+            if (!done) parser.push(text);
+        },
+        end: () => {
+            if (!done) parser.end();
+        },
+        get done() {
+            return done;
+        },
+    };
+}
@@ -0,0 +1,361 @@
+/**
+ * Helpers for structured (JSON) plan output: schema parsing and validation,
+ * JSON extraction from free text, provider-specific schema conversion and
+ * rendering of the injection template.
+ *
+ * Only the commonly used subset of JSON Schema is validated:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, minimum/maximum, pattern, anyOf and oneOf.
+ */
+
+const MAX_REPORTED_ERRORS = 5;
+
+// Keywords the Gemini `responseSchema` (an OpenAPI 3.0 subset) understands.
+const GOOGLE_SCHEMA_KEYS = new Set([
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'items', 'properties', 'required',
+    'minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum', 'pattern', 'anyOf',
+    'propertyOrdering', 'minProperties', 'maxProperties', 'default', 'example',
+]);
+
+/**
+ * Parses the schema text entered by the user.
+ *
+ * @param {string} text
+ * @returns {object} - The schema object.
+ * @throws {Error} - If the text is not valid JSON or not a JSON object.
+ */
+export function parseSchemaText(text) {
+    let schema;
+    try {
+        schema = JSON.parse(String(text || ''));
+    } catch (error) {
+        throw new Error(`JSON Schema 不是有效的JSON: ${error.message}`);
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('JSON Schema 必须是一个JSON对象。');
+    }
+    return schema;
+}
+
+/**
+ * @param {any} value
+ * @returns {string} - The JSON Schema type name of a value.
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean} - Deep equality for JSON values.
+ */
+function jsonEquals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Recursively validates a value, appending readable errors.
+ *
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @param {string[]} errors
+ */
+function validateNode(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') return;
+    const where = path || '根';
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const allowed = schema.nullable ? [...types, 'null'] : types;
+        if (!allowed.some(type => matchesType(value, type))) {
+            errors.push(`${where}: 应为 ${allowed.join(' 或 ')}，实际为 ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => jsonEquals(option, value))) {
+        errors.push(`${where}: 取值必须是 ${schema.enum.map(option => JSON.stringify(option)).join(', ')} 之一`);
+    }
+    if (schema.const !== undefined && !jsonEquals(schema.const, value)) {
+        errors.push(`${where}: 取值必须为 ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const options = schema.anyOf || schema.oneOf;
+        const matched = options.filter(option => {
+            const optionErrors = [];
+            validateNode(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        }).length;
+        if (schema.anyOf ? matched === 0 : matched !== 1) {
+            errors.push(`${where}: 不符合 ${schema.anyOf ? 'anyOf' : 'oneOf'} 中的${schema.anyOf ? '任何' : '唯一一个'}选项`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            errors.push(`${where}: 长度不能少于 ${schema.minLength}`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            errors.push(`${where}: 长度不能超过 ${schema.maxLength}`);
+        }
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) {
+                    errors.push(`${where}: 不匹配模式 ${schema.pattern}`);
+                }
+            } catch {
+                // Patterns the browser cannot compile are not enforced.
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${where}: 不能小于 ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push(`${where}: 不能大于 ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            errors.push(`${where}: 至少需要 ${schema.minItems} 项`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${where}: 最多允许 ${schema.maxItems} 项`);
+        }
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of Array.isArray(schema.required) ? schema.required : []) {
+            if (value[key] === undefined) {
+                errors.push(`${where}: 缺少必需字段 "${key}"`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                validateNode(item, properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: 不允许的字段 "${key}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(item, schema.additionalProperties, childPath, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validates a value against a JSON schema.
+ *
+ * @param {any} value
+ * @param {object} schema
+ * @returns {string[]} - Readable violations; empty when the value is valid.
+ */
+export function validateAgainstSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Finds the end of the balanced JSON object or array starting at `start`.
+ *
+ * @param {string} text
+ * @param {number} start
+ * @returns {number} - Index just past the closing bracket, or -1.
+ */
+function findBalancedEnd(text, start) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+        else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) return -1;
+            if (stack.length === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Extracts a JSON value from model output. Native structured output returns bare JSON,
+ * while providers without it tend to wrap the JSON in a ```json fence or surrounding prose.
+ *
+ * @param {string} text
+ * @returns {{ok: true, value: any}|{ok: false, error: string}}
+ */
+export function extractJson(text) {
+    const source = String(text || '').trim();
+    const candidates = [source];
+
+    const fence = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fence) candidates.push(fence[1].trim());
+
+    const start = source.search(/[{[]/);
+    if (start === -1) {
+        return { ok: false, error: '回复中没有JSON内容' };
+    }
+    const end = findBalancedEnd(source, start);
+    if (end !== -1) candidates.push(source.slice(start, end));
+
+    let lastError = '';
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            return { ok: true, value: JSON.parse(candidate) };
+        } catch (error) {
+            lastError = error.message;
+        }
+    }
+    return { ok: false, error: `无法解析JSON: ${lastError}` };
+}
+
+/**
+ * Parses and validates a structured reply.
+ *
+ * @param {string} content - The model output.
+ * @param {object} schema
+ * @returns {{ok: true, data: any}|{ok: false, error: string}}
+ */
+export function parseStructuredContent(content, schema) {
+    const parsed = extractJson(content);
+    if (!parsed.ok) {
+        return { ok: false, error: parsed.error };
+    }
+    const errors = validateAgainstSchema(parsed.value, schema);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS).join('；');
+        const more = errors.length > MAX_REPORTED_ERRORS ? ` 等 ${errors.length} 处` : '';
+        return { ok: false, error: `不符合JSON Schema: ${shown}${more}` };
+    }
+    return { ok: true, data: parsed.value };
+}
+
+/**
+ * Converts a JSON schema to the OpenAPI subset accepted by Gemini's `responseSchema`.
+ * Unsupported keywords are dropped, type unions with null become `nullable`,
+ * and `const` becomes a single-value enum.
+ *
+ * @param {object} schema
+ * @returns {object}
+ */
+export function toGoogleSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (!GOOGLE_SCHEMA_KEYS.has(key)) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(value || {}).map(([name, child]) => [name, toGoogleSchema(child)])
+            );
+        } else if (key === 'items') {
+            result.items = toGoogleSchema(value);
+        } else if (key === 'anyOf') {
+            result.anyOf = (value || []).map(toGoogleSchema);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(type => type !== 'null');
+        result.type = types[0];
+        if (types.length !== schema.type.length) result.nullable = true;
+    }
+    if (schema.const !== undefined && result.enum === undefined) {
+        result.enum = [schema.const];
+    }
+    // Gemini only accepts enums of strings declared on a STRING type.
+    if (Array.isArray(result.enum) && result.type === undefined && result.enum.every(option => typeof option === 'string')) {
+        result.type = 'string';
+    }
+    if (typeof result.type === 'string') {
+        result.type = result.type.toUpperCase();
+    }
+    return result;
+}
+
+/**
+ * Builds the instruction appended to the prompt for providers without native structured output.
+ *
+ * @param {object} schema
+ * @returns {{role: string, content: string}}
+ */
+export function buildSchemaInstruction(schema) {
+    return {
+        role: 'system',
+        content: `请只输出一个符合以下 JSON Schema 的JSON值，不要输出任何其他文字或代码块标记：\n${JSON.stringify(schema, null, 2)}`,
+    };
+}
+
+/**
+ * @param {any} data
+ * @param {string} path - Dot-separated path, e.g. "scenes.0.title".
+ * @returns {any}
+ */
+function resolvePath(data, path) {
+    return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+}
+
+/**
+ * @param {any} value
+ * @returns {string} - Text for a template slot: arrays of scalars become lines, objects become JSON.
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+        return value.map(item => (item === null ? '' : String(item))).join('\n');
+    }
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+    return String(value);
+}
+
+/**
+ * Renders the injection template with fields of the structured plan.
+ * `{{field}}` and `{{field.sub.0}}` address values by path, `{{$json}}` inserts the whole plan.
+ * An empty template injects the plan as pretty-printed JSON.
+ *
+ * @param {string} template
+ * @param {any} data
+ * @returns {string}
+ */
+export function renderPlanTemplate(template, data) {
+    if (!String(template || '').trim()) {
+        return JSON.stringify(data, null, 2);
+    }
+    return String(template).replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, path) => (
+        path === '$json' ? JSON.stringify(data, null, 2) : formatValue(resolvePath(data, path))
+    ));
+}
@@ -0,0 +1,281 @@
+/**
+ * Token-budgeted prompt assembly.
+ *
+ * The planner prompt has a fixed part (prompt templates, user input, persona and character descriptions) and
+ * four trimmable sections: `$1` worldbook, `$5` tables, `$7` context and `$6` previous plot. The budget left
+ * after the fixed part is split across the sections: each first gets its minimum share (capped at what it
+ * needs), then the rest goes to sections in priority order. Sections over their allocation are trimmed by
+ * whole units - worldbook entries, table rows, oldest turns, trailing sentences - never mid-sentence.
+ */
+
+export const BUDGET_SECTION_KEYS = ['$1', '$5', '$7', '$6'];
+
+const WORLDBOOK_SEPARATOR = '\n\n---\n\n';
+const SECTION_LABELS = { $1: '世界书', $5: '表格数据', $7: '前文上下文', $6: '上一轮规划' };
+const UNIT_LABELS = { $1: '条', $5: '行', $7: '轮', $6: '句' };
+
+/**
+ * @typedef {object} BudgetRule
+ * @property {number} priority - Higher priorities receive the budget left after minimum shares first.
+ * @property {number} minShare - Percentage (0-100) of the available budget reserved for the section.
+ */
+
+/**
+ * @typedef {object} BudgetSectionReport
+ * @property {string} key - Placeholder name.
+ * @property {number} uses - How many times the placeholder appears in the prompts.
+ * @property {number} tokens - Tokens of one copy before trimming.
+ * @property {number} allocated - Tokens allocated to one copy.
+ * @property {number} keptTokens - Tokens of one copy after trimming.
+ * @property {number} units - Number of trimmable units before trimming.
+ * @property {number} dropped - Number of units removed.
+ */
+
+/**
+ * @typedef {object} BudgetReport
+ * @property {number} budget
+ * @property {number} fixedTokens - Tokens of the untrimmable part of the prompt.
+ * @property {number} available - Budget left for the sections.
+ * @property {string} tokenizer - Name of the tokenizer used for counting.
+ * @property {boolean} estimated - True when at least one count fell back to an estimate.
+ * @property {BudgetSectionReport[]} sections
+ */
+
+/**
+ * Counts the unescaped uses of a placeholder, matching how the planner replaces them.
+ *
+ * @param {string[]} texts
+ * @param {string} key - Placeholder name, e.g. `$1`.
+ * @returns {number}
+ */
+export function countPlaceholderUses(texts, key) {
+    const regex = new RegExp(`(?<!\\\\)\\${key}`, 'g');
+    return texts.reduce((sum, text) => sum + (typeof text === 'string' ? (text.match(regex) || []).length : 0), 0);
+}
+
+/**
+ * Splits the budget available to the sections.
+ *
+ * @param {number} available
+ * @param {Array<{key: string, demand: number, priority: number, minShare: number}>} sections - `minShare` in percent;
+ *   shares summing to more than 100 are scaled down proportionally.
+ * @returns {Record<string, number>} - Tokens allocated to each section, never more than its demand.
+ */
+export function allocateTokenBudget(available, sections) {
+    const budget = Math.max(0, Math.floor(available));
+    const totalShare = sections.reduce((sum, section) => sum + Math.max(0, section.minShare || 0), 0);
+    const scale = totalShare > 100 ? 100 / totalShare : 1;
+
+    const allocation = {};
+    let remaining = budget;
+    for (const section of sections) {
+        const reserved = Math.floor(budget * Math.max(0, section.minShare || 0) * scale / 100);
+        allocation[section.key] = Math.min(section.demand, reserved);
+        remaining -= allocation[section.key];
+    }
+
+    const byPriority = [...sections].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    for (const section of byPriority) {
+        const extra = Math.min(section.demand - allocation[section.key], remaining);
+        if (extra <= 0) continue;
+        allocation[section.key] += extra;
+        remaining -= extra;
+    }
+    return allocation;
+}
+
+/**
+ * Chooses which units to keep within a budget.
+ *
+ * @param {number[]} unitTokens - Token count of each unit.
+ * @param {number} budget - Tokens available to the units.
+ * @param {number[]} dropOrder - Unit indexes, first dropped first.
+ * @param {boolean} [refill] - After dropping, add back dropped units that still fit (last dropped first).
+ *   Leave off where a gap would break continuity, e.g. chat turns.
+ * @returns {boolean[]} - Whether each unit is kept.
+ */
+export function selectUnits(unitTokens, budget, dropOrder, refill = false) {
+    const kept = unitTokens.map(() => true);
+    let total = unitTokens.reduce((sum, tokens) => sum + tokens, 0);
+    const dropped = [];
+    for (const index of dropOrder) {
+        if (total <= budget) break;
+        kept[index] = false;
+        total -= unitTokens[index];
+        dropped.push(index);
+    }
+    if (refill) {
+        for (const index of dropped.reverse()) {
+            if (total + unitTokens[index] <= budget) {
+                kept[index] = true;
+                total += unitTokens[index];
+            }
+        }
+    }
+    return kept;
+}
+
+/**
+ * Splits text into sentences, keeping the terminating punctuation and line breaks with each sentence.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    return String(text || '').split(/(?<=[。！？!?…\n]|\.(?=\s))/).filter(Boolean);
+}
+
+/**
+ * Describes the trimmable units of a section.
+ *
+ * @param {string} key
+ * @param {{text?: string, messages?: Array<{role: string, content: string}>}} input
+ * @returns {{text: string, units: string[], dropOrder: number[], refill: boolean, build: (kept: boolean[]) => any}}
+ */
+function describeSection(key, input) {
+    if (key === '$7') {
+        // Oldest turns go first
+        const messages = input.messages || [];
+        const units = messages.map(message => String(message.content ?? ''));
+        return {
+            text: units.join('\n'),
+            units,
+            dropOrder: messages.map((_, index) => index),
+            refill: false,
+            build: kept => messages.filter((_, index) => kept[index]),
+        };
+    }
+
+    const text = String(input.text || '');
+    if (key === '$1') {
+        // Entries are listed in insertion order; the last ones go first, smaller ones are added back if they fit
+        const entries = text ? text.split(WORLDBOOK_SEPARATOR) : [];
+        return {
+            text,
+            units: entries,
+            dropOrder: entries.map((_, index) => entries.length - 1 - index),
+            refill: true,
+            build: kept => entries.filter((_, index) => kept[index]).join(WORLDBOOK_SEPARATOR),
+        };
+    }
+
+    if (key === '$5') {
+        // Data rows of Markdown tables; titles, headers and separators stay. The oldest rows of the largest table go first.
+        const lines = text.split('\n');
+        const tables = [];
+        let current = null;
+        lines.forEach((line, index) => {
+            if (/^\|(?:---\|)+$/.test(line)) {
+                current = [];
+                tables.push(current);
+            } else if (current && line.startsWith('|')) {
+                current.push(index);
+            } else {
+                current = null;
+            }
+        });
+        const rowIndexes = tables.flat();
+        const unitOf = new Map(rowIndexes.map((lineIndex, unitIndex) => [lineIndex, unitIndex]));
+        const queues = tables.map(rows => [...rows]);
+        const dropOrder = [];
+        while (dropOrder.length < rowIndexes.length) {
+            const largest = queues.reduce((best, queue) => (queue.length > best.length ? queue : best));
+            dropOrder.push(unitOf.get(largest.shift()));
+        }
+        return {
+            text,
+            units: rowIndexes.map(index => lines[index]),
+            dropOrder,
+            refill: false,
+            build: kept => lines.filter((_, index) => !unitOf.has(index) || kept[unitOf.get(index)]).join('\n'),
+        };
+    }
+
+    // $6: trailing sentences go first
+    const sentences = splitSentences(text);
+    return {
+        text,
+        units: sentences,
+        dropOrder: sentences.map((_, index) => sentences.length - 1 - index),
+        refill: false,
+        build: kept => sentences.filter((_, index) => kept[index]).join('').trim(),
+    };
+}
+
+/**
+ * Trims the sections of a planner prompt to a total token budget.
+ *
+ * @param {object} params
+ * @param {number} params.budget - Total token budget of the prompt.
+ * @param {Record<string, number>} params.uses - How many times each section is sent (see countPlaceholderUses).
+ * @param {string} params.fixedText - Untrimmable text: templates without section placeholders, user input and so on.
+ * @param {{$1: {text: string}, $5: {text: string}, $7: {messages: Array<{role: string, content: string}>}, $6: {text: string}}} params.sections
+ * @param {Record<string, BudgetRule>} params.rules
+ * @param {{name: string, count: (text: string) => Promise<number>, isEstimated: () => boolean}} counter
+ * @returns {Promise<{sections: {$1: string, $5: string, $7: Array<{role: string, content: string}>, $6: string}, report: BudgetReport}>}
+ */
+export async function applyTokenBudget({ budget, uses: sectionUses, fixedText, sections, rules }, counter) {
+    const fixedTokens = await counter.count(fixedText);
+    const available = Math.max(0, budget - fixedTokens);
+
+    const prepared = [];
+    for (const key of BUDGET_SECTION_KEYS) {
+        const described = describeSection(key, sections[key] || {});
+        const uses = Math.max(0, Number(sectionUses?.[key]) || 0);
+        const tokens = described.text ? await counter.count(described.text) : 0;
+        prepared.push({ key, uses, tokens, described });
+    }
+
+    const allocation = allocateTokenBudget(available, prepared.map(({ key, uses, tokens }) => ({
+        key,
+        demand: tokens * uses,
+        priority: Number(rules?.[key]?.priority) || 0,
+        minShare: Number(rules?.[key]?.minShare) || 0,
+    })));
+
+    const result = {};
+    const reports = [];
+    for (const { key, uses, tokens, described } of prepared) {
+        const allocated = uses > 0 ? Math.floor(allocation[key] / uses) : tokens;
+        let kept = described.units.map(() => true);
+        let keptTokens = tokens;
+        if (tokens > allocated) {
+            const unitTokens = [];
+            for (const unit of described.units) {
+                unitTokens.push(await counter.count(unit));
+            }
+            // Text outside the units (table headers, separators) is always kept
+            const overhead = Math.max(0, tokens - unitTokens.reduce((sum, count) => sum + count, 0));
+            kept = selectUnits(unitTokens, allocated - overhead, described.dropOrder, described.refill);
+            keptTokens = unitTokens.reduce((sum, count, index) => sum + (kept[index] ? count : 0), overhead);
+        }
+        result[key] = described.build(kept);
+        reports.push({ key, uses, tokens, allocated, keptTokens, units: described.units.length, dropped: kept.filter(value => !value).length });
+    }
+
+    return {
+        sections: result,
+        report: { budget, fixedTokens, available, tokenizer: counter.name, estimated: counter.isEstimated(), sections: reports },
+    };
+}
+
+/**
+ * Describes a budget report for display.
+ *
+ * @param {BudgetReport} report
+ * @returns {string[]} - One line for the totals, then one line per section in use.
+ */
+export function formatTokenBudgetReport(report) {
+    const lines = [`预算 ${report.budget}，固定部分 ${report.fixedTokens}，可分配 ${report.available}（${report.tokenizer}${report.estimated ? '，部分为估算' : ''}）`];
+    if (report.fixedTokens > report.budget) {
+        lines.push('固定部分已超出预算，请精简提示词或提高预算。');
+    }
+    for (const section of report.sections) {
+        if (section.uses === 0 || section.units === 0) continue;
+        const label = `${section.key} ${SECTION_LABELS[section.key]}${section.uses > 1 ? `（×${section.uses}）` : ''}`;
+        lines.push(section.dropped > 0
+            ? `${label}：${section.tokens} → ${section.keptTokens}，删去 ${section.dropped}/${section.units} ${UNIT_LABELS[section.key]}`
+            : `${label}：${section.tokens}，未裁剪`);
+    }
+    return lines;
+}
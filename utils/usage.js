@@ -0,0 +1,145 @@
+/**
+ * Token usage helpers: normalize the usage reports of the supported APIs and estimate cost from a price table.
+ */
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} promptTokens - Input tokens, including cached input where the API reports it separately.
+ * @property {number} completionTokens - Output tokens, including reasoning tokens (they are billed as output).
+ * @property {number} [reasoningTokens] - The part of `completionTokens` spent on reasoning, when reported.
+ */
+
+/**
+ * @typedef {object} ModelPrice
+ * @property {string} model - Model id; a trailing or embedded `*` matches any characters.
+ * @property {number} input - Price per million input tokens.
+ * @property {number} output - Price per million output tokens.
+ */
+
+/**
+ * @param {any} value
+ * @returns {number} - A non-negative integer, 0 for anything else.
+ */
+function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+/**
+ * Converts a usage report from any supported API into {@link TokenUsage}.
+ *
+ * Recognized shapes:
+ * - OpenAI: `{prompt_tokens, completion_tokens, completion_tokens_details.reasoning_tokens}`
+ * - Gemini `usageMetadata`: `{promptTokenCount, candidatesTokenCount, thoughtsTokenCount}`
+ * - Anthropic: `{input_tokens, output_tokens, cache_read_input_tokens, cache_creation_input_tokens}`
+ * - Ollama: `{prompt_eval_count, eval_count}`
+ * - llama.cpp: `{tokens_evaluated, tokens_predicted}` or `timings: {prompt_n, predicted_n}`
+ *
+ * @param {object} raw
+ * @returns {TokenUsage|null} - Null when the object holds no usage information.
+ */
+export function normalizeUsage(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    let usage = null;
+    if ('prompt_tokens' in raw || 'completion_tokens' in raw) {
+        usage = {
+            promptTokens: toCount(raw.prompt_tokens),
+            completionTokens: toCount(raw.completion_tokens),
+            reasoningTokens: toCount(raw.completion_tokens_details?.reasoning_tokens),
+        };
+    } else if ('promptTokenCount' in raw || 'candidatesTokenCount' in raw) {
+        const thoughts = toCount(raw.thoughtsTokenCount);
+        usage = {
+            promptTokens: toCount(raw.promptTokenCount),
+            completionTokens: toCount(raw.candidatesTokenCount) + thoughts,
+            reasoningTokens: thoughts,
+        };
+    } else if ('input_tokens' in raw || 'output_tokens' in raw) {
+        usage = {
+            promptTokens: toCount(raw.input_tokens) + toCount(raw.cache_read_input_tokens) + toCount(raw.cache_creation_input_tokens),
+            completionTokens: toCount(raw.output_tokens),
+        };
+    } else if ('prompt_eval_count' in raw || 'eval_count' in raw) {
+        usage = { promptTokens: toCount(raw.prompt_eval_count), completionTokens: toCount(raw.eval_count) };
+    } else if ('tokens_evaluated' in raw || 'tokens_predicted' in raw) {
+        usage = { promptTokens: toCount(raw.tokens_evaluated), completionTokens: toCount(raw.tokens_predicted) };
+    } else if (raw.timings && typeof raw.timings === 'object') {
+        usage = { promptTokens: toCount(raw.timings.prompt_n), completionTokens: toCount(raw.timings.predicted_n) };
+    }
+
+    if (!usage || (usage.promptTokens === 0 && usage.completionTokens === 0)) return null;
+    if (!usage.reasoningTokens) delete usage.reasoningTokens;
+    return usage;
+}
+
+/**
+ * Adds up usage reports, skipping missing ones.
+ *
+ * @param {Array<TokenUsage|null|undefined>} usages
+ * @returns {TokenUsage|null} - Null when none of the entries has usage.
+ */
+export function sumUsage(usages) {
+    const reported = usages.filter(Boolean);
+    if (reported.length === 0) return null;
+
+    const total = { promptTokens: 0, completionTokens: 0, reasoningTokens: 0 };
+    for (const usage of reported) {
+        total.promptTokens += usage.promptTokens || 0;
+        total.completionTokens += usage.completionTokens || 0;
+        total.reasoningTokens += usage.reasoningTokens || 0;
+    }
+    if (!total.reasoningTokens) delete total.reasoningTokens;
+    return total;
+}
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp} - A case-insensitive matcher where `*` matches any characters.
+ */
+function globToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Finds the price entry for a model. Exact ids win over wildcard patterns, longer patterns over shorter ones.
+ *
+ * @param {string} model
+ * @param {ModelPrice[]} prices
+ * @returns {ModelPrice|null}
+ */
+export function findModelPrice(model, prices) {
+    if (!model || !Array.isArray(prices)) return null;
+    const id = String(model).toLowerCase();
+    const entries = prices.filter(entry => entry && String(entry.model || '').trim());
+
+    const exact = entries.find(entry => String(entry.model).trim().toLowerCase() === id);
+    if (exact) return exact;
+
+    return entries
+        .filter(entry => entry.model.includes('*') && globToRegExp(entry.model.trim()).test(id))
+        .sort((a, b) => b.model.length - a.model.length)[0] || null;
+}
+
+/**
+ * Estimates the cost of token usage grouped by model.
+ *
+ * @param {Record<string, {promptTokens: number, completionTokens: number}>} byModel
+ * @param {ModelPrice[]} prices
+ * @returns {{cost: number, unpricedModels: string[]}} - Cost in the price table's currency and the models without a price.
+ */
+export function estimateCost(byModel, prices) {
+    let cost = 0;
+    const unpricedModels = [];
+    for (const [model, usage] of Object.entries(byModel || {})) {
+        if (!usage.promptTokens && !usage.completionTokens) continue;
+        const price = findModelPrice(model, prices);
+        if (!price) {
+            unpricedModels.push(model);
+            continue;
+        }
+        cost += (usage.promptTokens * (Number(price.input) || 0) + usage.completionTokens * (Number(price.output) || 0)) / 1e6;
+    }
+    return { cost, unpricedModels };
+}